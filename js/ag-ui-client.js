@@ -23,6 +23,7 @@ const EventType = {
   TOOL_CALL_ARGS: 'TOOL_CALL_ARGS',
   TOOL_CALL_END: 'TOOL_CALL_END',
   TOOL_CALL_RESULT: 'TOOL_CALL_RESULT',
+  TOOL_CALL_CHUNK: 'TOOL_CALL_CHUNK',
 
   // State management events
   STATE_SNAPSHOT: 'STATE_SNAPSHOT',
@@ -61,6 +62,28 @@ class RunFinishedEvent extends BaseEvent {
   }
 }
 
+class RunErrorEvent extends BaseEvent {
+  constructor(message, code = null, timestamp) {
+    super(EventType.RUN_ERROR, timestamp);
+    this.message = message;
+    this.code = code;
+  }
+}
+
+class StepStartedEvent extends BaseEvent {
+  constructor(stepName, timestamp) {
+    super(EventType.STEP_STARTED, timestamp);
+    this.stepName = stepName;
+  }
+}
+
+class StepFinishedEvent extends BaseEvent {
+  constructor(stepName, timestamp) {
+    super(EventType.STEP_FINISHED, timestamp);
+    this.stepName = stepName;
+  }
+}
+
 class TextMessageStartEvent extends BaseEvent {
   constructor(messageId, role = 'assistant', timestamp) {
     super(EventType.TEXT_MESSAGE_START, timestamp);
@@ -84,6 +107,17 @@ class TextMessageEndEvent extends BaseEvent {
   }
 }
 
+// Convenience form of START/CONTENT/END: the first chunk for a messageId
+// opens the message and the stream moving on to anything else closes it
+class TextMessageChunkEvent extends BaseEvent {
+  constructor(messageId = null, role = null, delta = null, timestamp) {
+    super(EventType.TEXT_MESSAGE_CHUNK, timestamp);
+    this.messageId = messageId;
+    this.role = role;
+    this.delta = delta;
+  }
+}
+
 class ToolCallStartEvent extends BaseEvent {
   constructor(toolCallId, toolCallName, parentMessageId = null, timestamp) {
     super(EventType.TOOL_CALL_START, timestamp);
@@ -118,6 +152,155 @@ class ToolCallResultEvent extends BaseEvent {
   }
 }
 
+// Convenience form of START/ARGS/END for a tool call, like TextMessageChunkEvent
+class ToolCallChunkEvent extends BaseEvent {
+  constructor(toolCallId = null, toolCallName = null, parentMessageId = null, delta = null, timestamp) {
+    super(EventType.TOOL_CALL_CHUNK, timestamp);
+    this.toolCallId = toolCallId;
+    this.toolCallName = toolCallName;
+    this.parentMessageId = parentMessageId;
+    this.delta = delta;
+  }
+}
+
+// Complete agent state, replacing whatever the client held before
+class StateSnapshotEvent extends BaseEvent {
+  constructor(snapshot, timestamp) {
+    super(EventType.STATE_SNAPSHOT, timestamp);
+    this.snapshot = snapshot;
+  }
+}
+
+// Incremental state change as a list of JSON Patch (RFC 6902) operations
+class StateDeltaEvent extends BaseEvent {
+  constructor(delta, timestamp) {
+    super(EventType.STATE_DELTA, timestamp);
+    this.delta = delta;
+  }
+}
+
+// Full list of the conversation's messages, e.g. to restore a thread
+class MessagesSnapshotEvent extends BaseEvent {
+  constructor(messages, timestamp) {
+    super(EventType.MESSAGES_SNAPSHOT, timestamp);
+    this.messages = messages;
+  }
+}
+
+// Pass-through of an event from an external system, unchanged
+class RawEvent extends BaseEvent {
+  constructor(event, source = null, timestamp) {
+    super(EventType.RAW, timestamp);
+    this.event = event;
+    this.source = source;
+  }
+}
+
+// Application-specific event carrying a name and an arbitrary value.
+// Named to avoid shadowing the DOM's built-in CustomEvent constructor.
+class AGUICustomEvent extends BaseEvent {
+  constructor(name, value = null, timestamp) {
+    super(EventType.CUSTOM, timestamp);
+    this.name = name;
+    this.value = value;
+  }
+}
+
+// Names of the CUSTOM events used for human-in-the-loop tool approval
+const InterruptEventName = {
+  INTERRUPT: 'interrupt',
+  INTERRUPT_RESOLVED: 'interrupt_resolved'
+};
+
+// Name of the CUSTOM event a server-side agent sends to have the page run one
+// of its WebMCP tools. value: { requestId, toolCallId, toolCallName, args }
+const ToolProxyEventName = {
+  TOOL_REQUEST: 'tool_request'
+};
+
+// Rewrites TEXT_MESSAGE_CHUNK and TOOL_CALL_CHUNK events into the long
+// START / CONTENT|ARGS / END form for consumers that only understand that.
+// Feed every event through push(); call flush() when the stream ends.
+class ChunkExpander {
+  constructor() {
+    this.openMessage = null;
+    this.openToolCall = null;
+  }
+
+  // Returns the events to emit in place of this one
+  push(event) {
+    if (event.type === EventType.TEXT_MESSAGE_CHUNK) {
+      return this.expandTextChunk(event);
+    }
+    if (event.type === EventType.TOOL_CALL_CHUNK) {
+      return this.expandToolCallChunk(event);
+    }
+    return [...this.flush(), event];
+  }
+
+  // Close whatever a chunk sequence left open
+  flush() {
+    const events = [];
+    if (this.openMessage) {
+      events.push(new TextMessageEndEvent(this.openMessage));
+      this.openMessage = null;
+    }
+    if (this.openToolCall) {
+      events.push(new ToolCallEndEvent(this.openToolCall));
+      this.openToolCall = null;
+    }
+    return events;
+  }
+
+  expandTextChunk(event) {
+    const events = [];
+    const messageId = event.messageId || this.openMessage;
+    if (!messageId) {
+      throw new Error('First TEXT_MESSAGE_CHUNK of a message must carry a messageId');
+    }
+
+    if (messageId !== this.openMessage) {
+      events.push(...this.flush());
+      events.push(new TextMessageStartEvent(messageId, event.role || 'assistant', event.timestamp));
+      this.openMessage = messageId;
+    }
+    if (event.delta) {
+      events.push(new TextMessageContentEvent(messageId, event.delta, event.timestamp));
+    }
+    return events;
+  }
+
+  expandToolCallChunk(event) {
+    const events = [];
+    const toolCallId = event.toolCallId || this.openToolCall;
+    if (!toolCallId) {
+      throw new Error('First TOOL_CALL_CHUNK of a tool call must carry a toolCallId');
+    }
+
+    if (toolCallId !== this.openToolCall) {
+      if (!event.toolCallName) {
+        throw new Error('First TOOL_CALL_CHUNK of a tool call must carry a toolCallName');
+      }
+      events.push(...this.flush());
+      events.push(new ToolCallStartEvent(toolCallId, event.toolCallName, event.parentMessageId, event.timestamp));
+      this.openToolCall = toolCallId;
+    }
+    if (event.delta) {
+      events.push(new ToolCallArgsEvent(toolCallId, event.delta, event.timestamp));
+    }
+    return events;
+  }
+}
+
+// Expand chunk events in an (async) event stream, see ChunkExpander
+async function* expandChunks(events) {
+  const expander = new ChunkExpander();
+  for await (const event of events) {
+    yield* expander.push(event);
+  }
+  yield* expander.flush();
+}
+
 // Export for use in other files
 if (typeof window !== 'undefined') {
   window.AGUI = {
@@ -125,12 +308,26 @@ if (typeof window !== 'undefined') {
     BaseEvent,
     RunStartedEvent,
     RunFinishedEvent,
+    RunErrorEvent,
+    StepStartedEvent,
+    StepFinishedEvent,
     TextMessageStartEvent,
     TextMessageContentEvent,
     TextMessageEndEvent,
+    TextMessageChunkEvent,
     ToolCallStartEvent,
     ToolCallArgsEvent,
     ToolCallEndEvent,
-    ToolCallResultEvent
+    ToolCallResultEvent,
+    ToolCallChunkEvent,
+    StateSnapshotEvent,
+    StateDeltaEvent,
+    MessagesSnapshotEvent,
+    RawEvent,
+    CustomEvent: AGUICustomEvent,
+    InterruptEventName,
+    ToolProxyEventName,
+    ChunkExpander,
+    expandChunks
   };
 }
\ No newline at end of file
@@ -1,142 +1,389 @@
 class AgentClient {
-    constructor(tools) {
+    constructor(tools, provider = window.WebMCP, options = {}) {
         this.tools = tools;
+        this.provider = provider;
         this.llmClient = new LLMClient(tools);
+        // Conversation memory: each run continues the history of its thread
+        this.threadStore = options.threadStore || new ThreadStore();
+        // Loop budget: stop after maxSteps model calls or once maxTokens are spent
+        this.maxSteps = options.maxSteps || 5;
+        this.maxTokens = options.maxTokens || 8000;
+        // Approval decisions the UI has yet to make, keyed by interruptId
+        this.pendingApprovals = new Map();
+        // Each thread's tools run in a WebMCP session of its own, opened with
+        // options.session ({ owner, tools, scopes, ttlMs }); keyed by threadId
+        this.sessionConfig = { owner: 'agent', ...options.session };
+        this.sessionIds = new Map();
+        // The app's shared state document, published as STATE_SNAPSHOT at the
+        // start of each run and as STATE_DELTA patches after tool calls change it
+        this.getState = options.getState || null;
     }
 
-    async *processPrompt(prompt) {
-        const threadId = 'thread_' + Date.now();
-        const runId = 'run_' + Date.now();
+    // Run the agent loop: ask the model, execute the tool calls it makes,
+    // feed the results back as tool messages and repeat until it answers in text.
+    // Pass options.threadId to continue an earlier conversation and
+    // options.signal (an AbortSignal) to be able to cancel the run.
+    // options.runId keeps the id a caller already assigned, e.g. in a RunAgentInput.
+    async *processPrompt(prompt, options = {}) {
+        const threadId = options.threadId || this.threadStore.createThread();
+        const runId = options.runId || 'run_' + Date.now();
+        const signal = options.signal || null;
+        // Who is calling and why, handed to every tool call of this run (e.g. for the audit log)
+        const callContext = { sessionId: this.toolSessionFor(threadId), threadId, runId, prompt };
 
         // Start the run using AG-UI protocol
         yield new window.AGUI.RunStartedEvent(threadId, runId);
+        // The state as last published to the client
+        let sharedState = null;
+        if (this.getState) {
+            sharedState = this.getState();
+            yield new window.AGUI.StateSnapshotEvent(sharedState);
+        }
+
+        // The model sees the whole thread, not just this prompt
+        const history = this.threadStore.getMessages(threadId);
+        const userMessage = { id: this.generateId('msg'), role: 'user', content: prompt };
+        const messages = [...history, userMessage];
+        // Set when the run fails or is cancelled; reported just before RUN_FINISHED
+        let runError = null;
+        // Every tool call executed in this run, keyed by toolCallId
+        const toolResults = new Map();
+        let finalText = null;
+        let declinedCall = null;
+        let tokensUsed = 0;
 
         try {
-            // Get tool calls from LLM
-            const toolCalls = await this.llmClient.getToolCalls(prompt);
-
-            // Process each tool call using proper AG-UI events
-            for (const call of toolCalls) {
-                const tool = this.tools.find(t => t.name === call.name);
-                if (tool) {
-                    const toolCallId = 'tool_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
-                    const messageId = 'msg_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
-
-                    // Tool call sequence: START -> ARGS -> END -> RESULT
-                    yield new window.AGUI.ToolCallStartEvent(toolCallId, call.name, messageId);
-                    
-                    if (call.args) {
-                        yield new window.AGUI.ToolCallArgsEvent(toolCallId, JSON.stringify(call.args));
+            for (let step = 1; step <= this.maxSteps; step++) {
+                const stepName = `step_${step}`;
+                yield new window.AGUI.StepStartedEvent(stepName);
+                if (signal) {
+                    signal.throwIfAborted();
+                }
+
+                const assistantMessage = { id: this.generateId('msg'), role: 'assistant', content: '', toolCalls: [] };
+                // Forward the model's output as it streams: text deltas become
+                // TEXT_MESSAGE_CONTENT and argument fragments become TOOL_CALL_ARGS
+                const streamedCalls = new Map();
+                let textOpen = false;
+
+                for await (const delta of this.llmClient.chatStream(messages, { signal })) {
+                    if (delta.type === 'text') {
+                        if (!textOpen) {
+                            yield new window.AGUI.TextMessageStartEvent(assistantMessage.id, 'assistant');
+                            textOpen = true;
+                        }
+                        assistantMessage.content += delta.delta;
+                        yield new window.AGUI.TextMessageContentEvent(assistantMessage.id, delta.delta);
+                    } else if (delta.type === 'tool_call_start') {
+                        if (textOpen) {
+                            yield new window.AGUI.TextMessageEndEvent(assistantMessage.id);
+                            textOpen = false;
+                        }
+                        streamedCalls.set(delta.index, { id: delta.id, name: delta.name, rawArgs: '' });
+                        yield new window.AGUI.ToolCallStartEvent(delta.id, delta.name, assistantMessage.id);
+                    } else if (delta.type === 'tool_call_args') {
+                        const streamedCall = streamedCalls.get(delta.index);
+                        if (streamedCall) {
+                            streamedCall.rawArgs += delta.delta;
+                            yield new window.AGUI.ToolCallArgsEvent(streamedCall.id, delta.delta);
+                        }
+                    } else if (delta.type === 'usage') {
+                        tokensUsed += delta.totalTokens;
                     }
-                    
-                    const result = await tool.execute(call.args);
-                    
-                    yield new window.AGUI.ToolCallEndEvent(toolCallId);
-                    yield new window.AGUI.ToolCallResultEvent(messageId, toolCallId, JSON.stringify(result));
+                }
+
+                if (textOpen) {
+                    yield new window.AGUI.TextMessageEndEvent(assistantMessage.id);
+                }
+
+                const calls = Array.from(streamedCalls.values()).map(streamedCall => this.parseToolCall(streamedCall));
+                assistantMessage.toolCalls = calls.map(call => ({
+                    id: call.id,
+                    type: 'function',
+                    function: { name: call.name, arguments: call.parseError ? '{}' : call.rawArgs || '{}' }
+                }));
+                messages.push(assistantMessage);
+
+                if (calls.length === 0) {
+                    finalText = assistantMessage.content;
+                    yield new window.AGUI.StepFinishedEvent(stepName);
+                    break;
+                }
+
+                // Arguments are complete once the stream ends
+                for (const call of calls) {
+                    yield new window.AGUI.ToolCallEndEvent(call.id);
+                }
+
+                for (const call of calls) {
+                    const toolMessageId = this.generateId('msg');
+                    let result;
+
+                    if (declinedCall) {
+                        // Every call needs a tool message, even the ones we no longer run
+                        result = {
+                            success: false,
+                            error: `Skipped because ${declinedCall.name} was declined`,
+                            code: 'SKIPPED'
+                        };
+                    } else if (call.parseError) {
+                        result = {
+                            success: false,
+                            error: `Could not parse arguments for ${call.name}: ${call.parseError}`,
+                            code: 'INVALID_ARGUMENTS'
+                        };
+                    } else {
+                        // Human-in-the-loop: gated tools wait for the user before running.
+                        // A call the model repeats already ran, and its result is reused
+                        const approved = toolResults.has(call.id) ||
+                            !this.provider.requiresConfirmation(call.name) ||
+                            (yield* this.awaitApproval(call.id, call, signal));
+
+                        if (approved) {
+                            result = await this.executeToolCall(call, toolResults, signal, callContext);
+                        } else {
+                            result = {
+                                success: false,
+                                error: `The user declined to run ${call.name}`,
+                                code: 'DECLINED'
+                            };
+                            declinedCall = call;
+                        }
+                    }
+
+                    const content = JSON.stringify(result);
+                    yield new window.AGUI.ToolCallResultEvent(toolMessageId, call.id, content);
+                    messages.push({ id: toolMessageId, role: 'tool', toolCallId: call.id, content });
+
+                    if (this.getState) {
+                        const delta = this.stateDelta(sharedState);
+                        if (delta.patch.length > 0) {
+                            yield new window.AGUI.StateDeltaEvent(delta.patch);
+                        }
+                        sharedState = delta.state;
+                    }
+                }
+
+                yield new window.AGUI.StepFinishedEvent(stepName);
+
+                // A declined approval cancels the rest of the run
+                if (declinedCall || tokensUsed >= this.maxTokens) {
+                    break;
                 }
             }
 
-            // Generate intelligent response based on results and LLM mode
-            if (toolCalls.length > 0) {
+            // The model's own answer was streamed above. Only a declined approval or
+            // an exhausted budget needs a closing message from the agent itself
+            if (declinedCall || finalText === null) {
                 const responseMessageId = 'response_' + Date.now();
-                yield new window.AGUI.TextMessageStartEvent(responseMessageId, 'assistant');
-                
-                if (this.llmClient.useRealLLM) {
-                    // Use LLM to generate natural response
-                    const response = await this.generateIntelligentResponse(prompt, toolCalls);
-                    // Simulate streaming response
-                    const words = response.split(' ');
-                    for (let i = 0; i < words.length; i++) {
-                        const chunk = (i === 0 ? '' : ' ') + words[i];
-                        yield new window.AGUI.TextMessageContentEvent(responseMessageId, chunk);
-                        // Small delay to simulate streaming
-                        await new Promise(resolve => setTimeout(resolve, 50));
-                    }
+                let response;
+
+                if (declinedCall) {
+                    response = `Okay, I didn't run ${declinedCall.name}. No further changes were made.`;
+                } else if (this.llmClient.useRealLLM) {
+                    // Budget ran out before the model answered; summarize what was done
+                    response = await this.generateIntelligentResponse(prompt, Array.from(toolResults.values()), signal);
                 } else {
-                    // Simple response for keyword matching mode
-                    const toolNames = toolCalls.map(call => call.name).join(', ');
-                    yield new window.AGUI.TextMessageContentEvent(responseMessageId, `I've executed the following tools for you: ${toolNames}. The results are displayed in your portfolio above.`);
+                    const toolNames = Array.from(toolResults.values()).map(entry => entry.tool).join(', ');
+                    response = `I've executed the following tools for you: ${toolNames}. The results are displayed in your portfolio above.`;
                 }
-                
-                yield new window.AGUI.TextMessageEndEvent(responseMessageId);
-            }
 
-            // If no tool calls, send a simple response
-            if (toolCalls.length === 0) {
-                const messageId = 'msg_' + Date.now();
-                yield new window.AGUI.TextMessageStartEvent(messageId, 'assistant');
-                yield new window.AGUI.TextMessageContentEvent(messageId, "I understand your request, but I don't have the specific tools needed to help with that right now.");
-                yield new window.AGUI.TextMessageEndEvent(messageId);
+                yield new window.AGUI.TextMessageStartEvent(responseMessageId, 'assistant');
+                yield new window.AGUI.TextMessageContentEvent(responseMessageId, response);
+                yield new window.AGUI.TextMessageEndEvent(responseMessageId);
+                messages.push({ id: responseMessageId, role: 'assistant', content: response });
             }
 
         } catch (error) {
-            // Send error using AG-UI protocol
-            yield {
-                type: window.AGUI.EventType.RUN_ERROR,
-                message: error.message,
-                code: 'EXECUTION_ERROR'
-            };
+            runError = signal && signal.aborted
+                ? new window.AGUI.RunErrorEvent('Run cancelled by user', 'CANCELLED')
+                : new window.AGUI.RunErrorEvent(error.message, 'EXECUTION_ERROR');
+        }
+
+        // Remember the turn. A failed or cancelled run may have left tool calls
+        // without results, which providers reject, so only its prompt is kept.
+        const turnMessages = runError ? [userMessage] : messages.slice(history.length);
+        const threadMessages = this.threadStore.appendMessages(threadId, turnMessages);
+        yield new window.AGUI.MessagesSnapshotEvent(threadMessages);
+
+        // Send the error using AG-UI protocol; only RUN_FINISHED may follow it
+        if (runError) {
+            yield runError;
         }
 
         // Finish the run
-        yield new window.AGUI.RunFinishedEvent(threadId, runId, 'completed');
+        const cancelled = (runError && runError.code === 'CANCELLED') || declinedCall;
+        yield new window.AGUI.RunFinishedEvent(threadId, runId, cancelled ? 'cancelled' : 'completed');
+    }
+
+    // The thread's WebMCP session, opened again if it expired while the thread was idle
+    toolSessionFor(threadId) {
+        const session = this.provider.ensureSession(this.sessionIds.get(threadId), { ...this.sessionConfig, threadId });
+        this.sessionIds.set(threadId, session.id);
+        return session.id;
+    }
+
+    // The current state and the JSON Patch from previous to it. The patch
+    // tests every value it replaces or removes, so a client whose copy has
+    // drifted fails to apply it and can ask for getStateSnapshot() instead.
+    stateDelta(previous) {
+        const state = this.getState();
+        return { state, patch: JsonPatch.diff(previous, state, { test: true }) };
     }
 
-    async generateIntelligentResponse(originalPrompt, toolCalls) {
+    // The app's current state, for a client that needs to start over
+    getStateSnapshot() {
+        return new window.AGUI.StateSnapshotEvent(this.getState ? this.getState() : {});
+    }
+
+    // Snapshot of a stored thread, e.g. to restore the chat after a reload
+    getMessagesSnapshot(threadId) {
+        return new window.AGUI.MessagesSnapshotEvent(this.threadStore.getMessages(threadId));
+    }
+
+    // Execute a tool call exactly once per run. The result is recorded in the
+    // run's ledger, and anything that needs it later reads it from there
+    // instead of running the tool again. callContext carries the run's
+    // { sessionId, threadId, runId, prompt } into the tool call.
+    async executeToolCall(call, toolResults, signal = null, callContext = {}) {
+        if (toolResults.has(call.id)) {
+            return toolResults.get(call.id).result;
+        }
+
+        let result;
         try {
-            // Gather tool results for context
-            const toolResults = [];
-            for (const call of toolCalls) {
-                const tool = this.tools.find(t => t.name === call.name);
-                if (tool) {
-                    const result = await tool.execute(call.args);
-                    toolResults.push({
-                        tool: call.name,
-                        args: call.args,
-                        result: result
-                    });
-                }
+            // Execute through the provider so the tool's schema contract and timeout are enforced
+            result = await this.provider.executeTool(call.name, call.args || {}, { ...callContext, signal, toolCallId: call.id });
+        } catch (toolError) {
+            // Cancellation ends the run; it isn't a result to report back to the model
+            if (signal && signal.aborted) {
+                throw toolError;
             }
+            result = this.toolErrorResult(toolError);
+        }
 
-            const contextMessages = [
-                {
-                    role: "system",
-                    content: "You are a helpful financial advisor assistant. Provide clear, concise responses about portfolio actions. Be professional and informative."
-                },
-                {
-                    role: "user",
-                    content: `I asked: "${originalPrompt}"`
-                },
-                {
-                    role: "assistant",
-                    content: `I executed these tools: ${JSON.stringify(toolResults)}. Please provide a natural, helpful response to the user about what was done.`
-                }
-            ];
-
-            const response = await fetch('https://api.openai.com/v1/chat/completions', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': `Bearer ${this.llmClient.apiKey}`
-                },
-                body: JSON.stringify({
-                    model: "gpt-3.5-turbo",
-                    messages: contextMessages,
-                    max_tokens: 150,
-                    temperature: 0.7
-                })
-            });
-
-            if (!response.ok) {
-                throw new Error(`OpenAI API error: ${response.status}`);
+        toolResults.set(call.id, {
+            toolCallId: call.id,
+            tool: call.name,
+            args: call.args || {},
+            result
+        });
+        return result;
+    }
+
+    // Turn a streamed tool call's raw argument text into { id, name, args, rawArgs }.
+    // Malformed JSON is kept as parseError so it can go back to the model as a tool error
+    parseToolCall(streamedCall) {
+        const call = { id: streamedCall.id, name: streamedCall.name, args: {}, rawArgs: streamedCall.rawArgs };
+        if (streamedCall.rawArgs.trim()) {
+            try {
+                call.args = JSON.parse(streamedCall.rawArgs);
+            } catch (error) {
+                call.parseError = error.message;
             }
+        }
+        return call;
+    }
+
+    generateId(prefix) {
+        return prefix + '_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+    }
+
+    // An id nobody else can guess, for ids that are all it takes to act on
+    // something over the network (an interrupt's approval, for one)
+    generateSecureId(prefix) {
+        const bytes = crypto.getRandomValues(new Uint8Array(16));
+        return prefix + '_' + Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    // Emit an interrupt for a gated tool call and pause until the user decides.
+    // Returns true when the call was approved; throws if signal aborts first.
+    async *awaitApproval(toolCallId, call, signal = null) {
+        const { CustomEvent, InterruptEventName } = window.AGUI;
+        const interruptId = this.generateSecureId('interrupt');
+        const tool = this.provider.getTool(call.name);
+        const decision = new Promise(resolve => this.pendingApprovals.set(interruptId, resolve));
 
-            const data = await response.json();
-            return data.choices?.[0]?.message?.content || "I've completed your request successfully.";
+        yield new CustomEvent(InterruptEventName.INTERRUPT, {
+            interruptId,
+            reason: 'tool_confirmation',
+            toolCallId,
+            toolCallName: call.name,
+            description: tool ? tool.description : '',
+            args: call.args || {},
+            annotations: tool ? tool.annotations : {}
+        });
+
+        let approved;
+        try {
+            approved = await this.untilAborted(decision, signal);
+        } finally {
+            this.pendingApprovals.delete(interruptId);
+        }
+        yield new CustomEvent(InterruptEventName.INTERRUPT_RESOLVED, { interruptId, toolCallId, approved });
+        return approved;
+    }
+
+    // Settle like promise, or reject with the abort reason as soon as signal aborts
+    untilAborted(promise, signal) {
+        if (!signal) {
+            return promise;
+        }
+        if (signal.aborted) {
+            return Promise.reject(signal.reason);
+        }
+        return new Promise((resolve, reject) => {
+            const onAbort = () => reject(signal.reason);
+            signal.addEventListener('abort', onAbort, { once: true });
+            promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+        });
+    }
+
+    // Called by the UI when the user approves or denies an interrupt
+    resolveApproval(interruptId, approved) {
+        const resolve = this.pendingApprovals.get(interruptId);
+        if (!resolve) {
+            return false;
+        }
+        this.pendingApprovals.delete(interruptId);
+        resolve(Boolean(approved));
+        return true;
+    }
+
+    // Shape a failed tool execution into a result the UI and LLM can read
+    toolErrorResult(error) {
+        const result = {
+            success: false,
+            error: error.message,
+            code: error.code || 'TOOL_ERROR'
+        };
+        if (error.errors) {
+            result.validationErrors = error.errors;
+        }
+        return result;
+    }
+
+    // Summarize a run from the results captured while it executed.
+    // toolResults entries are { toolCallId, tool, args, result }; no tool is re-run here.
+    async generateIntelligentResponse(originalPrompt, toolResults, signal = null) {
+        try {
+            const response = await this.llmClient.generateText(
+                "You are a helpful financial advisor assistant. Provide clear, concise responses about portfolio actions. Be professional and informative.",
+                `I asked: "${originalPrompt}"\n\nYou executed these tools: ${JSON.stringify(toolResults)}. Please provide a natural, helpful response to me about what was done.`,
+                { maxTokens: 150, signal }
+            );
+            return response || "I've completed your request successfully.";
             
         } catch (error) {
+            if (signal && signal.aborted) {
+                throw error;
+            }
             console.error('Error generating intelligent response:', error);
             return "I've completed your request successfully.";
         }
     }
-}
\ No newline at end of file
+}
+
+if (typeof window !== 'undefined') {
+    window.AgentClient = AgentClient;
+}
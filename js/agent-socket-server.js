@@ -0,0 +1,268 @@
+/**
+ * Agent Socket Server
+ * The server half of the WebSocket transport (see socket-channel.js). It
+ * accepts WebSocket-shaped connections, keeps a session per client so a
+ * dropped connection can resume where it left off, runs the agent for each
+ * RUN message and streams its AG-UI events back as EVENT messages. The
+ * page's tools are called over the same connection.
+ *
+ * Transport-agnostic: the Node agent server hands it real WebSockets, and
+ * LoopbackAgentServer connects it to the page in-process, for tests and for
+ * trying the transport without a server.
+ */
+
+class AgentSocketServer {
+    // options.createAgent(input, toolProvider) builds the agent for one run.
+    // options.provider holds tools the page may call on this side.
+    // options.sessionTtlMs is how long a disconnected session waits to be resumed.
+    constructor(options = {}) {
+        this.createAgent = options.createAgent || createRunAgent;
+        this.provider = options.provider || null;
+        this.windowSize = options.windowSize || 32;
+        this.sessionTtlMs = options.sessionTtlMs || 60000;
+        this.sessions = new Map();
+    }
+
+    // Take a new connection. Its first message must be a hello naming the
+    // session to resume, if any.
+    accept(socket) {
+        const onHello = (event) => {
+            socket.removeEventListener('message', onHello);
+            let hello;
+            try {
+                hello = JSON.parse(event.data);
+            } catch (error) {
+                hello = null;
+            }
+            if (!hello || hello.kind !== SocketMessageKind.HELLO) {
+                socket.close(1002, 'Expected hello');
+                return;
+            }
+
+            let session = this.sessions.get(hello.sessionId);
+            const resumed = Boolean(session);
+            if (!session) {
+                session = new AgentSocketSession(this, this.generateSessionId());
+                this.sessions.set(session.id, session);
+            }
+            session.attach(socket, resumed ? hello.receivedSeq || 0 : 0, resumed);
+        };
+        socket.addEventListener('message', onHello);
+    }
+
+    // Knowing a session's id is enough to resume it, so it must not be guessable
+    generateSessionId() {
+        const bytes = crypto.getRandomValues(new Uint8Array(16));
+        return 'session_' + Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+}
+
+class AgentSocketSession {
+    constructor(server, id) {
+        this.server = server;
+        this.id = id;
+        this.channel = new SocketChannel({
+            windowSize: server.windowSize,
+            onMessage: message => this.handleMessage(message)
+        });
+        // The page's calls to tools on this side run in a WebMCP session of the connection's own
+        this.toolSessionId = null;
+        this.bridge = new SocketToolBridge(this.channel, server.provider, {
+            callOptions: message => ({ sessionId: this.toolSessionFor(), runId: message.runId, toolCallId: message.toolCallId })
+        });
+        // Runs in progress, keyed by runId: { agent, controller }
+        this.runs = new Map();
+        this.socket = null;
+        this.expiryTimer = null;
+        // Aborted when the session expires, ending anything still waiting on it
+        this.lifetime = new AbortController();
+    }
+
+    attach(socket, peerReceivedSeq, resumed) {
+        clearTimeout(this.expiryTimer);
+        if (this.socket) {
+            this.socket.close(1000, 'Replaced by a newer connection');
+        }
+        this.socket = socket;
+
+        socket.send(JSON.stringify({
+            kind: SocketMessageKind.WELCOME,
+            sessionId: this.id,
+            receivedSeq: this.channel.receivedSeq,
+            resumed
+        }));
+        this.channel.attach(socket, peerReceivedSeq);
+
+        const onMessage = (event) => this.channel.receive(event.data);
+        const onClose = () => {
+            socket.removeEventListener('message', onMessage);
+            socket.removeEventListener('close', onClose);
+            if (this.socket === socket) {
+                this.socket = null;
+                this.channel.detach();
+                this.expiryTimer = setTimeout(() => this.expire(), this.server.sessionTtlMs);
+            }
+        };
+        socket.addEventListener('message', onMessage);
+        socket.addEventListener('close', onClose);
+    }
+
+    handleMessage(message) {
+        switch (message.kind) {
+            case SocketMessageKind.RUN:
+                // Runs proceed on their own; the RUN message itself is handled at once
+                this.startRun(message.runId, message.input);
+                break;
+
+            case SocketMessageKind.CANCEL: {
+                const run = this.runs.get(message.runId);
+                if (run) {
+                    run.controller.abort(new Error('Run cancelled by user'));
+                }
+                break;
+            }
+
+            case SocketMessageKind.APPROVAL: {
+                const run = this.runs.get(message.runId);
+                if (run) {
+                    run.agent.resolveApproval(message.interruptId, message.approved);
+                }
+                break;
+            }
+
+            case SocketMessageKind.TOOL_CALL:
+                return this.bridge.handleCall(message);
+
+            case SocketMessageKind.TOOL_RESULT:
+                this.bridge.handleResult(message);
+                break;
+        }
+    }
+
+    async startRun(runId, input) {
+        const error = runInputError(input) || (this.runs.has(runId) ? `Run ${runId} is already in progress` : null);
+        if (error) {
+            const threadId = (input && input.threadId) || null;
+            for (const event of [
+                new window.AGUI.RunStartedEvent(threadId, runId),
+                new window.AGUI.RunErrorEvent(error, 'INVALID_INPUT'),
+                new window.AGUI.RunFinishedEvent(threadId, runId, 'error')
+            ]) {
+                this.channel.send({ kind: SocketMessageKind.EVENT, runId, event });
+            }
+            return;
+        }
+
+        const controller = new AbortController();
+        const toolProvider = new ProxyToolProvider(input.tools || [], (name, args, options) =>
+            this.bridge.call(runId, options.toolCallId || 'call_' + Date.now(), name, args, options.signal));
+        const agent = this.server.createAgent(input, toolProvider);
+        this.runs.set(runId, { agent, controller });
+
+        try {
+            for await (const event of processRunInput(agent, input, controller.signal)) {
+                // Holds the agent back while the page is behind on acknowledgements
+                await this.channel.sendWhenReady({ kind: SocketMessageKind.EVENT, runId, event }, this.lifetime.signal);
+            }
+        } catch (runError) {
+            if (!this.lifetime.signal.aborted) {
+                console.error(`Run ${runId} failed:`, runError);
+            }
+        } finally {
+            this.runs.delete(runId);
+        }
+    }
+
+    toolSessionFor() {
+        const session = this.server.provider.ensureSession(this.toolSessionId, { owner: `socket:${this.id}` });
+        this.toolSessionId = session.id;
+        return session.id;
+    }
+
+    // Nobody came back for this session: stop its runs and forget it
+    expire() {
+        const error = new Error('Agent session expired');
+        this.lifetime.abort(error);
+        this.runs.forEach(run => run.controller.abort(error));
+        this.bridge.rejectAll(error);
+        if (this.toolSessionId) {
+            this.server.provider.destroySession(this.toolSessionId);
+        }
+        this.server.sessions.delete(this.id);
+    }
+}
+
+// Two connected WebSocket-shaped ends. Messages are delivered asynchronously
+// like a real socket; closing either end closes both.
+class LoopbackSocket {
+    constructor() {
+        this.peer = null;
+        this.readyState = 0;
+        this.bufferedAmount = 0;
+        this.listeners = { open: [], message: [], close: [], error: [] };
+    }
+
+    addEventListener(type, listener) {
+        this.listeners[type].push(listener);
+    }
+
+    removeEventListener(type, listener) {
+        this.listeners[type] = this.listeners[type].filter(entry => entry !== listener);
+    }
+
+    dispatch(type, event) {
+        this.listeners[type].slice().forEach(listener => listener({ type, ...event }));
+    }
+
+    send(data) {
+        if (this.readyState !== SOCKET_OPEN) {
+            throw new Error('Loopback socket is not open');
+        }
+        const peer = this.peer;
+        setTimeout(() => {
+            if (peer.readyState === SOCKET_OPEN) {
+                peer.dispatch('message', { data });
+            }
+        }, 0);
+    }
+
+    close(code = 1000, reason = '') {
+        [this, this.peer].forEach(end => {
+            if (end.readyState !== 3) {
+                end.readyState = 3;
+                setTimeout(() => end.dispatch('close', { code, reason, wasClean: true }), 0);
+            }
+        });
+    }
+}
+
+function createLoopbackSocketPair() {
+    const client = new LoopbackSocket();
+    const server = new LoopbackSocket();
+    client.peer = server;
+    server.peer = client;
+    client.readyState = SOCKET_OPEN;
+    server.readyState = SOCKET_OPEN;
+    setTimeout(() => client.dispatch('open', {}), 0);
+    return [client, server];
+}
+
+// An AgentSocketServer in the page. connect() returns the client end of a new
+// loopback connection, ready to hand to WebSocketAgent's connect option.
+class LoopbackAgentServer {
+    constructor(options = {}) {
+        this.server = new AgentSocketServer(options);
+    }
+
+    connect() {
+        const [client, server] = createLoopbackSocketPair();
+        this.server.accept(server);
+        return client;
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.AgentSocketServer = AgentSocketServer;
+    window.LoopbackAgentServer = LoopbackAgentServer;
+    window.createLoopbackSocketPair = createLoopbackSocketPair;
+}
@@ -0,0 +1,239 @@
+/**
+ * Audit Log
+ * Append-only, tamper-evident record of every tool call an agent makes, to
+ * answer "who changed my allocation, and why?": who (the WebMCP session and
+ * its owner), why (the thread, run and tool call, and the prompt that started
+ * the run), what (the validated arguments and the result or error) and the
+ * effect (the app's state before and after).
+ *
+ * Each entry holds the SHA-256 hash of the entry before it and a hash of its
+ * own fields, so editing, removing or reordering a stored entry breaks the
+ * chain and verify() reports where. Entries are kept in IndexedDB when the
+ * page has it (in memory otherwise) and export as JSON Lines. Load it after
+ * js/webmcp-middleware.js, whose redaction and key-sorted JSON it uses.
+ *
+ *   const auditLog = new AuditLog();
+ *   WebMCP.use(auditLog.middleware({ captureState: () => app.getState() }));
+ */
+
+// prevHash of the first entry
+const AUDIT_GENESIS_HASH = '0'.repeat(64);
+
+class AuditLog {
+  constructor(options = {}) {
+    this.store = options.store ||
+      (typeof indexedDB !== 'undefined' ? new IndexedDBAuditStore(options.dbName) : new MemoryAuditStore());
+    this.now = options.now || (() => new Date());
+    // Entries in seq order; the persisted ones are loaded first
+    this.entries = [];
+    this.listeners = [];
+    // Appends run one at a time, each after the one it links to
+    this.queue = this.load();
+  }
+
+  async load() {
+    try {
+      this.entries = (await this.store.load()).sort((a, b) => a.seq - b.seq);
+    } catch (error) {
+      // No IndexedDB (e.g. a private window): keep a log for this page at least
+      console.error('Audit log storage unavailable, keeping entries in memory:', error);
+      this.store = new MemoryAuditStore();
+      this.entries = [];
+    }
+  }
+
+  // Resolves once the persisted entries are loaded and earlier appends are stored
+  ready() {
+    return this.queue;
+  }
+
+  // Add an entry; resolves with it, sealed and stored. record is made
+  // JSON-safe first, so the hash covers exactly what is stored and exported.
+  append(record) {
+    const write = this.queue.then(async () => {
+      const previous = this.entries[this.entries.length - 1];
+      const entry = {
+        seq: previous ? previous.seq + 1 : 1,
+        timestamp: this.now().toISOString(),
+        ...JSON.parse(JSON.stringify(record)),
+        prevHash: previous ? previous.hash : AUDIT_GENESIS_HASH
+      };
+      entry.hash = await AuditLog.hashEntry(entry);
+      await this.store.add(entry);
+      this.entries.push(Object.freeze(entry));
+      this.listeners.forEach(listener => listener(entry));
+      return entry;
+    });
+    this.queue = write.catch(() => {});
+    return write;
+  }
+
+  getEntries() {
+    return this.entries.slice();
+  }
+
+  // Call listener(entry) after each append; returns a function that stops it
+  onAppend(listener) {
+    this.listeners.push(listener);
+    return () => {
+      this.listeners = this.listeners.filter(entry => entry !== listener);
+    };
+  }
+
+  // Check the stored chain, not the copy in memory: resolves with
+  // { valid: true, count } or { valid: false, seq, reason } for the first bad entry
+  async verify() {
+    await this.ready();
+    const stored = (await this.store.load()).sort((a, b) => a.seq - b.seq);
+    return AuditLog.verifyEntries(stored);
+  }
+
+  // One JSON entry per line, in order
+  exportJSONLines() {
+    return this.entries.map(entry => JSON.stringify(entry)).join('\n') + (this.entries.length > 0 ? '\n' : '');
+  }
+
+  // Verify entries from anywhere, e.g. an exported file read back with parseJSONLines
+  static async verifyEntries(entries) {
+    let prevHash = AUDIT_GENESIS_HASH;
+    for (let i = 0; i < entries.length; i++) {
+      const entry = entries[i];
+      if (entry.seq !== i + 1) {
+        return { valid: false, seq: i + 1, reason: `Entry ${i + 1} is missing` };
+      }
+      if (entry.prevHash !== prevHash) {
+        return { valid: false, seq: entry.seq, reason: `Entry ${entry.seq} does not follow entry ${entry.seq - 1}` };
+      }
+      if (entry.hash !== await AuditLog.hashEntry(entry)) {
+        return { valid: false, seq: entry.seq, reason: `Entry ${entry.seq} was modified` };
+      }
+      prevHash = entry.hash;
+    }
+    return { valid: true, count: entries.length };
+  }
+
+  static parseJSONLines(text) {
+    return text.split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+  }
+
+  // SHA-256 (hex) of every field but hash, with keys sorted
+  static async hashEntry(entry) {
+    if (typeof crypto === 'undefined' || !crypto.subtle) {
+      throw new Error('The audit log needs crypto.subtle, which is only available in secure contexts');
+    }
+    const { hash, ...fields } = entry;
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(WebMCPMiddleware.stableStringify(fields)));
+    return Array.from(new Uint8Array(digest)).map(byte => byte.toString(16).padStart(2, '0')).join('');
+  }
+
+  // Record every tool call that reaches the middleware pipeline. Use it
+  // first, so it also sees calls other middlewares answer (cache hits) or
+  // retry. Calls refused by authorization never run and are not recorded.
+  //   options.captureState()  JSON-safe snapshot of the app, taken before and after
+  //   options.redact          argument/result keys whose values are not stored
+  middleware(options = {}) {
+    const captureState = options.captureState || (() => null);
+    const redactKeys = (options.redact || WebMCPMiddleware.DEFAULT_REDACTED_KEYS).map(key => key.toLowerCase());
+    const record = async (context, outcome) => {
+      const { session, options: callOptions } = context;
+      try {
+        await this.append({
+          tool: context.toolName,
+          sessionId: session.id,
+          owner: session.owner,
+          threadId: callOptions.threadId || session.config.threadId || null,
+          runId: callOptions.runId || null,
+          toolCallId: callOptions.toolCallId || null,
+          prompt: callOptions.prompt || null,
+          // Set when the call undid an earlier one (see WebMCPProvider.revertAction)
+          undoOf: callOptions.undoOf || null,
+          args: WebMCPMiddleware.redactArgs(context.args, redactKeys),
+          before: context.meta.auditStateBefore,
+          after: captureState(),
+          attempts: context.meta.attempts || 1,
+          cacheHit: Boolean(context.meta.cacheHit),
+          ...outcome
+        });
+      } catch (error) {
+        // The call already happened; a failed write must not report it as failed
+        console.error('Could not write the audit entry:', error);
+      }
+    };
+
+    return {
+      name: 'audit',
+      before(context) {
+        context.meta.auditStateBefore = captureState();
+      },
+      async after(context, result) {
+        await record(context, { outcome: 'ok', result: WebMCPMiddleware.redactArgs(result, redactKeys) });
+      },
+      async error(context, error) {
+        await record(context, { outcome: 'error', error: { message: error.message, code: error.code || 'TOOL_ERROR' } });
+        throw error;
+      }
+    };
+  }
+}
+
+// Entries in an IndexedDB object store keyed by seq. add() never overwrites,
+// so the store itself refuses to replace an entry.
+class IndexedDBAuditStore {
+  constructor(dbName = 'webmcp-audit') {
+    this.dbName = dbName;
+    this.opening = null;
+  }
+
+  open() {
+    if (!this.opening) {
+      this.opening = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.dbName, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore('entries', { keyPath: 'seq' });
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return this.opening;
+  }
+
+  async load() {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const request = db.transaction('entries').objectStore('entries').getAll();
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async add(entry) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction('entries', 'readwrite');
+      transaction.objectStore('entries').add(entry);
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+}
+
+class MemoryAuditStore {
+  constructor() {
+    this.entries = [];
+  }
+
+  async load() {
+    return this.entries.map(entry => ({ ...entry }));
+  }
+
+  async add(entry) {
+    if (this.entries.some(stored => stored.seq === entry.seq)) {
+      throw new Error(`Audit entry ${entry.seq} already exists`);
+    }
+    this.entries.push({ ...entry });
+  }
+}
+
+if (typeof window !== 'undefined') {
+  window.AuditLog = AuditLog;
+}
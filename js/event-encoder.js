@@ -0,0 +1,43 @@
+/**
+ * AG-UI Event Encoder
+ * Serializes AG-UI events for the wire, the server half of what
+ * stream-readers.js parses: Server-Sent Events (text/event-stream) by default,
+ * or newline-delimited JSON when the client asks for application/x-ndjson.
+ */
+
+const EventContentType = {
+  SSE: 'text/event-stream',
+  NDJSON: 'application/x-ndjson'
+};
+
+class EventEncoder {
+  // options.accept is the client's Accept header; it picks the framing
+  constructor(options = {}) {
+    const accept = options.accept || '';
+    this.format = accept.includes(EventContentType.NDJSON) && !accept.includes(EventContentType.SSE)
+      ? 'ndjson'
+      : 'sse';
+  }
+
+  getContentType() {
+    return this.format === 'ndjson' ? EventContentType.NDJSON : EventContentType.SSE;
+  }
+
+  encode(event) {
+    return this.format === 'ndjson' ? this.encodeJSONLines(event) : this.encodeSSE(event);
+  }
+
+  // One `data:` line per event; JSON.stringify never emits a raw newline
+  encodeSSE(event) {
+    return `data: ${JSON.stringify(event)}\n\n`;
+  }
+
+  encodeJSONLines(event) {
+    return JSON.stringify(event) + '\n';
+  }
+}
+
+if (typeof window !== 'undefined') {
+  window.EventEncoder = EventEncoder;
+  window.EventContentType = EventContentType;
+}
@@ -0,0 +1,275 @@
+/**
+ * AG-UI Event Verifier
+ * Checks that an event stream follows the AG-UI protocol: a run is started
+ * before anything else is sent, messages, tool calls and steps are opened
+ * before they are used and closed before the run finishes, only RUN_FINISHED
+ * may follow RUN_ERROR, and nothing follows RUN_FINISHED except a new run.
+ * Every event also needs a timestamp and its type's required fields.
+ */
+
+// Fields each event type must carry, following the official AG-UI names
+const REQUIRED_EVENT_FIELDS = {
+  RUN_STARTED: ['threadId', 'runId'],
+  RUN_FINISHED: ['threadId', 'runId'],
+  RUN_ERROR: ['message'],
+  STEP_STARTED: ['stepName'],
+  STEP_FINISHED: ['stepName'],
+  TEXT_MESSAGE_START: ['messageId', 'role'],
+  TEXT_MESSAGE_CONTENT: ['messageId', 'delta'],
+  TEXT_MESSAGE_END: ['messageId'],
+  TEXT_MESSAGE_CHUNK: [],
+  TOOL_CALL_START: ['toolCallId', 'toolCallName'],
+  TOOL_CALL_ARGS: ['toolCallId', 'delta'],
+  TOOL_CALL_END: ['toolCallId'],
+  TOOL_CALL_RESULT: ['messageId', 'toolCallId', 'content'],
+  TOOL_CALL_CHUNK: [],
+  STATE_SNAPSHOT: ['snapshot'],
+  STATE_DELTA: ['delta'],
+  MESSAGES_SNAPSHOT: ['messages'],
+  RAW: ['event'],
+  CUSTOM: ['name']
+};
+
+// Raised in 'throw' mode for the first event that breaks the protocol
+class EventVerificationError extends Error {
+  constructor(violation) {
+    super(`AG-UI protocol violation at event #${violation.index} (${violation.eventType}): ${violation.message}`);
+    this.name = 'EventVerificationError';
+    this.code = 'PROTOCOL_VIOLATION';
+    this.violation = violation;
+  }
+}
+
+class EventVerifier {
+  // options.mode: 'throw' (default) stops at the first violation,
+  // 'report' records it, passes it to options.onViolation and carries on
+  constructor(options = {}) {
+    this.mode = options.mode || 'throw';
+    this.onViolation = options.onViolation || null;
+    this.violations = [];
+    this.index = 0;
+    this.resetRun();
+  }
+
+  // Forget the previous run; violations and the event index carry on
+  resetRun() {
+    this.run = null;
+    this.runState = 'idle'; // idle -> running -> (errored) -> finished
+    this.openMessages = new Set();
+    this.openToolCalls = new Set();
+    this.openSteps = new Set();
+    this.endedToolCalls = new Set();
+    this.resultToolCalls = new Set();
+    this.chunkMessageId = null;
+    this.chunkToolCallId = null;
+  }
+
+  // Wrap an (async) iterable of events, verifying each one as it passes through
+  async *verify(events) {
+    for await (const event of events) {
+      this.check(event);
+      yield event;
+    }
+  }
+
+  // Check one event and update the state machine. Returns this event's violations.
+  check(event) {
+    const violations = [];
+    const fail = (message) => violations.push({
+      index: this.index,
+      eventType: event && event.type,
+      message,
+      event
+    });
+
+    if (!event || typeof event !== 'object' || !event.type) {
+      fail('Event must be an object with a type');
+    } else if (!REQUIRED_EVENT_FIELDS[event.type]) {
+      fail(`Unknown event type '${event.type}'`);
+    } else {
+      this.checkFields(event, fail);
+      this.checkOrder(event, fail);
+    }
+
+    this.index++;
+    violations.forEach(violation => this.report(violation));
+    return violations;
+  }
+
+  checkFields(event, fail) {
+    if (typeof event.timestamp !== 'number') {
+      fail('Missing numeric timestamp');
+    }
+    for (const field of REQUIRED_EVENT_FIELDS[event.type]) {
+      if (event[field] === undefined || event[field] === null) {
+        fail(`Missing required field '${field}'`);
+      }
+    }
+    if ((event.type === 'TEXT_MESSAGE_CONTENT' || event.type === 'TOOL_CALL_ARGS') &&
+        (typeof event.delta !== 'string' || event.delta.length === 0)) {
+      fail('delta must be a non-empty string');
+    }
+    if (event.type === 'STATE_DELTA' && !Array.isArray(event.delta)) {
+      fail('delta must be an array of JSON Patch operations');
+    }
+    if (event.type === 'MESSAGES_SNAPSHOT' && !Array.isArray(event.messages)) {
+      fail('messages must be an array');
+    }
+  }
+
+  checkOrder(event, fail) {
+    if (event.type === 'RUN_STARTED') {
+      if (this.runState === 'running' || this.runState === 'errored') {
+        fail(`Run ${this.run.runId} is still in progress`);
+      }
+      this.resetRun();
+      this.run = { threadId: event.threadId, runId: event.runId };
+      this.runState = 'running';
+      return;
+    }
+
+    if (this.runState === 'idle') {
+      fail('Event sent before RUN_STARTED');
+      return;
+    }
+    if (this.runState === 'finished') {
+      fail('Event sent after RUN_FINISHED');
+      return;
+    }
+    if (this.runState === 'errored' && event.type !== 'RUN_FINISHED') {
+      fail('Only RUN_FINISHED may follow RUN_ERROR');
+      return;
+    }
+
+    switch (event.type) {
+      case 'RUN_FINISHED':
+        if (event.threadId !== this.run.threadId || event.runId !== this.run.runId) {
+          fail(`RUN_FINISHED for ${event.threadId}/${event.runId} does not match RUN_STARTED ${this.run.threadId}/${this.run.runId}`);
+        }
+        // An errored run is abandoned, so whatever it left open is not reported
+        if (this.runState === 'running') {
+          this.checkAllClosed(fail);
+        }
+        this.runState = 'finished';
+        break;
+
+      case 'RUN_ERROR':
+        this.runState = 'errored';
+        break;
+
+      case 'STEP_STARTED':
+        if (this.openSteps.has(event.stepName)) {
+          fail(`Step '${event.stepName}' is already started`);
+        }
+        this.openSteps.add(event.stepName);
+        break;
+
+      case 'STEP_FINISHED':
+        if (!this.openSteps.delete(event.stepName)) {
+          fail(`Step '${event.stepName}' was never started`);
+        }
+        break;
+
+      case 'TEXT_MESSAGE_START':
+        if (this.openMessages.has(event.messageId)) {
+          fail(`Message ${event.messageId} is already open`);
+        }
+        this.openMessages.add(event.messageId);
+        break;
+
+      case 'TEXT_MESSAGE_CONTENT':
+        if (!this.openMessages.has(event.messageId)) {
+          fail(`Content for message ${event.messageId}, which is not open`);
+        }
+        break;
+
+      case 'TEXT_MESSAGE_END':
+        if (!this.openMessages.delete(event.messageId)) {
+          fail(`End of message ${event.messageId}, which is not open`);
+        }
+        break;
+
+      case 'TOOL_CALL_START':
+        if (this.openToolCalls.has(event.toolCallId) || this.endedToolCalls.has(event.toolCallId)) {
+          fail(`Tool call ${event.toolCallId} was already started`);
+        }
+        this.openToolCalls.add(event.toolCallId);
+        break;
+
+      case 'TOOL_CALL_ARGS':
+        if (!this.openToolCalls.has(event.toolCallId)) {
+          fail(`Arguments for tool call ${event.toolCallId}, which is not open`);
+        }
+        break;
+
+      case 'TOOL_CALL_END':
+        if (!this.openToolCalls.delete(event.toolCallId)) {
+          fail(`End of tool call ${event.toolCallId}, which is not open`);
+        }
+        this.endedToolCalls.add(event.toolCallId);
+        break;
+
+      case 'TOOL_CALL_RESULT':
+        if (!this.endedToolCalls.has(event.toolCallId)) {
+          fail(this.openToolCalls.has(event.toolCallId)
+            ? `Result for tool call ${event.toolCallId} before its TOOL_CALL_END`
+            : `Result for tool call ${event.toolCallId}, which was never started`);
+        } else if (this.resultToolCalls.has(event.toolCallId)) {
+          fail(`Tool call ${event.toolCallId} already has a result`);
+        }
+        this.resultToolCalls.add(event.toolCallId);
+        break;
+
+      case 'TEXT_MESSAGE_CHUNK':
+        // The first chunk of a message names it; later ones may leave the id out
+        if (!event.messageId && !this.chunkMessageId) {
+          fail('First TEXT_MESSAGE_CHUNK of a message must carry a messageId');
+        }
+        this.chunkMessageId = event.messageId || this.chunkMessageId;
+        this.chunkToolCallId = null;
+        break;
+
+      case 'TOOL_CALL_CHUNK':
+        if (event.toolCallId && event.toolCallId !== this.chunkToolCallId && !event.toolCallName) {
+          fail('First TOOL_CALL_CHUNK of a tool call must carry a toolCallName');
+        } else if (!event.toolCallId && !this.chunkToolCallId) {
+          fail('First TOOL_CALL_CHUNK of a tool call must carry a toolCallId');
+        }
+        this.chunkToolCallId = event.toolCallId || this.chunkToolCallId;
+        this.chunkMessageId = null;
+        break;
+    }
+
+    if (event.type !== 'TEXT_MESSAGE_CHUNK' && event.type !== 'TOOL_CALL_CHUNK') {
+      this.chunkMessageId = null;
+      this.chunkToolCallId = null;
+    }
+  }
+
+  checkAllClosed(fail) {
+    this.openMessages.forEach(messageId => fail(`Message ${messageId} was never ended`));
+    this.openToolCalls.forEach(toolCallId => fail(`Tool call ${toolCallId} was never ended`));
+    this.openSteps.forEach(stepName => fail(`Step '${stepName}' was never finished`));
+  }
+
+  report(violation) {
+    this.violations.push(violation);
+    if (this.onViolation) {
+      this.onViolation(violation);
+    }
+    if (this.mode === 'throw') {
+      throw new EventVerificationError(violation);
+    }
+  }
+}
+
+// Verify an event stream: for await (const event of verifyEvents(agent.processPrompt(p))) ...
+function verifyEvents(events, options = {}) {
+  return new EventVerifier(options).verify(events);
+}
+
+if (typeof window !== 'undefined') {
+  window.EventVerifier = EventVerifier;
+  window.EventVerificationError = EventVerificationError;
+  window.verifyEvents = verifyEvents;
+}
@@ -1,15 +1,228 @@
+// Shared schema for a percentage allocation by asset class, e.g.
+// { stocks: 60, bonds: 30, cash: 10 }; StrategyRegistry.validateAllocation
+// checks that the percentages add up to 100
+const ALLOCATION_SCHEMA = {
+    type: "object",
+    additionalProperties: { type: "number", minimum: 0, maximum: 100 }
+};
+
+// Expected annual return (%) per asset class for retirement projections;
+// classes not listed here use DEFAULT_ASSET_CLASS_RETURN
+const ASSET_CLASS_RETURNS = { stocks: 7, international: 7, realEstate: 6, bonds: 4, cash: 2 };
+const DEFAULT_ASSET_CLASS_RETURN = 5;
+// Asset classes that count towards the risk level
+const EQUITY_ASSET_CLASSES = ['stocks', 'international', 'realEstate'];
+
+// Rebalance plans settle through this asset class: sales are paid into an
+// account's cash, its purchases and trading costs are paid out of it
+const CASH_ASSET_CLASS = 'cash';
+
+// Rebalance plan defaults: trades under minTradeAmount dollars are skipped, at
+// least cashBuffer dollars stay in cash, each trade is estimated to cost
+// commission dollars plus spreadBps basis points of its amount, and with
+// harvestLosses, losing lots in taxable accounts are sold for the tax loss
+const REBALANCE_DEFAULTS = { minTradeAmount: 100, cashBuffer: 1000, commission: 0, spreadBps: 5, harvestLosses: false };
+// How long a previewed plan can be executed
+const REBALANCE_PLAN_TTL_MS = 15 * 60 * 1000;
+
+// One buy or sell order in a rebalance plan. Sales in a taxable account
+// carry the gains they realize.
+const TRADE_SCHEMA = {
+    type: "object",
+    properties: {
+        accountId: { type: "string" },
+        ticker: { type: "string" },
+        action: { type: "string", enum: ["buy", "sell"] },
+        shares: { type: "number", minimum: 0 },
+        price: { type: "number", minimum: 0 },
+        amount: { type: "number", minimum: 0 },
+        estimatedCost: { type: "number", minimum: 0 },
+        shortTermGain: { type: "number" },
+        longTermGain: { type: "number" },
+        reason: { type: "string" }
+    },
+    required: ["accountId", "ticker", "action", "shares", "amount"]
+};
+
+// Gains a plan realizes in taxable accounts (negative for losses), the tax
+// they are estimated to cost at TAX_RATES, and that in a sentence (summary)
+const TAX_IMPACT_SCHEMA = {
+    type: "object",
+    properties: {
+        shortTermGain: { type: "number" },
+        longTermGain: { type: "number" },
+        harvestedLosses: { type: "number", minimum: 0 },
+        estimatedTax: { type: "number", minimum: 0 },
+        rates: { type: "object" },
+        summary: { type: "string" }
+    },
+    required: ["shortTermGain", "longTermGain", "estimatedTax", "summary"]
+};
+
+// One position in one account; costBasis is the total paid for its lots
+const HOLDING_SCHEMA = {
+    type: "object",
+    properties: {
+        accountId: { type: "string" },
+        ticker: { type: "string" },
+        shares: { type: "number", minimum: 0 },
+        costBasis: { type: "number", minimum: 0 },
+        assetClass: { type: "string" },
+        price: { type: "number", minimum: 0 },
+        marketValue: { type: "number", minimum: 0 }
+    },
+    required: ["accountId", "ticker", "shares", "costBasis", "assetClass"]
+};
+
+// One account with its tax treatment (a key of ACCOUNT_TYPES)
+const ACCOUNT_SCHEMA = {
+    type: "object",
+    properties: {
+        id: { type: "string" },
+        name: { type: "string" },
+        type: { type: "string", enum: Object.keys(ACCOUNT_TYPES) },
+        taxAdvantaged: { type: "boolean" },
+        totalValue: { type: "number", minimum: 0 },
+        unrealizedGain: { type: "number" },
+        holdings: { type: "array" }
+    },
+    required: ["id", "name", "type", "totalValue"]
+};
+
 class FidelityApp {
-    constructor(container) {
+    constructor(container, options = {}) {
         this.container = container;
-        this.portfolio = {
-            stocks: 50,
-            bonds: 30,
-            cash: 20,
-        };
+        // Named strategies rebalancePortfolio can apply
+        this.strategies = options.strategies || new StrategyRegistry();
+        // Reference data: each ticker's asset class, and what to buy for a class
+        this.securities = options.securities || MARKET_FIXTURES.securities;
+        this.coreSecurities = options.coreSecurities || MARKET_FIXTURES.coreSecurities;
+        this.priceSource = options.priceSource || new FixturePriceSource();
+        this.prices = {};
+        this.pricesAsOf = null;
+        // The household's accounts, each position held as tax lots
+        this.accounts = (options.accounts || MARKET_FIXTURES.accounts).map(account => {
+            if (!ACCOUNT_TYPES[account.type]) {
+                throw new Error(`Unknown account type ${account.type} for account ${account.id}`);
+            }
+            return {
+                ...account,
+                holdings: account.holdings.map(holding => ({
+                    ticker: holding.ticker,
+                    assetClass: holding.assetClass || this.assetClassOf(holding.ticker),
+                    lots: holding.lots.map(lot => ({ ...lot }))
+                }))
+            };
+        });
         this.portfolioHistory = [];
         this.retirementProjection = null;
+        // Previewed rebalance plans by planId, and the one shown in the app
+        this.rebalancePlans = new Map();
+        this.rebalancePreview = null;
         this.render();
         this.registerWithWebMCP();
+        // Resolves once the holdings are priced; tools refresh prices before every call
+        this.ready = this.refreshPrices().catch(error => console.error('Could not load prices:', error));
+    }
+
+    // Percentage of market value per asset class across all accounts, rounded to 2 decimals
+    get portfolio() {
+        return this.allocationOf(this.holdings);
+    }
+
+    // Every account's positions in one list, lots summed up
+    get holdings() {
+        return FidelityApp.positionsOf(this.accounts);
+    }
+
+    static positionsOf(accounts) {
+        return accounts.flatMap(account => account.holdings.map(holding => ({
+            accountId: account.id,
+            ticker: holding.ticker,
+            shares: FidelityApp.roundShares(holding.lots.reduce((sum, lot) => sum + lot.shares, 0)),
+            costBasis: Math.round(holding.lots.reduce((sum, lot) => sum + lot.costBasis, 0) * 100) / 100,
+            assetClass: holding.assetClass
+        })));
+    }
+
+    allocationOf(holdings) {
+        const total = holdings.reduce((sum, holding) => sum + this.marketValue(holding), 0);
+        const allocation = {};
+        if (total === 0) {
+            return allocation;
+        }
+        holdings.forEach(holding => {
+            allocation[holding.assetClass] = (allocation[holding.assetClass] || 0) + this.marketValue(holding) / total * 100;
+        });
+        Object.keys(allocation).forEach(assetClass => {
+            allocation[assetClass] = Math.round(allocation[assetClass] * 100) / 100;
+        });
+        return allocation;
+    }
+
+    // Fetch prices for every held and core security, and what tax-loss
+    // harvesting would swap the held ones for, from the price source
+    async refreshPrices() {
+        const held = this.holdings.map(holding => holding.ticker);
+        const replacements = held.map(ticker => this.securities[ticker] && this.securities[ticker].replacement).filter(Boolean);
+        const tickers = [...new Set(held.concat(Object.values(this.coreSecurities), replacements))];
+        const quote = await this.priceSource.getPrices(tickers);
+        const changed = tickers.some(ticker => this.prices[ticker] !== quote.prices[ticker]);
+        this.prices = { ...this.prices, ...quote.prices };
+        this.pricesAsOf = quote.asOf || new Date().toISOString();
+        if (changed) {
+            this.notifyResourceUpdated('portfolio://allocation');
+            this.render();
+        }
+    }
+
+    assetClassOf(ticker) {
+        const security = this.securities[ticker];
+        if (!security) {
+            throw new Error(`Unknown security ${ticker}`);
+        }
+        return security.assetClass;
+    }
+
+    marketValue(holding) {
+        return holding.shares * (this.prices[holding.ticker] || 0);
+    }
+
+    // Copy of the positions with their current price and market value
+    getHoldings() {
+        return this.holdings.map(holding => ({
+            ...holding,
+            price: this.prices[holding.ticker] || 0,
+            marketValue: Math.round(this.marketValue(holding) * 100) / 100
+        }));
+    }
+
+    // Copy of the accounts with their tax treatment, value and unrealized
+    // gain, and each position with its price, market value and lots
+    getAccounts() {
+        const holdings = this.getHoldings();
+        return this.accounts.map(account => {
+            const positions = holdings.filter(holding => holding.accountId === account.id);
+            const value = positions.reduce((sum, holding) => sum + holding.marketValue, 0);
+            const costBasis = positions.reduce((sum, holding) => sum + holding.costBasis, 0);
+            return {
+                id: account.id,
+                name: account.name,
+                type: account.type,
+                taxAdvantaged: ACCOUNT_TYPES[account.type].taxAdvantaged,
+                totalValue: Math.round(value * 100) / 100,
+                unrealizedGain: Math.round((value - costBasis) * 100) / 100,
+                holdings: positions.map(({ accountId, ...holding }) => ({
+                    ...holding,
+                    lots: account.holdings.find(entry => entry.ticker === holding.ticker).lots.map(lot => ({ ...lot }))
+                }))
+            };
+        });
+    }
+
+    accountName(accountId) {
+        const account = this.accounts.find(entry => entry.id === accountId);
+        return account ? account.name : accountId;
     }
 
     render() {
@@ -18,15 +231,45 @@ class FidelityApp {
             <div class="portfolio-current">
                 <h3>Current Allocation</h3>
                 <ul>
-                    <li>Stocks: ${this.portfolio.stocks}%</li>
-                    <li>Bonds: ${this.portfolio.bonds}%</li>
-                    <li>Cash: ${this.portfolio.cash}%</li>
+                    ${Object.entries(this.portfolio).map(([assetClass, percentage]) => `
+                        <li>${FidelityApp.assetClassLabel(assetClass)}: ${percentage}%</li>
+                    `).join('')}
                 </ul>
             </div>
+            <div class="portfolio-holdings">
+                <h3>Holdings</h3>
+                ${this.getAccounts().map(account => `
+                    <div class="account">
+                        <h4>${account.name} <span class="account-type ${account.taxAdvantaged ? 'tax-advantaged' : 'taxable'}">${ACCOUNT_TYPES[account.type].label}</span>
+                            <span class="account-value">${FidelityApp.formatMoney(account.totalValue)}</span></h4>
+                        <table>
+                            <thead>
+                                <tr><th>Ticker</th><th>Shares</th><th>Price</th><th>Market Value</th><th>Cost Basis</th><th>Gain / Loss</th></tr>
+                            </thead>
+                            <tbody>
+                                ${account.holdings.map(holding => `
+                                    <tr>
+                                        <td title="${this.securities[holding.ticker] ? this.securities[holding.ticker].name : ''}">${holding.ticker}</td>
+                                        <td>${holding.shares.toLocaleString()}</td>
+                                        <td>${FidelityApp.formatMoney(holding.price)}</td>
+                                        <td>${FidelityApp.formatMoney(holding.marketValue)}</td>
+                                        <td>${FidelityApp.formatMoney(holding.costBasis)}</td>
+                                        <td>${FidelityApp.formatMoney(holding.marketValue - holding.costBasis)}</td>
+                                    </tr>
+                                `).join('')}
+                            </tbody>
+                        </table>
+                    </div>
+                `).join('')}
+            </div>
             <div class="portfolio-value">
-                <p><strong>Total Value:</strong> $${this.calculateTotalValue().toLocaleString()}</p>
+                <p><strong>Total Value:</strong> ${FidelityApp.formatMoney(this.calculateTotalValue())}</p>
                 <p><strong>Risk Level:</strong> ${this.getRiskLevel()}</p>
+                <p class="prices-as-of">${this.pricesAsOf
+                    ? `Prices as of ${new Date(this.pricesAsOf).toLocaleString()} (${this.priceSource.name || 'price source'})`
+                    : 'Loading prices…'}</p>
             </div>
+            ${this.rebalancePreview ? this.renderRebalancePreview() : ''}
             ${this.portfolioHistory.length > 0 ? this.renderHistory() : ''}
             ${this.retirementProjection ? this.renderRetirementProjection() : ''}
         `;
@@ -54,6 +297,9 @@ class FidelityApp {
             } else if (updateType === 'retirement') {
                 const retirementSection = this.container.querySelector('.retirement-projection');
                 if (retirementSection) retirementSection.classList.add('new-content');
+            } else if (updateType === 'preview') {
+                const previewSection = this.container.querySelector('.rebalance-preview');
+                if (previewSection) previewSection.classList.add('new-content');
             } else if (updateType === 'history') {
                 const historySection = this.container.querySelector('.portfolio-history');
                 if (historySection) historySection.classList.add('new-content');
@@ -83,6 +329,9 @@ class FidelityApp {
         } else if (actionType === 'retirement') {
             actionText = 'Hands: Calculating Retirement';
             actionIcon = '📊';
+        } else if (actionType === 'preview') {
+            actionText = 'Hands: Previewing Rebalance';
+            actionIcon = '🧮';
         } else if (actionType === 'portfolio') {
             actionText = 'Hands: Retrieving Portfolio Data';
             actionIcon = '📋';
@@ -104,6 +353,43 @@ class FidelityApp {
         }, 2000);
     }
 
+    renderRebalancePreview() {
+        const plan = this.rebalancePreview;
+        const row = (trade, note) => `
+            <tr class="trade-${trade.action}">
+                <td>${this.accountName(trade.accountId)}</td>
+                <td>${trade.action === 'buy' ? 'Buy' : 'Sell'}</td>
+                <td>${trade.ticker}</td>
+                <td>${trade.shares.toLocaleString()}</td>
+                <td>${FidelityApp.formatMoney(trade.price)}</td>
+                <td>${FidelityApp.formatMoney(trade.amount)}</td>
+                <td>${note}</td>
+            </tr>
+        `;
+        return `
+            <div class="rebalance-preview">
+                <h3>🧮 Rebalance Preview: ${FidelityApp.describeTarget(plan.strategy, plan.target)}</h3>
+                <table>
+                    <thead>
+                        <tr><th>Account</th><th>Order</th><th>Ticker</th><th>Shares</th><th>Price</th><th>Amount</th><th>Est. Cost</th></tr>
+                    </thead>
+                    <tbody>
+                        ${plan.trades.map(trade => row(trade, FidelityApp.formatMoney(trade.estimatedCost))).join('')}
+                        ${plan.skipped.map(trade => row(trade, `Skipped: ${trade.reason}`)).join('')}
+                    </tbody>
+                </table>
+                ${plan.trades.length === 0 ? '<p>No trades needed.</p>' : ''}
+                <p><strong>Estimated costs:</strong> ${FidelityApp.formatMoney(plan.estimatedCosts.total)}
+                    · <strong>Value after:</strong> ${FidelityApp.formatMoney(plan.projectedTotalValue)}
+                    · <strong>Cash buffer:</strong> ${FidelityApp.formatMoney(plan.cashBuffer)}</p>
+                <p class="tax-impact"><strong>Tax impact:</strong> ${plan.taxImpact.summary}</p>
+                <p><strong>Allocation after:</strong> ${Object.entries(plan.projectedAllocation)
+                    .map(([assetClass, percentage]) => `${FidelityApp.assetClassLabel(assetClass)} ${percentage}%`).join(', ')}</p>
+                <p class="plan-id">Plan ${plan.planId}, valid until ${new Date(plan.expiresAt).toLocaleTimeString()}</p>
+            </div>
+        `;
+    }
+
     renderHistory() {
         return `
             <div class="portfolio-history">
@@ -152,22 +438,596 @@ class FidelityApp {
         `;
     }
 
-    calculateTotalValue() {
-        // Simulate portfolio value calculation
-        return 125000 + (this.portfolio.stocks * 1000) + (this.portfolio.bonds * 500);
+    // Market value of all positions, to the cent
+    calculateTotalValue(holdings = this.holdings) {
+        const total = holdings.reduce((sum, holding) => sum + this.marketValue(holding), 0);
+        return Math.round(total * 100) / 100;
     }
 
+    // From the share of market value in equities
     getRiskLevel() {
-        if (this.portfolio.stocks >= 70) return 'Aggressive';
-        if (this.portfolio.stocks >= 50) return 'Moderate';
+        const allocation = this.portfolio;
+        const equities = EQUITY_ASSET_CLASSES.reduce((sum, assetClass) => sum + (allocation[assetClass] || 0), 0);
+        if (equities >= 70) return 'Aggressive';
+        if (equities >= 50) return 'Moderate';
         return 'Conservative';
     }
 
+    // Weighted expected annual return (%) of the current allocation
+    getExpectedReturn() {
+        return Object.entries(this.portfolio).reduce((total, [assetClass, percentage]) => {
+            const rate = ASSET_CLASS_RETURNS[assetClass] !== undefined ? ASSET_CLASS_RETURNS[assetClass] : DEFAULT_ASSET_CLASS_RETURN;
+            return total + percentage * rate / 100;
+        }, 0);
+    }
+
+    // The allocation a rebalance asks for: a strategy from the registry or an
+    // explicit target. Throws ToolValidationError for an unknown strategy, a
+    // target that doesn't add up to 100, or neither / both being given.
+    resolveTarget(args, toolName = 'rebalancePortfolio') {
+        if ((args.strategy === undefined) === (args.target === undefined)) {
+            FidelityApp.invalidInput(toolName, '$', 'oneOf', 'Give either a strategy name or a target allocation');
+        }
+        if (args.target !== undefined) {
+            const errors = StrategyRegistry.validateAllocation(args.target);
+            if (errors.length > 0) {
+                throw new ToolValidationError(toolName, 'input',
+                    errors.map(error => ({ ...error, path: error.path.replace(/^\$/, '$.target') })));
+            }
+            return { strategy: null, allocation: { ...args.target } };
+        }
+        const strategy = this.strategies.get(args.strategy);
+        if (!strategy) {
+            const known = this.strategies.list().map(entry => entry.name).join(', ') || 'none';
+            FidelityApp.invalidInput(toolName, '$.strategy', 'enum', `Unknown strategy '${args.strategy}'; known strategies: ${known}`);
+        }
+        return { strategy: strategy.name, allocation: strategy.allocation };
+    }
+
+    // The accounts after trading to allocation at today's prices, and the
+    // orders to get there. The allocation is the household's: each asset class
+    // gets its share of all accounts together. Every account trades within
+    // itself, the tax-advantaged ones first, so a taxable account only sells
+    // what they couldn't, and then the lots costing the least tax first (see
+    // TaxLots.sellOrder). An account's cash settles its orders and pays their
+    // estimated costs; the household keeps at least the cash buffer. Orders
+    // under the minimum trade size are skipped.
+    planRebalance(allocation, options = {}, toolName = 'rebalancePortfolio') {
+        const settings = { ...REBALANCE_DEFAULTS };
+        Object.entries(options).forEach(([key, value]) => {
+            if (value !== undefined) {
+                settings[key] = value;
+            }
+        });
+        const total = this.calculateTotalValue();
+        const cashTarget = Math.max(total * (allocation[CASH_ASSET_CLASS] || 0) / 100, settings.cashBuffer);
+        if (cashTarget > total) {
+            FidelityApp.invalidInput(toolName, '$.cashBuffer', 'maximum',
+                `A cash buffer of ${FidelityApp.formatMoney(settings.cashBuffer)} is more than the portfolio's ${FidelityApp.formatMoney(total)}`);
+        }
+        // Costs are paid from cash, so plan again with more set aside until the
+        // cash left covers the target (the first pass finds the costs; a later
+        // one only makes up for rounding)
+        let reserve = 0;
+        let plan;
+        for (let pass = 0; pass < 4; pass++) {
+            plan = this.planOrders(allocation, total - cashTarget - reserve, settings, toolName);
+            const shortfall = cashTarget - plan.cashAfter;
+            if (shortfall <= 0.005) {
+                break;
+            }
+            reserve += shortfall;
+        }
+        if (plan.cashAfter < 0) {
+            FidelityApp.invalidInput(toolName, '$', 'cash', 'Not enough cash to settle the trades');
+        }
+        return { ...plan, settings };
+    }
+
+    // One pass of planRebalance, investing investable dollars outside cash.
+    // cashAfter may come out short of the target; planRebalance plans again if it does.
+    planOrders(allocation, investable, settings, toolName) {
+        const plan = {
+            accounts: FidelityApp.cloneAccounts(this.accounts),
+            trades: [],
+            skipped: [],
+            taxImpact: { shortTermGain: 0, longTermGain: 0, harvestedLosses: 0 },
+            // Tickers sold at a loss, which no account may buy back
+            harvested: new Set(),
+            tradeDate: this.tradeDate(),
+            settings,
+            toolName
+        };
+        const total = this.calculateTotalValue();
+        const investedShare = 100 - (allocation[CASH_ASSET_CLASS] || 0);
+        const assetClasses = new Set(Object.keys(allocation).concat(this.holdings.map(holding => holding.assetClass), CASH_ASSET_CLASS));
+
+        // Dollars of each asset class the household has to buy (negative: sell)
+        const needs = {};
+        assetClasses.forEach(assetClass => {
+            const targetValue = assetClass === CASH_ASSET_CLASS
+                ? total - investable
+                : (investedShare > 0 ? investable * (allocation[assetClass] || 0) / investedShare : 0);
+            needs[assetClass] = targetValue - this.holdings
+                .filter(holding => holding.assetClass === assetClass)
+                .reduce((sum, holding) => sum + this.marketValue(holding), 0);
+        });
+
+        if (settings.harvestLosses) {
+            this.harvestCandidates(plan.accounts, settings.minTradeAmount, plan.tradeDate)
+                .filter(candidate => candidate.replacement && !candidate.washSaleRisk)
+                .forEach(candidate => this.harvest(plan, candidate, needs));
+        }
+
+        const taxAdvantaged = account => ACCOUNT_TYPES[account.type].taxAdvantaged;
+        plan.accounts.filter(taxAdvantaged)
+            .concat(plan.accounts.filter(account => !taxAdvantaged(account)))
+            .forEach(account => {
+                const cashBefore = this.classValue(account, CASH_ASSET_CLASS);
+                // A tax-advantaged account sells securities before spending its
+                // cash, which spares a taxable account from selling them; a
+                // taxable account spends its cash first
+                const sales = [...assetClasses]
+                    .filter(assetClass => needs[assetClass] < 0)
+                    .sort((a, b) => ((a === CASH_ASSET_CLASS) - (b === CASH_ASSET_CLASS)) * (taxAdvantaged(account) ? 1 : -1))
+                    .map(assetClass => ({ assetClass, amount: Math.min(-needs[assetClass], this.classValue(account, assetClass)) }));
+                const buys = [...assetClasses].filter(assetClass => needs[assetClass] > 0);
+                let toSell = Math.min(
+                    sales.reduce((sum, sale) => sum + sale.amount, 0),
+                    buys.reduce((sum, assetClass) => sum + needs[assetClass], 0)
+                );
+                // Sale proceeds net of costs, plus the cash the account can spend
+                let available = 0;
+
+                sales.forEach(sale => {
+                    const amount = Math.min(sale.amount, toSell);
+                    if (amount <= 0.005) {
+                        return;
+                    }
+                    if (sale.assetClass === CASH_ASSET_CLASS) {
+                        available += amount;
+                        toSell -= amount;
+                        return;
+                    }
+                    if (amount < settings.minTradeAmount) {
+                        const holding = account.holdings.find(entry => entry.assetClass === sale.assetClass);
+                        this.skip(plan, account, holding.ticker, 'sell', amount);
+                        return;
+                    }
+                    const sold = this.sellClass(plan, account, sale.assetClass, amount);
+                    available += sold.amount - sold.estimatedCost;
+                    toSell -= sold.amount;
+                    needs[sale.assetClass] += sold.amount;
+                });
+
+                buys.filter(assetClass => assetClass !== CASH_ASSET_CLASS).forEach(assetClass => {
+                    // Leave room for the order's own cost
+                    const amount = Math.min(needs[assetClass], (available - settings.commission) / (1 + settings.spreadBps / 10000));
+                    if (amount <= 0.005) {
+                        return;
+                    }
+                    const ticker = this.securityToBuy(plan, account, assetClass);
+                    if (amount < settings.minTradeAmount) {
+                        this.skip(plan, account, ticker, 'buy', amount);
+                        return;
+                    }
+                    const bought = this.buyShares(plan, account, ticker, assetClass, amount);
+                    available -= bought.amount + bought.estimatedCost;
+                    needs[assetClass] -= bought.amount;
+                });
+
+                // What's left of available stays in the account's cash
+                needs[CASH_ASSET_CLASS] -= this.classValue(account, CASH_ASSET_CLASS) - cashBefore;
+            });
+
+        const totalCost = plan.trades.reduce((sum, trade) => sum + trade.estimatedCost, 0);
+        const commissions = plan.trades.length * settings.commission;
+        const estimatedCosts = {
+            commissions: Math.round(commissions * 100) / 100,
+            spread: Math.round((totalCost - commissions) * 100) / 100,
+            total: Math.round(totalCost * 100) / 100
+        };
+        const shortTermGain = Math.round(plan.taxImpact.shortTermGain * 100) / 100;
+        const longTermGain = Math.round(plan.taxImpact.longTermGain * 100) / 100;
+        const taxImpact = {
+            shortTermGain,
+            longTermGain,
+            harvestedLosses: Math.round(plan.taxImpact.harvestedLosses * 100) / 100,
+            estimatedTax: TaxLots.estimateTax(shortTermGain, longTermGain),
+            rates: { ...TAX_RATES }
+        };
+        taxImpact.summary = TaxLots.describe(taxImpact);
+        const cashAfter = plan.accounts.reduce((sum, account) => sum + this.classValue(account, CASH_ASSET_CLASS), 0);
+
+        return {
+            accounts: plan.accounts,
+            trades: plan.trades,
+            skipped: plan.skipped,
+            estimatedCosts,
+            taxImpact,
+            cashAfter: Math.round(cashAfter * 100) / 100
+        };
+    }
+
+    // Sell amount dollars of an asset class in an account, from the lots
+    // costing the least tax per dollar across its positions in the class.
+    // Returns { amount, estimatedCost } of the orders placed.
+    sellClass(plan, account, assetClass, amount) {
+        const positions = account.holdings.filter(holding => holding.assetClass === assetClass);
+        const lots = positions
+            .flatMap(holding => holding.lots.map(lot => ({ holding, lot })))
+            .sort((a, b) => TaxLots.taxPerDollar(a.lot, this.prices[a.holding.ticker], plan.tradeDate) -
+                TaxLots.taxPerDollar(b.lot, this.prices[b.holding.ticker], plan.tradeDate));
+        // Shares to sell per position
+        const shares = new Map();
+        let remaining = amount;
+        lots.forEach(({ holding, lot }) => {
+            const price = this.prices[holding.ticker];
+            const taken = Math.min(lot.shares, FidelityApp.roundShares(remaining / price));
+            if (taken > 0) {
+                shares.set(holding, FidelityApp.roundShares((shares.get(holding) || 0) + taken));
+                remaining -= taken * price;
+            }
+        });
+
+        const sold = { amount: 0, estimatedCost: 0 };
+        shares.forEach((count, holding) => {
+            const placed = this.sellShares(plan, account, holding, count);
+            sold.amount += placed.amount;
+            sold.estimatedCost += placed.estimatedCost;
+        });
+        return sold;
+    }
+
+    // Sell shares of a position, from lots (all of them unless given) in
+    // TaxLots.sellOrder; in a taxable account the gains count towards the plan's
+    // tax. The proceeds less the order's cost go to the account's cash.
+    sellShares(plan, account, holding, shares, lots = holding.lots) {
+        const price = this.prices[holding.ticker];
+        const { lots: left, sold } = TaxLots.sell(lots, shares, price, plan.tradeDate);
+        holding.lots = holding.lots.filter(lot => !lots.includes(lot)).concat(left);
+        if (holding.lots.length === 0) {
+            account.holdings = account.holdings.filter(entry => entry !== holding);
+        }
+
+        const placed = this.order(plan, account, holding.ticker, 'sell', shares);
+        if (!ACCOUNT_TYPES[account.type].taxAdvantaged) {
+            sold.forEach(entry => {
+                const key = entry.term + 'Gain';
+                placed.trade[key] = Math.round(((placed.trade[key] || 0) + entry.gain) * 100) / 100;
+                plan.taxImpact[key] += entry.gain;
+            });
+        }
+        this.adjustCash(plan, account, placed.amount - placed.estimatedCost);
+        return placed;
+    }
+
+    // Buy at most amount dollars of ticker in an account as a new lot, paid
+    // with the order's cost from the account's cash
+    buyShares(plan, account, ticker, assetClass, amount) {
+        const price = this.prices[ticker];
+        // Rounded down, so the order never costs more than the cash set aside
+        const shares = Math.floor(amount / price * 10000) / 10000;
+        const placed = this.order(plan, account, ticker, 'buy', shares);
+        FidelityApp.addLot(account, ticker, assetClass, { shares, costBasis: placed.amount, acquired: plan.tradeDate });
+        this.adjustCash(plan, account, -(placed.amount + placed.estimatedCost));
+        return placed;
+    }
+
+    // Record an order, merged into an earlier one for the same account, ticker
+    // and direction. Returns this order's { amount, estimatedCost } and the
+    // trade it was recorded in.
+    order(plan, account, ticker, action, shares) {
+        const settings = plan.settings;
+        const price = this.prices[ticker];
+        const amount = Math.round(shares * price * 100) / 100;
+        const trade = {
+            accountId: account.id,
+            ticker,
+            action,
+            shares,
+            price,
+            amount,
+            estimatedCost: Math.round((settings.commission + amount * settings.spreadBps / 10000) * 100) / 100
+        };
+        const placed = { amount, estimatedCost: trade.estimatedCost, trade };
+        const earlier = plan.trades.find(entry => entry.accountId === account.id && entry.ticker === ticker && entry.action === action);
+        if (!earlier) {
+            plan.trades.push(trade);
+            return placed;
+        }
+        earlier.shares = FidelityApp.roundShares(earlier.shares + shares);
+        earlier.amount = Math.round((earlier.amount + amount) * 100) / 100;
+        earlier.estimatedCost = Math.round((earlier.estimatedCost + trade.estimatedCost) * 100) / 100;
+        return { ...placed, trade: earlier };
+    }
+
+    // Note an order too small to place. Rounding leaves cents behind in the
+    // household's needs; those aren't orders.
+    skip(plan, account, ticker, action, amount) {
+        if (amount < 1) {
+            return;
+        }
+        const price = this.prices[ticker];
+        const shares = FidelityApp.roundShares(amount / price);
+        plan.skipped.push({
+            accountId: account.id,
+            ticker,
+            action,
+            shares,
+            price,
+            amount: Math.round(amount * 100) / 100,
+            reason: `under the ${FidelityApp.formatMoney(plan.settings.minTradeAmount)} minimum trade`
+        });
+    }
+
+    // Pay dollars into (or, negative, out of) an account's cash, held in its
+    // cash position or, if it has none, the core cash security
+    adjustCash(plan, account, dollars) {
+        const holding = account.holdings.find(entry => entry.assetClass === CASH_ASSET_CLASS);
+        const ticker = holding ? holding.ticker : this.coreSecurity(CASH_ASSET_CLASS, plan.toolName);
+        const price = this.prices[ticker];
+        const shares = FidelityApp.roundShares(Math.abs(dollars) / price);
+        if (shares === 0) {
+            return;
+        }
+        if (dollars > 0) {
+            FidelityApp.addLot(account, ticker, CASH_ASSET_CLASS, { shares, costBasis: Math.round(shares * price * 100) / 100, acquired: plan.tradeDate });
+            return;
+        }
+        // Orders are sized to the account's cash, so anything over is rounding
+        const held = holding ? holding.lots.reduce((sum, lot) => sum + lot.shares, 0) : 0;
+        if ((shares - held) * price > 0.01) {
+            FidelityApp.invalidInput(plan.toolName, '$', 'cash', `Not enough cash in ${account.name} to settle the trades`);
+        }
+        holding.lots = TaxLots.sell(holding.lots, Math.min(shares, held), price, plan.tradeDate).lots;
+        if (holding.lots.length === 0) {
+            account.holdings = account.holdings.filter(entry => entry !== holding);
+        }
+    }
+
+    // Add a lot to the account's position in ticker, opening the position if
+    // needed; lots bought the same day are one lot
+    static addLot(account, ticker, assetClass, lot) {
+        let holding = account.holdings.find(entry => entry.ticker === ticker);
+        if (!holding) {
+            holding = { ticker, assetClass, lots: [] };
+            account.holdings.push(holding);
+        }
+        const sameDay = holding.lots.find(entry => entry.acquired === lot.acquired);
+        if (sameDay) {
+            sameDay.shares = FidelityApp.roundShares(sameDay.shares + lot.shares);
+            sameDay.costBasis = Math.round((sameDay.costBasis + lot.costBasis) * 100) / 100;
+        } else {
+            holding.lots.push({ ...lot });
+        }
+    }
+
+    // Sell a losing lot to realize the loss. The asset class is then that much
+    // short, and the rebalance buys it back through a security other than the
+    // one sold (see securityToBuy), so no account makes it a wash sale.
+    harvest(plan, candidate, needs) {
+        const account = plan.accounts.find(entry => entry.id === candidate.accountId);
+        const holding = account.holdings.find(entry => entry.ticker === candidate.ticker);
+        const lot = holding && holding.lots.find(entry => entry.acquired === candidate.acquired && entry.shares === candidate.shares);
+        if (!lot) {
+            return;
+        }
+        const before = plan.taxImpact.shortTermGain + plan.taxImpact.longTermGain;
+        const sold = this.sellShares(plan, account, holding, lot.shares, [lot]);
+        plan.taxImpact.harvestedLosses -= plan.taxImpact.shortTermGain + plan.taxImpact.longTermGain - before;
+        plan.harvested.add(candidate.ticker);
+        needs[holding.assetClass] += sold.amount;
+        needs[CASH_ASSET_CLASS] -= sold.amount - sold.estimatedCost;
+    }
+
+    // Lots in taxable accounts whose unrealized loss is at least minLoss
+    // dollars, with the security to swap each for. washSaleRisk marks a lot
+    // whose security was bought in the last WASH_SALE_DAYS in any account.
+    harvestCandidates(accounts, minLoss, date) {
+        return accounts
+            .filter(account => !ACCOUNT_TYPES[account.type].taxAdvantaged)
+            .flatMap(account => account.holdings.flatMap(holding => {
+                const price = this.prices[holding.ticker];
+                const security = this.securities[holding.ticker] || {};
+                const replacement = security.replacement && this.prices[security.replacement] ? security.replacement : null;
+                return holding.lots
+                    .filter(lot => -TaxLots.unrealizedGain(lot, price) >= minLoss)
+                    .map(lot => {
+                        const loss = Math.round(-TaxLots.unrealizedGain(lot, price) * 100) / 100;
+                        const term = TaxLots.term(lot, date);
+                        const washSaleRisk = accounts.some(other => other.holdings.some(entry => entry.ticker === holding.ticker &&
+                            entry.lots.some(bought => bought !== lot && TaxLots.daysBetween(bought.acquired, date) <= WASH_SALE_DAYS)));
+                        return {
+                            accountId: account.id,
+                            ticker: holding.ticker,
+                            acquired: lot.acquired,
+                            shares: lot.shares,
+                            costBasis: lot.costBasis,
+                            marketValue: Math.round(lot.shares * price * 100) / 100,
+                            loss,
+                            term,
+                            // If it offsets gains of the same term
+                            estimatedTaxSavings: Math.round(loss * TAX_RATES[term] * 100) / 100,
+                            replacement,
+                            washSaleRisk
+                        };
+                    });
+            }));
+    }
+
+    // Market value of an account's positions in an asset class
+    classValue(account, assetClass) {
+        return account.holdings
+            .filter(holding => holding.assetClass === assetClass)
+            .reduce((sum, holding) => sum + holding.lots.reduce((lotSum, lot) => lotSum + lot.shares, 0) * (this.prices[holding.ticker] || 0), 0);
+    }
+
+    // What to buy for an asset class in an account: a security it holds in the
+    // class, else the core security, else that one's replacement, skipping any
+    // the plan harvested a loss on
+    securityToBuy(plan, account, assetClass) {
+        const held = account.holdings.find(holding => holding.assetClass === assetClass && !plan.harvested.has(holding.ticker));
+        if (held) {
+            return held.ticker;
+        }
+        const core = this.coreSecurity(assetClass, plan.toolName);
+        const replacement = this.securities[core] && this.securities[core].replacement;
+        if (!plan.harvested.has(core)) {
+            return core;
+        }
+        if (replacement && this.prices[replacement] && !plan.harvested.has(replacement)) {
+            return replacement;
+        }
+        FidelityApp.invalidInput(plan.toolName, `$.${assetClass}`, 'washSale',
+            `No security to buy for asset class '${assetClass}' without buying back one just sold at a loss`);
+    }
+
+    // The security to buy for an asset class the account doesn't hold
+    coreSecurity(assetClass, toolName) {
+        const ticker = this.coreSecurities[assetClass];
+        if (!ticker || !this.prices[ticker]) {
+            FidelityApp.invalidInput(toolName, `$.${assetClass}`, 'assetClass',
+                `No security to buy for asset class '${assetClass}'; known classes: ${Object.keys(this.coreSecurities).join(', ')}`);
+        }
+        return ticker;
+    }
+
+    // Trades are dated at the prices they're planned at
+    tradeDate() {
+        return (this.pricesAsOf || new Date().toISOString()).slice(0, 10);
+    }
+
+    static cloneAccounts(accounts) {
+        return accounts.map(account => ({
+            ...account,
+            holdings: account.holdings.map(holding => ({ ...holding, lots: holding.lots.map(lot => ({ ...lot })) }))
+        }));
+    }
+
+    // Plan a rebalance and keep it, so rebalancePortfolio can execute exactly
+    // this plan by its planId while accounts and prices are unchanged
+    previewRebalance(strategy, allocation, options) {
+        const now = Date.now();
+        this.rebalancePlans.forEach((stored, planId) => {
+            if (stored.expiresAt <= now) {
+                this.rebalancePlans.delete(planId);
+            }
+        });
+
+        const planned = this.planRebalance(allocation, options, 'previewRebalance');
+        const plan = {
+            planId: 'plan_' + now + '_' + Math.random().toString(36).substr(2, 9),
+            strategy,
+            target: { ...allocation },
+            trades: planned.trades,
+            skipped: planned.skipped,
+            estimatedCosts: planned.estimatedCosts,
+            taxImpact: planned.taxImpact,
+            minTradeAmount: planned.settings.minTradeAmount,
+            cashBuffer: planned.settings.cashBuffer,
+            harvestLosses: planned.settings.harvestLosses,
+            currentAllocation: this.portfolio,
+            projectedAllocation: this.allocationOf(FidelityApp.positionsOf(planned.accounts)),
+            totalValue: this.calculateTotalValue(),
+            projectedTotalValue: this.calculateTotalValue(FidelityApp.positionsOf(planned.accounts)),
+            pricesAsOf: this.pricesAsOf,
+            expiresAt: new Date(now + REBALANCE_PLAN_TTL_MS).toISOString()
+        };
+        this.rebalancePlans.set(plan.planId, {
+            plan,
+            accounts: planned.accounts,
+            basis: this.planBasis(),
+            expiresAt: now + REBALANCE_PLAN_TTL_MS
+        });
+        return plan;
+    }
+
+    // A previewed plan that can still be executed as it is; throws
+    // ToolValidationError if it's unknown, expired, or the accounts or prices
+    // changed since the preview
+    takePlan(planId) {
+        const stored = this.rebalancePlans.get(planId);
+        if (!stored || stored.expiresAt <= Date.now()) {
+            this.rebalancePlans.delete(planId);
+            FidelityApp.invalidInput('rebalancePortfolio', '$.planId', 'plan',
+                `No rebalance plan '${planId}', or it expired; preview the rebalance again`);
+        }
+        if (stored.basis !== this.planBasis()) {
+            this.rebalancePlans.delete(planId);
+            FidelityApp.invalidInput('rebalancePortfolio', '$.planId', 'plan',
+                `Accounts or prices changed since plan '${planId}' was previewed; preview the rebalance again`);
+        }
+        this.rebalancePlans.delete(planId);
+        return stored;
+    }
+
+    // What a plan was computed from: the accounts' lots and their prices
+    planBasis() {
+        return JSON.stringify({ accounts: this.accounts, prices: this.holdings.map(holding => this.prices[holding.ticker]) });
+    }
+
+    static invalidInput(toolName, path, keyword, message) {
+        throw new ToolValidationError(toolName, 'input', [{ path, keyword, message }]);
+    }
+
+    // Fractional shares, to 4 decimals
+    static roundShares(shares) {
+        return Math.round(shares * 10000) / 10000;
+    }
+
+    static formatMoney(amount) {
+        return (amount < 0 ? '-$' : '$') + Math.abs(amount).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+    }
+
+    // What a rebalancePortfolio call moves to, for the history
+    describeRebalanceArgs(args) {
+        if (args.planId !== undefined) {
+            const stored = this.rebalancePlans.get(args.planId);
+            return stored ? FidelityApp.describeTarget(stored.plan.strategy, stored.plan.target) : `plan ${args.planId}`;
+        }
+        return FidelityApp.describeTarget(args.strategy ? StrategyRegistry.normalizeName(args.strategy) : null, args.target || {});
+    }
+
+    // e.g. "moderate strategy" or "custom allocation (stocks 60%, bonds 40%)"
+    static describeTarget(strategy, allocation) {
+        return strategy
+            ? `${strategy} strategy`
+            : `custom allocation (${Object.entries(allocation).map(([assetClass, percentage]) => `${assetClass} ${percentage}%`).join(', ')})`;
+    }
+
+    // realEstate -> Real estate
+    static assetClassLabel(assetClass) {
+        const words = assetClass.replace(/_/g, ' ').replace(/([a-z0-9])([A-Z])/g, '$1 $2').toLowerCase();
+        return words.charAt(0).toUpperCase() + words.slice(1);
+    }
+
+    // The app's shared state document: everything the tools can change.
+    // Agents publish it to the client as STATE_SNAPSHOT / STATE_DELTA events.
+    getState() {
+        return {
+            portfolio: this.portfolio,
+            accounts: this.getAccounts(),
+            totalValue: this.calculateTotalValue(),
+            retirementProjection: this.retirementProjection ? { ...this.retirementProjection } : null,
+            rebalancePreview: this.rebalancePreview ? JSON.parse(JSON.stringify(this.rebalancePreview)) : null,
+            history: this.portfolioHistory.map(entry => ({ ...entry }))
+        };
+    }
+
     addToHistory(action) {
         this.portfolioHistory.push({
             timestamp: new Date().toLocaleTimeString(),
             action: action
         });
+        this.notifyResourceUpdated('portfolio://history');
+    }
+
+    // Tell WebMCP resource subscribers (e.g. the model's context) that data changed
+    notifyResourceUpdated(uri) {
+        if (window.WebMCP) {
+            window.WebMCP.notifyResourceUpdated(uri);
+        }
     }
 
     // Register tools with WebMCP provider
@@ -175,41 +1035,295 @@ class FidelityApp {
         if (window.WebMCP) {
             window.WebMCP.registerTool(
                 'getPortfolio',
-                'Get the current portfolio allocation and performance metrics',
+                'Get the accounts (taxable, Traditional IRA, Roth) with their positions and tax lots, the household ' +
+                    'allocation derived from their market value, and performance metrics',
                 async () => {
+                    await this.refreshPrices();
                     return {
                         allocation: this.portfolio,
+                        accounts: this.getAccounts(),
+                        holdings: this.getHoldings(),
                         totalValue: this.calculateTotalValue(),
                         riskLevel: this.getRiskLevel(),
+                        pricesAsOf: this.pricesAsOf,
                         lastUpdated: new Date().toISOString()
                     };
+                },
+                {
+                    inputSchema: {
+                        type: "object",
+                        properties: {},
+                        required: [],
+                        additionalProperties: false
+                    },
+                    outputSchema: {
+                        type: "object",
+                        properties: {
+                            allocation: ALLOCATION_SCHEMA,
+                            accounts: { type: "array", items: ACCOUNT_SCHEMA },
+                            holdings: { type: "array", items: HOLDING_SCHEMA },
+                            totalValue: { type: "number", minimum: 0 },
+                            riskLevel: { type: "string", enum: ["Conservative", "Moderate", "Aggressive"] },
+                            pricesAsOf: { type: "string" },
+                            lastUpdated: { type: "string" }
+                        },
+                        required: ["allocation", "totalValue", "riskLevel"]
+                    },
+                    annotations: { readOnly: true, idempotent: true },
+                    timeoutMs: 5000
+                }
+            );
+
+            window.WebMCP.registerTool(
+                'previewRebalance',
+                'Preview a rebalance without changing anything: the buy and sell orders per account and holding that ' +
+                    'would bring the household to a strategy from the registry or an explicit target allocation. Trades ' +
+                    'inside tax-advantaged accounts come first and taxable sales take the cheapest lots, after skipping ' +
+                    'orders under the minimum trade size and keeping a cash buffer, with estimated costs and the projected ' +
+                    'tax (taxImpact). Returns a planId; show the user the trades and the tax and, once they agree, pass ' +
+                    'the planId to rebalancePortfolio to execute exactly this plan.',
+                async (args) => {
+                    const { strategy, allocation } = this.resolveTarget(args, 'previewRebalance');
+                    await this.refreshPrices();
+                    this.rebalancePreview = this.previewRebalance(strategy, allocation, {
+                        minTradeAmount: args.minTradeAmount,
+                        cashBuffer: args.cashBuffer,
+                        harvestLosses: args.harvestLosses
+                    });
+                    this.renderWithAnimation('preview');
+                    return this.rebalancePreview;
+                },
+                {
+                    inputSchema: {
+                        type: "object",
+                        properties: {
+                            strategy: {
+                                type: "string",
+                                minLength: 1,
+                                description: "Name of a strategy in the registry, e.g. aggressive"
+                            },
+                            target: {
+                                ...ALLOCATION_SCHEMA,
+                                description: "Percentage per asset class, adding up to 100, e.g. { \"stocks\": 60, \"bonds\": 30, \"cash\": 10 }"
+                            },
+                            minTradeAmount: {
+                                type: "number",
+                                minimum: 0,
+                                description: `Skip orders smaller than this many dollars (default ${REBALANCE_DEFAULTS.minTradeAmount})`
+                            },
+                            cashBuffer: {
+                                type: "number",
+                                minimum: 0,
+                                description: `Dollars to keep in cash at least (default ${REBALANCE_DEFAULTS.cashBuffer})`
+                            },
+                            harvestLosses: {
+                                type: "boolean",
+                                description: "Also sell losing lots in taxable accounts and buy a similar fund, to realize the loss (default false)"
+                            }
+                        },
+                        required: [],
+                        additionalProperties: false
+                    },
+                    outputSchema: {
+                        type: "object",
+                        properties: {
+                            planId: { type: "string" },
+                            strategy: { type: ["string", "null"] },
+                            target: ALLOCATION_SCHEMA,
+                            trades: { type: "array", items: TRADE_SCHEMA },
+                            skipped: { type: "array", items: TRADE_SCHEMA },
+                            estimatedCosts: {
+                                type: "object",
+                                properties: {
+                                    commissions: { type: "number", minimum: 0 },
+                                    spread: { type: "number", minimum: 0 },
+                                    total: { type: "number", minimum: 0 }
+                                },
+                                required: ["total"]
+                            },
+                            taxImpact: TAX_IMPACT_SCHEMA,
+                            currentAllocation: ALLOCATION_SCHEMA,
+                            projectedAllocation: ALLOCATION_SCHEMA,
+                            totalValue: { type: "number", minimum: 0 },
+                            projectedTotalValue: { type: "number", minimum: 0 },
+                            expiresAt: { type: "string" }
+                        },
+                        required: ["planId", "trades", "estimatedCosts", "taxImpact", "projectedAllocation"]
+                    },
+                    // No money moves until rebalancePortfolio executes the plan, so
+                    // read-only sessions may preview. Each call still stores a new
+                    // plan, so it isn't readOnly (cached) or idempotent (retried).
+                    scope: ToolScope.READ,
+                    timeoutMs: 5000
                 }
             );
 
             window.WebMCP.registerTool(
                 'rebalancePortfolio',
-                'Rebalance the portfolio based on a given strategy (conservative, moderate, aggressive)',
+                'Rebalance the portfolio to a named strategy from the strategy registry (see portfolio://strategies; ' +
+                    'conservative, moderate and aggressive unless the user changed them), to an explicit target ' +
+                    'allocation by asset class whose percentages add up to 100, or by executing exactly a plan from ' +
+                    'previewRebalance (planId). Give exactly one of strategy, target or planId. The target is for all ' +
+                    'accounts together: trades stay inside each account, tax-advantaged accounts trade first, and ' +
+                    'taxable sales take the lots with the least tax. Each account\'s cash settles its trades and pays ' +
+                    'their estimated costs. Returns the projected tax (taxImpact); tell the user what it is.',
                 async (args) => {
-                    const oldPortfolio = { ...this.portfolio };
-                    
-                    if (args.strategy === 'aggressive') {
-                        this.portfolio = { stocks: 70, bonds: 20, cash: 10 };
-                    } else if (args.strategy === 'moderate') {
-                        this.portfolio = { stocks: 60, bonds: 30, cash: 10 };
+                    await this.refreshPrices();
+                    let strategy;
+                    let allocation;
+                    let planned;
+                    if (args.planId !== undefined) {
+                        if (args.strategy !== undefined || args.target !== undefined || args.harvestLosses !== undefined) {
+                            FidelityApp.invalidInput('rebalancePortfolio', '$', 'oneOf', 'Give a planId on its own: the plan already has its target');
+                        }
+                        const stored = this.takePlan(args.planId);
+                        ({ strategy, target: allocation } = stored.plan);
+                        planned = { ...stored.plan, accounts: stored.accounts };
                     } else {
-                        this.portfolio = { stocks: 40, bonds: 40, cash: 20 };
+                        ({ strategy, allocation } = this.resolveTarget(args));
+                        planned = this.planRebalance(allocation, { harvestLosses: args.harvestLosses });
                     }
+                    const oldPortfolio = this.portfolio;
+                    this.accounts = planned.accounts;
+                    // A preview shown in the app no longer matches the accounts
+                    this.rebalancePreview = null;
                     
-                    this.addToHistory(`Rebalanced to ${args.strategy} strategy`);
+                    this.addToHistory(`Rebalanced to ${FidelityApp.describeTarget(strategy, allocation)}`);
+                    this.notifyResourceUpdated('portfolio://allocation');
                     this.renderWithAnimation('rebalance');
                     
                     return {
                         oldAllocation: oldPortfolio,
                         newAllocation: this.portfolio,
-                        strategy: args.strategy,
+                        strategy,
+                        planId: args.planId || null,
+                        trades: planned.trades,
+                        estimatedCosts: planned.estimatedCosts,
+                        taxImpact: planned.taxImpact,
                         totalValue: this.calculateTotalValue(),
                         riskLevel: this.getRiskLevel()
                     };
+                },
+                {
+                    inputSchema: {
+                        type: "object",
+                        properties: {
+                            strategy: {
+                                type: "string",
+                                minLength: 1,
+                                description: "Name of a strategy in the registry, e.g. moderate"
+                            },
+                            target: {
+                                ...ALLOCATION_SCHEMA,
+                                description: "Percentage per asset class, adding up to 100, e.g. { \"stocks\": 60, \"bonds\": 30, \"cash\": 10 }"
+                            },
+                            planId: {
+                                type: "string",
+                                minLength: 1,
+                                description: "A planId from previewRebalance, to execute exactly that plan"
+                            },
+                            harvestLosses: {
+                                type: "boolean",
+                                description: "With a strategy or target: also harvest losses in taxable accounts (default false)"
+                            }
+                        },
+                        required: [],
+                        additionalProperties: false
+                    },
+                    outputSchema: {
+                        type: "object",
+                        properties: {
+                            oldAllocation: ALLOCATION_SCHEMA,
+                            newAllocation: ALLOCATION_SCHEMA,
+                            // null for an explicit target
+                            strategy: { type: ["string", "null"] },
+                            planId: { type: ["string", "null"] },
+                            trades: { type: "array", items: TRADE_SCHEMA },
+                            estimatedCosts: { type: "object" },
+                            taxImpact: TAX_IMPACT_SCHEMA,
+                            totalValue: { type: "number", minimum: 0 },
+                            riskLevel: { type: "string" }
+                        },
+                        required: ["oldAllocation", "newAllocation", "strategy"]
+                    },
+                    // Moves the user's money, so a human has to approve it first
+                    annotations: { destructive: true, requiresConfirmation: true },
+                    timeoutMs: 10000,
+                    // Undo: put back the accounts the call traded, tax lots included
+                    snapshot: (args) => ({
+                        accounts: FidelityApp.cloneAccounts(this.accounts),
+                        target: this.describeRebalanceArgs(args)
+                    }),
+                    restore: async (previous) => {
+                        this.accounts = previous.accounts;
+                        this.addToHistory(`Undid rebalance to ${previous.target}`);
+                        this.notifyResourceUpdated('portfolio://allocation');
+                        this.renderWithAnimation('rebalance');
+                        return { restoredAllocation: this.portfolio, riskLevel: this.getRiskLevel() };
+                    }
+                }
+            );
+
+            window.WebMCP.registerTool(
+                'getTaxLossHarvestingCandidates',
+                'List the lots in taxable accounts with an unrealized loss of at least minLoss dollars: the loss, whether ' +
+                    'it is short- or long-term, the tax it could save against gains, the similar fund to swap into, and ' +
+                    'whether a recent purchase would make the sale a wash sale. previewRebalance with harvestLosses sells them.',
+                async (args) => {
+                    await this.refreshPrices();
+                    const minLoss = args.minLoss !== undefined ? args.minLoss : REBALANCE_DEFAULTS.minTradeAmount;
+                    const candidates = this.harvestCandidates(this.accounts, minLoss, this.tradeDate());
+                    return {
+                        candidates,
+                        totalLoss: Math.round(candidates.reduce((sum, candidate) => sum + candidate.loss, 0) * 100) / 100,
+                        estimatedTaxSavings: Math.round(candidates.reduce((sum, candidate) => sum + candidate.estimatedTaxSavings, 0) * 100) / 100,
+                        pricesAsOf: this.pricesAsOf
+                    };
+                },
+                {
+                    inputSchema: {
+                        type: "object",
+                        properties: {
+                            minLoss: {
+                                type: "number",
+                                minimum: 0,
+                                description: `Smallest loss per lot worth harvesting, in dollars (default ${REBALANCE_DEFAULTS.minTradeAmount})`
+                            }
+                        },
+                        required: [],
+                        additionalProperties: false
+                    },
+                    outputSchema: {
+                        type: "object",
+                        properties: {
+                            candidates: {
+                                type: "array",
+                                items: {
+                                    type: "object",
+                                    properties: {
+                                        accountId: { type: "string" },
+                                        ticker: { type: "string" },
+                                        acquired: { type: "string" },
+                                        shares: { type: "number" },
+                                        costBasis: { type: "number" },
+                                        marketValue: { type: "number" },
+                                        loss: { type: "number", minimum: 0 },
+                                        term: { type: "string", enum: ["shortTerm", "longTerm"] },
+                                        estimatedTaxSavings: { type: "number" },
+                                        replacement: { type: ["string", "null"] },
+                                        washSaleRisk: { type: "boolean" }
+                                    },
+                                    required: ["accountId", "ticker", "loss", "term"]
+                                }
+                            },
+                            totalLoss: { type: "number", minimum: 0 },
+                            estimatedTaxSavings: { type: "number", minimum: 0 },
+                            pricesAsOf: { type: "string" }
+                        },
+                        required: ["candidates", "totalLoss"]
+                    },
+                    annotations: { readOnly: true, idempotent: true },
+                    timeoutMs: 5000
                 }
             );
 
@@ -221,8 +1335,9 @@ class FidelityApp {
                     const monthlyContribution = args.monthlyContribution || 500;
                     
                     // Simple projection calculation
+                    await this.refreshPrices();
                     const currentValue = this.calculateTotalValue();
-                    const projectedGrowthRate = this.portfolio.stocks * 0.07 + this.portfolio.bonds * 0.04 + this.portfolio.cash * 0.02;
+                    const projectedGrowthRate = this.getExpectedReturn();
                     const futureValue = currentValue * Math.pow(1 + projectedGrowthRate / 100, yearsToRetirement);
                     const contributionsValue = monthlyContribution * 12 * yearsToRetirement;
                     
@@ -238,11 +1353,111 @@ class FidelityApp {
                     // Store projection data and update UI
                     this.retirementProjection = projectionData;
                     this.addToHistory(`Generated ${yearsToRetirement}-year retirement projection`);
+                    this.notifyResourceUpdated('portfolio://projection');
                     this.renderWithAnimation('retirement');
                     
                     return projectionData;
+                },
+                {
+                    inputSchema: {
+                        type: "object",
+                        properties: {
+                            yearsToRetirement: {
+                                type: "integer",
+                                minimum: 1,
+                                maximum: 70,
+                                description: "Number of years until retirement"
+                            },
+                            monthlyContribution: {
+                                type: "number",
+                                minimum: 0,
+                                maximum: 100000,
+                                description: "Monthly contribution amount in dollars"
+                            }
+                        },
+                        required: [],
+                        additionalProperties: false
+                    },
+                    outputSchema: {
+                        type: "object",
+                        properties: {
+                            currentValue: { type: "number" },
+                            projectedValue: { type: "number" },
+                            yearsToRetirement: { type: "integer" },
+                            monthlyContribution: { type: "number" },
+                            projectedGrowthRate: { type: "number" },
+                            totalContributions: { type: "number" }
+                        },
+                        required: ["currentValue", "projectedValue", "yearsToRetirement"]
+                    },
+                    // Not idempotent: each call adds a history entry and an undo step
+                    timeoutMs: 5000,
+                    // Undo: bring back whatever projection was shown before
+                    snapshot: () => this.retirementProjection,
+                    restore: async (previousProjection) => {
+                        this.retirementProjection = previousProjection;
+                        this.addToHistory('Undid retirement projection');
+                        this.notifyResourceUpdated('portfolio://projection');
+                        this.renderWithAnimation('retirement');
+                        return { restoredProjection: previousProjection };
+                    }
                 }
             );
+
+            // Read-only context: agents can read these instead of calling getPortfolio
+            window.WebMCP.registerResource(
+                'portfolio://allocation',
+                'application/json',
+                () => ({
+                    allocation: this.portfolio,
+                    accounts: this.getAccounts(),
+                    totalValue: this.calculateTotalValue(),
+                    riskLevel: this.getRiskLevel(),
+                    pricesAsOf: this.pricesAsOf
+                }),
+                { name: 'Current allocation', description: 'Accounts with their positions and tax lots, household percentage of market value per asset class, total value and risk level' }
+            );
+
+            window.WebMCP.registerResource(
+                'portfolio://strategies',
+                'application/json',
+                () => this.strategies.list(),
+                { name: 'Strategies', description: 'Named target allocations rebalancePortfolio accepts as a strategy' }
+            );
+            this.strategies.onChange(() => this.notifyResourceUpdated('portfolio://strategies'));
+
+            window.WebMCP.registerResource(
+                'portfolio://projection',
+                'application/json',
+                () => this.retirementProjection,
+                { name: 'Retirement projection', description: 'The latest retirement projection, or null if none was made yet' }
+            );
+
+            window.WebMCP.registerResource(
+                'portfolio://history',
+                'application/json',
+                () => this.portfolioHistory,
+                { name: 'Portfolio history', description: 'Changes made to the portfolio in this session' }
+            );
+
+            window.WebMCP.registerPrompt(
+                'quarterly-review',
+                [{ name: 'quarter', description: 'The quarter to review, e.g. "Q3 2025"', required: false }],
+                (args) => `Give me a quarterly review of my portfolio${args.quarter ? ` for ${args.quarter}` : ''}. ` +
+                    'Look at my current allocation and risk level, the changes made recently and my retirement projection, ' +
+                    'then tell me whether my strategy still fits and what, if anything, I should change.',
+                { description: 'Review the portfolio, recent changes and retirement outlook' }
+            );
+
+            window.WebMCP.registerPrompt(
+                'retirement-check',
+                [
+                    { name: 'years', description: 'Years until retirement', required: true },
+                    { name: 'monthly', description: 'Monthly contribution in dollars', required: true }
+                ],
+                'Show retirement projection for {{years}} years with ${{monthly}} monthly and tell me if I am on track.',
+                { description: 'Project retirement savings and judge whether they are on track' }
+            );
         }
     }
 
@@ -0,0 +1,337 @@
+/**
+ * HTTP Agent
+ * Runs a remote AG-UI agent. Each prompt is POSTed as a RunAgentInput
+ * ({ threadId, runId, state, messages, tools, context, forwardedProps }) and
+ * the text/event-stream response is parsed back into AG-UI events.
+ * processPrompt has the same shape as AgentClient's, so the UI can use
+ * either one.
+ *
+ * The page keeps its WebMCP tools. When the agent wants one run it sends a
+ * CUSTOM tool_request event; the tool is executed here and the result POSTed
+ * to {url}/runs/{runId}/tool-results. Approval decisions go to
+ * {url}/runs/{runId}/approvals the same way. Callbacks carry the run's secret
+ * back in X-Run-Secret, if the event stream's response came with one.
+ *
+ * The page doesn't take the agent's word for approvals: a gated tool only runs
+ * for a tool call whose interrupt the user approved here, with the same
+ * arguments, and only once.
+ */
+
+class HttpAgent {
+    constructor(url, options = {}) {
+        this.url = url;
+        this.headers = options.headers || {};
+        // Frontend tools the remote agent may call, as { name, description, inputSchema }
+        this.tools = options.tools || [];
+        this.state = options.state || {};
+        this.threadStore = options.threadStore || new ThreadStore();
+        // Executes the tool calls the remote agent hands back to the page
+        this.provider = options.provider || window.WebMCP;
+        // The run in progress, for approval callbacks
+        this.runId = null;
+        // The remote agent's tool calls run in a WebMCP session per thread,
+        // opened with options.session ({ owner, tools, scopes, ttlMs }). By
+        // default it may call the tools it is offered and holds no scope.
+        this.sessionConfig = { owner: `remote-agent:${url}`, ...options.session };
+        this.sessionIds = new Map();
+        // The run in progress as its tool calls see it: { sessionId, threadId, runId, prompt }
+        this.toolCallContext = null;
+        // Interrupts the agent raised, keyed by interruptId, and the gated
+        // calls the user approved, keyed by toolCallId: { runId, toolCallName, args }
+        this.interrupts = new Map();
+        this.approvedToolCalls = new Map();
+        // The secret each run's callbacks must carry, keyed by runId
+        this.runSecrets = new Map();
+    }
+
+    // Same contract as AgentClient.processPrompt: yields AG-UI events for one run
+    async *processPrompt(prompt, options = {}) {
+        const threadId = options.threadId || this.threadStore.createThread();
+        const runId = 'run_' + Date.now();
+        const signal = options.signal || null;
+        this.runId = runId;
+        this.toolCallContext = { sessionId: this.toolSessionFor(threadId), threadId, runId, prompt };
+
+        const userMessage = { id: 'msg_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9), role: 'user', content: prompt };
+        const history = this.threadStore.getMessages(threadId);
+        const messages = [...history, userMessage];
+        const input = this.buildRunInput(threadId, runId, messages);
+
+        let started = false;
+        let finished = false;
+        let errored = false;
+        let snapshot = null;
+        let failed = false;
+
+        try {
+            for await (const event of this.openEventStream(input, signal)) {
+                if (event.type === window.AGUI.EventType.RUN_STARTED) {
+                    started = true;
+                } else if (event.type === window.AGUI.EventType.RUN_FINISHED) {
+                    finished = true;
+                } else if (event.type === window.AGUI.EventType.RUN_ERROR) {
+                    errored = true;
+                } else if (event.type === window.AGUI.EventType.MESSAGES_SNAPSHOT) {
+                    snapshot = event.messages;
+                } else if (event.type === window.AGUI.EventType.CUSTOM &&
+                    event.name === window.AGUI.InterruptEventName.INTERRUPT && event.value && event.value.toolCallId) {
+                    this.interrupts.set(event.value.interruptId, {
+                        runId,
+                        toolCallId: event.value.toolCallId,
+                        toolCallName: event.value.toolCallName,
+                        args: event.value.args || {}
+                    });
+                }
+
+                this.applyEvent(messages, event);
+                yield event;
+            }
+            if (!finished) {
+                throw new Error('The agent stream ended before RUN_FINISHED');
+            }
+        } catch (error) {
+            failed = true;
+            // Surface transport failures as a well-formed run the UI already knows how to show
+            if (!started) {
+                yield new window.AGUI.RunStartedEvent(threadId, runId);
+            }
+            if (!finished) {
+                const cancelled = Boolean(signal && signal.aborted);
+                // Only RUN_FINISHED may follow an error the agent already reported
+                if (!errored) {
+                    yield new window.AGUI.RunErrorEvent(cancelled ? 'Run cancelled by user' : error.message, cancelled ? 'CANCELLED' : 'TRANSPORT_ERROR');
+                }
+                yield new window.AGUI.RunFinishedEvent(threadId, runId, cancelled ? 'cancelled' : 'error');
+            }
+        }
+
+        if (this.runId === runId) {
+            this.runId = null;
+        }
+        this.forgetApprovals(runId);
+        this.runSecrets.delete(runId);
+
+        // Prefer the server's own view of the conversation when it sent one.
+        // A broken run may have left tool calls without results, so only its prompt is kept.
+        this.threadStore.setMessages(threadId, failed ? [...history, userMessage] : snapshot || messages);
+    }
+
+    // The thread's WebMCP session, opened again if it expired while the thread was idle
+    toolSessionFor(threadId) {
+        const offered = this.tools.map(tool => tool.name);
+        const session = this.provider.ensureSession(this.sessionIds.get(threadId),
+            { tools: offered, scopes: [], ...this.sessionConfig, threadId });
+        // The tools on offer change as tools are registered and removed
+        if (!this.sessionConfig.tools) {
+            session.tools = offered;
+        }
+        this.sessionIds.set(threadId, session.id);
+        return session.id;
+    }
+
+    // The transport: send the RunAgentInput and yield the run's events as they arrive
+    async *openEventStream(input, signal) {
+        const response = await fetch(this.url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'Accept': 'text/event-stream, application/x-ndjson', ...this.headers },
+            body: JSON.stringify(input),
+            signal
+        });
+
+        if (!response.ok) {
+            throw new Error(`Agent endpoint error: ${response.status} ${response.statusText}`);
+        }
+        const secret = response.headers && response.headers.get('X-Run-Secret');
+        if (secret) {
+            this.runSecrets.set(input.runId, secret);
+        }
+
+        for await (const event of this.readEvents(response)) {
+            yield event;
+
+            if (event.type === window.AGUI.EventType.CUSTOM &&
+                event.name === window.AGUI.ToolProxyEventName.TOOL_REQUEST) {
+                await this.runRequestedTool(input.runId, event.value, signal);
+            }
+        }
+    }
+
+    // Parse the response body by its framing: SSE, or newline-delimited JSON
+    async *readEvents(response) {
+        const contentType = (response.headers && response.headers.get('Content-Type')) || '';
+        if (contentType.includes('application/x-ndjson')) {
+            yield* readJSONLines(response.body);
+            return;
+        }
+        for await (const { data } of readServerSentEvents(response.body)) {
+            yield JSON.parse(data);
+        }
+    }
+
+    // Run a tool the remote agent asked for and send it the outcome. Failures
+    // are reported to the agent, which passes them on to the model.
+    async runRequestedTool(runId, request, signal) {
+        let answer;
+        try {
+            this.authorizeRequestedTool(request);
+            const result = await this.provider.executeTool(request.toolCallName, request.args || {}, {
+                ...this.toolCallContext,
+                signal,
+                toolCallId: request.toolCallId || null
+            });
+            answer = { requestId: request.requestId, result };
+        } catch (error) {
+            if (signal && signal.aborted) {
+                throw error;
+            }
+            answer = {
+                requestId: request.requestId,
+                error: { message: error.message, code: error.code || 'TOOL_ERROR', errors: error.errors }
+            };
+        }
+        await this.postCallback(runId, 'tool-results', answer, signal);
+    }
+
+    // A gated tool may only run for a call the user approved on this page,
+    // with the arguments they saw. Each approval is good for one call.
+    // request is { toolCallId, toolCallName, args }.
+    authorizeRequestedTool(request) {
+        if (!this.provider.requiresConfirmation(request.toolCallName)) {
+            return;
+        }
+        const approval = this.approvedToolCalls.get(request.toolCallId);
+        if (!approval || approval.toolCallName !== request.toolCallName ||
+            JSON.stringify(approval.args) !== JSON.stringify(request.args || {})) {
+            const error = new Error(`'${request.toolCallName}' needs the user's approval on this page before it can run`);
+            error.code = 'APPROVAL_REQUIRED';
+            throw error;
+        }
+        this.approvedToolCalls.delete(request.toolCallId);
+    }
+
+    // Remember that the user approved the tool call behind an interrupt
+    recordApproval(interruptId, approved) {
+        const interrupt = this.interrupts.get(interruptId);
+        if (!interrupt) {
+            return;
+        }
+        this.interrupts.delete(interruptId);
+        if (approved) {
+            this.approvedToolCalls.set(interrupt.toolCallId, interrupt);
+        }
+    }
+
+    forgetApprovals(runId) {
+        [this.interrupts, this.approvedToolCalls].forEach(entries => {
+            entries.forEach((entry, key) => {
+                if (entry.runId === runId) {
+                    entries.delete(key);
+                }
+            });
+        });
+    }
+
+    // Called by the UI when the user approves or denies an interrupt
+    async resolveApproval(interruptId, approved) {
+        if (!this.runId) {
+            return false;
+        }
+        this.recordApproval(interruptId, approved);
+        try {
+            await this.postCallback(this.runId, 'approvals', { interruptId, approved: Boolean(approved) });
+            return true;
+        } catch (error) {
+            console.error('Could not send approval to the agent:', error);
+            return false;
+        }
+    }
+
+    async postCallback(runId, name, body, signal = null) {
+        const secret = this.runSecrets.get(runId);
+        const response = await fetch(`${this.url}/runs/${encodeURIComponent(runId)}/${name}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...this.headers, ...(secret ? { 'X-Run-Secret': secret } : {}) },
+            body: JSON.stringify(body),
+            signal
+        });
+        if (!response.ok) {
+            throw new Error(`Agent endpoint error: ${response.status} ${response.statusText}`);
+        }
+    }
+
+    buildRunInput(threadId, runId, messages) {
+        return {
+            threadId,
+            runId,
+            state: this.state,
+            messages,
+            tools: this.tools.map(tool => ({
+                name: tool.name,
+                description: tool.description,
+                parameters: tool.inputSchema || { type: 'object', properties: {} },
+                // Lets the agent know which calls need the user's approval
+                annotations: tool.annotations
+            })),
+            context: [],
+            forwardedProps: {}
+        };
+    }
+
+    // Rebuild the conversation from streamed events so the thread can be
+    // stored even when the server doesn't send a MESSAGES_SNAPSHOT
+    applyEvent(messages, event) {
+        const { EventType } = window.AGUI;
+        const findMessage = (id) => messages.find(message => message.id === id);
+
+        switch (event.type) {
+            case EventType.TEXT_MESSAGE_START:
+                if (!findMessage(event.messageId)) {
+                    messages.push({ id: event.messageId, role: event.role || 'assistant', content: '' });
+                }
+                break;
+
+            case EventType.TEXT_MESSAGE_CONTENT: {
+                const message = findMessage(event.messageId);
+                if (message) {
+                    message.content = (message.content || '') + event.delta;
+                }
+                break;
+            }
+
+            case EventType.TOOL_CALL_START: {
+                const parentId = event.parentMessageId || event.toolCallId;
+                let message = findMessage(parentId);
+                if (!message) {
+                    message = { id: parentId, role: 'assistant', content: '' };
+                    messages.push(message);
+                }
+                message.toolCalls = message.toolCalls || [];
+                message.toolCalls.push({ id: event.toolCallId, type: 'function', function: { name: event.toolCallName, arguments: '' } });
+                break;
+            }
+
+            case EventType.TOOL_CALL_ARGS: {
+                const toolCall = messages
+                    .flatMap(message => message.toolCalls || [])
+                    .find(call => call.id === event.toolCallId);
+                if (toolCall) {
+                    toolCall.function.arguments += event.delta;
+                }
+                break;
+            }
+
+            case EventType.TOOL_CALL_RESULT:
+                messages.push({ id: event.messageId, role: 'tool', toolCallId: event.toolCallId, content: event.content });
+                break;
+        }
+    }
+
+    // Snapshot of a stored thread, e.g. to restore the chat after a reload
+    getMessagesSnapshot(threadId) {
+        return new window.AGUI.MessagesSnapshotEvent(this.threadStore.getMessages(threadId));
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.HttpAgent = HttpAgent;
+}
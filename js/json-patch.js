@@ -0,0 +1,235 @@
+/**
+ * JSON Patch (RFC 6902)
+ * apply() runs add / remove / replace / move / copy / test operations against
+ * a document without touching it, and diff() computes the patch from one
+ * document to another. Paths are JSON Pointers (RFC 6901), with ~1 for '/'
+ * and ~0 for '~' in keys. Paths naming __proto__, constructor or prototype
+ * are refused.
+ */
+
+// Path segments that would reach an object's prototype instead of a member
+const UNSAFE_POINTER_KEYS = ['__proto__', 'constructor', 'prototype'];
+
+// A patch that can't be applied: a path that doesn't exist, a bad operation
+// or a failed test. operation is the offending one and index its position.
+class JsonPatchError extends Error {
+  constructor(message, operation, index) {
+    super(message);
+    this.name = 'JsonPatchError';
+    this.code = 'PATCH_FAILED';
+    this.operation = operation;
+    this.index = index;
+  }
+}
+
+class JsonPatch {
+  // Return a patched copy of document; throws JsonPatchError if any
+  // operation fails. document itself is never changed.
+  static apply(document, patch) {
+    if (!Array.isArray(patch)) {
+      throw new JsonPatchError('A patch must be an array of operations', null, -1);
+    }
+    let result = JsonPatch.clone(document);
+    patch.forEach((operation, index) => {
+      result = JsonPatch.applyOperation(result, operation, index);
+    });
+    return result;
+  }
+
+  // Operations work on apply's private copy, so they may change it in place
+  static applyOperation(document, operation, index) {
+    const fail = message => {
+      throw new JsonPatchError(`Operation ${index} (${operation.op} ${operation.path}): ${message}`, operation, index);
+    };
+    if (!operation || typeof operation.path !== 'string') {
+      fail('needs a path');
+    }
+    if ((operation.op === 'move' || operation.op === 'copy') && typeof operation.from !== 'string') {
+      fail('needs a from path');
+    }
+
+    switch (operation.op) {
+      case 'add':
+        return JsonPatch.add(document, operation.path, JsonPatch.clone(operation.value), fail);
+      case 'remove':
+        return JsonPatch.remove(document, operation.path, fail).document;
+      case 'replace':
+        JsonPatch.get(document, operation.path, fail);
+        return JsonPatch.add(JsonPatch.remove(document, operation.path, fail).document, operation.path, JsonPatch.clone(operation.value), fail);
+      case 'move': {
+        if (operation.path.startsWith(`${operation.from}/`)) {
+          fail('cannot move a value into itself');
+        }
+        const removed = JsonPatch.remove(document, operation.from, fail);
+        return JsonPatch.add(removed.document, operation.path, removed.value, fail);
+      }
+      case 'copy':
+        return JsonPatch.add(document, operation.path, JsonPatch.clone(JsonPatch.get(document, operation.from, fail)), fail);
+      case 'test':
+        if (!JsonPatch.equals(JsonPatch.get(document, operation.path, fail), operation.value)) {
+          fail(`expected ${JSON.stringify(operation.value)}`);
+        }
+        return document;
+      default:
+        return fail(`unknown operation '${operation.op}'`);
+    }
+  }
+
+  // The operations that turn from into to. With options.test, each replace
+  // and remove is preceded by a test of the value it expects to find, so a
+  // client holding different state fails instead of silently diverging.
+  static diff(from, to, options = {}, path = '', patch = []) {
+    if (JsonPatch.equals(from, to)) {
+      return patch;
+    }
+    const bothArrays = Array.isArray(from) && Array.isArray(to);
+    const bothObjects = JsonPatch.isObject(from) && JsonPatch.isObject(to);
+
+    if (bothObjects) {
+      Object.keys(from).forEach(key => {
+        if (!Object.prototype.hasOwnProperty.call(to, key)) {
+          JsonPatch.pushRemove(patch, `${path}/${JsonPatch.escape(key)}`, from[key], options);
+        }
+      });
+      Object.keys(to).forEach(key => {
+        const childPath = `${path}/${JsonPatch.escape(key)}`;
+        if (!Object.prototype.hasOwnProperty.call(from, key)) {
+          patch.push({ op: 'add', path: childPath, value: JsonPatch.clone(to[key]) });
+        } else {
+          JsonPatch.diff(from[key], to[key], options, childPath, patch);
+        }
+      });
+    } else if (bothArrays && to.length >= from.length && from.every((item, i) => JsonPatch.equals(item, to[i]))) {
+      // Appended to, the common case for histories. Tested patches name the
+      // indexes and check the last element, so a client missing entries fails.
+      if (options.test && from.length > 0) {
+        patch.push({ op: 'test', path: `${path}/${from.length - 1}`, value: JsonPatch.clone(from[from.length - 1]) });
+      }
+      to.slice(from.length).forEach((item, i) => patch.push({
+        op: 'add',
+        path: `${path}/${options.test ? from.length + i : '-'}`,
+        value: JsonPatch.clone(item)
+      }));
+    } else {
+      if (options.test) {
+        patch.push({ op: 'test', path, value: JsonPatch.clone(from) });
+      }
+      patch.push({ op: 'replace', path, value: JsonPatch.clone(to) });
+    }
+    return patch;
+  }
+
+  static pushRemove(patch, path, value, options) {
+    if (options.test) {
+      patch.push({ op: 'test', path, value: JsonPatch.clone(value) });
+    }
+    patch.push({ op: 'remove', path });
+  }
+
+  static get(document, path, fail) {
+    return JsonPatch.parsePath(path, fail).reduce((value, key) => value[JsonPatch.childKey(value, key, false, fail)], document);
+  }
+
+  static add(document, path, value, fail) {
+    const keys = JsonPatch.parsePath(path, fail);
+    if (keys.length === 0) {
+      return value;
+    }
+    const parent = JsonPatch.get(document, JsonPatch.pointer(keys.slice(0, -1)), fail);
+    const key = JsonPatch.childKey(parent, keys[keys.length - 1], true, fail);
+    if (Array.isArray(parent)) {
+      parent.splice(key, 0, value);
+    } else {
+      parent[key] = value;
+    }
+    return document;
+  }
+
+  static remove(document, path, fail) {
+    const keys = JsonPatch.parsePath(path, fail);
+    if (keys.length === 0) {
+      return { document: undefined, value: document };
+    }
+    const parent = JsonPatch.get(document, JsonPatch.pointer(keys.slice(0, -1)), fail);
+    const key = JsonPatch.childKey(parent, keys[keys.length - 1], false, fail);
+    const value = parent[key];
+    if (Array.isArray(parent)) {
+      parent.splice(key, 1);
+    } else {
+      delete parent[key];
+    }
+    return { document, value };
+  }
+
+  // The key to use for the member of container that key names: an index for
+  // arrays ('-' being one past the end, which only an add may use)
+  static childKey(container, key, forAdd, fail) {
+    if (Array.isArray(container)) {
+      return key === '-' && forAdd ? container.length : JsonPatch.arrayIndex(key, container.length, forAdd, fail);
+    }
+    if (!JsonPatch.isObject(container) || (!forAdd && !Object.prototype.hasOwnProperty.call(container, key))) {
+      fail('path does not exist');
+    }
+    return key;
+  }
+
+  static arrayIndex(key, length, forInsert, fail) {
+    if (!/^(0|[1-9][0-9]*)$/.test(key)) {
+      fail(`'${key}' is not an array index`);
+    }
+    const index = Number(key);
+    if (index > length || (!forInsert && index === length)) {
+      fail(`index ${index} is out of bounds`);
+    }
+    return index;
+  }
+
+  static parsePath(path, fail) {
+    if (path === '') {
+      return [];
+    }
+    if (!path.startsWith('/')) {
+      fail('a JSON Pointer starts with "/"');
+    }
+    const keys = path.slice(1).split('/').map(key => key.replace(/~1/g, '/').replace(/~0/g, '~'));
+    const unsafe = keys.find(key => UNSAFE_POINTER_KEYS.includes(key));
+    if (unsafe !== undefined) {
+      fail(`'${unsafe}' is not allowed in a path`);
+    }
+    return keys;
+  }
+
+  static pointer(keys) {
+    return keys.map(key => `/${JsonPatch.escape(key)}`).join('');
+  }
+
+  static escape(key) {
+    return String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+  }
+
+  static isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  // Structural equality; key order doesn't matter
+  static equals(a, b) {
+    if (Array.isArray(a) || Array.isArray(b)) {
+      return Array.isArray(a) && Array.isArray(b) && a.length === b.length && a.every((item, i) => JsonPatch.equals(item, b[i]));
+    }
+    if (JsonPatch.isObject(a) && JsonPatch.isObject(b)) {
+      const keys = Object.keys(a);
+      return keys.length === Object.keys(b).length &&
+        keys.every(key => Object.prototype.hasOwnProperty.call(b, key) && JsonPatch.equals(a[key], b[key]));
+    }
+    return a === b;
+  }
+
+  static clone(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+  }
+}
+
+if (typeof window !== 'undefined') {
+  window.JsonPatch = JsonPatch;
+  window.JsonPatchError = JsonPatchError;
+}
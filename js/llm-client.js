@@ -1,133 +1,221 @@
 class LLMClient {
     constructor(tools) {
         this.tools = tools;
-        this.apiKey = null;
+        this.providerName = 'openai';
+        this.provider = createLLMProvider(this.providerName);
         this.useRealLLM = false;
+        // WebMCP resources sent to the model with every request, keyed by URI:
+        // { contents, unsubscribe }, contents being kept current by subscription
+        this.contextResources = new Map();
     }
 
-    // Configure OpenAI API key
+    // Select the model backend. config: { apiKey, baseUrl, model }
+    setProvider(providerName, config = {}) {
+        this.providerName = providerName;
+        this.provider = createLLMProvider(providerName, config);
+        this.useRealLLM = Boolean(config.apiKey) || !this.provider.requiresApiKey;
+    }
+
+    // Configure an API key for the current provider
     setApiKey(apiKey) {
-        this.apiKey = apiKey;
-        this.useRealLLM = true;
+        this.provider.apiKey = apiKey;
+        this.useRealLLM = Boolean(apiKey) || !this.provider.requiresApiKey;
     }
 
-    async getToolCalls(prompt) {
-        if (this.useRealLLM && this.apiKey) {
-            return await this.getToolCallsFromOpenAI(prompt);
+    get apiKey() {
+        return this.provider.apiKey;
+    }
+
+    // Put a WebMCP resource in the model's context and keep it current as it
+    // changes. Resolves once the first read is in.
+    async attachResource(uri, provider = window.WebMCP) {
+        if (this.contextResources.has(uri)) {
+            return;
+        }
+        const entry = { contents: null, unsubscribe: null };
+        const refresh = async () => {
+            try {
+                entry.contents = await provider.readResource(uri);
+            } catch (error) {
+                console.error(`Error reading resource ${uri}:`, error);
+            }
+        };
+        entry.unsubscribe = provider.subscribeResource(uri, refresh);
+        this.contextResources.set(uri, entry);
+        await refresh();
+    }
+
+    detachResource(uri) {
+        const entry = this.contextResources.get(uri);
+        if (entry) {
+            entry.unsubscribe();
+            this.contextResources.delete(uri);
+        }
+    }
+
+    // Switch back to keyword matching
+    disableLLM() {
+        this.provider.apiKey = null;
+        this.useRealLLM = false;
+    }
+
+    getConfig() {
+        return {
+            provider: this.providerName,
+            label: this.provider.constructor.label,
+            baseUrl: this.provider.baseUrl,
+            model: this.provider.model,
+            useRealLLM: this.useRealLLM
+        };
+    }
+
+    // One turn of the agent loop. Takes the conversation so far as AG-UI
+    // messages ({ id, role, content, toolCalls, toolCallId }) and returns
+    // { content, toolCalls: [{ id, name, args }], usage }
+    async chat(messages) {
+        if (this.useRealLLM) {
+            return await this.chatWithProvider(messages);
         } else {
             // Fallback to enhanced keyword matching for POC demonstration
-            return await this.getToolCallsFromKeywords(prompt);
+            return await this.chatWithKeywords(messages);
         }
     }
 
-    async getToolCallsFromOpenAI(prompt) {
-        try {
-            const toolDefinitions = this.tools.map(tool => ({
-                type: "function",
-                function: {
-                    name: tool.name,
-                    description: tool.description,
-                    parameters: this.generateParametersForTool(tool.name)
-                }
-            }));
-
-            const messages = [
-                {
-                    role: "system",
-                    content: `You are a helpful financial advisor assistant. You have access to portfolio management tools. 
-                    When users ask about their portfolio, use the available tools to help them.
-                    Available tools: ${this.tools.map(t => `${t.name} - ${t.description}`).join(', ')}`
-                },
-                {
-                    role: "user", 
-                    content: prompt
-                }
-            ];
-
-            const response = await fetch('https://api.openai.com/v1/chat/completions', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': `Bearer ${this.apiKey}`
-                },
-                body: JSON.stringify({
-                    model: "gpt-3.5-turbo",
-                    messages: messages,
-                    tools: toolDefinitions,
-                    tool_choice: "auto",
-                    temperature: 0.7
-                })
-            });
+    // Streaming variant of chat(). Yields the normalized deltas described in
+    // llm-providers.js as the model produces them. options.signal cancels the request.
+    async *chatStream(messages, options = {}) {
+        if (!this.useRealLLM) {
+            yield* replyToDeltas(await this.chatWithKeywords(messages));
+            return;
+        }
 
-            if (!response.ok) {
-                throw new Error(`OpenAI API error: ${response.status} ${response.statusText}`);
+        let streamed = false;
+        try {
+            const request = { ...this.buildChatRequest(messages), signal: options.signal };
+            for await (const delta of this.provider.stream(request)) {
+                streamed = true;
+                yield delta;
             }
-
-            const data = await response.json();
-            
-            // Extract tool calls from OpenAI response
-            const calls = [];
-            if (data.choices?.[0]?.message?.tool_calls) {
-                for (const toolCall of data.choices[0].message.tool_calls) {
-                    if (toolCall.type === 'function') {
-                        calls.push({
-                            name: toolCall.function.name,
-                            args: JSON.parse(toolCall.function.arguments || '{}')
-                        });
-                    }
-                }
+        } catch (error) {
+            // Deltas already forwarded can't be taken back, so only fall back before
+            // the first one. A cancelled request is not a failure to recover from.
+            if (streamed || (options.signal && options.signal.aborted)) {
+                throw error;
             }
+            console.error(`Error streaming from ${this.provider.constructor.label} API:`, error);
+            yield* replyToDeltas(await this.chatWithKeywords(messages));
+        }
+    }
 
-            return calls;
-            
+    async getToolCalls(prompt) {
+        const reply = await this.chat([{ role: 'user', content: prompt }]);
+        return reply.toolCalls;
+    }
+
+    async chatWithProvider(messages) {
+        try {
+            return await this.provider.complete(this.buildChatRequest(messages));
         } catch (error) {
-            console.error('Error calling OpenAI API:', error);
+            console.error(`Error calling ${this.provider.constructor.label} API:`, error);
             // Fallback to keyword matching if API fails
-            return await this.getToolCallsFromKeywords(prompt);
-        }
-    }
-
-    generateParametersForTool(toolName) {
-        const parameterSchemas = {
-            'getPortfolio': {
-                type: "object",
-                properties: {},
-                required: []
-            },
-            'rebalancePortfolio': {
-                type: "object",
-                properties: {
-                    strategy: {
-                        type: "string",
-                        enum: ["conservative", "moderate", "aggressive"],
-                        description: "The investment strategy to apply"
-                    }
-                },
-                required: ["strategy"]
-            },
-            'getRetirementProjection': {
-                type: "object",
-                properties: {
-                    yearsToRetirement: {
-                        type: "number",
-                        description: "Number of years until retirement"
-                    },
-                    monthlyContribution: {
-                        type: "number", 
-                        description: "Monthly contribution amount in dollars"
-                    }
-                },
-                required: []
-            }
+            return await this.chatWithKeywords(messages);
+        }
+    }
+
+    buildChatRequest(messages) {
+        return {
+            systemPrompt: `You are a helpful financial advisor assistant. You have access to portfolio management tools. 
+                When users ask about their portfolio, use the available tools to help them.
+                You will see the result of each tool call and can call further tools before answering.
+                When you are done, reply to the user with a short summary of what you did.
+                If a tool result includes a taxImpact, tell the user the projected tax.
+                Available tools: ${this.tools.map(t => `${t.name} - ${t.description}`).join(', ')}${this.buildResourceContext()}`,
+            messages,
+            tools: this.buildToolDefinitions(),
+            temperature: 0.7
         };
+    }
+
+    // The attached resources as a block for the system prompt, so the model
+    // knows the current state without calling a tool for it
+    buildResourceContext() {
+        const sections = Array.from(this.contextResources.values())
+            .filter(entry => entry.contents)
+            .map(({ contents }) => `--- ${contents.uri} (${contents.mimeType}) ---\n${contents.text}`);
+        return sections.length > 0 ? `\n\nCurrent context:\n${sections.join('\n')}` : '';
+    }
+
+    // Plain text completion without tools, e.g. for summaries
+    async generateText(systemPrompt, prompt, options = {}) {
+        const reply = await this.provider.complete({
+            systemPrompt,
+            messages: [{ role: 'user', content: prompt }],
+            maxTokens: options.maxTokens,
+            temperature: options.temperature ?? 0.7,
+            signal: options.signal
+        });
+        return reply.content;
+    }
+
+    // Keyword mode plays the model's part in the loop: pick tools for a new
+    // user message, then summarize once their results have come back
+    async chatWithKeywords(messages) {
+        const lastMessage = messages[messages.length - 1];
+        const noUsage = { totalTokens: 0 };
 
-        return parameterSchemas[toolName] || {
-            type: "object",
-            properties: {},
-            required: []
+        if (lastMessage.role === 'tool') {
+            const lastUserIndex = messages.map(message => message.role).lastIndexOf('user');
+            const toolNames = messages.slice(lastUserIndex + 1)
+                .filter(message => message.role === 'assistant')
+                .flatMap(message => (message.toolCalls || []).map(call => call.function.name));
+            // Rebalances and their previews report the tax they'd cost
+            const taxNotes = messages.slice(lastUserIndex + 1)
+                .filter(message => message.role === 'tool')
+                .map(message => {
+                    try {
+                        return JSON.parse(message.content);
+                    } catch (error) {
+                        return null;
+                    }
+                })
+                .filter(result => result && result.taxImpact && result.taxImpact.summary)
+                .map(result => ` ${result.taxImpact.summary}.`);
+            return {
+                content: `I've executed the following tools for you: ${toolNames.join(', ')}. The results are displayed in your portfolio above.${taxNotes.join('')}`,
+                toolCalls: [],
+                usage: noUsage
+            };
+        }
+
+        const calls = await this.getToolCallsFromKeywords(lastMessage.content);
+        if (calls.length === 0) {
+            return {
+                content: "I understand your request, but I don't have the specific tools needed to help with that right now.",
+                toolCalls: [],
+                usage: noUsage
+            };
+        }
+
+        return {
+            content: '',
+            toolCalls: calls.map((call, index) => ({
+                id: `call_${Date.now()}_${index}`,
+                name: call.name,
+                args: call.args || {}
+            })),
+            usage: noUsage
         };
     }
 
+    // Build provider-neutral function definitions from the tools' registered input schemas
+    buildToolDefinitions() {
+        return this.tools.map(tool => ({
+            name: tool.name,
+            description: tool.description,
+            parameters: tool.inputSchema || { type: "object", properties: {}, required: [] }
+        }));
+    }
+
     async getToolCallsFromKeywords(prompt) {
         // Enhanced keyword matching for POC demonstration
         const calls = [];
@@ -148,17 +236,38 @@ class LLMClient {
             } else if (lowerPrompt.includes("conservative") || lowerPrompt.includes("safe") || lowerPrompt.includes("stable")) {
                 strategy = 'conservative';
             }
-            
-            calls.push({ name: 'rebalancePortfolio', args: { strategy } });
+
+            // "rebalance to 60% stocks, 30% bonds and 10% cash" is an explicit target
+            const target = {};
+            for (const match of lowerPrompt.matchAll(/(\d+(?:\.\d+)?)\s*%\s*([a-z]+)/g)) {
+                target[match[2]] = parseFloat(match[1]);
+            }
+
+            // "preview the rebalance" shows the trades without making them
+            const name = lowerPrompt.includes("preview") ? 'previewRebalance' : 'rebalancePortfolio';
+            const args = Object.keys(target).length > 0 ? { target } : { strategy };
+            // "rebalance and harvest losses" also sells losing lots for the tax loss
+            if (lowerPrompt.includes("harvest")) {
+                args.harvestLosses = true;
+            }
+            calls.push({ name, args });
+        } else if (lowerPrompt.includes("harvest") || /tax.?loss/.test(lowerPrompt)) {
+            calls.push({ name: 'getTaxLossHarvestingCandidates' });
         }
         
-        // Strategy-specific rebalancing
+        // Strategy-specific rebalancing: show what would be traded first
         if (lowerPrompt.includes("make it more aggressive") || lowerPrompt.includes("increase risk")) {
-            calls.push({ name: 'rebalancePortfolio', args: { strategy: 'aggressive' } });
+            calls.push({ name: 'previewRebalance', args: { strategy: 'aggressive' } });
         }
         
         if (lowerPrompt.includes("make it conservative") || lowerPrompt.includes("reduce risk")) {
-            calls.push({ name: 'rebalancePortfolio', args: { strategy: 'conservative' } });
+            calls.push({ name: 'previewRebalance', args: { strategy: 'conservative' } });
+        }
+
+        // "execute plan_..." carries out a previewed plan exactly
+        const planMatch = prompt.match(/\bplan_[A-Za-z0-9_]+/);
+        if (planMatch && /execute|confirm|go ahead|apply/.test(lowerPrompt)) {
+            calls.push({ name: 'rebalancePortfolio', args: { planId: planMatch[0] } });
         }
         
         // Retirement planning patterns
@@ -1,67 +1,231 @@
 document.addEventListener('DOMContentLoaded', () => {
-    const fidelityApp = new FidelityApp(document.getElementById('fidelity-app'));
+    // Every tool call, whoever makes it, goes through these in order. The
+    // audit log is first so it also records calls the others answer or retry.
+    const auditLog = new AuditLog();
+    window.WebMCP.use(auditLog.middleware({
+        // The history only grows; the entries already record each change
+        captureState: () => {
+            const { history, ...state } = fidelityApp.getState();
+            return state;
+        }
+    }));
+    window.WebMCP.use(WebMCPMiddleware.sanitizeArgs());
+    window.WebMCP.use(WebMCPMiddleware.logging());
+    // Prices refresh and the user edits the portfolio outside any tool call,
+    // so a cached read is dropped as soon as a resource changes
+    const toolCache = WebMCPMiddleware.cache({ ttlMs: 5000 });
+    window.WebMCP.use(toolCache);
+    toolCache.clearOnResourceUpdates(window.WebMCP);
+    window.WebMCP.use(WebMCPMiddleware.retry({ retries: 2 }));
+
+    const strategies = new StrategyRegistry();
+    const fidelityApp = new FidelityApp(document.getElementById('fidelity-app'), { strategies });
+    new StrategyPanel(document.getElementById('strategy-panel'), strategies);
+    new AuditPanel(document.getElementById('audit-panel'), auditLog);
     const chatUI = new ChatUI(document.querySelector('.messages'));
     const agentUI = new AgentUI(document.querySelector('.agent-thought-process'), (message) => {
         // Callback: when a message is complete, add it to the chat UI
         chatUI.addAgentMessage(message);
+    }, (interruptId, approved) => {
+        // Callback: the user answered an approval card, resume or cancel the run
+        // (or let an MCP client's call go ahead)
+        if (mcpApprovals.has(interruptId)) {
+            mcpApprovals.get(interruptId)(approved);
+        } else if (agent.resolveApproval) {
+            agent.resolveApproval(interruptId, approved);
+        }
+    }, (messages) => {
+        // Callback: a messages snapshot is the whole conversation, redraw the chat from it
+        chatUI.loadMessages(messages);
+    });
+    const agentClient = new AgentClient(fidelityApp.getTools(), window.WebMCP, {
+        getState: () => fidelityApp.getState()
+    });
+    // The model always sees the current allocation and recent changes, no tool call needed
+    agentClient.llmClient.attachResource('portfolio://allocation');
+    agentClient.llmClient.attachResource('portfolio://history');
+
+    // Serve the page's tools to MCP clients (extensions, parent frames, sidebar
+    // agents). Their calls to gated tools wait on the same approval cards.
+    const mcpApprovals = new Map();
+    const mcpServer = new MCPServer(window.WebMCP, {
+        confirmToolCall: (call, { signal }) => new Promise(resolve => {
+            const { CustomEvent, InterruptEventName } = window.AGUI;
+            const interruptId = 'mcp_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+            const settle = (approved) => {
+                mcpApprovals.delete(interruptId);
+                signal.removeEventListener('abort', onAbort);
+                resolve(approved);
+            };
+            const onAbort = () => {
+                agentUI.settleApprovalCard(interruptId, null);
+                settle(false);
+            };
+
+            mcpApprovals.set(interruptId, (approved) => {
+                agentUI.renderEvent(new CustomEvent(InterruptEventName.INTERRUPT_RESOLVED, { interruptId, approved }));
+                settle(approved);
+            });
+            signal.addEventListener('abort', onAbort, { once: true });
+            agentUI.renderEvent(new CustomEvent(InterruptEventName.INTERRUPT, {
+                interruptId,
+                reason: 'tool_confirmation',
+                toolCallName: call.name,
+                description: `Requested by an MCP client at ${call.origin || 'this page'}. ${call.description}`,
+                args: call.args,
+                annotations: call.annotations
+            }));
+        })
+    });
+    mcpServer.listen(window);
+
+    // The client's copy of the app's shared state, kept from the runs'
+    // STATE_SNAPSHOT / STATE_DELTA events. A delta that doesn't apply means
+    // the copy drifted; the store then fetches a fresh snapshot.
+    const stateStore = new StateStore({ requestSnapshot: () => agentClient.getStateSnapshot() });
+    const sharedStatePanel = document.getElementById('shared-state');
+    stateStore.onChange((state, change) => {
+        if (change.type === 'diverged') {
+            agentUI.renderStateDivergence(change.error);
+        } else if (change.type === 'resync_failed') {
+            agentUI.renderStateDivergence(change.error, true);
+        }
+        sharedStatePanel.querySelector('.shared-state-status').textContent = stateStore.inSync
+            ? `v${stateStore.version}`
+            : 'out of sync';
+        sharedStatePanel.querySelector('.shared-state-document').textContent = JSON.stringify(state, null, 2);
+    });
+
+    // The agent runs are sent to: the local AgentClient, or an HttpAgent /
+    // WebSocketAgent for a remote endpoint. All share one thread store so
+    // conversations carry over.
+    let agent = agentClient;
+    const savedAgentUrl = localStorage.getItem('agent-url');
+    if (savedAgentUrl) {
+        agent = createRemoteAgent(savedAgentUrl);
+    }
+
+    // http(s):// speaks SSE, ws(s):// the WebSocket transport, and loopback:
+    // runs the WebSocket protocol against an in-page server
+    function createRemoteAgent(url) {
+        const options = { threadStore: agentClient.threadStore, tools: fidelityApp.getTools() };
+        if (url.startsWith('loopback:')) {
+            const loopbackServer = new LoopbackAgentServer();
+            return new WebSocketAgent(url, { ...options, connect: () => loopbackServer.connect() });
+        }
+        if (/^wss?:\/\//.test(url)) {
+            return new WebSocketAgent(url, options);
+        }
+        return new HttpAgent(url, options);
+    }
+
+    // Tools can come and go after startup (navigator.modelContext, for one);
+    // keep the lists the agents offer the model current
+    window.WebMCP.onToolsChanged(tools => {
+        agentClient.tools = tools;
+        agentClient.llmClient.tools = tools;
+        agent.tools = tools;
+    });
+
+    // Continue the conversation from before the last reload, if there was one
+    let threadId = localStorage.getItem('current-thread-id');
+    if (threadId && agentClient.threadStore.hasThread(threadId)) {
+        agentUI.renderEvent(agent.getMessagesSnapshot(threadId));
+    } else {
+        startNewConversation();
+    }
+
+    function startNewConversation() {
+        threadId = agentClient.threadStore.createThread();
+        localStorage.setItem('current-thread-id', threadId);
+        chatUI.clear();
+    }
+
+    document.getElementById('new-thread').addEventListener('click', () => {
+        startNewConversation();
+        agentUI.clear();
     });
-    const agentClient = new AgentClient(fidelityApp.getTools());
 
     const sendButton = document.getElementById('send-prompt');
+    const stopButton = document.getElementById('stop-run');
     const userInput = document.getElementById('user-prompt');
     
     // LLM Configuration elements
-    const openaiKeyInput = document.getElementById('openai-key');
+    const providerSelect = document.getElementById('llm-provider');
+    const modelInput = document.getElementById('llm-model');
+    const baseUrlInput = document.getElementById('llm-base-url');
+    const apiKeyInput = document.getElementById('llm-api-key');
     const configureLlmButton = document.getElementById('configure-llm');
     const clearLlmButton = document.getElementById('clear-llm');
     const statusIndicator = document.getElementById('llm-status');
 
-    // Load saved API key from localStorage
-    const savedApiKey = localStorage.getItem('openai-api-key');
-    if (savedApiKey) {
-        openaiKeyInput.value = savedApiKey;
-        agentClient.llmClient.setApiKey(savedApiKey);
-        updateLlmStatus(true);
-    } else {
-        updateLlmStatus(false);
+    // Show the selected provider's defaults as placeholders
+    function updateProviderDefaults() {
+        const defaults = LLMProviders[providerSelect.value].defaults;
+        modelInput.placeholder = `Model (default: ${defaults.model})`;
+        baseUrlInput.placeholder = `Base URL (default: ${defaults.baseUrl})`;
     }
+    providerSelect.addEventListener('change', updateProviderDefaults);
 
-    // Configure LLM with OpenAI
+    // Load saved provider configuration from localStorage
+    // (older versions only stored an OpenAI key under 'openai-api-key')
+    const legacyApiKey = localStorage.getItem('openai-api-key');
+    const savedConfig = JSON.parse(localStorage.getItem('llm-config') || 'null') ||
+        (legacyApiKey ? { provider: 'openai', apiKey: legacyApiKey } : null);
+    if (savedConfig) {
+        providerSelect.value = savedConfig.provider;
+        modelInput.value = savedConfig.model || '';
+        baseUrlInput.value = savedConfig.baseUrl || '';
+        apiKeyInput.value = savedConfig.apiKey || '';
+        agentClient.llmClient.setProvider(savedConfig.provider, savedConfig);
+    }
+    updateProviderDefaults();
+    updateLlmStatus(agentClient.llmClient.useRealLLM);
+
+    // Configure the selected LLM provider
     configureLlmButton.addEventListener('click', () => {
-        const apiKey = openaiKeyInput.value.trim();
-        if (apiKey) {
-            // Basic validation
-            if (!apiKey.startsWith('sk-')) {
-                alert('Invalid OpenAI API key format. Keys should start with "sk-"');
-                return;
-            }
-            
-            localStorage.setItem('openai-api-key', apiKey);
-            agentClient.llmClient.setApiKey(apiKey);
-            updateLlmStatus(true);
-            
-            // Show success message
-            agentUI.clear();
-            chatUI.clear();
-            agentUI.renderEvent({
-                type: 'CUSTOM',
-                message: '✅ OpenAI API configured successfully! You can now use natural language commands.'
-            });
-        } else {
-            alert('Please enter your OpenAI API key');
+        const config = {
+            provider: providerSelect.value,
+            model: modelInput.value.trim(),
+            baseUrl: baseUrlInput.value.trim(),
+            apiKey: apiKeyInput.value.trim()
+        };
+        const provider = createLLMProvider(config.provider, config);
+
+        if (provider.requiresApiKey && !config.apiKey) {
+            alert(`Please enter your ${provider.constructor.label} API key`);
+            return;
         }
+        // Basic validation for the hosted OpenAI endpoint
+        if (config.provider === 'openai' && provider.requiresApiKey && !config.apiKey.startsWith('sk-')) {
+            alert('Invalid OpenAI API key format. Keys should start with "sk-"');
+            return;
+        }
+
+        localStorage.setItem('llm-config', JSON.stringify(config));
+        localStorage.removeItem('openai-api-key');
+        agentClient.llmClient.setProvider(config.provider, config);
+        updateLlmStatus(true);
+        
+        // Show success message
+        agentUI.clear();
+        startNewConversation();
+        agentUI.renderEvent({
+            type: 'CUSTOM',
+            message: `✅ ${provider.constructor.label} (${provider.model}) configured successfully! You can now use natural language commands.`
+        });
     });
 
     // Clear LLM configuration
     clearLlmButton.addEventListener('click', () => {
+        localStorage.removeItem('llm-config');
         localStorage.removeItem('openai-api-key');
-        openaiKeyInput.value = '';
-        agentClient.llmClient.setApiKey(null);
-        agentClient.llmClient.useRealLLM = false;
+        apiKeyInput.value = '';
+        agentClient.llmClient.disableLLM();
         updateLlmStatus(false);
         
         agentUI.clear();
-        chatUI.clear();
+        startNewConversation();
         agentUI.renderEvent({
             type: 'CUSTOM',
             message: '🔄 Switched to keyword matching mode'
@@ -69,40 +233,171 @@ document.addEventListener('DOMContentLoaded', () => {
     });
 
     function updateLlmStatus(isUsingLLM) {
-        if (isUsingLLM) {
-            statusIndicator.textContent = 'OpenAI GPT-3.5 Enabled';
+        const configInputs = [providerSelect, modelInput, baseUrlInput, apiKeyInput];
+        if (agent !== agentClient) {
+            // LLM settings only apply to the local agent
+            statusIndicator.textContent = `Remote Agent: ${agent.url}`;
+            statusIndicator.className = 'status-indicator remote-mode';
+            configureLlmButton.style.display = 'none';
+            clearLlmButton.style.display = 'none';
+            configInputs.forEach(input => { input.disabled = true; });
+        } else if (isUsingLLM) {
+            const config = agentClient.llmClient.getConfig();
+            statusIndicator.textContent = `${config.label}: ${config.model}`;
             statusIndicator.className = 'status-indicator llm-mode';
             configureLlmButton.style.display = 'none';
             clearLlmButton.style.display = 'inline-block';
-            openaiKeyInput.disabled = true;
+            configInputs.forEach(input => { input.disabled = true; });
         } else {
             statusIndicator.textContent = 'Using Keyword Matching';
             statusIndicator.className = 'status-indicator keyword-mode';
             configureLlmButton.style.display = 'inline-block';
             clearLlmButton.style.display = 'none';
-            openaiKeyInput.disabled = false;
+            configInputs.forEach(input => { input.disabled = false; });
         }
     }
 
+    // Remote agent endpoint
+    const agentUrlInput = document.getElementById('agent-url');
+    const connectAgentButton = document.getElementById('connect-agent');
+    const disconnectAgentButton = document.getElementById('disconnect-agent');
+
+    agentUrlInput.value = savedAgentUrl || '';
+    updateAgentStatus();
+
+    connectAgentButton.addEventListener('click', () => {
+        const url = agentUrlInput.value.trim();
+        if (!url) {
+            alert('Please enter the URL of an AG-UI agent endpoint');
+            return;
+        }
+
+        localStorage.setItem('agent-url', url);
+        disconnectRemoteAgent();
+        agent = createRemoteAgent(url);
+        updateAgentStatus();
+
+        agentUI.clear();
+        startNewConversation();
+        agentUI.renderEvent({
+            type: 'CUSTOM',
+            message: `🌐 Connected to remote agent at ${url}`
+        });
+    });
+
+    disconnectAgentButton.addEventListener('click', () => {
+        localStorage.removeItem('agent-url');
+        disconnectRemoteAgent();
+        agent = agentClient;
+        updateAgentStatus();
+
+        agentUI.clear();
+        startNewConversation();
+        agentUI.renderEvent({
+            type: 'CUSTOM',
+            message: '🔄 Switched back to the local agent'
+        });
+    });
+
+    function disconnectRemoteAgent() {
+        if (agent.disconnect) {
+            agent.disconnect();
+        }
+    }
+
+    function updateAgentStatus() {
+        const isRemote = agent !== agentClient;
+        agentUrlInput.disabled = isRemote;
+        connectAgentButton.style.display = isRemote ? 'none' : 'inline-block';
+        disconnectAgentButton.style.display = isRemote ? 'inline-block' : 'none';
+        updateLlmStatus(agentClient.llmClient.useRealLLM);
+    }
+
+    // Aborts the run in progress, if any
+    let runController = null;
+
+    // Dev mode (?dev in the URL) checks every run against the AG-UI protocol
+    // and shows violations in the Voice panel instead of failing the run
+    const devMode = new URLSearchParams(window.location.search).has('dev');
+
     async function processPrompt(prompt) {
-        if (prompt.trim()) {
+        if (prompt.trim() && !runController) {
             // Add user message to chat UI
             chatUI.addUserMessage(prompt);
             
             // Clear technical events for new conversation
             agentUI.clear();
+            setRunning(new AbortController());
             
-            // Process agent events (AgentUI will automatically add responses to ChatUI via callback)
-            const events = agentClient.processPrompt(prompt);
-            for await (const event of events) {
-                // Show technical events in AgentUI (which will trigger ChatUI updates automatically)
-                agentUI.renderEvent(event);
+            try {
+                // Process agent events (AgentUI will automatically add responses to ChatUI via callback)
+                let events = agent.processPrompt(prompt, { threadId, signal: runController.signal });
+                if (devMode) {
+                    events = verifyEvents(events, { mode: 'report', onViolation: violation => agentUI.renderViolation(violation) });
+                }
+                // Chunk events are expanded so the UI only deals with START/CONTENT/END
+                events = window.AGUI.expandChunks(events);
+                let runId = null;
+                for await (const event of events) {
+                    if (event.type === window.AGUI.EventType.RUN_STARTED) {
+                        runId = event.runId;
+                    }
+                    // Show technical events in AgentUI (which will trigger ChatUI updates automatically)
+                    agentUI.renderEvent(event);
+                    stateStore.applyEvent(event);
+                }
+                // Offer to undo what the run changed
+                if (runId && window.WebMCP.getUndoStack(runId).length > 0) {
+                    chatUI.addUndoButton(runId, () => rollback(signal => undoRunner.undoRun(runId, { threadId, signal })));
+                }
+            } finally {
+                setRunning(null);
             }
             
             userInput.value = '';
         }
     }
 
+    // Roll back agent actions. The rollback is a run of its own, so the Voice
+    // panel shows what was reverted.
+    async function rollback(startUndo) {
+        if (runController) {
+            return;
+        }
+        agentUI.clear();
+        setRunning(new AbortController());
+        try {
+            for await (const event of startUndo(runController.signal)) {
+                agentUI.renderEvent(event);
+            }
+        } finally {
+            setRunning(null);
+            // Reverts change the app's state outside any agent run
+            stateStore.resync();
+        }
+    }
+
+    const undoRunner = new UndoRunner(window.WebMCP, { threadStore: agentClient.threadStore });
+    const undoLastButton = document.getElementById('undo-last');
+    undoLastButton.addEventListener('click', () => rollback(signal => undoRunner.undoLast({ threadId, signal })));
+    window.WebMCP.onUndoChanged(last => {
+        undoLastButton.disabled = !last;
+        chatUI.updateUndoButtons(runId => window.WebMCP.getUndoStack(runId).length > 0);
+    });
+
+    // Swap Send for Stop while a run is in progress
+    function setRunning(controller) {
+        runController = controller;
+        sendButton.style.display = controller ? 'none' : 'inline-block';
+        stopButton.style.display = controller ? 'inline-block' : 'none';
+    }
+
+    stopButton.addEventListener('click', () => {
+        if (runController) {
+            runController.abort();
+        }
+    });
+
     // Handle send button click
     sendButton.addEventListener('click', async () => {
         await processPrompt(userInput.value);
@@ -115,10 +410,14 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     });
 
-    // Handle example prompt buttons
+    // Handle example prompt buttons. data-mcp-prompt names a registered
+    // WebMCP prompt template to fill in instead of a fixed prompt.
     document.querySelectorAll('.example-btn').forEach(button => {
         button.addEventListener('click', async () => {
-            const prompt = button.getAttribute('data-prompt');
+            const templateName = button.getAttribute('data-mcp-prompt');
+            const prompt = templateName
+                ? (await window.WebMCP.renderPrompt(templateName)).messages.map(message => message.content.text).join('\n')
+                : button.getAttribute('data-prompt');
             userInput.value = prompt;
             await processPrompt(prompt);
         });
@@ -142,6 +441,8 @@ class ChatUI {
     constructor(container) {
         this.container = container;
         this.messageHistory = [];
+        // Undo buttons of runs that still have actions to undo, keyed by runId
+        this.undoButtons = new Map();
     }
 
     addUserMessage(message) {
@@ -162,7 +463,24 @@ class ChatUI {
         this.renderMessage('agent', message);
     }
 
-    renderMessage(type, content) {
+    // Replace the chat with a thread's AG-UI messages. Tool messages and
+    // assistant turns that only called tools have nothing to show here.
+    loadMessages(messages) {
+        this.clear();
+        messages
+            .filter(message => (message.role === 'user' || message.role === 'assistant') && message.content)
+            .forEach(message => {
+                const entry = {
+                    type: message.role === 'user' ? 'user' : 'agent',
+                    content: message.content,
+                    timestamp: message.createdAt ? new Date(message.createdAt) : new Date()
+                };
+                this.messageHistory.push(entry);
+                this.renderMessage(entry.type, entry.content, entry.timestamp);
+            });
+    }
+
+    renderMessage(type, content, sentAt = new Date()) {
         const messageDiv = document.createElement('div');
         messageDiv.className = `chat-message ${type}-message`;
         
@@ -176,7 +494,7 @@ class ChatUI {
         
         const timestamp = document.createElement('div');
         timestamp.className = 'message-timestamp';
-        timestamp.textContent = new Date().toLocaleTimeString();
+        timestamp.textContent = sentAt.toLocaleTimeString();
         
         messageDiv.appendChild(avatar);
         messageDiv.appendChild(messageContent);
@@ -186,9 +504,33 @@ class ChatUI {
         this.container.scrollTop = this.container.scrollHeight;
     }
 
+    // A button under the run's last message that undoes what the run did
+    addUndoButton(runId, onUndo) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'chat-undo';
+        button.textContent = '↩️ Undo this run';
+        button.addEventListener('click', onUndo);
+        this.undoButtons.set(runId, button);
+        this.container.appendChild(button);
+        this.container.scrollTop = this.container.scrollHeight;
+    }
+
+    // Disable the buttons of runs with nothing left to undo
+    updateUndoButtons(canUndo) {
+        this.undoButtons.forEach((button, runId) => {
+            if (!canUndo(runId)) {
+                button.disabled = true;
+                button.textContent = '↩️ Undone';
+                this.undoButtons.delete(runId);
+            }
+        });
+    }
+
     clear() {
         this.container.innerHTML = '';
         this.messageHistory = [];
+        this.undoButtons.clear();
     }
 
     getHistory() {
@@ -196,12 +538,171 @@ class ChatUI {
     }
 }
 
+// Shows the audit log, newest entry first, with a chain check and a JSON Lines export
+class AuditPanel {
+    constructor(container, auditLog) {
+        this.container = container;
+        this.auditLog = auditLog;
+        this.list = container.querySelector('.audit-entries');
+        this.status = container.querySelector('.audit-status');
+        this.loaded = false;
+
+        container.querySelector('.audit-verify').addEventListener('click', () => this.verify());
+        container.querySelector('.audit-export').addEventListener('click', () => this.exportEntries());
+        // Entries appended while the stored ones load are drawn with them
+        auditLog.onAppend(entry => {
+            if (this.loaded) {
+                this.renderEntry(entry);
+            }
+        });
+        auditLog.ready().then(() => {
+            this.loaded = true;
+            auditLog.getEntries().forEach(entry => this.renderEntry(entry));
+        });
+    }
+
+    renderEntry(entry) {
+        const item = document.createElement('li');
+        item.className = `audit-entry ${entry.outcome === 'ok' ? 'audit-ok' : 'audit-error'}`;
+
+        const details = document.createElement('details');
+        const summary = document.createElement('summary');
+        const time = new Date(entry.timestamp).toLocaleString();
+        summary.textContent = `#${entry.seq} ${time} · ${entry.tool} · ${entry.owner} · ${entry.outcome === 'ok' ? '✅' : '❌'}`;
+        details.appendChild(summary);
+
+        const rows = [
+            ['Prompt', entry.prompt || '—'],
+            ['Thread / run', `${entry.threadId || '—'} / ${entry.runId || '—'}`],
+            ['Tool call', entry.undoOf ? `${entry.toolCallId || '—'} (undoes ${entry.undoOf})` : entry.toolCallId || '—'],
+            ['Arguments', JSON.stringify(entry.args)],
+            ['Before', JSON.stringify(entry.before)],
+            ['After', JSON.stringify(entry.after)],
+            entry.outcome === 'ok'
+                ? ['Result', JSON.stringify(entry.result)]
+                : ['Error', `${entry.error.message} (${entry.error.code})`],
+            ['Hash', `${entry.hash.slice(0, 16)}… (follows ${entry.prevHash.slice(0, 16)}…)`]
+        ];
+        rows.forEach(([label, value]) => {
+            const row = document.createElement('div');
+            row.className = 'audit-row';
+            const name = document.createElement('strong');
+            name.textContent = `${label}: `;
+            const text = document.createElement('span');
+            text.textContent = value;
+            row.appendChild(name);
+            row.appendChild(text);
+            details.appendChild(row);
+        });
+
+        item.appendChild(details);
+        this.list.insertBefore(item, this.list.firstChild);
+    }
+
+    async verify() {
+        try {
+            const check = await this.auditLog.verify();
+            this.status.textContent = check.valid
+                ? `✅ Chain intact (${check.count} entries)`
+                : `⚠️ Chain broken: ${check.reason}`;
+        } catch (error) {
+            this.status.textContent = `⚠️ Could not verify: ${error.message}`;
+        }
+    }
+
+    exportEntries() {
+        const blob = new Blob([this.auditLog.exportJSONLines()], { type: 'application/x-ndjson' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `audit-log-${new Date().toISOString().slice(0, 10)}.jsonl`;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 0);
+    }
+}
+
+class StrategyPanel {
+    constructor(container, strategies) {
+        this.strategies = strategies;
+        this.list = container.querySelector('.strategy-list');
+        this.form = container.querySelector('.strategy-form');
+        this.status = container.querySelector('.strategy-status');
+
+        this.form.addEventListener('submit', (event) => {
+            event.preventDefault();
+            this.save();
+        });
+        container.querySelector('.strategy-reset').addEventListener('click', () => {
+            strategies.reset();
+            this.status.textContent = 'Restored the built-in strategies';
+        });
+        strategies.onChange(() => this.render());
+        this.render();
+    }
+
+    render() {
+        this.list.innerHTML = '';
+        this.strategies.list().forEach(strategy => {
+            const item = document.createElement('li');
+            const text = document.createElement('span');
+            text.textContent = `${strategy.name}: ${StrategyPanel.formatAllocation(strategy.allocation)}` +
+                (strategy.description ? ` (${strategy.description})` : '');
+            const editButton = document.createElement('button');
+            editButton.type = 'button';
+            editButton.textContent = 'Edit';
+            editButton.addEventListener('click', () => {
+                this.form.elements.name.value = strategy.name;
+                this.form.elements.allocation.value = StrategyPanel.formatAllocation(strategy.allocation, false);
+                this.form.elements.description.value = strategy.description;
+            });
+            const removeButton = document.createElement('button');
+            removeButton.type = 'button';
+            removeButton.textContent = 'Remove';
+            removeButton.addEventListener('click', () => this.strategies.remove(strategy.name));
+            item.appendChild(text);
+            item.appendChild(editButton);
+            item.appendChild(removeButton);
+            this.list.appendChild(item);
+        });
+    }
+
+    save() {
+        const { name, allocation, description } = this.form.elements;
+        try {
+            const strategy = this.strategies.define(name.value, StrategyPanel.parseAllocation(allocation.value), description.value);
+            this.status.textContent = `Saved ${strategy.name}`;
+            this.form.reset();
+        } catch (error) {
+            this.status.textContent = `⚠️ ${error.message}`;
+        }
+    }
+
+    // "stocks 55, bonds 35, cash 10" (or "stocks: 55%") -> { stocks: 55, bonds: 35, cash: 10 }
+    static parseAllocation(text) {
+        const allocation = {};
+        text.split(',').map(part => part.trim()).filter(Boolean).forEach(part => {
+            const match = part.match(/^([A-Za-z][A-Za-z0-9_]*)\s*:?\s*(-?\d+(?:\.\d+)?)\s*%?$/);
+            allocation[match ? match[1] : part] = match ? parseFloat(match[2]) : NaN;
+        });
+        return allocation;
+    }
+
+    static formatAllocation(allocation, withPercent = true) {
+        return Object.entries(allocation)
+            .map(([assetClass, percentage]) => `${assetClass} ${percentage}${withPercent ? '%' : ''}`)
+            .join(', ');
+    }
+}
+
 class AgentUI {
-    constructor(container, onMessageComplete = null) {
+    constructor(container, onMessageComplete = null, onApprovalDecision = null, onMessagesSnapshot = null) {
         this.container = container;
         this.activeMessages = new Map();
         this.activeToolCalls = new Map();
+        this.streamingLines = new Map();
+        this.approvalCards = new Map();
         this.onMessageComplete = onMessageComplete;
+        this.onApprovalDecision = onApprovalDecision;
+        this.onMessagesSnapshot = onMessagesSnapshot;
     }
 
     renderEvent(event) {
@@ -220,6 +721,16 @@ class AgentUI {
                 className = 'event run-lifecycle';
                 break;
             
+            case window.AGUI.EventType.STEP_STARTED:
+                message = `🪜 Step started: ${event.stepName}`;
+                className = 'event step';
+                break;
+            
+            case window.AGUI.EventType.STEP_FINISHED:
+                message = `🏁 Step finished: ${event.stepName}`;
+                className = 'event step';
+                break;
+            
             case window.AGUI.EventType.TEXT_MESSAGE_START:
                 message = `💬 Starting message (ID: ${event.messageId})`;
                 className = 'event text-message';
@@ -230,7 +741,8 @@ class AgentUI {
                 const currentContent = this.activeMessages.get(event.messageId) || '';
                 const newContent = currentContent + event.delta;
                 this.activeMessages.set(event.messageId, newContent);
-                // Don't render individual content chunks, just accumulate them
+                // Grow a single line as tokens arrive rather than one line per chunk
+                this.renderStreamingText(event.messageId, newContent);
                 return;
             
             case window.AGUI.EventType.TEXT_MESSAGE_END:
@@ -244,6 +756,7 @@ class AgentUI {
                 }
                 
                 this.activeMessages.delete(event.messageId);
+                this.streamingLines.delete(event.messageId);
                 break;
             
             case window.AGUI.EventType.TOOL_CALL_START:
@@ -275,12 +788,69 @@ class AgentUI {
                 this.activeToolCalls.delete(event.toolCallId);
                 break;
             
+            case window.AGUI.EventType.TEXT_MESSAGE_CHUNK:
+                // Only reaches here if the stream wasn't passed through AGUI.expandChunks
+                message = `🧩 Message chunk${event.messageId ? ` (ID: ${event.messageId})` : ''}: "${event.delta || ''}"`;
+                className = 'event text-content';
+                break;
+            
+            case window.AGUI.EventType.TOOL_CALL_CHUNK:
+                message = `🧩 Tool call chunk${event.toolCallName ? `: ${event.toolCallName}` : ''}${event.toolCallId ? ` (ID: ${event.toolCallId})` : ''} ${event.delta || ''}`;
+                className = 'event tool-args';
+                break;
+            
+            case window.AGUI.EventType.STATE_SNAPSHOT:
+                message = `🧭 State snapshot: ${JSON.stringify(event.snapshot)}`;
+                className = 'event state';
+                break;
+            
+            case window.AGUI.EventType.STATE_DELTA:
+                message = `🔀 State delta: ${event.delta.map(operation => `${operation.op} ${operation.path}`).join(', ')}`;
+                className = 'event state';
+                break;
+            
+            case window.AGUI.EventType.RAW:
+                message = `📦 Raw event${event.source ? ` from ${event.source}` : ''}: ${JSON.stringify(event.event)}`;
+                className = 'event raw';
+                break;
+            
+            case window.AGUI.EventType.MESSAGES_SNAPSHOT:
+                message = `🗂️ Messages snapshot: ${event.messages.length} messages in thread`;
+                className = 'event snapshot';
+
+                if (this.onMessagesSnapshot) {
+                    this.onMessagesSnapshot(event.messages);
+                }
+                break;
+            
             case window.AGUI.EventType.RUN_ERROR:
-                message = `❌ Error: ${event.message}`;
+                if (event.code === 'CANCELLED') {
+                    message = `⏹️ ${event.message}`;
+                    // Nobody is waiting on open approval cards any more
+                    Array.from(this.approvalCards.keys()).forEach(interruptId => this.settleApprovalCard(interruptId, null));
+                } else {
+                    message = `❌ Error: ${event.message}`;
+                }
                 className = 'event error';
                 break;
             
             case 'CUSTOM':
+                if (event.name === window.AGUI.InterruptEventName.INTERRUPT) {
+                    this.renderApprovalCard(event.value);
+                    this.showVoiceActivity(event.type);
+                    return;
+                }
+                if (event.name === window.AGUI.InterruptEventName.INTERRUPT_RESOLVED) {
+                    this.settleApprovalCard(event.value.interruptId, event.value.approved);
+                    message = event.value.approved ? '👍 Action approved by user' : '🚫 Action denied by user';
+                    className = 'event custom';
+                    break;
+                }
+                if (event.name === window.AGUI.ToolProxyEventName.TOOL_REQUEST) {
+                    message = `🔁 Agent server asked the page to run ${event.value.toolCallName}`;
+                    className = 'event custom';
+                    break;
+                }
                 message = event.message || JSON.stringify(event);
                 className = 'event custom';
                 break;
@@ -291,8 +861,13 @@ class AgentUI {
         }
 
         // Add voice indicator prefix to emphasize this is the "Voice"
-        const voicePrefix = this.getVoicePrefix(event.type);
-        p.innerHTML = `<span class="voice-indicator">${voicePrefix}</span>${message}`;
+        // The message carries text from the model and remote agents, so it
+        // goes in as text, never as markup
+        const voiceIndicator = document.createElement('span');
+        voiceIndicator.className = 'voice-indicator';
+        voiceIndicator.textContent = this.getVoicePrefix(event.type);
+        p.appendChild(voiceIndicator);
+        p.appendChild(document.createTextNode(message));
         p.className = className;
         
         // Add speaking animation for text messages
@@ -307,12 +882,111 @@ class AgentUI {
         this.showVoiceActivity(event.type);
     }
 
+    // Show an AG-UI protocol violation found by the dev-mode EventVerifier
+    renderViolation(violation) {
+        const p = document.createElement('p');
+        p.className = 'event error';
+        p.textContent = `🚨 Protocol violation at event #${violation.index} (${violation.eventType}): ${violation.message}`;
+        this.container.appendChild(p);
+        this.container.scrollTop = this.container.scrollHeight;
+    }
+
+    // Show that the shared state copy diverged from the app's (or that
+    // fetching a fresh snapshot failed)
+    renderStateDivergence(error, resyncFailed = false) {
+        const p = document.createElement('p');
+        p.className = 'event error';
+        p.textContent = resyncFailed
+            ? `🧭 Could not fetch a fresh state snapshot: ${error.message}`
+            : `🧭 State diverged, fetching a fresh snapshot: ${error.message}`;
+        this.container.appendChild(p);
+        this.container.scrollTop = this.container.scrollHeight;
+    }
+
+    // Show the text of a message while it is still streaming in
+    renderStreamingText(messageId, content) {
+        let line = this.streamingLines.get(messageId);
+        if (!line) {
+            line = document.createElement('p');
+            line.className = 'event text-content';
+            line.innerHTML = `<span class="voice-indicator">${this.getVoicePrefix(window.AGUI.EventType.TEXT_MESSAGE_CONTENT)}</span><span class="stream-text"></span>`;
+            this.container.appendChild(line);
+            this.streamingLines.set(messageId, line);
+        }
+        line.querySelector('.stream-text').textContent = content;
+        this.container.scrollTop = this.container.scrollHeight;
+    }
+
+    // Show an approve/deny card for a tool call that needs human confirmation
+    renderApprovalCard(interrupt) {
+        const card = document.createElement('div');
+        card.className = 'approval-card';
+
+        const title = document.createElement('div');
+        title.className = 'approval-title';
+        title.textContent = `⚠️ Approval required: ${interrupt.toolCallName}`;
+
+        const description = document.createElement('div');
+        description.className = 'approval-description';
+        description.textContent = interrupt.description;
+
+        const args = document.createElement('pre');
+        args.className = 'approval-args';
+        args.textContent = JSON.stringify(interrupt.args, null, 2);
+
+        const actions = document.createElement('div');
+        actions.className = 'approval-actions';
+
+        const approveButton = document.createElement('button');
+        approveButton.className = 'approve-btn';
+        approveButton.textContent = 'Approve';
+
+        const denyButton = document.createElement('button');
+        denyButton.className = 'deny-btn';
+        denyButton.textContent = 'Deny';
+
+        const decide = (approved) => {
+            approveButton.disabled = true;
+            denyButton.disabled = true;
+            if (this.onApprovalDecision) {
+                this.onApprovalDecision(interrupt.interruptId, approved);
+            }
+        };
+        approveButton.addEventListener('click', () => decide(true));
+        denyButton.addEventListener('click', () => decide(false));
+
+        actions.appendChild(approveButton);
+        actions.appendChild(denyButton);
+        card.appendChild(title);
+        card.appendChild(description);
+        card.appendChild(args);
+        card.appendChild(actions);
+
+        this.approvalCards.set(interrupt.interruptId, card);
+        this.container.appendChild(card);
+        this.container.scrollTop = this.container.scrollHeight;
+    }
+
+    // approved is true or false once the user decided, or null if the run was cancelled first
+    settleApprovalCard(interruptId, approved) {
+        const card = this.approvalCards.get(interruptId);
+        if (!card) {
+            return;
+        }
+        card.classList.add(approved === null ? 'cancelled' : approved ? 'approved' : 'denied');
+        card.querySelectorAll('button').forEach(button => {
+            button.disabled = true;
+        });
+        this.approvalCards.delete(interruptId);
+    }
+
     getVoicePrefix(eventType) {
         switch (eventType) {
             case window.AGUI.EventType.RUN_STARTED:
             case window.AGUI.EventType.RUN_FINISHED:
                 return '🎤 ';
             case window.AGUI.EventType.TEXT_MESSAGE_START:
+            case window.AGUI.EventType.TEXT_MESSAGE_CONTENT:
             case window.AGUI.EventType.TEXT_MESSAGE_END:
                 return '💬 ';
             case window.AGUI.EventType.TOOL_CALL_START:
@@ -351,5 +1025,7 @@ class AgentUI {
         this.container.innerHTML = '';
         this.activeMessages.clear();
         this.activeToolCalls.clear();
+        this.streamingLines.clear();
+        this.approvalCards.clear();
     }
 }
\ No newline at end of file
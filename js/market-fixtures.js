@@ -0,0 +1,77 @@
+/**
+ * Market Fixtures
+ * Local market data for the demo account, served by FixturePriceSource
+ * (price-source.js) so the app works offline and gives the same numbers every
+ * time: the securities the app knows with their asset class, closing price and
+ * the similar fund tax-loss harvesting swaps them for, the security bought for
+ * each asset class when a rebalance needs one, and the household's accounts
+ * with their starting positions as tax lots (costBasis is the total paid).
+ */
+
+const MARKET_FIXTURES = {
+    asOf: '2025-06-30T20:00:00.000Z',
+    securities: {
+        VTI: { name: 'Vanguard Total Stock Market ETF', assetClass: 'stocks', price: 250.00, replacement: 'ITOT' },
+        ITOT: { name: 'iShares Core S&P Total U.S. Stock Market ETF', assetClass: 'stocks', price: 125.00, replacement: 'VTI' },
+        VXUS: { name: 'Vanguard Total International Stock ETF', assetClass: 'international', price: 62.50, replacement: 'IXUS' },
+        IXUS: { name: 'iShares Core MSCI Total International Stock ETF', assetClass: 'international', price: 70.00, replacement: 'VXUS' },
+        BND: { name: 'Vanguard Total Bond Market ETF', assetClass: 'bonds', price: 75.00, replacement: 'AGG' },
+        AGG: { name: 'iShares Core U.S. Aggregate Bond ETF', assetClass: 'bonds', price: 100.00, replacement: 'BND' },
+        VNQ: { name: 'Vanguard Real Estate ETF', assetClass: 'realEstate', price: 85.00, replacement: 'SCHH' },
+        SCHH: { name: 'Schwab U.S. REIT ETF', assetClass: 'realEstate', price: 21.00, replacement: 'VNQ' },
+        SPAXX: { name: 'Fidelity Government Money Market Fund', assetClass: 'cash', price: 1.00 }
+    },
+    // The security a rebalance buys for an asset class the account doesn't hold yet
+    coreSecurities: {
+        stocks: 'VTI',
+        international: 'VXUS',
+        bonds: 'BND',
+        realEstate: 'VNQ',
+        cash: 'SPAXX'
+    },
+    // $190,000 across three accounts, split 50 / 30 / 20 across stocks, bonds
+    // and cash for the household. The taxable account has long-term gains,
+    // a short-term VTI loss and a long-term BND loss to harvest.
+    accounts: [
+        {
+            id: 'brokerage',
+            name: 'Individual Brokerage',
+            type: 'taxable',
+            holdings: [
+                {
+                    ticker: 'VTI',
+                    lots: [
+                        { shares: 200, costBasis: 30000, acquired: '2019-03-15' },
+                        { shares: 60, costBasis: 16200, acquired: '2025-02-20' }
+                    ]
+                },
+                { ticker: 'BND', lots: [{ shares: 300, costBasis: 26400, acquired: '2021-08-10' }] },
+                { ticker: 'SPAXX', lots: [{ shares: 13000, costBasis: 13000, acquired: '2024-01-02' }] }
+            ]
+        },
+        {
+            id: 'rollover-ira',
+            name: 'Rollover IRA',
+            type: 'traditionalIra',
+            holdings: [
+                { ticker: 'VTI', lots: [{ shares: 80, costBasis: 14000, acquired: '2016-05-02' }] },
+                { ticker: 'BND', lots: [{ shares: 320, costBasis: 25600, acquired: '2020-01-10' }] },
+                { ticker: 'SPAXX', lots: [{ shares: 11000, costBasis: 11000, acquired: '2024-01-02' }] }
+            ]
+        },
+        {
+            id: 'roth-ira',
+            name: 'Roth IRA',
+            type: 'roth',
+            holdings: [
+                { ticker: 'VTI', lots: [{ shares: 40, costBasis: 6000, acquired: '2018-04-01' }] },
+                { ticker: 'BND', lots: [{ shares: 140, costBasis: 11200, acquired: '2020-06-01' }] },
+                { ticker: 'SPAXX', lots: [{ shares: 14000, costBasis: 14000, acquired: '2024-01-02' }] }
+            ]
+        }
+    ]
+};
+
+if (typeof window !== 'undefined') {
+    window.MARKET_FIXTURES = MARKET_FIXTURES;
+}
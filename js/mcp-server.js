@@ -0,0 +1,404 @@
+/**
+ * MCP Server
+ * Serves the page's WebMCP tools, resources and prompts as a Model Context
+ * Protocol server, speaking JSON-RPC 2.0, so browser extensions, parent frames
+ * or sidebar agents can discover and use them: initialize, ping, tools/list,
+ * tools/call, resources/list, resources/read, resources/subscribe,
+ * prompts/list and prompts/get, with notifications/cancelled from the client.
+ * Clients are sent notifications/{tools,resources,prompts}/list_changed when
+ * anything is registered or removed, and notifications/resources/updated for
+ * the resources they subscribed to.
+ *
+ * Two transports:
+ *   - a MessagePort, from connectPort() or by posting { type: 'mcp:connect' }
+ *     to the window with the port transferred
+ *   - window.postMessage itself, one session per source window
+ * Only origins in allowedOrigins are served (by default just our own).
+ */
+
+// Newest first; a client asking for anything else is offered the newest
+const MCP_PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+
+const JsonRpcErrorCode = {
+  PARSE_ERROR: -32700,
+  INVALID_REQUEST: -32600,
+  METHOD_NOT_FOUND: -32601,
+  INVALID_PARAMS: -32602,
+  INTERNAL_ERROR: -32603,
+  // MCP's code for resources/read of an unknown URI
+  RESOURCE_NOT_FOUND: -32002
+};
+
+// Becomes the error member of a JSON-RPC response
+class JsonRpcError extends Error {
+  constructor(code, message, data) {
+    super(message);
+    this.name = 'JsonRpcError';
+    this.code = code;
+    this.data = data;
+  }
+}
+
+class MCPServer {
+  // options.confirmToolCall({ name, description, args, annotations, origin }, { signal })
+  // resolves true to let a tool that requires confirmation run; without it
+  // such calls are refused. Each client gets a WebMCP session owned by its
+  // origin, limited by options.tools / options.scopes and idle for at most
+  // options.sessionTtlMs.
+  constructor(provider = window.WebMCP, options = {}) {
+    this.provider = provider;
+    this.serverInfo = {
+      name: options.name || 'webmcp-page',
+      version: options.version || '1.0.0'
+    };
+    this.allowedOrigins = options.allowedOrigins || [window.location.origin];
+    this.confirmToolCall = options.confirmToolCall || (() => Promise.resolve(false));
+    this.sessionConfig = { tools: options.tools, scopes: options.scopes, ttlMs: options.sessionTtlMs };
+    this.sessions = new Set();
+    // postMessage sessions, keyed by the client's window
+    this.windowSessions = new Map();
+    this.target = null;
+    this.onWindowMessage = this.onWindowMessage.bind(this);
+    const listChanged = method => () => this.sessions.forEach(session => session.notify(method));
+    this.unsubscribers = [
+      provider.onToolsChanged(listChanged('notifications/tools/list_changed')),
+      provider.onResourcesChanged(listChanged('notifications/resources/list_changed')),
+      provider.onPromptsChanged(listChanged('notifications/prompts/list_changed'))
+    ];
+  }
+
+  // Serve one client over a MessagePort
+  connectPort(port, origin = null) {
+    const session = new MCPSession(this, message => port.postMessage(message), origin, () => port.close());
+    port.onmessage = event => session.handle(event.data);
+    this.sessions.add(session);
+    return session;
+  }
+
+  // Serve clients that post JSON-RPC messages to target (normally window)
+  listen(target = window) {
+    this.target = target;
+    target.addEventListener('message', this.onWindowMessage);
+  }
+
+  onWindowMessage(event) {
+    if (!this.isAllowedOrigin(event.origin)) {
+      return;
+    }
+
+    const data = event.data;
+    if (data && data.type === 'mcp:connect' && event.ports && event.ports[0]) {
+      this.connectPort(event.ports[0], event.origin);
+      return;
+    }
+    // Not ours: other scripts post messages to the window too
+    if (!data || data.jsonrpc !== '2.0' || !event.source) {
+      return;
+    }
+
+    let session = this.windowSessions.get(event.source);
+    if (!session) {
+      const source = event.source;
+      // Sandboxed frames have an opaque origin that postMessage can't target
+      const targetOrigin = event.origin === 'null' ? '*' : event.origin;
+      session = new MCPSession(this, message => source.postMessage(message, targetOrigin), event.origin,
+        () => this.windowSessions.delete(source));
+      this.windowSessions.set(source, session);
+      this.sessions.add(session);
+    }
+    session.handle(data);
+  }
+
+  isAllowedOrigin(origin) {
+    return this.allowedOrigins.includes('*') || this.allowedOrigins.includes(origin);
+  }
+
+  // Stop serving: close every session and stop listening
+  close() {
+    this.unsubscribers.forEach(unsubscribe => unsubscribe());
+    if (this.target) {
+      this.target.removeEventListener('message', this.onWindowMessage);
+      this.target = null;
+    }
+    Array.from(this.sessions).forEach(session => session.close());
+  }
+}
+
+// One connected client. Nothing but ping is served before initialize.
+class MCPSession {
+  constructor(server, send, origin, onClose) {
+    this.server = server;
+    this.send = send;
+    this.origin = origin;
+    this.onClose = onClose;
+    this.protocolVersion = null;
+    // The WebMCP session the client's tool calls run in, opened by initialize
+    this.toolSessionId = null;
+    this.clientInfo = null;
+    // Tool calls in progress, keyed by request id
+    this.calls = new Map();
+    // Unsubscribe functions of the resources this client follows, keyed by URI
+    this.subscriptions = new Map();
+  }
+
+  async handle(message) {
+    if (typeof message === 'string') {
+      try {
+        message = JSON.parse(message);
+      } catch (error) {
+        this.respondError(null, new JsonRpcError(JsonRpcErrorCode.PARSE_ERROR, 'Parse error'));
+        return;
+      }
+    }
+
+    const isRequest = message && message.jsonrpc === '2.0' && typeof message.method === 'string';
+    const hasId = isRequest && (typeof message.id === 'string' || typeof message.id === 'number');
+    if (!isRequest) {
+      // Responses would be to requests we never send
+      if (!message || (message.result === undefined && message.error === undefined)) {
+        this.respondError(message && message.id !== undefined ? message.id : null,
+          new JsonRpcError(JsonRpcErrorCode.INVALID_REQUEST, 'Invalid Request'));
+      }
+      return;
+    }
+    if (!hasId) {
+      this.handleNotification(message.method, message.params || {});
+      return;
+    }
+
+    try {
+      const result = await this.dispatch(message.id, message.method, message.params || {});
+      // A cancelled request gets no response at all
+      if (result !== undefined) {
+        this.respond(message.id, result);
+      }
+    } catch (error) {
+      this.respondError(message.id, error instanceof JsonRpcError
+        ? error
+        : new JsonRpcError(JsonRpcErrorCode.INTERNAL_ERROR, error.message));
+    }
+  }
+
+  dispatch(id, method, params) {
+    if (method === 'ping') {
+      return {};
+    }
+    if (method === 'initialize') {
+      return this.initialize(params);
+    }
+    if (!this.protocolVersion) {
+      throw new JsonRpcError(JsonRpcErrorCode.INVALID_REQUEST, 'Server not initialized');
+    }
+
+    switch (method) {
+      case 'tools/list':
+        return { tools: this.server.provider.getSessionTools(this.liveToolSession().id).map(tool => WebMCPProvider.toMCPTool(tool)) };
+
+      case 'tools/call':
+        return this.callTool(id, params);
+
+      case 'resources/list':
+        return {
+          resources: this.server.provider.getResources().map(({ uri, name, description, mimeType }) =>
+            ({ uri, name, description, mimeType }))
+        };
+
+      case 'resources/templates/list':
+        return { resourceTemplates: [] };
+
+      case 'resources/read':
+        return this.readResource(params);
+
+      case 'resources/subscribe':
+        return this.subscribe(params);
+
+      case 'resources/unsubscribe':
+        this.unsubscribe(params.uri);
+        return {};
+
+      case 'prompts/list':
+        return {
+          prompts: this.server.provider.getPrompts().map(prompt => ({
+            name: prompt.name,
+            description: prompt.description,
+            arguments: prompt.arguments
+          }))
+        };
+
+      case 'prompts/get':
+        return this.getPrompt(params);
+
+      default:
+        throw new JsonRpcError(JsonRpcErrorCode.METHOD_NOT_FOUND, `Method not found: ${method}`);
+    }
+  }
+
+  handleNotification(method, params) {
+    if (method === 'notifications/cancelled') {
+      const controller = this.calls.get(params.requestId);
+      if (controller) {
+        controller.abort(new Error(params.reason || 'Cancelled by the client'));
+      }
+    }
+    // notifications/initialized and anything unknown need nothing from us
+  }
+
+  initialize(params) {
+    this.protocolVersion = MCP_PROTOCOL_VERSIONS.includes(params.protocolVersion)
+      ? params.protocolVersion
+      : MCP_PROTOCOL_VERSIONS[0];
+    this.clientInfo = params.clientInfo || null;
+    if (this.toolSessionId) {
+      this.server.provider.destroySession(this.toolSessionId);
+    }
+    this.toolSessionId = this.server.provider.createSession(null, {
+      owner: this.origin || 'mcp-client',
+      ...this.server.sessionConfig
+    }).id;
+    return {
+      protocolVersion: this.protocolVersion,
+      capabilities: {
+        tools: { listChanged: true },
+        resources: { subscribe: true, listChanged: true },
+        prompts: { listChanged: true }
+      },
+      serverInfo: this.server.serverInfo
+    };
+  }
+
+  // Unknown tools and bad arguments are protocol errors; anything that goes
+  // wrong once the tool runs is reported in the result with isError, so the
+  // client's model can see it
+  async callTool(id, params) {
+    const provider = this.server.provider;
+    const session = this.liveToolSession();
+    const name = params.name;
+    const args = params.arguments || {};
+    const tool = provider.getTool(name);
+    // Tools outside the session's scope aren't listed, so they don't exist for this client
+    if (!tool || !provider.isToolAllowed(session, tool)) {
+      throw new JsonRpcError(JsonRpcErrorCode.INVALID_PARAMS, `Unknown tool: ${name}`);
+    }
+    const inputErrors = provider.validateArgs(name, args);
+    if (inputErrors.length > 0) {
+      throw new JsonRpcError(JsonRpcErrorCode.INVALID_PARAMS, `Invalid arguments for tool ${name}`, { errors: inputErrors });
+    }
+
+    const controller = new AbortController();
+    this.calls.set(id, controller);
+    try {
+      if (provider.requiresConfirmation(name)) {
+        const approved = await this.server.confirmToolCall({
+          name,
+          description: tool.description,
+          args,
+          annotations: tool.annotations,
+          origin: this.origin
+        }, { signal: controller.signal });
+        if (controller.signal.aborted) {
+          return undefined;
+        }
+        if (!approved) {
+          return this.errorResult(`The user declined to run ${name}`);
+        }
+      }
+
+      const result = await provider.executeTool(name, args, {
+        signal: controller.signal,
+        sessionId: session.id,
+        toolCallId: `mcp:${id}`
+      });
+      return WebMCPProvider.toCallToolResult(result);
+    } catch (error) {
+      return controller.signal.aborted ? undefined : this.errorResult(error.message);
+    } finally {
+      this.calls.delete(id);
+    }
+  }
+
+  // An expired session ends the client's access to tools until it initializes again
+  liveToolSession() {
+    const session = this.server.provider.getSession(this.toolSessionId);
+    if (!session) {
+      throw new JsonRpcError(JsonRpcErrorCode.INVALID_REQUEST, 'Session expired, initialize again');
+    }
+    return session;
+  }
+
+  async readResource(params) {
+    if (!this.server.provider.getResource(params.uri)) {
+      throw new JsonRpcError(JsonRpcErrorCode.RESOURCE_NOT_FOUND, 'Resource not found', { uri: params.uri });
+    }
+    return { contents: [await this.server.provider.readResource(params.uri)] };
+  }
+
+  subscribe(params) {
+    if (!this.server.provider.getResource(params.uri)) {
+      throw new JsonRpcError(JsonRpcErrorCode.RESOURCE_NOT_FOUND, 'Resource not found', { uri: params.uri });
+    }
+    if (!this.subscriptions.has(params.uri)) {
+      this.subscriptions.set(params.uri, this.server.provider.subscribeResource(params.uri,
+        uri => this.notify('notifications/resources/updated', { uri })));
+    }
+    return {};
+  }
+
+  unsubscribe(uri) {
+    const unsubscribe = this.subscriptions.get(uri);
+    if (unsubscribe) {
+      unsubscribe();
+      this.subscriptions.delete(uri);
+    }
+  }
+
+  async getPrompt(params) {
+    if (!this.server.provider.getPrompt(params.name)) {
+      throw new JsonRpcError(JsonRpcErrorCode.INVALID_PARAMS, `Unknown prompt: ${params.name}`);
+    }
+    try {
+      return await this.server.provider.renderPrompt(params.name, params.arguments || {});
+    } catch (error) {
+      throw new JsonRpcError(JsonRpcErrorCode.INVALID_PARAMS, error.message);
+    }
+  }
+
+  errorResult(message) {
+    return { content: [{ type: 'text', text: message }], isError: true };
+  }
+
+  // Only initialized clients are told about changes
+  notify(method, params) {
+    if (this.protocolVersion) {
+      this.send(params ? { jsonrpc: '2.0', method, params } : { jsonrpc: '2.0', method });
+    }
+  }
+
+  respond(id, result) {
+    this.send({ jsonrpc: '2.0', id, result });
+  }
+
+  respondError(id, error) {
+    const body = { code: error.code, message: error.message };
+    if (error.data !== undefined) {
+      body.data = error.data;
+    }
+    this.send({ jsonrpc: '2.0', id, error: body });
+  }
+
+  close() {
+    this.calls.forEach(controller => controller.abort(new Error('MCP session closed')));
+    Array.from(this.subscriptions.keys()).forEach(uri => this.unsubscribe(uri));
+    if (this.toolSessionId) {
+      this.server.provider.destroySession(this.toolSessionId);
+    }
+    this.server.sessions.delete(this);
+    if (this.onClose) {
+      this.onClose();
+    }
+  }
+}
+
+if (typeof window !== 'undefined') {
+  window.JsonRpcError = JsonRpcError;
+  window.MCPServer = MCPServer;
+}
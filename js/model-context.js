@@ -0,0 +1,133 @@
+/**
+ * navigator.modelContext Polyfill
+ * The WebMCP browser proposal's page API, implemented on top of
+ * WebMCPProvider so apps written against the standard work unchanged:
+ *
+ *   navigator.modelContext.provideContext({ tools: [...] })
+ *   navigator.modelContext.registerTool({ name, description, inputSchema, annotations, execute })
+ *   navigator.modelContext.unregisterTool(name)
+ *   navigator.modelContext.clearContext()
+ *
+ * It maps both ways: tools registered here become WebMCP tools (so the agent
+ * and MCPServer see them), and every WebMCP tool, including the ones
+ * FidelityApp registers, is listed by listTools() in the standard shape and
+ * callable through callTool(). A 'toolschange' event fires when the set changes.
+ * A native navigator.modelContext is left alone.
+ */
+
+class ModelContext extends EventTarget {
+  constructor(provider = window.WebMCP) {
+    super();
+    this.provider = provider;
+    // Names registered through this API; only these can be unregistered here
+    this.ownTools = new Set();
+    // The subset that came from the last provideContext call
+    this.contextTools = new Set();
+    // WebMCP session for callTool callers that don't bring their own
+    this.toolSessionId = null;
+    provider.onToolsChanged(() => this.dispatchEvent(new Event('toolschange')));
+  }
+
+  // Replace the tools from the previous provideContext call with these.
+  // Tools added with registerTool are kept.
+  provideContext(context = {}) {
+    const tools = context.tools || [];
+    const names = new Set();
+    tools.forEach(tool => {
+      this.checkTool(tool);
+      if (names.has(tool.name) || (this.provider.getTool(tool.name) && !this.contextTools.has(tool.name))) {
+        throw new Error(`Tool '${tool.name}' is already registered`);
+      }
+      names.add(tool.name);
+    });
+    Array.from(this.contextTools).forEach(name => this.unregisterTool(name));
+    tools.forEach(tool => {
+      this.addTool(tool);
+      this.contextTools.add(tool.name);
+    });
+  }
+
+  // Add one tool; returns { unregister() }
+  registerTool(tool) {
+    this.checkTool(tool);
+    if (this.provider.getTool(tool.name)) {
+      throw new Error(`Tool '${tool.name}' is already registered`);
+    }
+    this.addTool(tool);
+    return { unregister: () => this.unregisterTool(tool.name) };
+  }
+
+  unregisterTool(name) {
+    if (!this.ownTools.has(name)) {
+      return;
+    }
+    this.ownTools.delete(name);
+    this.contextTools.delete(name);
+    this.provider.removeTool(name);
+  }
+
+  // Remove every tool registered through this API
+  clearContext() {
+    Array.from(this.ownTools).forEach(name => this.unregisterTool(name));
+  }
+
+  // All of the page's tools, in the standard shape
+  listTools() {
+    return this.provider.getTools().map(tool => WebMCPProvider.toMCPTool(tool));
+  }
+
+  // Run any of the page's tools and get an MCP CallToolResult back. Failures
+  // are reported in the result with isError, as an MCP server would.
+  // options.sessionId picks the WebMCP session; by default this API's own.
+  async callTool(name, args = {}, options = {}) {
+    try {
+      const sessionId = options.sessionId || this.ownSessionId();
+      const result = await this.provider.executeTool(name, args, { ...options, sessionId });
+      return WebMCPProvider.toCallToolResult(result);
+    } catch (error) {
+      return { content: [{ type: 'text', text: error.message }], isError: true };
+    }
+  }
+
+  ownSessionId() {
+    this.toolSessionId = this.provider.ensureSession(this.toolSessionId, { owner: 'navigator.modelContext' }).id;
+    return this.toolSessionId;
+  }
+
+  checkTool(tool) {
+    if (!tool || typeof tool.name !== 'string' || !tool.name || typeof tool.execute !== 'function') {
+      throw new TypeError('A tool needs a name and an execute function');
+    }
+  }
+
+  // Standard tools take (input, client) and return a CallToolResult; WebMCP
+  // tools take (args, { signal }) and return the plain result
+  addTool(tool) {
+    const client = {
+      // No separate agent UI to hand control to: the page already has the user
+      requestUserInteraction: callback => Promise.resolve().then(callback)
+    };
+    this.provider.registerTool(
+      tool.name,
+      tool.description || '',
+      async (args, { signal }) => WebMCPProvider.fromCallToolResult(await tool.execute(args, { ...client, signal })),
+      {
+        inputSchema: tool.inputSchema,
+        outputSchema: tool.outputSchema,
+        annotations: WebMCPProvider.fromMCPAnnotations(tool.annotations)
+      }
+    );
+    this.ownTools.add(tool.name);
+  }
+}
+
+if (typeof window !== 'undefined') {
+  window.ModelContext = ModelContext;
+  if (window.navigator && !('modelContext' in window.navigator) && window.WebMCP) {
+    Object.defineProperty(window.navigator, 'modelContext', {
+      value: new ModelContext(window.WebMCP),
+      configurable: true,
+      enumerable: true
+    });
+  }
+}
@@ -0,0 +1,35 @@
+/**
+ * Price Sources
+ * Where FidelityApp gets market prices. A price source is any object with
+ *
+ *   async getPrices(tickers) -> { prices: { [ticker]: number }, asOf: ISO timestamp }
+ *
+ * that rejects (code PRICE_UNAVAILABLE) when it can't price a ticker.
+ * FixturePriceSource serves the local fixtures in market-fixtures.js; pass
+ * another one, e.g. backed by a quotes API, as new FidelityApp(container, { priceSource }).
+ */
+
+class FixturePriceSource {
+    constructor(fixtures = MARKET_FIXTURES) {
+        this.name = 'fixtures';
+        this.fixtures = fixtures;
+    }
+
+    async getPrices(tickers) {
+        const prices = {};
+        tickers.forEach(ticker => {
+            const security = this.fixtures.securities[ticker];
+            if (!security) {
+                const error = new Error(`No price for ${ticker}`);
+                error.code = 'PRICE_UNAVAILABLE';
+                throw error;
+            }
+            prices[ticker] = security.price;
+        });
+        return { prices, asOf: this.fixtures.asOf };
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.FixturePriceSource = FixturePriceSource;
+}
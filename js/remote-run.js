@@ -0,0 +1,88 @@
+/**
+ * Remote Run
+ * Helpers for running the agent on behalf of a page that is somewhere else:
+ * the page sends a RunAgentInput, its WebMCP tools are only reachable through
+ * the transport, and the conversation it sent is the only history there is.
+ * Shared by the Node agent server and the in-page loopback server.
+ */
+
+// Stands in for window.WebMCP on the agent's side. The tool definitions come
+// from the RunAgentInput ({ name, description, parameters, annotations }) and
+// invoke(name, args, { signal, toolCallId }) carries each call to the page.
+class ProxyToolProvider {
+    constructor(tools, invoke) {
+        this.tools = new Map(tools.map(tool => [tool.name, {
+            name: tool.name,
+            description: tool.description || '',
+            inputSchema: tool.parameters || { type: 'object', properties: {} },
+            annotations: tool.annotations || {}
+        }]));
+        this.invoke = invoke;
+    }
+
+    getTools() {
+        return Array.from(this.tools.values());
+    }
+
+    getTool(name) {
+        return this.tools.get(name);
+    }
+
+    // Sessions are enforced on the page, where the tools run; this side
+    // only needs an id to carry
+    ensureSession(sessionId, config = {}) {
+        return { id: sessionId || 'session_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9), ...config };
+    }
+
+    requiresConfirmation(name) {
+        const tool = this.tools.get(name);
+        return Boolean(tool && (tool.annotations.requiresConfirmation || tool.annotations.destructive));
+    }
+
+    // Arguments are checked here too: the model's output is never trusted as is
+    async executeTool(name, args = {}, options = {}) {
+        const tool = this.tools.get(name);
+        if (!tool) {
+            throw new Error(`Tool '${name}' not found`);
+        }
+        const inputErrors = SchemaValidator.validate(tool.inputSchema, args);
+        if (inputErrors.length > 0) {
+            throw new ToolValidationError(name, 'input', inputErrors);
+        }
+        if (options.signal) {
+            options.signal.throwIfAborted();
+        }
+        return this.invoke(name, args, options);
+    }
+}
+
+// Why a RunAgentInput can't be run, or null when it can
+function runInputError(input) {
+    const messages = input && Array.isArray(input.messages) ? input.messages : [];
+    const lastMessage = messages[messages.length - 1];
+    if (!input || !input.threadId || !input.runId || !lastMessage || lastMessage.role !== 'user') {
+        return 'Expected a RunAgentInput with threadId, runId and messages ending in a user message';
+    }
+    return null;
+}
+
+// An AgentClient for one run. The client owns the conversation, so the agent
+// gets a throwaway thread seeded with everything before the new user message.
+function createRunAgent(input, toolProvider) {
+    const threadStore = new ThreadStore(null);
+    threadStore.setMessages(input.threadId, input.messages.slice(0, -1));
+    return new AgentClient(toolProvider.getTools(), toolProvider, { threadStore });
+}
+
+// The events of one run, using the prompt from the input's last message
+function processRunInput(agent, input, signal) {
+    const userMessage = input.messages[input.messages.length - 1];
+    return agent.processPrompt(userMessage.content, { threadId: input.threadId, runId: input.runId, signal });
+}
+
+if (typeof window !== 'undefined') {
+    window.ProxyToolProvider = ProxyToolProvider;
+    window.runInputError = runInputError;
+    window.createRunAgent = createRunAgent;
+    window.processRunInput = processRunInput;
+}
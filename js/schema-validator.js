@@ -0,0 +1,170 @@
+/**
+ * JSON Schema Validator
+ * Validates tool arguments and results against the subset of JSON Schema
+ * used by WebMCP tool contracts (type, enum, const, required, properties,
+ * additionalProperties, items, numeric ranges, string lengths and patterns)
+ */
+
+class SchemaValidator {
+  // Validate a value and return a list of { path, keyword, message } errors
+  static validate(schema, value, path = '$') {
+    const errors = [];
+    SchemaValidator.check(schema, value, path, errors);
+    return errors;
+  }
+
+  static check(schema, value, path, errors) {
+    if (!schema || typeof schema !== 'object') {
+      return;
+    }
+
+    if (schema.type !== undefined && !SchemaValidator.matchesType(schema.type, value)) {
+      const expected = Array.isArray(schema.type) ? schema.type.join(' | ') : schema.type;
+      errors.push({
+        path,
+        keyword: 'type',
+        message: `Expected ${expected} but received ${SchemaValidator.typeOf(value)}`
+      });
+      // Further keywords assume the right type, so stop here
+      return;
+    }
+
+    if (schema.enum && !schema.enum.some(option => SchemaValidator.equals(option, value))) {
+      errors.push({
+        path,
+        keyword: 'enum',
+        message: `Must be one of: ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`
+      });
+    }
+
+    if (schema.const !== undefined && !SchemaValidator.equals(schema.const, value)) {
+      errors.push({ path, keyword: 'const', message: `Must equal ${JSON.stringify(schema.const)}` });
+    }
+
+    if (typeof value === 'number') {
+      SchemaValidator.checkNumber(schema, value, path, errors);
+    } else if (typeof value === 'string') {
+      SchemaValidator.checkString(schema, value, path, errors);
+    } else if (Array.isArray(value)) {
+      SchemaValidator.checkArray(schema, value, path, errors);
+    } else if (value !== null && typeof value === 'object') {
+      SchemaValidator.checkObject(schema, value, path, errors);
+    }
+  }
+
+  static checkNumber(schema, value, path, errors) {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ path, keyword: 'minimum', message: `Must be >= ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ path, keyword: 'maximum', message: `Must be <= ${schema.maximum}` });
+    }
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      errors.push({ path, keyword: 'exclusiveMinimum', message: `Must be > ${schema.exclusiveMinimum}` });
+    }
+    if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+      errors.push({ path, keyword: 'exclusiveMaximum', message: `Must be < ${schema.exclusiveMaximum}` });
+    }
+  }
+
+  static checkString(schema, value, path, errors) {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ path, keyword: 'minLength', message: `Must be at least ${schema.minLength} characters` });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({ path, keyword: 'maxLength', message: `Must be at most ${schema.maxLength} characters` });
+    }
+    if (schema.pattern !== undefined && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ path, keyword: 'pattern', message: `Must match pattern ${schema.pattern}` });
+    }
+  }
+
+  static checkArray(schema, value, path, errors) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ path, keyword: 'minItems', message: `Must contain at least ${schema.minItems} items` });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ path, keyword: 'maxItems', message: `Must contain at most ${schema.maxItems} items` });
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        SchemaValidator.check(schema.items, item, `${path}[${index}]`, errors);
+      });
+    }
+  }
+
+  static checkObject(schema, value, path, errors) {
+    const properties = schema.properties || {};
+    // Own properties only: 'constructor' or 'toString' are not declared just
+    // because every object inherits them
+    const has = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+
+    for (const key of schema.required || []) {
+      if (!has(value, key) || value[key] === undefined) {
+        errors.push({ path: `${path}.${key}`, keyword: 'required', message: `Missing required property '${key}'` });
+      }
+    }
+
+    for (const [key, propertyValue] of Object.entries(value)) {
+      if (propertyValue === undefined) {
+        continue;
+      }
+      if (has(properties, key)) {
+        SchemaValidator.check(properties[key], propertyValue, `${path}.${key}`, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: `${path}.${key}`, keyword: 'additionalProperties', message: `Unexpected property '${key}'` });
+      } else if (typeof schema.additionalProperties === 'object') {
+        SchemaValidator.check(schema.additionalProperties, propertyValue, `${path}.${key}`, errors);
+      }
+    }
+  }
+
+  static matchesType(type, value) {
+    if (Array.isArray(type)) {
+      return type.some(option => SchemaValidator.matchesType(option, value));
+    }
+
+    switch (type) {
+      case 'object':
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+      case 'array':
+        return Array.isArray(value);
+      case 'integer':
+        return Number.isInteger(value);
+      case 'number':
+        return typeof value === 'number' && Number.isFinite(value);
+      case 'null':
+        return value === null;
+      default:
+        return typeof value === type;
+    }
+  }
+
+  static typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+  }
+
+  static equals(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
+}
+
+// Raised when tool arguments or results do not match the tool's schema
+class ToolValidationError extends Error {
+  constructor(toolName, phase, errors) {
+    const summary = errors.map(error => `${error.path}: ${error.message}`).join('; ');
+    super(`Invalid ${phase} for tool '${toolName}': ${summary}`);
+    this.name = 'ToolValidationError';
+    this.code = phase === 'input' ? 'INVALID_ARGUMENTS' : 'INVALID_RESULT';
+    this.toolName = toolName;
+    this.phase = phase;
+    this.errors = errors;
+  }
+}
+
+if (typeof window !== 'undefined') {
+  window.SchemaValidator = SchemaValidator;
+  window.ToolValidationError = ToolValidationError;
+}
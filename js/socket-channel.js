@@ -0,0 +1,319 @@
+/**
+ * Socket Channel
+ * Reliable, ordered messaging over a WebSocket (or anything shaped like one)
+ * that may drop and reconnect. Every message gets a sequence number and is
+ * kept until the peer acknowledges it; after a reconnect each side tells the
+ * other the last sequence number it received and the rest is sent again.
+ * At most windowSize messages may be unacknowledged, and a message is only
+ * acknowledged once its handler is done with it, so a slow reader holds the
+ * sender back instead of letting buffers grow.
+ *
+ * Wire messages are JSON text frames:
+ *   { kind: 'hello', sessionId, receivedSeq }              client -> server, on every connect
+ *   { kind: 'welcome', sessionId, receivedSeq, resumed }   server -> client
+ *   { kind: 'ack', seq }                                   either way
+ *   { seq, kind, runId, ... }                              sequenced, see SocketMessageKind
+ */
+
+const SocketMessageKind = {
+    HELLO: 'hello',
+    WELCOME: 'welcome',
+    ACK: 'ack',
+    // client -> server { runId, input }, input being a RunAgentInput
+    RUN: 'run',
+    // client -> server { runId }
+    CANCEL: 'cancel',
+    // client -> server { runId, interruptId, approved }
+    APPROVAL: 'approval',
+    // server -> client { runId, event }
+    EVENT: 'event',
+    // either way { runId, toolCallId, toolCallName, args }
+    TOOL_CALL: 'tool_call',
+    // either way { runId, toolCallId, result } or { runId, toolCallId, error: { message, code, errors } }
+    TOOL_RESULT: 'tool_result'
+};
+
+// WebSocket.OPEN
+const SOCKET_OPEN = 1;
+
+class SocketChannel {
+    // options.onMessage receives each sequenced message once and may return a
+    // promise; options.onControl receives hello / welcome
+    constructor(options = {}) {
+        this.windowSize = options.windowSize || 32;
+        this.onMessage = options.onMessage || (() => {});
+        this.onControl = options.onControl || (() => {});
+        this.socket = null;
+        this.reset();
+    }
+
+    // Forget all sequencing state, e.g. when the peer starts a fresh session
+    reset() {
+        this.sentSeq = 0;
+        this.receivedSeq = 0;
+        // Highest seq whose handler, and every earlier one's, has finished
+        this.handledSeq = 0;
+        this.handled = new Set();
+        // Sent but not yet acknowledged, oldest first: { seq, text }
+        this.unacked = [];
+        this.capacityWaiters = [];
+    }
+
+    // Start sending on socket. peerReceivedSeq is the last of our messages the
+    // peer already has; everything after it is sent again.
+    attach(socket, peerReceivedSeq = 0) {
+        this.socket = socket;
+        this.acknowledge(peerReceivedSeq);
+        for (const { text } of this.unacked) {
+            socket.send(text);
+        }
+    }
+
+    detach() {
+        this.socket = null;
+    }
+
+    get isOpen() {
+        return Boolean(this.socket && this.socket.readyState === SOCKET_OPEN);
+    }
+
+    // Send a sequenced message, window or not. Kept for resending until acknowledged.
+    send(payload) {
+        const seq = ++this.sentSeq;
+        const text = JSON.stringify({ ...payload, seq });
+        this.unacked.push({ seq, text });
+        if (this.isOpen) {
+            this.socket.send(text);
+        }
+        return seq;
+    }
+
+    // Send once the window has room. signal gives up the wait.
+    async sendWhenReady(payload, signal = null) {
+        while (this.unacked.length >= this.windowSize) {
+            await this.waitForCapacity(signal);
+        }
+        return this.send(payload);
+    }
+
+    waitForCapacity(signal) {
+        if (signal && signal.aborted) {
+            return Promise.reject(signal.reason);
+        }
+        return new Promise((resolve, reject) => {
+            const onAbort = () => reject(signal.reason);
+            if (signal) {
+                signal.addEventListener('abort', onAbort, { once: true });
+            }
+            this.capacityWaiters.push(() => {
+                if (signal) {
+                    signal.removeEventListener('abort', onAbort);
+                }
+                resolve();
+            });
+        });
+    }
+
+    // Feed in one text frame from the socket
+    receive(text) {
+        const message = JSON.parse(text);
+
+        if (message.kind === SocketMessageKind.ACK) {
+            this.acknowledge(message.seq);
+            return;
+        }
+        if (message.seq === undefined) {
+            this.onControl(message);
+            return;
+        }
+        if (message.seq <= this.receivedSeq) {
+            // Sent again after a reconnect, but we already have it
+            return;
+        }
+
+        this.receivedSeq = message.seq;
+        Promise.resolve()
+            .then(() => this.onMessage(message))
+            .catch(error => console.error(`Error handling ${message.kind} message:`, error))
+            .finally(() => this.markHandled(message.seq));
+    }
+
+    // Acknowledge in order: a message that finished early waits for the ones before it
+    markHandled(seq) {
+        this.handled.add(seq);
+        while (this.handled.delete(this.handledSeq + 1)) {
+            this.handledSeq++;
+        }
+        if (this.isOpen) {
+            this.socket.send(JSON.stringify({ kind: SocketMessageKind.ACK, seq: this.handledSeq }));
+        }
+    }
+
+    acknowledge(seq) {
+        this.unacked = this.unacked.filter(entry => entry.seq > seq);
+        while (this.unacked.length < this.windowSize && this.capacityWaiters.length > 0) {
+            this.capacityWaiters.shift()();
+        }
+    }
+}
+
+// Correlates tool calls and their results by toolCallId. call() asks the peer
+// to run a tool; handleCall() runs one the peer asked for on provider, with
+// the executeTool options options.callOptions(message) returns (at least the
+// WebMCP sessionId), once options.authorize(message) hasn't thrown.
+class SocketToolBridge {
+    constructor(channel, provider, options = {}) {
+        this.channel = channel;
+        this.provider = provider;
+        this.callOptions = options.callOptions || (() => ({}));
+        this.authorize = options.authorize || (() => {});
+        this.timeoutMs = options.timeoutMs || 60000;
+        // Calls the peer has yet to answer, keyed by toolCallId
+        this.pendingCalls = new Map();
+    }
+
+    call(runId, toolCallId, toolCallName, args, signal = null) {
+        if (signal && signal.aborted) {
+            return Promise.reject(signal.reason);
+        }
+
+        return new Promise((resolve, reject) => {
+            const settle = (callback, value) => {
+                clearTimeout(timer);
+                if (signal) {
+                    signal.removeEventListener('abort', onAbort);
+                }
+                this.pendingCalls.delete(toolCallId);
+                callback(value);
+            };
+            const onAbort = () => settle(reject, signal.reason);
+            const timer = setTimeout(() => {
+                const error = new Error(`No result for '${toolCallName}' within ${this.timeoutMs}ms`);
+                error.code = 'TOOL_TIMEOUT';
+                settle(reject, error);
+            }, this.timeoutMs);
+
+            if (signal) {
+                signal.addEventListener('abort', onAbort, { once: true });
+            }
+            this.pendingCalls.set(toolCallId, {
+                resolve: result => settle(resolve, result),
+                reject: error => settle(reject, error)
+            });
+            this.channel.send({ kind: SocketMessageKind.TOOL_CALL, runId, toolCallId, toolCallName, args });
+        });
+    }
+
+    async handleCall(message) {
+        const reply = { kind: SocketMessageKind.TOOL_RESULT, runId: message.runId, toolCallId: message.toolCallId };
+        try {
+            if (!this.provider) {
+                throw new Error('No tools are available on this side of the connection');
+            }
+            this.authorize(message);
+            reply.result = await this.provider.executeTool(message.toolCallName, message.args || {}, this.callOptions(message));
+        } catch (error) {
+            reply.error = { message: error.message, code: error.code || 'TOOL_ERROR', errors: error.errors };
+        }
+        this.channel.send(reply);
+    }
+
+    handleResult(message) {
+        const pending = this.pendingCalls.get(message.toolCallId);
+        if (!pending) {
+            return;
+        }
+        if (message.error) {
+            const error = new Error(message.error.message || 'Tool execution failed');
+            error.code = message.error.code || 'TOOL_ERROR';
+            if (message.error.errors) {
+                error.errors = message.error.errors;
+            }
+            pending.reject(error);
+        } else {
+            pending.resolve(message.result);
+        }
+    }
+
+    // The session is gone; nobody will answer these
+    rejectAll(error) {
+        for (const pending of Array.from(this.pendingCalls.values())) {
+            pending.reject(error);
+        }
+    }
+}
+
+// Async-iterable queue. push() resolves once a consumer has taken the item,
+// which is how the consumer's pace reaches the channel's acknowledgements.
+class AsyncQueue {
+    constructor() {
+        this.items = [];
+        this.readers = [];
+        this.done = false;
+        this.error = null;
+    }
+
+    push(value) {
+        return new Promise(taken => {
+            if (this.done) {
+                taken();
+            } else if (this.readers.length > 0) {
+                this.readers.shift().resolve({ value, done: false });
+                taken();
+            } else {
+                this.items.push({ value, taken });
+            }
+        });
+    }
+
+    end() {
+        this.finish(null);
+    }
+
+    fail(error) {
+        this.finish(error);
+    }
+
+    finish(error) {
+        if (this.done) {
+            return;
+        }
+        this.done = true;
+        this.error = error;
+        // Unread items will never be taken; let their senders move on
+        if (error) {
+            this.items.forEach(item => item.taken());
+            this.items = [];
+        }
+        for (const reader of this.readers.splice(0)) {
+            if (error) {
+                reader.reject(error);
+            } else {
+                reader.resolve({ value: undefined, done: true });
+            }
+        }
+    }
+
+    next() {
+        if (this.items.length > 0) {
+            const { value, taken } = this.items.shift();
+            taken();
+            return Promise.resolve({ value, done: false });
+        }
+        if (this.done) {
+            return this.error ? Promise.reject(this.error) : Promise.resolve({ value: undefined, done: true });
+        }
+        return new Promise((resolve, reject) => this.readers.push({ resolve, reject }));
+    }
+
+    [Symbol.asyncIterator]() {
+        return this;
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.SocketMessageKind = SocketMessageKind;
+    window.SocketChannel = SocketChannel;
+    window.SocketToolBridge = SocketToolBridge;
+    window.AsyncQueue = AsyncQueue;
+}
@@ -0,0 +1,120 @@
+/**
+ * State Store
+ * The client's copy of the agent's shared state document. STATE_SNAPSHOT
+ * events replace it and STATE_DELTA events patch it (RFC 6902, see
+ * json-patch.js). A delta that doesn't apply, including one whose test
+ * operations fail, means the copy has diverged from the agent's; the store
+ * then drops it and asks for a fresh snapshot through options.requestSnapshot
+ * rather than carrying on with state it can't trust.
+ */
+
+class StateStore {
+    constructor(options = {}) {
+        // Returns the agent's current state, or a STATE_SNAPSHOT event of it, possibly as a promise
+        this.requestSnapshot = options.requestSnapshot || null;
+        this.state = null;
+        // False until the first snapshot, and again from a divergence until the next one
+        this.inSync = false;
+        this.version = 0;
+        this.divergences = 0;
+        this.listeners = [];
+        this.resyncing = null;
+        // A divergence while a snapshot was on its way, which may predate it
+        this.resyncAgain = false;
+    }
+
+    // Copy of the current state, or null before the first snapshot
+    getState() {
+        return JsonPatch.clone(this.state);
+    }
+
+    // Feed any AG-UI event; returns true if it was a state event
+    applyEvent(event) {
+        if (event.type === window.AGUI.EventType.STATE_SNAPSHOT) {
+            this.applySnapshot(event.snapshot);
+            return true;
+        }
+        if (event.type === window.AGUI.EventType.STATE_DELTA) {
+            this.applyDelta(event.delta);
+            return true;
+        }
+        return false;
+    }
+
+    applySnapshot(snapshot) {
+        this.state = JsonPatch.clone(snapshot);
+        this.inSync = true;
+        this.version++;
+        this.notify({ type: 'snapshot' });
+    }
+
+    applyDelta(delta) {
+        if (!this.inSync) {
+            this.diverge(new JsonPatchError('No snapshot to apply the delta to', null, -1));
+            return;
+        }
+        try {
+            this.state = JsonPatch.apply(this.state, delta);
+        } catch (error) {
+            if (!(error instanceof JsonPatchError)) {
+                throw error;
+            }
+            this.diverge(error);
+            return;
+        }
+        this.version++;
+        this.notify({ type: 'delta', delta });
+    }
+
+    // The copy can't be trusted any more: ask for the agent's state again.
+    // Returns a promise that settles once the fresh snapshot is in (or failed).
+    diverge(error) {
+        this.inSync = false;
+        this.divergences++;
+        this.notify({ type: 'diverged', error });
+        return this.resync();
+    }
+
+    resync() {
+        if (!this.requestSnapshot) {
+            return Promise.resolve();
+        }
+        if (this.resyncing) {
+            this.resyncAgain = true;
+            return this.resyncing;
+        }
+        this.resyncing = Promise.resolve()
+            .then(() => this.requestSnapshot())
+            .then(response => {
+                const isEvent = response && response.type === window.AGUI.EventType.STATE_SNAPSHOT;
+                this.applySnapshot(isEvent ? response.snapshot : response);
+            })
+            .catch(resyncError => this.notify({ type: 'resync_failed', error: resyncError }))
+            .finally(() => {
+                this.resyncing = null;
+                if (this.resyncAgain) {
+                    this.resyncAgain = false;
+                    this.resync();
+                }
+            });
+        return this.resyncing;
+    }
+
+    // Call listener(state, change) after every change; change.type is
+    // 'snapshot', 'delta', 'diverged' or 'resync_failed'. Returns an unsubscribe function.
+    onChange(listener) {
+        this.listeners.push(listener);
+        return () => {
+            this.listeners = this.listeners.filter(entry => entry !== listener);
+        };
+    }
+
+    notify(change) {
+        const state = this.getState();
+        this.listeners.forEach(listener => listener(state, change));
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.StateStore = StateStore;
+}
@@ -0,0 +1,193 @@
+/**
+ * Strategy Registry
+ * Named target allocations that rebalancePortfolio can apply. Each strategy
+ * maps asset classes to percentages adding up to 100, any classes the user
+ * likes (e.g. { stocks: 55, bonds: 25, realEstate: 10, cash: 10 }). Starts
+ * with the three built-in strategies; the user can change or remove those and
+ * add their own, and the registry is persisted to localStorage.
+ */
+
+const DEFAULT_STRATEGIES = {
+    conservative: {
+        description: 'Preserve capital: mostly bonds and cash',
+        allocation: { stocks: 40, bonds: 40, cash: 20 }
+    },
+    moderate: {
+        description: 'Balanced growth and stability',
+        allocation: { stocks: 60, bonds: 30, cash: 10 }
+    },
+    aggressive: {
+        description: 'Long-term growth: mostly stocks',
+        allocation: { stocks: 70, bonds: 20, cash: 10 }
+    }
+};
+
+// Names every object already has a member for ('__proto__' fails the name pattern)
+const RESERVED_STRATEGY_NAMES = ['constructor', 'prototype'];
+
+class StrategyRegistry {
+    constructor(storage = (typeof localStorage !== 'undefined' ? localStorage : null), options = {}) {
+        this.storage = storage;
+        this.storageKey = options.storageKey || 'portfolio-strategies';
+        this.listeners = [];
+        this.strategies = this.load();
+    }
+
+    // All strategies, sorted by name
+    list() {
+        return Object.keys(this.strategies).sort().map(name => this.get(name));
+    }
+
+    // { name, description, allocation }, or null for an unknown name
+    get(name) {
+        const key = StrategyRegistry.normalizeName(name);
+        // Own names only: 'constructor' and the like are not strategies
+        if (!Object.prototype.hasOwnProperty.call(this.strategies, key)) {
+            return null;
+        }
+        const strategy = this.strategies[key];
+        return { name: key, description: strategy.description, allocation: { ...strategy.allocation } };
+    }
+
+    has(name) {
+        return this.get(name) !== null;
+    }
+
+    // Add a strategy or replace the one with that name. Throws (code
+    // INVALID_STRATEGY) for a bad name or an allocation that doesn't add up.
+    define(name, allocation, description = '') {
+        const key = StrategyRegistry.normalizeName(name);
+        const errors = StrategyRegistry.validateName(key).concat(StrategyRegistry.validateAllocation(allocation));
+        if (errors.length > 0) {
+            const error = new Error(`Invalid strategy '${name}': ${errors.map(entry => `${entry.path}: ${entry.message}`).join('; ')}`);
+            error.code = 'INVALID_STRATEGY';
+            error.errors = errors;
+            throw error;
+        }
+        this.strategies[key] = { description: String(description || ''), allocation: { ...allocation } };
+        this.save();
+        return this.get(key);
+    }
+
+    // Returns false if there was no such strategy
+    remove(name) {
+        const key = StrategyRegistry.normalizeName(name);
+        if (!this.has(key)) {
+            return false;
+        }
+        delete this.strategies[key];
+        this.save();
+        return true;
+    }
+
+    // Back to the built-in strategies only
+    reset() {
+        this.strategies = StrategyRegistry.defaults();
+        this.save();
+    }
+
+    // Call listener(strategies) after every change; returns an unsubscribe function
+    onChange(listener) {
+        this.listeners.push(listener);
+        return () => {
+            this.listeners = this.listeners.filter(entry => entry !== listener);
+        };
+    }
+
+    // The stored strategies, leaving out any that define() would refuse
+    load() {
+        if (this.storage) {
+            try {
+                const stored = this.storage.getItem(this.storageKey);
+                if (stored) {
+                    return StrategyRegistry.fromStored(JSON.parse(stored));
+                }
+            } catch (error) {
+                console.warn('Ignoring unreadable strategies, using the built-in ones:', error);
+            }
+        }
+        return StrategyRegistry.defaults();
+    }
+
+    save() {
+        if (this.storage) {
+            try {
+                this.storage.setItem(this.storageKey, JSON.stringify(this.strategies));
+            } catch (error) {
+                // Quota exceeded or storage disabled: keep the strategies in memory only
+                console.warn('Could not persist strategies:', error);
+            }
+        }
+        const strategies = this.list();
+        this.listeners.forEach(listener => listener(strategies));
+    }
+
+    static fromStored(stored) {
+        if (!stored || typeof stored !== 'object' || Array.isArray(stored)) {
+            throw new Error('Stored strategies must be an object of named strategies');
+        }
+        const strategies = {};
+        Object.keys(stored).forEach(name => {
+            const strategy = stored[name];
+            const allocation = strategy && typeof strategy === 'object' ? strategy.allocation : undefined;
+            const errors = StrategyRegistry.validateName(name).concat(StrategyRegistry.validateAllocation(allocation));
+            if (errors.length > 0) {
+                console.warn(`Ignoring stored strategy '${name}':`, errors.map(entry => `${entry.path}: ${entry.message}`).join('; '));
+                return;
+            }
+            strategies[name] = { description: String(strategy.description || ''), allocation: { ...allocation } };
+        });
+        return strategies;
+    }
+
+    static defaults() {
+        return JSON.parse(JSON.stringify(DEFAULT_STRATEGIES));
+    }
+
+    static normalizeName(name) {
+        return String(name || '').trim().toLowerCase();
+    }
+
+    static validateName(name) {
+        if (!/^[a-z][a-z0-9 _-]{0,39}$/.test(name)) {
+            return [{ path: '$.name', keyword: 'pattern', message: 'Must start with a letter and use only letters, digits, spaces, _ or - (40 at most)' }];
+        }
+        return RESERVED_STRATEGY_NAMES.includes(name)
+            ? [{ path: '$.name', keyword: 'not', message: `'${name}' is reserved` }]
+            : [];
+    }
+
+    // Check a { assetClass: percentage } allocation. Returns a list of
+    // { path, keyword, message } errors, like SchemaValidator.validate.
+    static validateAllocation(allocation) {
+        if (!allocation || typeof allocation !== 'object' || Array.isArray(allocation)) {
+            return [{ path: '$', keyword: 'type', message: 'Must be an object of asset class percentages' }];
+        }
+        const entries = Object.entries(allocation);
+        if (entries.length === 0) {
+            return [{ path: '$', keyword: 'minProperties', message: 'Must name at least one asset class' }];
+        }
+
+        const errors = [];
+        entries.forEach(([assetClass, percentage]) => {
+            if (!/^[A-Za-z][A-Za-z0-9_]*$/.test(assetClass)) {
+                errors.push({ path: `$.${assetClass}`, keyword: 'pattern', message: 'Asset classes are names like stocks or realEstate' });
+            }
+            if (typeof percentage !== 'number' || !Number.isFinite(percentage) || percentage < 0 || percentage > 100) {
+                errors.push({ path: `$.${assetClass}`, keyword: 'range', message: 'Must be a percentage from 0 to 100' });
+            }
+        });
+        if (errors.length === 0) {
+            const total = entries.reduce((sum, [, percentage]) => sum + percentage, 0);
+            // Allow for rounding in percentages like 33.33
+            if (Math.abs(total - 100) > 0.01) {
+                errors.push({ path: '$', keyword: 'sum', message: `Percentages must add up to 100, not ${Math.round(total * 100) / 100}` });
+            }
+        }
+        return errors;
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.StrategyRegistry = StrategyRegistry;
+}
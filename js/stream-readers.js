@@ -0,0 +1,86 @@
+/**
+ * Stream Readers
+ * Async iterators over a fetch Response body for the two framings used by
+ * streaming APIs: Server-Sent Events (text/event-stream) and newline-delimited JSON
+ */
+
+// Yield decoded text lines from a ReadableStream of bytes
+async function* readLines(body) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  try {
+    while (true) {
+      const { value, done } = await reader.read();
+      if (done) {
+        break;
+      }
+      buffer += decoder.decode(value, { stream: true });
+
+      let newlineIndex;
+      while ((newlineIndex = buffer.indexOf('\n')) !== -1) {
+        yield buffer.slice(0, newlineIndex).replace(/\r$/, '');
+        buffer = buffer.slice(newlineIndex + 1);
+      }
+    }
+
+    buffer += decoder.decode();
+    if (buffer.length > 0) {
+      yield buffer.replace(/\r$/, '');
+    }
+  } finally {
+    reader.releaseLock();
+  }
+}
+
+// Yield { event, data, id } for each Server-Sent Event in the body
+async function* readServerSentEvents(body) {
+  let event = null;
+  let id = null;
+  let dataLines = [];
+
+  for await (const line of readLines(body)) {
+    if (line === '') {
+      if (dataLines.length > 0) {
+        yield { event: event || 'message', data: dataLines.join('\n'), id };
+      }
+      event = null;
+      dataLines = [];
+      continue;
+    }
+    if (line.startsWith(':')) {
+      // Comment / keep-alive line
+      continue;
+    }
+
+    const colonIndex = line.indexOf(':');
+    const field = colonIndex === -1 ? line : line.slice(0, colonIndex);
+    const value = colonIndex === -1 ? '' : line.slice(colonIndex + 1).replace(/^ /, '');
+
+    if (field === 'data') {
+      dataLines.push(value);
+    } else if (field === 'event') {
+      event = value;
+    } else if (field === 'id') {
+      id = value;
+    }
+  }
+
+  if (dataLines.length > 0) {
+    yield { event: event || 'message', data: dataLines.join('\n'), id };
+  }
+}
+
+// Yield one parsed object per non-empty line of newline-delimited JSON
+async function* readJSONLines(body) {
+  for await (const line of readLines(body)) {
+    if (line.trim()) {
+      yield JSON.parse(line);
+    }
+  }
+}
+
+if (typeof window !== 'undefined') {
+  window.StreamReaders = { readLines, readServerSentEvents, readJSONLines };
+}
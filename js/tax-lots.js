@@ -0,0 +1,131 @@
+/**
+ * Tax Lots
+ * How the app's account types are taxed, and the lot arithmetic behind a sale
+ * in a taxable account: which lots it takes, the short- and long-term gains it
+ * realizes and the tax those are estimated to cost. A lot is
+ *
+ *   { shares, costBasis, acquired }   costBasis is the total paid, acquired a YYYY-MM-DD date
+ *
+ * Estimates use flat assumed rates (TAX_RATES); they are not tax advice.
+ */
+
+// Trades inside a tax-advantaged account realize nothing; in a taxable
+// account every sale realizes a gain or loss
+const ACCOUNT_TYPES = {
+    taxable: { label: 'Taxable', taxAdvantaged: false },
+    traditionalIra: { label: 'Traditional IRA', taxAdvantaged: true },
+    roth: { label: 'Roth IRA', taxAdvantaged: true }
+};
+
+// Assumed marginal rates: short-term gains are taxed as ordinary income
+const TAX_RATES = { shortTerm: 0.24, longTerm: 0.15 };
+
+// Buying a security this many days either side of selling it at a loss makes
+// the sale a wash sale, and the loss can't be claimed
+const WASH_SALE_DAYS = 30;
+
+class TaxLots {
+    // 'longTerm' for a lot held more than a year on date, else 'shortTerm'
+    static term(lot, date) {
+        const oneYearOn = new Date(lot.acquired);
+        oneYearOn.setUTCFullYear(oneYearOn.getUTCFullYear() + 1);
+        return new Date(date) > oneYearOn ? 'longTerm' : 'shortTerm';
+    }
+
+    // Gain (negative for a loss) if the lot's shares were sold at price
+    static unrealizedGain(lot, price) {
+        return lot.shares * price - lot.costBasis;
+    }
+
+    // Estimated tax per dollar of a sale of the lot at price, negative for a
+    // loss; comparable across securities
+    static taxPerDollar(lot, price, date, rates = TAX_RATES) {
+        return (1 - lot.costBasis / (lot.shares * price)) * rates[TaxLots.term(lot, date)];
+    }
+
+    // The lots in the order a sale should take them: the least tax per dollar
+    // first, so losses (short-term ones first, they offset income-rate gains)
+    // before long-term gains before short-term gains
+    static sellOrder(lots, price, date, rates = TAX_RATES) {
+        return lots.slice().sort((a, b) => TaxLots.taxPerDollar(a, price, date, rates) - TaxLots.taxPerDollar(b, price, date, rates));
+    }
+
+    // Sell shares at price from lots, in sellOrder. Returns the lots left and
+    // what was sold from each: { shares, costBasis, acquired, proceeds, gain, term }.
+    static sell(lots, shares, price, date, rates = TAX_RATES) {
+        const sold = [];
+        // What each lot gave up: { taken, costBasis }
+        const takenFrom = new Map();
+        let remaining = shares;
+        TaxLots.sellOrder(lots, price, date, rates).forEach(lot => {
+            if (remaining <= 0) {
+                return;
+            }
+            const taken = Math.min(lot.shares, remaining);
+            remaining = Math.round((remaining - taken) * 10000) / 10000;
+            const costBasis = Math.round(lot.costBasis * taken / lot.shares * 100) / 100;
+            const proceeds = Math.round(taken * price * 100) / 100;
+            sold.push({
+                shares: taken,
+                costBasis,
+                acquired: lot.acquired,
+                proceeds,
+                gain: Math.round((proceeds - costBasis) * 100) / 100,
+                term: TaxLots.term(lot, date)
+            });
+            takenFrom.set(lot, { taken, costBasis });
+        });
+        const left = lots
+            .map(lot => {
+                const entry = takenFrom.get(lot);
+                if (!entry) {
+                    return lot;
+                }
+                return {
+                    ...lot,
+                    shares: Math.round((lot.shares - entry.taken) * 10000) / 10000,
+                    costBasis: Math.round((lot.costBasis - entry.costBasis) * 100) / 100
+                };
+            })
+            .filter(lot => lot.shares > 0);
+        return { lots: left, sold };
+    }
+
+    // Tax on net short- and long-term gains. A net loss in one term offsets
+    // gains in the other; a net loss overall costs nothing (it carries forward,
+    // which the estimate leaves out).
+    static estimateTax(shortTermGain, longTermGain, rates = TAX_RATES) {
+        let shortTerm = shortTermGain;
+        let longTerm = longTermGain;
+        if (shortTerm < 0 && longTerm > 0) {
+            longTerm = Math.max(0, longTerm + shortTerm);
+            shortTerm = 0;
+        } else if (longTerm < 0 && shortTerm > 0) {
+            shortTerm = Math.max(0, shortTerm + longTerm);
+            longTerm = 0;
+        }
+        const tax = Math.max(0, shortTerm) * rates.shortTerm + Math.max(0, longTerm) * rates.longTerm;
+        return Math.round(tax * 100) / 100;
+    }
+
+    // Whole days from one YYYY-MM-DD date to another
+    static daysBetween(from, to) {
+        return Math.round((new Date(to) - new Date(from)) / 86400000);
+    }
+
+    // One line for a plan's taxImpact, e.g. "Estimated tax: $150.00 on
+    // $2,000.00 of long-term gains and $1,000.00 of short-term losses, $1,000.00 of losses harvested"
+    static describe(taxImpact) {
+        const money = amount => '$' + Math.abs(amount).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+        const realized = [['short-term', taxImpact.shortTermGain], ['long-term', taxImpact.longTermGain]]
+            .filter(([, gain]) => gain !== 0)
+            .map(([term, gain]) => `${money(gain)} of ${term} ${gain < 0 ? 'losses' : 'gains'}`);
+        const harvested = taxImpact.harvestedLosses > 0 ? `, ${money(taxImpact.harvestedLosses)} of losses harvested` : '';
+        return `Estimated tax: ${money(taxImpact.estimatedTax)}` +
+            (realized.length > 0 ? ` on ${realized.join(' and ')}` : ', no gains or losses realized') + harvested;
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.TaxLots = TaxLots;
+}
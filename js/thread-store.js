@@ -0,0 +1,101 @@
+/**
+ * Thread Store
+ * Conversation memory keyed by threadId. Each thread holds the AG-UI messages
+ * ({ id, role, content, toolCalls, toolCallId }) exchanged so far, including
+ * tool calls and their results, and is persisted to localStorage so it
+ * survives a page reload.
+ */
+
+class ThreadStore {
+    constructor(storage = (typeof localStorage !== 'undefined' ? localStorage : null), options = {}) {
+        this.storage = storage;
+        this.keyPrefix = options.keyPrefix || 'agui-thread:';
+        this.threads = new Map();
+    }
+
+    createThread() {
+        const threadId = 'thread_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+        this.threads.set(threadId, { threadId, updatedAt: new Date().toISOString(), messages: [] });
+        return threadId;
+    }
+
+    hasThread(threadId) {
+        return this.load(threadId) !== null;
+    }
+
+    // Copy of the thread's messages in conversation order
+    getMessages(threadId) {
+        const thread = this.load(threadId);
+        return thread ? thread.messages.map(message => ({ ...message })) : [];
+    }
+
+    // Add messages to the end of a thread, creating it if needed.
+    // Messages are stamped with createdAt so restored conversations keep their times.
+    appendMessages(threadId, messages) {
+        const thread = this.load(threadId) || { threadId, messages: [] };
+        const now = new Date().toISOString();
+        thread.messages.push(...messages.map(message => ({ createdAt: now, ...message })));
+        thread.updatedAt = now;
+        this.threads.set(threadId, thread);
+        this.save(thread);
+        return this.getMessages(threadId);
+    }
+
+    // Replace a thread's messages, e.g. with a MESSAGES_SNAPSHOT from a remote agent
+    setMessages(threadId, messages) {
+        const now = new Date().toISOString();
+        const thread = {
+            threadId,
+            updatedAt: now,
+            messages: messages.map(message => ({ createdAt: now, ...message }))
+        };
+        this.threads.set(threadId, thread);
+        this.save(thread);
+        return this.getMessages(threadId);
+    }
+
+    deleteThread(threadId) {
+        this.threads.delete(threadId);
+        if (this.storage) {
+            this.storage.removeItem(this.keyPrefix + threadId);
+        }
+    }
+
+    load(threadId) {
+        if (this.threads.has(threadId)) {
+            return this.threads.get(threadId);
+        }
+        if (!this.storage || !threadId) {
+            return null;
+        }
+
+        try {
+            const stored = this.storage.getItem(this.keyPrefix + threadId);
+            if (!stored) {
+                return null;
+            }
+            const thread = JSON.parse(stored);
+            this.threads.set(threadId, thread);
+            return thread;
+        } catch (error) {
+            console.warn(`Ignoring unreadable thread ${threadId}:`, error);
+            return null;
+        }
+    }
+
+    save(thread) {
+        if (!this.storage) {
+            return;
+        }
+        try {
+            this.storage.setItem(this.keyPrefix + thread.threadId, JSON.stringify(thread));
+        } catch (error) {
+            // Quota exceeded or storage disabled: keep the thread in memory only
+            console.warn(`Could not persist thread ${thread.threadId}:`, error);
+        }
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.ThreadStore = ThreadStore;
+}
@@ -0,0 +1,111 @@
+/**
+ * Undo Runner
+ * Undoes agent actions recorded in WebMCPProvider's undo stacks and streams
+ * the rollback as an AG-UI run of its own, so the Voice panel shows what was
+ * reverted: each reverted action is a tool call whose result is the
+ * compensation's, followed by a message summing it up. The summary is also
+ * added to the thread, so the model knows about the rollback on its next turn.
+ *
+ * Tools run on the page whichever agent made the calls, so this works the
+ * same behind AgentClient, HttpAgent and WebSocketAgent.
+ */
+
+class UndoRunner {
+    constructor(provider = window.WebMCP, options = {}) {
+        this.provider = provider;
+        this.threadStore = options.threadStore || null;
+        // Undo is the user's doing, so it runs in a session of the user's own
+        this.sessionConfig = { owner: 'user', ...options.session };
+        this.sessionId = null;
+    }
+
+    // Undo the most recent agent action of any run
+    async *undoLast(options = {}) {
+        const last = this.provider.getLastUndoable();
+        yield* this.rollback(last ? [last] : [], options);
+    }
+
+    // Undo every action of a run, newest first. The run's actions must be the
+    // newest ones, or the first revert fails with UNDO_CONFLICT.
+    async *undoRun(runId, options = {}) {
+        yield* this.rollback(this.provider.getUndoStack(runId).reverse(), options);
+    }
+
+    async *rollback(records, options = {}) {
+        const threadId = options.threadId || (records[0] && records[0].threadId) || 'undo';
+        const runId = 'run_undo_' + Date.now();
+        const signal = options.signal || null;
+        const reverted = [];
+
+        yield new window.AGUI.RunStartedEvent(threadId, runId);
+        try {
+            if (records.length === 0) {
+                const error = new Error('There is no agent action to undo');
+                error.code = 'UNDO_NOT_FOUND';
+                throw error;
+            }
+
+            yield new window.AGUI.StepStartedEvent('rollback');
+            for (const record of records) {
+                // Fail before announcing a call that can't be made
+                this.provider.assertUndoable(record.id);
+                const toolCallId = `undo_${record.toolCallId || record.id}`;
+                yield new window.AGUI.ToolCallStartEvent(toolCallId, record.toolName);
+                yield new window.AGUI.ToolCallArgsEvent(toolCallId, JSON.stringify(record.args));
+                yield new window.AGUI.ToolCallEndEvent(toolCallId);
+
+                const result = await this.provider.revertAction(record.id, {
+                    signal,
+                    sessionId: this.ownSessionId(),
+                    threadId,
+                    runId,
+                    toolCallId
+                });
+                reverted.push(record);
+                yield new window.AGUI.ToolCallResultEvent(this.generateId('msg'), toolCallId,
+                    JSON.stringify({ undone: record.toolCallId, result: result === undefined ? null : result }));
+            }
+            yield new window.AGUI.StepFinishedEvent('rollback');
+        } catch (error) {
+            const cancelled = Boolean(signal && signal.aborted);
+            yield* this.summarize(threadId, reverted);
+            yield new window.AGUI.RunErrorEvent(cancelled ? 'Undo cancelled by user' : error.message,
+                cancelled ? 'CANCELLED' : error.code || 'UNDO_FAILED');
+            yield new window.AGUI.RunFinishedEvent(threadId, runId, cancelled ? 'cancelled' : 'error');
+            return;
+        }
+
+        yield* this.summarize(threadId, reverted);
+        yield new window.AGUI.RunFinishedEvent(threadId, runId, 'completed');
+    }
+
+    // Tell the user, and the thread, what was reverted
+    async *summarize(threadId, reverted) {
+        if (reverted.length === 0) {
+            return;
+        }
+        const text = 'Undone: ' + reverted
+            .map(record => `${record.toolName}(${JSON.stringify(record.args)})`)
+            .join(', ') + '.';
+        const messageId = this.generateId('msg');
+        yield new window.AGUI.TextMessageStartEvent(messageId, 'assistant');
+        yield new window.AGUI.TextMessageContentEvent(messageId, text);
+        yield new window.AGUI.TextMessageEndEvent(messageId);
+        if (this.threadStore && this.threadStore.hasThread(threadId)) {
+            this.threadStore.appendMessages(threadId, [{ id: messageId, role: 'assistant', content: text }]);
+        }
+    }
+
+    ownSessionId() {
+        this.sessionId = this.provider.ensureSession(this.sessionId, this.sessionConfig).id;
+        return this.sessionId;
+    }
+
+    generateId(prefix) {
+        return `${prefix}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.UndoRunner = UndoRunner;
+}
@@ -0,0 +1,298 @@
+/**
+ * WebMCP Middleware
+ * Ready-made middlewares for WebMCP.use(): timing, structured logging, retry
+ * with backoff for idempotent tools, result caching for readOnly tools and
+ * argument sanitization. Each factory returns a plain { name, before, after,
+ * error } object, so a middleware can be exercised on its own by calling its
+ * hooks with a context.
+ *
+ *   WebMCP.use(WebMCPMiddleware.sanitizeArgs());
+ *   WebMCP.use(WebMCPMiddleware.logging());
+ *   WebMCP.use(WebMCPMiddleware.cache({ ttlMs: 5000 }));
+ *   WebMCP.use(WebMCPMiddleware.retry({ retries: 2 }));
+ */
+
+// Argument keys whose values never reach a log
+const DEFAULT_REDACTED_KEYS = ['password', 'apiKey', 'token', 'secret', 'ssn', 'accountNumber'];
+
+// Keys never copied from arguments: assigning them would change the copy's
+// prototype instead of adding a property
+const UNSAFE_KEYS = ['__proto__', 'constructor', 'prototype'];
+
+// Control characters other than tab and newline
+const CONTROL_CHARACTERS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F]/g;
+
+const WebMCPMiddleware = {
+  // Per-tool call statistics in stats ({ calls, failures, totalMs, maxMs });
+  // each call's duration also goes in context.meta.durationMs
+  timing(options = {}) {
+    const now = options.now || (() => Date.now());
+    const stats = new Map();
+    const record = (context, failed) => {
+      const durationMs = now() - context.meta.timingStartedAt;
+      context.meta.durationMs = durationMs;
+      const entry = stats.get(context.toolName) || { calls: 0, failures: 0, totalMs: 0, maxMs: 0 };
+      entry.calls++;
+      entry.failures += failed ? 1 : 0;
+      entry.totalMs += durationMs;
+      entry.maxMs = Math.max(entry.maxMs, durationMs);
+      stats.set(context.toolName, entry);
+    };
+
+    return {
+      name: 'timing',
+      stats,
+      before(context) {
+        context.meta.timingStartedAt = now();
+      },
+      after(context) {
+        record(context, false);
+      },
+      error(context, error) {
+        record(context, true);
+        throw error;
+      }
+    };
+  },
+
+  // One structured entry per call: logger.info on success, logger.warn on
+  // failure. Values of options.redact keys are replaced, at any depth.
+  logging(options = {}) {
+    const logger = options.logger || console;
+    const redactKeys = (options.redact || DEFAULT_REDACTED_KEYS).map(key => key.toLowerCase());
+    const now = options.now || (() => Date.now());
+    const entryFor = (context, outcome) => ({
+      event: 'tool_call',
+      tool: context.toolName,
+      sessionId: context.session.id,
+      owner: context.session.owner,
+      args: redactArgs(context.args, redactKeys),
+      outcome,
+      durationMs: now() - context.meta.loggingStartedAt,
+      attempts: context.meta.attempts || 1,
+      cacheHit: Boolean(context.meta.cacheHit)
+    });
+
+    return {
+      name: 'logging',
+      before(context) {
+        context.meta.loggingStartedAt = now();
+      },
+      after(context) {
+        logger.info(entryFor(context, 'ok'));
+      },
+      error(context, error) {
+        logger.warn({ ...entryFor(context, 'error'), error: error.message, code: error.code || 'TOOL_ERROR' });
+        throw error;
+      }
+    };
+  },
+
+  // Run a failed idempotent tool again, waiting baseDelayMs, then twice that,
+  // and so on up to maxDelayMs. Tools that are destructive or need the user's
+  // confirmation are never retried, and neither are cancellation, access,
+  // validation and timeout errors: a timed-out execute may still be running.
+  // options.shouldRetry(error, context) can narrow it further.
+  retry(options = {}) {
+    const retries = options.retries === undefined ? 2 : options.retries;
+    const baseDelayMs = options.baseDelayMs || 200;
+    const maxDelayMs = options.maxDelayMs || 2000;
+    const shouldRetry = options.shouldRetry || (() => true);
+    const retryableTool = ({ annotations }) => annotations.idempotent && !annotations.destructive && !annotations.requiresConfirmation;
+    const retryable = (error, context) => !(context.signal && context.signal.aborted) &&
+      !(error instanceof ToolTimeoutError) &&
+      !(error instanceof ToolValidationError) &&
+      !(error instanceof ToolAccessError) &&
+      shouldRetry(error, context);
+
+    return {
+      name: 'retry',
+      async error(context, error, retry) {
+        if (!retryableTool(context.tool) || !retryable(error, context)) {
+          throw error;
+        }
+        let lastError = error;
+        for (let attempt = 1; attempt <= retries; attempt++) {
+          await waitOrAbort(Math.min(baseDelayMs * 2 ** (attempt - 1), maxDelayMs), context.signal);
+          context.meta.attempts = attempt + 1;
+          try {
+            return await retry();
+          } catch (retryError) {
+            lastError = retryError;
+            if (!retryable(retryError, context)) {
+              break;
+            }
+          }
+        }
+        throw lastError;
+      }
+    };
+  },
+
+  // Answer repeated calls to readOnly tools with the same arguments in the
+  // same session from a cache for ttlMs. Any successful call to a tool that
+  // isn't readOnly may have changed what they return, so it empties the cache;
+  // so does clear(), and clearOnResourceUpdates(provider) calls it whenever
+  // one of the provider's resources changes, however it changed. Callers get
+  // their own copy of a cached result.
+  cache(options = {}) {
+    const ttlMs = options.ttlMs || 5000;
+    const maxEntries = options.maxEntries || 100;
+    const now = options.now || (() => Date.now());
+    const entries = new Map();
+    const keyFor = context => `${context.session.id}:${context.toolName}:${stableStringify(context.args)}`;
+    const clear = () => entries.clear();
+
+    return {
+      name: 'cache',
+      entries,
+      clear,
+      // Returns a function that stops watching
+      clearOnResourceUpdates(provider) {
+        const unsubscribes = new Map();
+        const watch = resources => resources.forEach(({ uri }) => {
+          if (!unsubscribes.has(uri)) {
+            unsubscribes.set(uri, provider.subscribeResource(uri, clear));
+          }
+        });
+        watch(provider.getResources());
+        const stopWatching = provider.onResourcesChanged(watch);
+        return () => {
+          stopWatching();
+          unsubscribes.forEach(unsubscribe => unsubscribe());
+          unsubscribes.clear();
+        };
+      },
+      before(context) {
+        if (!context.tool.annotations.readOnly) {
+          return undefined;
+        }
+        const entry = entries.get(keyFor(context));
+        if (!entry || entry.expiresAt <= now()) {
+          return undefined;
+        }
+        context.meta.cacheHit = true;
+        return cloneResult(entry.value);
+      },
+      after(context, result) {
+        if (!context.tool.annotations.readOnly) {
+          entries.clear();
+        } else if (!context.meta.cacheHit) {
+          entries.delete(keyFor(context));
+          entries.set(keyFor(context), { value: cloneResult(result), expiresAt: now() + ttlMs });
+          // Maps keep insertion order, so the first key is the oldest
+          while (entries.size > maxEntries) {
+            entries.delete(entries.keys().next().value);
+          }
+        }
+      }
+    };
+  },
+
+  // Clean up arguments before they are validated: trim strings, drop control
+  // characters and drop properties a schema with additionalProperties: false
+  // doesn't declare, instead of rejecting the call over them
+  sanitizeArgs(options = {}) {
+    const settings = {
+      trimStrings: options.trimStrings !== false,
+      stripControlCharacters: options.stripControlCharacters !== false,
+      stripUnknown: options.stripUnknown !== false
+    };
+
+    return {
+      name: 'sanitizeArgs',
+      before(context) {
+        context.args = sanitizeToolArgs(context.tool.inputSchema, context.args, settings);
+      }
+    };
+  }
+};
+
+function sanitizeToolArgs(schema, value, settings) {
+  schema = schema || {};
+  if (typeof value === 'string') {
+    const text = settings.stripControlCharacters ? value.replace(CONTROL_CHARACTERS, '') : value;
+    return settings.trimStrings ? text.trim() : text;
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => sanitizeToolArgs(schema.items, item, settings));
+  }
+  if (value && typeof value === 'object') {
+    const properties = schema.properties || {};
+    const sanitized = {};
+    Object.entries(value).forEach(([key, item]) => {
+      const declared = Object.prototype.hasOwnProperty.call(properties, key);
+      if (UNSAFE_KEYS.includes(key) || (settings.stripUnknown && schema.additionalProperties === false && !declared)) {
+        return;
+      }
+      sanitized[key] = sanitizeToolArgs(declared ? properties[key] : undefined, item, settings);
+    });
+    return sanitized;
+  }
+  return value;
+}
+
+function redactArgs(value, keys) {
+  if (Array.isArray(value)) {
+    return value.map(item => redactArgs(item, keys));
+  }
+  if (value && typeof value === 'object') {
+    const copy = {};
+    Object.entries(value).forEach(([key, item]) => {
+      if (UNSAFE_KEYS.includes(key)) {
+        return;
+      }
+      copy[key] = keys.includes(key.toLowerCase()) ? '[REDACTED]' : redactArgs(item, keys);
+    });
+    return copy;
+  }
+  return value;
+}
+
+// JSON with object keys sorted, so equal arguments give equal cache keys
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+// Tool results are JSON, so a round trip through it is a deep copy
+function cloneResult(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+// Resolve after ms, or reject as soon as signal aborts
+function waitOrAbort(ms, signal) {
+  if (signal && signal.aborted) {
+    return Promise.reject(signal.reason);
+  }
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+      resolve();
+    }, ms);
+    if (signal) {
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+  });
+}
+
+// The audit log stores arguments redacted the way logging() shows them, and
+// hashes its entries as key-sorted JSON
+WebMCPMiddleware.DEFAULT_REDACTED_KEYS = DEFAULT_REDACTED_KEYS;
+WebMCPMiddleware.redactArgs = redactArgs;
+WebMCPMiddleware.stableStringify = stableStringify;
+
+if (typeof window !== 'undefined') {
+  window.WebMCPMiddleware = WebMCPMiddleware;
+}
@@ -3,19 +3,326 @@
  * Bridges WebMCP (Web Model Context Protocol) with AG-UI Protocol
  */
 
+// Raised when a tool does not finish within its timeout
+class ToolTimeoutError extends Error {
+  constructor(toolName, timeoutMs) {
+    super(`Tool '${toolName}' timed out after ${timeoutMs}ms`);
+    this.name = 'ToolTimeoutError';
+    this.code = 'TOOL_TIMEOUT';
+    this.toolName = toolName;
+    this.timeoutMs = timeoutMs;
+  }
+}
+
+// Raised when a call has no live session or the tool is outside its scope.
+// code is SESSION_REQUIRED, SESSION_EXPIRED or TOOL_NOT_ALLOWED.
+class ToolAccessError extends Error {
+  constructor(message, code, details = {}) {
+    super(message);
+    this.name = 'ToolAccessError';
+    this.code = code;
+    Object.assign(this, details);
+  }
+}
+
+// What a session may do. Tools are in READ if they are readOnly, WRITE otherwise,
+// unless registered with their own scope.
+const ToolScope = {
+  READ: 'read',
+  WRITE: 'write'
+};
+
 class WebMCPProvider {
-  constructor() {
+  constructor(options = {}) {
     this.tools = new Map();
     this.sessions = new Map();
+    // Read-only context, keyed by URI, and reusable prompt templates, keyed by name
+    this.resources = new Map();
+    this.prompts = new Map();
+    // Called with the current list whenever a tool / resource / prompt is registered or removed
+    this.toolsChangedListeners = new Set();
+    this.resourcesChangedListeners = new Set();
+    this.promptsChangedListeners = new Set();
+    // Called with the URI when a resource's contents change, keyed by URI
+    this.resourceSubscribers = new Map();
+    // Applies to tools registered without their own timeoutMs
+    this.defaultTimeoutMs = options.defaultTimeoutMs || 30000;
+    // Wrapped around every executeTool call, outermost first (see use())
+    this.middlewares = [];
+    // Idle time after which a session expires, unless it sets its own ttlMs
+    this.defaultSessionTtlMs = options.defaultSessionTtlMs || 30 * 60 * 1000;
+    // Actions that can be undone, per runId, oldest first; only the last
+    // maxUndoRuns runs keep theirs
+    this.undoStacks = new Map();
+    this.maxUndoRuns = options.maxUndoRuns || 20;
+    this.undoSeq = 0;
+    this.undoChangedListeners = new Set();
   }
 
-  // Register WebMCP tools that can be called by agents
-  registerTool(name, description, execute) {
+  // Register WebMCP tools that can be called by agents.
+  // options.inputSchema / options.outputSchema are JSON Schemas that form the
+  // tool's contract; they are enforced by executeTool and exposed to the LLM.
+  // options.annotations describe the tool's behaviour (readOnly, destructive,
+  // idempotent, requiresConfirmation) so agents know when to ask the user first.
+  // options.timeoutMs bounds how long a single execution may take.
+  // options.scope is the session scope needed to call it (see ToolScope).
+  // execute receives (args, { signal, session }) and should stop work once
+  // signal aborts; session.state is the calling session's own storage.
+  // To make its calls undoable a tool gives either options.compensate(args,
+  // result, { signal, session }), an operation that reverses one call, or
+  // options.snapshot(args) taken before each call plus options.restore(snapshot,
+  // { signal, session }) to go back to it.
+  registerTool(name, description, execute, options = {}) {
+    const annotations = {
+      readOnly: false,
+      destructive: false,
+      idempotent: false,
+      requiresConfirmation: false,
+      ...options.annotations
+    };
     this.tools.set(name, {
       name,
       description,
-      execute
+      inputSchema: options.inputSchema || { type: 'object', properties: {}, required: [] },
+      outputSchema: options.outputSchema || null,
+      timeoutMs: options.timeoutMs || this.defaultTimeoutMs,
+      scope: options.scope || (annotations.readOnly ? ToolScope.READ : ToolScope.WRITE),
+      annotations,
+      execute,
+      compensate: options.compensate || null,
+      snapshot: options.snapshot || null,
+      restore: options.restore || null
+    });
+    this.notifyToolsChanged();
+  }
+
+  // Unregister a tool. Returns false if there was no such tool.
+  removeTool(name) {
+    const removed = this.tools.delete(name);
+    if (removed) {
+      this.notifyToolsChanged();
+    }
+    return removed;
+  }
+
+  // Subscribe to tool registrations and removals; returns an unsubscribe function
+  onToolsChanged(listener) {
+    this.toolsChangedListeners.add(listener);
+    return () => this.toolsChangedListeners.delete(listener);
+  }
+
+  notifyToolsChanged() {
+    this.notifyListeners(this.toolsChangedListeners, this.getTools());
+  }
+
+  // Register read-only context an agent can read without calling a tool.
+  // reader() returns the contents: a string, or a value sent as JSON.
+  // options.name / options.description describe it to clients.
+  registerResource(uri, mimeType, reader, options = {}) {
+    this.resources.set(uri, {
+      uri,
+      name: options.name || uri,
+      description: options.description || '',
+      mimeType,
+      read: reader
+    });
+    this.notifyListeners(this.resourcesChangedListeners, this.getResources());
+  }
+
+  removeResource(uri) {
+    const removed = this.resources.delete(uri);
+    if (removed) {
+      this.notifyListeners(this.resourcesChangedListeners, this.getResources());
+    }
+    return removed;
+  }
+
+  getResources() {
+    return Array.from(this.resources.values());
+  }
+
+  getResource(uri) {
+    return this.resources.get(uri);
+  }
+
+  // Current contents of a resource as { uri, mimeType, text }
+  async readResource(uri) {
+    const resource = this.resources.get(uri);
+    if (!resource) {
+      throw new Error(`Resource '${uri}' not found`);
+    }
+    const contents = await resource.read();
+    return {
+      uri,
+      mimeType: resource.mimeType,
+      text: typeof contents === 'string' ? contents : JSON.stringify(contents, null, 2)
+    };
+  }
+
+  // Be told (with the URI) whenever the resource's contents change; returns an unsubscribe function
+  subscribeResource(uri, listener) {
+    if (!this.resourceSubscribers.has(uri)) {
+      this.resourceSubscribers.set(uri, new Set());
+    }
+    const subscribers = this.resourceSubscribers.get(uri);
+    subscribers.add(listener);
+    return () => {
+      subscribers.delete(listener);
+      if (subscribers.size === 0 && this.resourceSubscribers.get(uri) === subscribers) {
+        this.resourceSubscribers.delete(uri);
+      }
+    };
+  }
+
+  // Call when the data behind a resource has changed
+  notifyResourceUpdated(uri) {
+    this.notifyListeners(this.resourceSubscribers.get(uri) || new Set(), uri);
+  }
+
+  onResourcesChanged(listener) {
+    this.resourcesChangedListeners.add(listener);
+    return () => this.resourcesChangedListeners.delete(listener);
+  }
+
+  // Register a reusable prompt template. args lists its arguments as
+  // { name, description, required }. template is a string with {{name}}
+  // placeholders, or a function of the arguments returning the text or a
+  // list of { role, content } messages.
+  registerPrompt(name, args, template, options = {}) {
+    this.prompts.set(name, {
+      name,
+      description: options.description || '',
+      arguments: args || [],
+      template
     });
+    this.notifyListeners(this.promptsChangedListeners, this.getPrompts());
+  }
+
+  removePrompt(name) {
+    const removed = this.prompts.delete(name);
+    if (removed) {
+      this.notifyListeners(this.promptsChangedListeners, this.getPrompts());
+    }
+    return removed;
+  }
+
+  getPrompts() {
+    return Array.from(this.prompts.values());
+  }
+
+  getPrompt(name) {
+    return this.prompts.get(name);
+  }
+
+  // Fill in a prompt template. Returns { description, messages } with
+  // messages in MCP form: { role, content: { type: 'text', text } }.
+  async renderPrompt(name, args = {}) {
+    const prompt = this.prompts.get(name);
+    if (!prompt) {
+      throw new Error(`Prompt '${name}' not found`);
+    }
+    const missing = prompt.arguments.find(arg => arg.required && (args[arg.name] === undefined || args[arg.name] === ''));
+    if (missing) {
+      throw new Error(`Prompt '${name}' needs the '${missing.name}' argument`);
+    }
+
+    const output = typeof prompt.template === 'function'
+      ? await prompt.template(args)
+      : prompt.template.replace(/\{\{(\w+)\}\}/g, (match, key) => (args[key] !== undefined ? String(args[key]) : ''));
+    const messages = typeof output === 'string' ? [{ role: 'user', content: output }] : output;
+    return {
+      description: prompt.description,
+      messages: messages.map(message => ({
+        role: message.role,
+        content: typeof message.content === 'string' ? { type: 'text', text: message.content } : message.content
+      }))
+    };
+  }
+
+  onPromptsChanged(listener) {
+    this.promptsChangedListeners.add(listener);
+    return () => this.promptsChangedListeners.delete(listener);
+  }
+
+  notifyListeners(listeners, value) {
+    Array.from(listeners).forEach(listener => {
+      try {
+        listener(value);
+      } catch (error) {
+        console.error('Error in WebMCP listener:', error);
+      }
+    });
+  }
+
+  // The tool as MCP describes it: annotations become readOnlyHint /
+  // destructiveHint / idempotentHint
+  static toMCPTool(tool) {
+    const description = {
+      name: tool.name,
+      description: tool.description,
+      inputSchema: tool.inputSchema,
+      annotations: {
+        readOnlyHint: Boolean(tool.annotations.readOnly),
+        destructiveHint: Boolean(tool.annotations.destructive),
+        idempotentHint: Boolean(tool.annotations.idempotent)
+      }
+    };
+    if (tool.outputSchema) {
+      description.outputSchema = tool.outputSchema;
+    }
+    return description;
+  }
+
+  // Annotations for registerTool from MCP hints
+  static fromMCPAnnotations(hints = {}) {
+    const annotations = {};
+    if (hints.readOnlyHint !== undefined) {
+      annotations.readOnly = Boolean(hints.readOnlyHint);
+    }
+    if (hints.destructiveHint !== undefined) {
+      annotations.destructive = Boolean(hints.destructiveHint);
+    }
+    if (hints.idempotentHint !== undefined) {
+      annotations.idempotent = Boolean(hints.idempotentHint);
+    }
+    return annotations;
+  }
+
+  // Wrap a tool's result as an MCP CallToolResult. Objects also go in
+  // structuredContent so clients don't have to parse the text.
+  static toCallToolResult(result) {
+    const text = typeof result === 'string' ? result : JSON.stringify(result);
+    const callToolResult = { content: [{ type: 'text', text: text === undefined ? '' : text }], isError: false };
+    if (result && typeof result === 'object' && !Array.isArray(result)) {
+      callToolResult.structuredContent = result;
+    }
+    return callToolResult;
+  }
+
+  // The plain result inside an MCP CallToolResult: structuredContent if there
+  // is any, otherwise the text. isError results become a thrown Error.
+  static fromCallToolResult(callToolResult) {
+    if (!callToolResult || !Array.isArray(callToolResult.content)) {
+      return callToolResult;
+    }
+    const text = callToolResult.content
+      .filter(item => item.type === 'text')
+      .map(item => item.text)
+      .join('\n');
+    if (callToolResult.isError) {
+      throw new Error(text || 'Tool reported an error');
+    }
+    return callToolResult.structuredContent !== undefined ? callToolResult.structuredContent : text;
+  }
+
+  // Whether a human must approve a call to this tool before it runs.
+  // Destructive tools are always gated.
+  requiresConfirmation(name) {
+    const tool = this.tools.get(name);
+    if (!tool) {
+      return false;
+    }
+    return tool.annotations.requiresConfirmation || tool.annotations.destructive;
   }
 
   // Get available tools for agent execution
@@ -23,44 +330,382 @@ class WebMCPProvider {
     return Array.from(this.tools.values());
   }
 
-  // Execute a tool and return results
-  async executeTool(name, args = {}) {
+  // Get a single tool by name
+  getTool(name) {
+    return this.tools.get(name);
+  }
+
+  // Validate arguments against a tool's input schema without executing it
+  validateArgs(name, args = {}) {
     const tool = this.tools.get(name);
     if (!tool) {
       throw new Error(`Tool '${name}' not found`);
     }
-    
+    return SchemaValidator.validate(tool.inputSchema, args);
+  }
+
+  // Add a middleware around every executeTool call; returns a function that
+  // removes it. Middlewares run in the order they were added, the first
+  // outermost. Each is an object with any of these hooks:
+  //   before(context)               may change context.args, or return a
+  //                                 value to answer without running the tool
+  //   after(context, result)        may return a replacement result
+  //   error(context, error, retry)  may return a result to recover, call
+  //                                 retry() to run the rest of the pipeline
+  //                                 again, or throw
+  // context is { toolName, tool, args, session, signal, options, meta }, meta
+  // being scratch space the middlewares share.
+  use(middleware) {
+    this.middlewares.push(middleware);
+    return () => {
+      this.middlewares = this.middlewares.filter(entry => entry !== middleware);
+    };
+  }
+
+  // Execute a tool and return results. options.sessionId is required and the
+  // tool must be in that session's scope. Middlewares run next; then the
+  // arguments are checked against the input schema before execute runs, and
+  // the result against the output schema.
+  // options.signal cancels the call; options.timeoutMs overrides the tool's timeout.
+  // Callers describe the call with options.threadId, runId, toolCallId and
+  // prompt where they have them; middlewares (e.g. the audit log) read them.
+  async executeTool(name, args = {}, options = {}) {
+    const tool = this.tools.get(name);
+    if (!tool) {
+      throw new Error(`Tool '${name}' not found`);
+    }
+    // Authorization comes first: no middleware can answer for a tool the session may not call
+    const session = this.authorizeCall(options.sessionId, tool);
+
+    const context = { toolName: name, tool, args, session, signal: options.signal || null, options, meta: {} };
+    return this.runMiddleware(context, this.middlewares.slice(), 0, () => this.invokeTool(context));
+  }
+
+  // invoke is what runs once every middleware has passed the call on
+  async runMiddleware(context, middlewares, index, invoke) {
+    if (index === middlewares.length) {
+      return invoke();
+    }
+    const middleware = middlewares[index];
+    const next = () => this.runMiddleware(context, middlewares, index + 1, invoke);
+
+    let result = middleware.before ? await middleware.before(context) : undefined;
+    if (result === undefined) {
+      try {
+        result = await next();
+      } catch (error) {
+        if (!middleware.error) {
+          throw error;
+        }
+        result = await middleware.error(context, error, next);
+      }
+    }
+    if (middleware.after) {
+      const replacement = await middleware.after(context, result);
+      if (replacement !== undefined) {
+        result = replacement;
+      }
+    }
+    return result;
+  }
+
+  // The call itself, at the centre of the middleware: validate, run, validate the result
+  async invokeTool(context) {
+    const { tool, args, session, signal, options } = context;
+    const inputErrors = SchemaValidator.validate(tool.inputSchema, args);
+    if (inputErrors.length > 0) {
+      throw new ToolValidationError(tool.name, 'input', inputErrors);
+    }
+
+    session.calls.total++;
+    session.calls.byTool[tool.name] = (session.calls.byTool[tool.name] || 0) + 1;
+    // Calls made as part of a run can be undone later, if the tool knows how
+    const undoable = Boolean(options.runId && (tool.compensate || (tool.snapshot && tool.restore)));
+    const snapshot = undoable && tool.snapshot ? await tool.snapshot(args) : undefined;
+    let result;
     try {
-      return await tool.execute(args);
+      result = await this.runWithTimeout(tool, args, signal, options.timeoutMs || tool.timeoutMs, session);
     } catch (error) {
+      session.calls.failed++;
+      // A tool may reject arguments its schema can't express (ToolValidationError)
+      if (error instanceof ToolTimeoutError || error instanceof ToolValidationError || (signal && signal.aborted)) {
+        throw error;
+      }
       throw new Error(`Tool execution failed: ${error.message}`);
     }
+
+    if (tool.outputSchema) {
+      const outputErrors = SchemaValidator.validate(tool.outputSchema, result);
+      if (outputErrors.length > 0) {
+        throw new ToolValidationError(tool.name, 'output', outputErrors);
+      }
+    }
+
+    if (undoable) {
+      this.pushUndo(tool, args, result, snapshot, options);
+    }
+    return result;
+  }
+
+  pushUndo(tool, args, result, snapshot, options) {
+    const record = {
+      id: `undo_${++this.undoSeq}`,
+      seq: this.undoSeq,
+      runId: options.runId,
+      threadId: options.threadId || null,
+      toolCallId: options.toolCallId || null,
+      toolName: tool.name,
+      args,
+      result,
+      createdAt: new Date().toISOString(),
+      revert: context => (tool.compensate ? tool.compensate(args, result, context) : tool.restore(snapshot, context))
+    };
+    const stack = this.undoStacks.get(options.runId) || [];
+    stack.push(record);
+    // Re-inserted so the Map stays ordered by each run's latest action
+    this.undoStacks.delete(options.runId);
+    this.undoStacks.set(options.runId, stack);
+    while (this.undoStacks.size > this.maxUndoRuns) {
+      this.undoStacks.delete(this.undoStacks.keys().next().value);
+    }
+    this.notifyUndoChanged();
+  }
+
+  // The run's undoable actions, oldest first
+  getUndoStack(runId) {
+    return (this.undoStacks.get(runId) || []).slice();
+  }
+
+  // The most recent undoable action of any run, or null
+  getLastUndoable() {
+    let last = null;
+    this.undoStacks.forEach(stack => {
+      const top = stack[stack.length - 1];
+      if (top && (!last || top.seq > last.seq)) {
+        last = top;
+      }
+    });
+    return last;
+  }
+
+  // The action with this id if it may be undone now; throws otherwise
+  assertUndoable(recordId) {
+    const last = this.getLastUndoable();
+    if (!last || last.id !== recordId) {
+      const exists = Array.from(this.undoStacks.values()).some(stack => stack.some(record => record.id === recordId));
+      const error = new Error(exists
+        ? 'Newer agent actions have to be undone first'
+        : `Nothing to undo for ${recordId}`);
+      error.code = exists ? 'UNDO_CONFLICT' : 'UNDO_NOT_FOUND';
+      throw error;
+    }
+    return last;
   }
 
-  // Create a new WebMCP session
-  createSession(sessionId, config = {}) {
+  // Undo one action through the middleware, as a call to its tool with
+  // options.undoOf set to the toolCallId it reverses. Actions are undone
+  // newest first across all runs: reverting an older one could overwrite what
+  // a later action did, so that fails with code UNDO_CONFLICT.
+  // options.sessionId is required, as for executeTool.
+  async revertAction(recordId, options = {}) {
+    const last = this.assertUndoable(recordId);
+    const tool = this.tools.get(last.toolName);
+    if (!tool) {
+      throw new Error(`Tool '${last.toolName}' not found`);
+    }
+    const session = this.authorizeCall(options.sessionId, tool);
+
+    const context = {
+      toolName: tool.name,
+      tool,
+      args: last.args,
+      session,
+      signal: options.signal || null,
+      options: { ...options, undoOf: last.toolCallId },
+      meta: {}
+    };
+    // Taken off before the revert starts, so the same action can't be reverted
+    // twice at once; put back if the revert fails
+    this.takeUndo(last);
+    // The revert runs in place of execute, under the same timeout and signal
+    const revertTool = { ...tool, execute: (args, toolContext) => last.revert(toolContext) };
+    let result;
+    try {
+      result = await this.runMiddleware(context, this.middlewares.slice(), 0, () =>
+        this.runWithTimeout(revertTool, last.args, context.signal, options.timeoutMs || tool.timeoutMs, session));
+    } catch (error) {
+      this.restoreUndo(last);
+      throw error;
+    }
+    this.notifyUndoChanged();
+    return result;
+  }
+
+  // Remove one action from its run's stack, by identity
+  takeUndo(record) {
+    const stack = this.undoStacks.get(record.runId) || [];
+    const index = stack.indexOf(record);
+    if (index !== -1) {
+      stack.splice(index, 1);
+    }
+    if (stack.length === 0) {
+      this.undoStacks.delete(record.runId);
+    }
+  }
+
+  // Put an action back in its run's stack, in seq order; the stack may have
+  // emptied, or been evicted, while the action was out
+  restoreUndo(record) {
+    const stack = this.undoStacks.get(record.runId) || [];
+    const index = stack.findIndex(entry => entry.seq > record.seq);
+    stack.splice(index === -1 ? stack.length : index, 0, record);
+    this.undoStacks.set(record.runId, stack);
+  }
+
+  // Subscribe to changes in what can be undone; returns an unsubscribe function
+  onUndoChanged(listener) {
+    this.undoChangedListeners.add(listener);
+    return () => this.undoChangedListeners.delete(listener);
+  }
+
+  notifyUndoChanged() {
+    this.notifyListeners(this.undoChangedListeners, this.getLastUndoable());
+  }
+
+  // Run tool.execute, settling early if the caller aborts or the timeout passes.
+  // The tool gets its own signal so cooperative tools can stop their work too.
+  runWithTimeout(tool, args, signal, timeoutMs, session = null) {
+    if (signal && signal.aborted) {
+      return Promise.reject(signal.reason);
+    }
+
+    const controller = new AbortController();
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        controller.abort(signal.reason);
+        reject(signal.reason);
+      };
+      const timer = setTimeout(() => {
+        const error = new ToolTimeoutError(tool.name, timeoutMs);
+        controller.abort(error);
+        reject(error);
+      }, timeoutMs);
+
+      if (signal) {
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
+
+      Promise.resolve()
+        .then(() => tool.execute(args, { signal: controller.signal, session }))
+        .then(resolve, reject)
+        .finally(() => {
+          clearTimeout(timer);
+          if (signal) {
+            signal.removeEventListener('abort', onAbort);
+          }
+        });
+    });
+  }
+
+  // Open a session: the unit of authorization for tool calls.
+  // config.owner names who it is for (an agent, an MCP client's origin).
+  // config.tools lists tools it may call by name and config.scopes the
+  // ToolScopes it holds; with neither it holds every scope. config.ttlMs is
+  // how long it may sit idle before it expires (null for never).
+  createSession(sessionId = null, config = {}) {
+    const id = sessionId || 'session_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+    this.destroySession(id);
+
+    const hasLimits = Boolean(config.tools || config.scopes);
     const session = {
-      id: sessionId,
+      id,
       config,
+      owner: config.owner || 'anonymous',
+      tools: config.tools ? [...config.tools] : [],
+      scopes: hasLimits ? [...(config.scopes || [])] : Object.values(ToolScope),
+      ttlMs: config.ttlMs === undefined ? this.defaultSessionTtlMs : config.ttlMs,
       createdAt: Date.now(),
-      tools: this.getTools()
+      lastUsedAt: Date.now(),
+      expiresAt: null,
+      calls: { total: 0, failed: 0, byTool: {} },
+      // Storage of the session's own, handed to tools as session.state
+      state: {},
+      expiryTimer: null
     };
-    this.sessions.set(sessionId, session);
+    this.sessions.set(id, session);
+    this.touchSession(session);
     return session;
   }
 
-  // Get session information
+  // The live session with this id, or a new one opened with config if there
+  // is none (any more), so long-lived callers carry on after an expiry
+  ensureSession(sessionId, config = {}) {
+    return (sessionId && this.getSession(sessionId)) || this.createSession(null, config);
+  }
+
+  // Get session information; undefined once it has expired
   getSession(sessionId) {
-    return this.sessions.get(sessionId);
+    const session = this.sessions.get(sessionId);
+    if (session && session.expiresAt !== null && session.expiresAt <= Date.now()) {
+      // Timers can run late (background tabs), so check the clock too
+      this.destroySession(sessionId);
+      return undefined;
+    }
+    return session;
+  }
+
+  // Tools the session may call
+  getSessionTools(sessionId) {
+    const session = this.getSession(sessionId);
+    return session ? this.getTools().filter(tool => this.isToolAllowed(session, tool)) : [];
+  }
+
+  isToolAllowed(session, tool) {
+    return session.tools.includes(tool.name) || session.scopes.includes(tool.scope);
+  }
+
+  // The session a call runs in, or a ToolAccessError saying why it may not run
+  authorizeCall(sessionId, tool) {
+    if (!sessionId) {
+      throw new ToolAccessError(`Calling '${tool.name}' needs a session`, 'SESSION_REQUIRED', { toolName: tool.name });
+    }
+    const session = this.getSession(sessionId);
+    if (!session) {
+      throw new ToolAccessError(`Session '${sessionId}' has expired or does not exist`, 'SESSION_EXPIRED', { sessionId });
+    }
+    if (!this.isToolAllowed(session, tool)) {
+      throw new ToolAccessError(`Tool '${tool.name}' is outside the scope of session '${sessionId}'`, 'TOOL_NOT_ALLOWED', { sessionId, toolName: tool.name });
+    }
+    this.touchSession(session);
+    return session;
+  }
+
+  // Push the session's expiry back by its TTL
+  touchSession(session) {
+    session.lastUsedAt = Date.now();
+    clearTimeout(session.expiryTimer);
+    if (session.ttlMs === null) {
+      return;
+    }
+    session.expiresAt = session.lastUsedAt + session.ttlMs;
+    session.expiryTimer = setTimeout(() => this.destroySession(session.id), session.ttlMs);
   }
 
   // Clean up session
   destroySession(sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (!session) {
+      return false;
+    }
+    clearTimeout(session.expiryTimer);
     return this.sessions.delete(sessionId);
   }
 }
 
 // Global WebMCP Provider instance
 if (typeof window !== 'undefined') {
+  window.ToolTimeoutError = ToolTimeoutError;
+  window.ToolAccessError = ToolAccessError;
+  window.ToolScope = ToolScope;
   window.WebMCP = new WebMCPProvider();
 }
\ No newline at end of file
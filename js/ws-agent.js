@@ -0,0 +1,232 @@
+/**
+ * WebSocket Agent
+ * Runs a remote AG-UI agent over one WebSocket (see socket-channel.js for the
+ * wire protocol). Runs are multiplexed over the connection by runId, the
+ * agent's calls to the page's WebMCP tools come back over it, and the page
+ * can call tools on the server's side too. A dropped connection is
+ * reconnected with backoff and resumes from the last sequence number
+ * received, so no event is lost or repeated.
+ *
+ * Same contract as HttpAgent and AgentClient, so the UI can use any of them.
+ */
+
+class WebSocketAgent extends HttpAgent {
+    // options.connect() returns a WebSocket-shaped object; by default a real
+    // WebSocket to url. LoopbackAgentServer.connect fits here for tests.
+    constructor(url, options = {}) {
+        super(url, options);
+        this.connectSocket = options.connect || (() => new WebSocket(this.url));
+        this.reconnectDelayMs = options.reconnectDelayMs || 500;
+        this.maxReconnectDelayMs = options.maxReconnectDelayMs || 8000;
+
+        this.channel = new SocketChannel({
+            windowSize: options.windowSize,
+            onMessage: message => this.handleMessage(message)
+        });
+        this.bridge = new SocketToolBridge(this.channel, this.provider, {
+            callOptions: message => ({ ...this.toolCallContext, toolCallId: message.toolCallId }),
+            authorize: message => this.authorizeRequestedTool(message)
+        });
+        this.sessionId = null;
+        this.socket = null;
+        this.connecting = null;
+        this.reconnectAttempts = 0;
+        this.reconnectTimer = null;
+        // Event queues of the runs in progress, keyed by runId
+        this.runQueues = new Map();
+    }
+
+    async *openEventStream(input, signal) {
+        const { runId } = input;
+        await this.untilAborted(this.connect(), signal);
+
+        const queue = new AsyncQueue();
+        this.runQueues.set(runId, queue);
+        const onAbort = () => {
+            this.channel.send({ kind: SocketMessageKind.CANCEL, runId });
+            queue.fail(signal.reason);
+        };
+        if (signal) {
+            signal.addEventListener('abort', onAbort, { once: true });
+        }
+
+        try {
+            this.channel.send({ kind: SocketMessageKind.RUN, runId, input });
+            for await (const event of queue) {
+                yield event;
+                if (event.type === window.AGUI.EventType.RUN_FINISHED) {
+                    break;
+                }
+            }
+        } finally {
+            if (signal) {
+                signal.removeEventListener('abort', onAbort);
+            }
+            this.runQueues.delete(runId);
+        }
+    }
+
+    handleMessage(message) {
+        switch (message.kind) {
+            case SocketMessageKind.EVENT: {
+                // Resolves once the run's reader takes the event, which is when it's acknowledged
+                const queue = this.runQueues.get(message.runId);
+                return queue ? queue.push(message.event) : undefined;
+            }
+
+            case SocketMessageKind.TOOL_CALL:
+                return this.bridge.handleCall(message);
+
+            case SocketMessageKind.TOOL_RESULT:
+                this.bridge.handleResult(message);
+                break;
+        }
+    }
+
+    // Call a tool registered on the server's side of the connection
+    callServerTool(toolCallName, args = {}, options = {}) {
+        const toolCallId = 'call_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+        return this.untilAborted(this.connect(), options.signal)
+            .then(() => this.bridge.call(null, toolCallId, toolCallName, args, options.signal));
+    }
+
+    async resolveApproval(interruptId, approved) {
+        if (!this.runId) {
+            return false;
+        }
+        this.recordApproval(interruptId, approved);
+        this.channel.send({ kind: SocketMessageKind.APPROVAL, runId: this.runId, interruptId, approved: Boolean(approved) });
+        return true;
+    }
+
+    // Open the connection if it isn't, and say hello so the server can resume our session
+    connect() {
+        if (this.channel.isOpen) {
+            return Promise.resolve();
+        }
+        if (!this.connecting) {
+            this.connecting = this.openSocket().finally(() => {
+                this.connecting = null;
+            });
+        }
+        return this.connecting;
+    }
+
+    openSocket() {
+        return new Promise((resolve, reject) => {
+            const socket = this.connectSocket();
+            let welcomed = false;
+
+            const onOpen = () => {
+                socket.send(JSON.stringify({
+                    kind: SocketMessageKind.HELLO,
+                    sessionId: this.sessionId,
+                    receivedSeq: this.channel.receivedSeq
+                }));
+            };
+            const onMessage = (event) => {
+                if (welcomed) {
+                    this.channel.receive(event.data);
+                    return;
+                }
+                const welcome = JSON.parse(event.data);
+                if (welcome.kind !== SocketMessageKind.WELCOME) {
+                    return;
+                }
+                welcomed = true;
+                if (!welcome.resumed) {
+                    this.startNewSession(welcome.sessionId);
+                }
+                this.socket = socket;
+                this.reconnectAttempts = 0;
+                this.channel.attach(socket, welcome.receivedSeq);
+                resolve();
+            };
+            const onClose = () => {
+                socket.removeEventListener('open', onOpen);
+                socket.removeEventListener('message', onMessage);
+                socket.removeEventListener('close', onClose);
+                socket.removeEventListener('error', onError);
+                if (!welcomed) {
+                    reject(new Error(`Could not connect to the agent at ${this.url}`));
+                    return;
+                }
+                if (this.socket === socket) {
+                    this.socket = null;
+                    this.channel.detach();
+                    this.scheduleReconnect();
+                }
+            };
+
+            // Some implementations report a failed handshake with error but no close
+            const onError = () => {
+                if (!welcomed) {
+                    onClose();
+                }
+            };
+
+            socket.addEventListener('open', onOpen);
+            socket.addEventListener('message', onMessage);
+            socket.addEventListener('close', onClose);
+            socket.addEventListener('error', onError);
+        });
+    }
+
+    // The server doesn't know our session (first connect, or it expired while
+    // we were away): whatever was in flight on the old one is lost
+    startNewSession(sessionId) {
+        if (this.sessionId) {
+            const error = new Error('The agent session expired while disconnected');
+            this.runQueues.forEach(queue => queue.fail(error));
+            this.bridge.rejectAll(error);
+        }
+        this.sessionId = sessionId;
+        this.channel.reset();
+    }
+
+    // Reconnect with exponential backoff while anything still depends on the connection
+    scheduleReconnect() {
+        if (this.reconnectTimer || (this.runQueues.size === 0 && this.bridge.pendingCalls.size === 0)) {
+            return;
+        }
+        const delay = Math.min(this.reconnectDelayMs * 2 ** this.reconnectAttempts, this.maxReconnectDelayMs);
+        this.reconnectAttempts++;
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
+            this.connect().catch(() => this.scheduleReconnect());
+        }, delay);
+    }
+
+    // Close the connection for good; the server forgets the session once its TTL passes
+    disconnect() {
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+        const error = new Error('Disconnected from the agent');
+        this.runQueues.forEach(queue => queue.fail(error));
+        if (this.socket) {
+            const socket = this.socket;
+            this.socket = null;
+            this.channel.detach();
+            socket.close(1000, 'Client disconnected');
+        }
+    }
+
+    // Settle like promise, or reject with the abort reason as soon as signal aborts
+    untilAborted(promise, signal) {
+        if (!signal) {
+            return promise;
+        }
+        if (signal.aborted) {
+            return Promise.reject(signal.reason);
+        }
+        return new Promise((resolve, reject) => {
+            const onAbort = () => reject(signal.reason);
+            signal.addEventListener('abort', onAbort, { once: true });
+            promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+        });
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.WebSocketAgent = WebSocketAgent;
+}
@@ -0,0 +1,403 @@
+/**
+ * Reference AG-UI Agent Server
+ * Runs the same AgentClient loop as the browser, but on Node, and streams its
+ * events to the page over HTTP. Model credentials stay on the server.
+ *
+ *   node server/agent-server.js
+ *   open http://localhost:8787 and use http://localhost:8787/agent as the remote agent URL
+ *
+ * Routes:
+ *   POST /agent                              RunAgentInput in, AG-UI events out (SSE or NDJSON)
+ *   POST /agent/runs/:runId/tool-results     the page's answer to a tool_request event
+ *   POST /agent/runs/:runId/approvals        the user's decision on an interrupt
+ *   GET  /agent/ws                           the same over one WebSocket (see js/socket-channel.js)
+ *   GET  /, /index.html, /css/*, /js/*       the demo app itself, and nothing else
+ *
+ * WebMCP tools live in the page, so when the model calls one the server sends
+ * a CUSTOM tool_request event and waits for the page to POST the result back.
+ * Over the WebSocket, tool calls and results travel on the socket instead.
+ *
+ * Each HTTP run has a secret, sent to the page in the X-Run-Secret header of
+ * its event stream; the run's callbacks must carry it back in the same header.
+ * Pages may only call the server from the origins it allows: its own, and
+ * those listed in ALLOWED_ORIGINS. Request bodies over 1 MB get a 413.
+ *
+ * Environment: PORT (8787), LLM_PROVIDER (mock), LLM_API_KEY, LLM_MODEL, LLM_BASE_URL,
+ * ALLOWED_ORIGINS (comma-separated, e.g. http://localhost:8000)
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const vm = require('vm');
+const { acceptWebSocket } = require('./websocket');
+
+const ROOT = path.resolve(__dirname, '..');
+
+// The agent is written as browser scripts; run them in one shared context
+// whose global object doubles as `window`
+const BROWSER_SCRIPTS = [
+    'js/ag-ui-client.js',
+    'js/event-encoder.js',
+    'js/schema-validator.js',
+    'js/webmcp-provider.js',
+    'js/stream-readers.js',
+    'js/socket-channel.js',
+    'js/llm-providers.js',
+    'server/mock-llm-provider.js',
+    'js/llm-client.js',
+    'js/thread-store.js',
+    'js/agent-client.js',
+    'js/remote-run.js',
+    'js/agent-socket-server.js'
+];
+
+function loadAgentRuntime() {
+    const context = vm.createContext({
+        console, fetch, setTimeout, clearTimeout, URL, AbortController, DOMException,
+        TextEncoder, TextDecoder, ReadableStream, structuredClone,
+        crypto: crypto.webcrypto
+    });
+    context.window = context;
+    for (const script of BROWSER_SCRIPTS) {
+        vm.runInContext(fs.readFileSync(path.join(ROOT, script), 'utf8'), context, { filename: script });
+    }
+    return context;
+}
+
+const context = loadAgentRuntime();
+
+// Carries one HTTP run's tool calls to the page: each call goes out as a
+// CUSTOM tool_request event and settles when the page POSTs its result
+class ToolRequestRelay {
+    constructor(send, options = {}) {
+        this.send = send;
+        this.timeoutMs = options.timeoutMs || 60000;
+        // Tool requests the page has yet to answer, keyed by requestId
+        this.pendingRequests = new Map();
+    }
+
+    request(name, args, options = {}) {
+        const signal = options.signal || null;
+        // Unguessable, as it's all another page would need to answer for the tool
+        const requestId = 'toolreq_' + crypto.randomUUID();
+        return new Promise((resolve, reject) => {
+            const settle = (callback, value) => {
+                clearTimeout(timer);
+                if (signal) {
+                    signal.removeEventListener('abort', onAbort);
+                }
+                this.pendingRequests.delete(requestId);
+                callback(value);
+            };
+            const onAbort = () => settle(reject, signal.reason);
+            const timer = setTimeout(() => {
+                const error = new Error(`The page did not answer the call to '${name}' within ${this.timeoutMs}ms`);
+                error.code = 'TOOL_TIMEOUT';
+                settle(reject, error);
+            }, this.timeoutMs);
+
+            if (signal) {
+                signal.addEventListener('abort', onAbort, { once: true });
+            }
+            this.pendingRequests.set(requestId, {
+                resolve: result => settle(resolve, result),
+                reject: error => settle(reject, error)
+            });
+
+            this.send(new context.AGUI.CustomEvent(context.AGUI.ToolProxyEventName.TOOL_REQUEST, {
+                requestId,
+                toolCallId: options.toolCallId || null,
+                toolCallName: name,
+                args
+            }));
+        });
+    }
+
+    // The page's answer: { requestId, result } or { requestId, error: { message, code, errors } }
+    resolveToolRequest(answer) {
+        const pending = this.pendingRequests.get(answer.requestId);
+        if (!pending) {
+            return false;
+        }
+        if (answer.error) {
+            const error = new Error(answer.error.message || 'Tool execution failed');
+            error.code = answer.error.code || 'TOOL_ERROR';
+            if (answer.error.errors) {
+                error.errors = answer.error.errors;
+            }
+            pending.reject(error);
+        } else {
+            pending.resolve(answer.result);
+        }
+        return true;
+    }
+}
+
+const config = {
+    port: parseInt(process.env.PORT || '8787'),
+    llmProvider: process.env.LLM_PROVIDER || 'mock',
+    llm: {
+        apiKey: process.env.LLM_API_KEY || null,
+        model: process.env.LLM_MODEL || undefined,
+        baseUrl: process.env.LLM_BASE_URL || undefined
+    }
+};
+
+// Runs in progress, keyed by runId, so callbacks from the page can find them
+const runs = new Map();
+
+// Pages on these origins may use the agent: the demo app this server hosts,
+// and any listed in ALLOWED_ORIGINS
+const allowedOrigins = new Set([
+    `http://localhost:${config.port}`,
+    `http://127.0.0.1:${config.port}`,
+    ...(process.env.ALLOWED_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean)
+]);
+
+// Requests without an Origin don't come from a page (curl, other servers);
+// they are let through and still need the run's secret for callbacks
+function originAllowed(req) {
+    return !req.headers.origin || allowedOrigins.has(req.headers.origin);
+}
+
+function corsHeaders(req) {
+    if (!req.headers.origin || !allowedOrigins.has(req.headers.origin)) {
+        return { 'Vary': 'Origin' };
+    }
+    return {
+        'Access-Control-Allow-Origin': req.headers.origin,
+        'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type, Accept, X-Run-Secret',
+        'Access-Control-Expose-Headers': 'X-Run-Secret',
+        'Vary': 'Origin'
+    };
+}
+
+// Whether a callback carries its run's secret
+function hasRunSecret(req, run) {
+    const given = Buffer.from(String(req.headers['x-run-secret'] || ''));
+    const expected = Buffer.from(run.secret);
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+const STATIC_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8'
+};
+// What GET serves, relative to the repository root
+const STATIC_FILES = ['index.html'];
+const STATIC_DIRECTORIES = ['css', 'js'];
+
+// The most a POST body may hold: a RunAgentInput carries the whole conversation
+const MAX_BODY_BYTES = 1024 * 1024;
+
+// The agent for one run, whichever transport it came in on
+function createAgent(input, toolProvider) {
+    const agent = context.createRunAgent(input, toolProvider);
+    agent.llmClient.setProvider(config.llmProvider, config.llm);
+    return agent;
+}
+
+// WebSocket clients (ws://host/agent/ws) get a session that survives reconnects.
+// Tools registered on the server's own WebMCP provider can be called by the page.
+const socketServer = new context.AgentSocketServer({ createAgent, provider: context.WebMCP });
+
+async function runAgent(req, res) {
+    const input = await readJSON(req);
+    const inputError = context.runInputError(input);
+    if (inputError) {
+        return sendJSON(res, 400, { error: inputError });
+    }
+    if (runs.has(input.runId)) {
+        return sendJSON(res, 409, { error: `Run ${input.runId} is already in progress` });
+    }
+
+    const encoder = new context.EventEncoder({ accept: req.headers.accept });
+    const send = event => res.write(encoder.encode(event));
+    const secret = crypto.randomBytes(32).toString('hex');
+    res.writeHead(200, {
+        'X-Run-Secret': secret,
+        'Content-Type': encoder.getContentType(),
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+    });
+
+    // The client hanging up cancels the run
+    const controller = new AbortController();
+    res.on('close', () => {
+        if (!res.writableEnded) {
+            controller.abort(new Error('Client disconnected'));
+        }
+    });
+
+    const relay = new ToolRequestRelay(send);
+    const toolProvider = new context.ProxyToolProvider(Array.isArray(input.tools) ? input.tools : [],
+        (name, args, options) => relay.request(name, args, options));
+    const agent = createAgent(input, toolProvider);
+
+    runs.set(input.runId, { agent, relay, secret });
+    try {
+        for await (const event of context.processRunInput(agent, input, controller.signal)) {
+            send(event);
+        }
+    } finally {
+        runs.delete(input.runId);
+        res.end();
+    }
+}
+
+async function resolveToolRequest(req, res, runId) {
+    const run = runs.get(runId);
+    const answer = await readJSON(req);
+    if (run && !hasRunSecret(req, run)) {
+        return sendJSON(res, 403, { error: `Missing or wrong secret for run ${runId}` });
+    }
+    if (!run || !run.relay.resolveToolRequest(answer)) {
+        return sendJSON(res, 404, { error: `No pending tool request ${answer.requestId} in run ${runId}` });
+    }
+    sendJSON(res, 200, { ok: true });
+}
+
+async function resolveApproval(req, res, runId) {
+    const run = runs.get(runId);
+    const decision = await readJSON(req);
+    if (run && !hasRunSecret(req, run)) {
+        return sendJSON(res, 403, { error: `Missing or wrong secret for run ${runId}` });
+    }
+    if (!run || !run.agent.resolveApproval(decision.interruptId, decision.approved)) {
+        return sendJSON(res, 404, { error: `No pending approval ${decision.interruptId} in run ${runId}` });
+    }
+    sendJSON(res, 200, { ok: true });
+}
+
+function serveStatic(req, res, pathname) {
+    let filePath;
+    try {
+        filePath = path.join(ROOT, pathname === '/' ? 'index.html' : decodeURIComponent(pathname));
+    } catch (error) {
+        return sendJSON(res, 404, { error: 'Not found' });
+    }
+    // Only the demo app itself: never the repository's history, tests or server sources
+    const relativePath = path.relative(ROOT, filePath).split(path.sep).join('/');
+    if (!STATIC_FILES.includes(relativePath) && !STATIC_DIRECTORIES.some(directory => relativePath.startsWith(directory + '/'))) {
+        return sendJSON(res, 404, { error: 'Not found' });
+    }
+    fs.readFile(filePath, (error, content) => {
+        if (error) {
+            return sendJSON(res, 404, { error: 'Not found' });
+        }
+        res.writeHead(200, { 'Content-Type': STATIC_TYPES[path.extname(filePath)] || 'application/octet-stream' });
+        res.end(content);
+    });
+}
+
+// Rejects with statusCode 413 once the body passes MAX_BODY_BYTES
+function readJSON(req) {
+    return new Promise((resolve, reject) => {
+        const tooLarge = () => {
+            const error = new Error(`Request body is larger than ${MAX_BODY_BYTES} bytes`);
+            error.statusCode = 413;
+            reject(error);
+        };
+        if (Number(req.headers['content-length']) > MAX_BODY_BYTES) {
+            return tooLarge();
+        }
+        let body = '';
+        let size = 0;
+        req.setEncoding('utf8');
+        req.on('data', chunk => {
+            size += Buffer.byteLength(chunk);
+            if (size > MAX_BODY_BYTES) {
+                // Stop keeping it; the rest is read and dropped
+                req.removeAllListeners('data');
+                req.removeAllListeners('end');
+                req.resume();
+                return tooLarge();
+            }
+            body += chunk;
+        });
+        req.on('end', () => {
+            try {
+                resolve(body ? JSON.parse(body) : {});
+            } catch (error) {
+                error.statusCode = 400;
+                reject(error);
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+function sendJSON(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+async function handleRequest(req, res) {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    // Merged into whatever the route writes with writeHead
+    Object.entries(corsHeaders(req)).forEach(([name, value]) => res.setHeader(name, value));
+
+    if (req.method === 'GET') {
+        return serveStatic(req, res, pathname);
+    }
+    if (!originAllowed(req)) {
+        return sendJSON(res, 403, { error: `Origin ${req.headers.origin} is not allowed` });
+    }
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204);
+        return res.end();
+    }
+    if (req.method !== 'POST') {
+        return sendJSON(res, 405, { error: 'Method not allowed' });
+    }
+
+    const callback = pathname.match(/^\/agent\/runs\/([^/]+)\/(tool-results|approvals)$/);
+    if (pathname === '/agent') {
+        return runAgent(req, res);
+    }
+    if (callback && callback[2] === 'tool-results') {
+        return resolveToolRequest(req, res, decodeURIComponent(callback[1]));
+    }
+    if (callback) {
+        return resolveApproval(req, res, decodeURIComponent(callback[1]));
+    }
+    sendJSON(res, 404, { error: 'Not found' });
+}
+
+const server = http.createServer((req, res) => {
+    handleRequest(req, res).catch(error => {
+        console.error('Request failed:', error);
+        if (!res.headersSent) {
+            sendJSON(res, error.statusCode || 500, { error: error.message });
+        } else {
+            res.end();
+        }
+    });
+});
+
+server.on('upgrade', (req, socket) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    if (pathname !== '/agent/ws') {
+        socket.end('HTTP/1.1 404 Not Found\r\nConnection: close\r\nContent-Length: 0\r\n\r\n');
+        return;
+    }
+    // Browsers let any page open a WebSocket anywhere, so the origin is checked here
+    if (!originAllowed(req)) {
+        socket.end('HTTP/1.1 403 Forbidden\r\nConnection: close\r\nContent-Length: 0\r\n\r\n');
+        return;
+    }
+    const connection = acceptWebSocket(req, socket);
+    if (connection) {
+        socketServer.accept(connection);
+    }
+});
+
+server.listen(config.port, () => {
+    const label = context.LLMProviders[config.llmProvider] ? context.LLMProviders[config.llmProvider].label : config.llmProvider;
+    console.log(`AG-UI agent server on http://localhost:${config.port} (model: ${label})`);
+    console.log(`Remote agent URL: http://localhost:${config.port}/agent (or ws://localhost:${config.port}/agent/ws)`);
+});
@@ -0,0 +1,109 @@
+/**
+ * Mock LLM Provider
+ * A scripted stand-in for a real model so the agent server runs with no
+ * network and no API key. It picks portfolio tools from keywords in the
+ * user's message, answers with a summary once their results are back, and
+ * streams both word by word like a real provider would.
+ *
+ * Loaded after llm-providers.js, it registers itself as the 'mock' provider.
+ */
+
+class MockLLMProvider extends LLMProvider {
+    static label = 'Mock';
+    static defaults = { baseUrl: 'mock://local', model: 'mock-1' };
+
+    get requiresApiKey() {
+        return false;
+    }
+
+    async complete(request) {
+        const messages = request.messages;
+        const lastMessage = messages[messages.length - 1];
+        const offered = new Set((request.tools || []).map(tool => tool.name));
+
+        if (lastMessage.role === 'tool') {
+            return this.reply(this.summarize(messages), []);
+        }
+
+        const calls = this.pickToolCalls(lastMessage.content || '').filter(call => offered.has(call.name));
+        if (calls.length === 0) {
+            return this.reply("I'm a mock model. Ask me to show, rebalance or project your portfolio.", []);
+        }
+        return this.reply('', calls.map((call, index) => ({
+            id: `mock_call_${Date.now()}_${index}`,
+            name: call.name,
+            args: call.args
+        })));
+    }
+
+    // Stream text a word at a time and arguments in two halves, checking for
+    // cancellation between deltas as a network stream would
+    async *stream(request) {
+        const reply = await this.complete(request);
+        const signal = request.signal;
+
+        for (const word of reply.content.match(/\S+\s*/g) || []) {
+            if (signal) {
+                signal.throwIfAborted();
+            }
+            yield { type: 'text', delta: word };
+        }
+        for (let index = 0; index < reply.toolCalls.length; index++) {
+            const call = reply.toolCalls[index];
+            const args = JSON.stringify(call.args);
+            const half = Math.ceil(args.length / 2);
+            yield { type: 'tool_call_start', index, id: call.id, name: call.name };
+            yield { type: 'tool_call_args', index, delta: args.slice(0, half) };
+            yield { type: 'tool_call_args', index, delta: args.slice(half) };
+        }
+        yield { type: 'usage', totalTokens: reply.usage.totalTokens };
+    }
+
+    pickToolCalls(prompt) {
+        const lowerPrompt = prompt.toLowerCase();
+        const calls = [];
+
+        if (/rebalance|aggressive|conservative|moderate/.test(lowerPrompt)) {
+            const strategy = ['aggressive', 'conservative'].find(name => lowerPrompt.includes(name)) || 'moderate';
+            calls.push({ name: 'getPortfolio', args: {} });
+            calls.push({ name: 'rebalancePortfolio', args: { strategy } });
+        } else if (/portfolio|allocation/.test(lowerPrompt)) {
+            calls.push({ name: 'getPortfolio', args: {} });
+        }
+
+        if (lowerPrompt.includes('retire')) {
+            const yearsMatch = lowerPrompt.match(/(\d+)\s*years?/);
+            calls.push({ name: 'getRetirementProjection', args: yearsMatch ? { yearsToRetirement: parseInt(yearsMatch[1]) } : {} });
+        }
+
+        return calls;
+    }
+
+    // Name the tools that ran since the user last spoke and whether they
+    // succeeded, with the projected tax of a rebalance
+    summarize(messages) {
+        const lastUserIndex = messages.map(message => message.role).lastIndexOf('user');
+        const toolNames = new Map(messages.slice(lastUserIndex + 1)
+            .flatMap(message => message.toolCalls || [])
+            .map(call => [call.id, call.function.name]));
+        const outcomes = messages.slice(lastUserIndex + 1)
+            .filter(message => message.role === 'tool')
+            .map(message => {
+                const result = JSON.parse(message.content);
+                let status = result && result.success === false ? `failed (${result.error})` : 'done';
+                if (result && result.taxImpact && result.taxImpact.summary) {
+                    status += ` (${result.taxImpact.summary})`;
+                }
+                return `${toolNames.get(message.toolCallId)}: ${status}`;
+            });
+        return `Here is what I did. ${outcomes.join('; ')}.`;
+    }
+
+    reply(content, toolCalls) {
+        return { content, toolCalls, usage: { totalTokens: Math.ceil(content.length / 4) + 10 * toolCalls.length } };
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.LLMProviders.mock = MockLLMProvider;
+}
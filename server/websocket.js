@@ -0,0 +1,227 @@
+/**
+ * Minimal WebSocket (RFC 6455) server connection for Node, with no dependencies.
+ * Enough for the agent transport: text messages (fragmented or not), ping/pong
+ * and the closing handshake. Connections look like a browser WebSocket
+ * (readyState, bufferedAmount, send, close, addEventListener) so the shared
+ * socket code can use either.
+ */
+
+const crypto = require('crypto');
+
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+const Opcode = {
+    CONTINUATION: 0x0,
+    TEXT: 0x1,
+    BINARY: 0x2,
+    CLOSE: 0x8,
+    PING: 0x9,
+    PONG: 0xA
+};
+
+const ReadyState = { CONNECTING: 0, OPEN: 1, CLOSING: 2, CLOSED: 3 };
+
+// Complete the upgrade handshake for an HTTP 'upgrade' request. Returns the
+// open connection, or null after refusing a request that isn't a WebSocket one.
+function acceptWebSocket(req, socket, options = {}) {
+    const key = req.headers['sec-websocket-key'];
+    if (!key || (req.headers.upgrade || '').toLowerCase() !== 'websocket') {
+        socket.end('HTTP/1.1 400 Bad Request\r\nConnection: close\r\nContent-Length: 0\r\n\r\n');
+        return null;
+    }
+
+    const accept = crypto.createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '',
+        ''
+    ].join('\r\n'));
+    return new WebSocketConnection(socket, options);
+}
+
+class WebSocketConnection {
+    constructor(socket, options = {}) {
+        this.socket = socket;
+        this.maxPayload = options.maxPayload || 1024 * 1024;
+        this.readyState = ReadyState.OPEN;
+        this.listeners = { message: [], close: [], error: [] };
+        this.buffer = Buffer.alloc(0);
+        // Payload pieces of a fragmented message
+        this.fragments = [];
+
+        socket.setNoDelay(true);
+        socket.on('data', chunk => this.onData(chunk));
+        socket.on('close', () => this.onSocketClose());
+        socket.on('error', error => this.dispatch('error', { error }));
+    }
+
+    get bufferedAmount() {
+        return this.socket.writableLength;
+    }
+
+    addEventListener(type, listener) {
+        this.listeners[type].push(listener);
+    }
+
+    removeEventListener(type, listener) {
+        this.listeners[type] = this.listeners[type].filter(entry => entry !== listener);
+    }
+
+    dispatch(type, event) {
+        this.listeners[type].slice().forEach(listener => listener({ type, ...event }));
+    }
+
+    send(text) {
+        if (this.readyState !== ReadyState.OPEN) {
+            throw new Error('WebSocket is not open');
+        }
+        this.writeFrame(Opcode.TEXT, Buffer.from(text, 'utf8'));
+    }
+
+    close(code = 1000, reason = '') {
+        if (this.readyState !== ReadyState.OPEN) {
+            return;
+        }
+        this.readyState = ReadyState.CLOSING;
+        const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+        payload.writeUInt16BE(code, 0);
+        payload.write(reason, 2);
+        this.writeFrame(Opcode.CLOSE, payload);
+        this.socket.end();
+    }
+
+    // Server frames are never masked
+    writeFrame(opcode, payload) {
+        let header;
+        if (payload.length < 126) {
+            header = Buffer.from([0x80 | opcode, payload.length]);
+        } else if (payload.length < 65536) {
+            header = Buffer.alloc(4);
+            header[0] = 0x80 | opcode;
+            header[1] = 126;
+            header.writeUInt16BE(payload.length, 2);
+        } else {
+            header = Buffer.alloc(10);
+            header[0] = 0x80 | opcode;
+            header[1] = 127;
+            header.writeBigUInt64BE(BigInt(payload.length), 2);
+        }
+        this.socket.write(Buffer.concat([header, payload]));
+    }
+
+    onData(chunk) {
+        this.buffer = Buffer.concat([this.buffer, chunk]);
+        let frame;
+        while ((frame = this.readFrame()) !== null) {
+            this.handleFrame(frame);
+            if (this.readyState === ReadyState.CLOSED) {
+                return;
+            }
+        }
+    }
+
+    // Take one complete frame off the buffer, or return null if it isn't all here yet
+    readFrame() {
+        const buffer = this.buffer;
+        if (buffer.length < 2) {
+            return null;
+        }
+
+        const fin = (buffer[0] & 0x80) !== 0;
+        const opcode = buffer[0] & 0x0F;
+        const masked = (buffer[1] & 0x80) !== 0;
+        let length = buffer[1] & 0x7F;
+        let offset = 2;
+
+        if (length === 126) {
+            if (buffer.length < 4) {
+                return null;
+            }
+            length = buffer.readUInt16BE(2);
+            offset = 4;
+        } else if (length === 127) {
+            if (buffer.length < 10) {
+                return null;
+            }
+            length = Number(buffer.readBigUInt64BE(2));
+            offset = 10;
+        }
+
+        if (length > this.maxPayload) {
+            this.fail(1009, 'Message too big');
+            return null;
+        }
+        if (!masked) {
+            // Clients must mask every frame
+            this.fail(1002, 'Unmasked client frame');
+            return null;
+        }
+        if (buffer.length < offset + 4 + length) {
+            return null;
+        }
+
+        const mask = buffer.subarray(offset, offset + 4);
+        const payload = Buffer.from(buffer.subarray(offset + 4, offset + 4 + length));
+        for (let i = 0; i < payload.length; i++) {
+            payload[i] ^= mask[i % 4];
+        }
+        this.buffer = buffer.subarray(offset + 4 + length);
+        return { fin, opcode, payload };
+    }
+
+    handleFrame({ fin, opcode, payload }) {
+        switch (opcode) {
+            case Opcode.TEXT:
+            case Opcode.CONTINUATION:
+                this.fragments.push(payload);
+                if (fin) {
+                    const data = Buffer.concat(this.fragments).toString('utf8');
+                    this.fragments = [];
+                    this.dispatch('message', { data });
+                }
+                break;
+
+            case Opcode.BINARY:
+                this.fail(1003, 'Only text messages are supported');
+                break;
+
+            case Opcode.PING:
+                this.writeFrame(Opcode.PONG, payload);
+                break;
+
+            case Opcode.PONG:
+                break;
+
+            case Opcode.CLOSE:
+                if (this.readyState === ReadyState.OPEN) {
+                    // Echo the close to complete the handshake
+                    this.readyState = ReadyState.CLOSING;
+                    this.writeFrame(Opcode.CLOSE, payload.subarray(0, 2));
+                }
+                this.socket.end();
+                break;
+
+            default:
+                this.fail(1002, `Unknown opcode ${opcode}`);
+        }
+    }
+
+    fail(code, reason) {
+        this.close(code, reason);
+        this.socket.destroy();
+        this.onSocketClose();
+    }
+
+    onSocketClose() {
+        if (this.readyState === ReadyState.CLOSED) {
+            return;
+        }
+        this.readyState = ReadyState.CLOSED;
+        this.dispatch('close', { code: 1006, reason: '', wasClean: false });
+    }
+}
+
+module.exports = { acceptWebSocket, WebSocketConnection };
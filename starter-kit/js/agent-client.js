@@ -26,10 +26,15 @@ class AgentClient {
      * This is the main entry point for agent processing. It returns an async generator
      * that yields AG-UI protocol events as the agent processes the request.
      * 
+     * Pass an AbortSignal as options.signal to make the run cancellable. A
+     * cancelled run ends with RUN_ERROR (code 'CANCELLED') and then RUN_FINISHED.
+     * 
      * @param {string} prompt - User input to process
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Cancels the run
      * @yields {Object} AG-UI protocol events
      */
-    async *processPrompt(prompt) {
+    async *processPrompt(prompt, options = {}) {
         if (this.isProcessing) {
             yield new window.AGUI.CustomEvent('Agent is already processing a request. Please wait.');
             return;
@@ -39,17 +44,23 @@ class AgentClient {
         
         const threadId = 'thread_' + Date.now();
         const runId = 'run_' + Date.now();
+        const signal = options.signal || null;
 
         try {
             // Start the run using AG-UI protocol
             yield new window.AGUI.RunStartedEvent(threadId, runId);
 
             // Get tool calls from LLM (either real AI or keyword matching)
-            const toolCalls = await this.llmClient.getToolCalls(prompt);
+            const toolCalls = await this.llmClient.getToolCalls(prompt, { signal });
 
             // Process each tool call using proper AG-UI events
             const executedTools = [];
             for (const call of toolCalls) {
+                // Stop between tools once the run has been cancelled
+                if (signal) {
+                    signal.throwIfAborted();
+                }
+
                 const tool = this.tools.find(t => t.name === call.name);
                 if (tool) {
                     const toolCallId = 'tool_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
@@ -64,7 +75,7 @@ class AgentClient {
                     
                     try {
                         // Execute the WebMCP tool
-                        const result = await tool.execute(call.args || {});
+                        const result = await tool.execute(call.args || {}, { signal });
                         
                         yield new window.AGUI.ToolCallEndEvent(toolCallId);
                         yield new window.AGUI.ToolCallResultEvent(messageId, toolCallId, JSON.stringify(result));
@@ -72,6 +83,9 @@ class AgentClient {
                         executedTools.push({ call, result });
                         
                     } catch (toolError) {
+                        if (signal && signal.aborted) {
+                            throw toolError;
+                        }
                         console.error(`Tool execution error for ${call.name}:`, toolError);
                         yield new window.AGUI.ToolCallEndEvent(toolCallId);
                         yield new window.AGUI.ToolCallResultEvent(messageId, toolCallId, JSON.stringify({
@@ -85,23 +99,26 @@ class AgentClient {
             }
 
             // Generate and stream response
-            yield* this.streamResponse(prompt, executedTools, runId);
+            yield* this.streamResponse(prompt, executedTools, runId, signal);
 
             // Finish the run
             yield new window.AGUI.RunFinishedEvent(threadId, runId, 'completed');
 
         } catch (error) {
-            console.error('Agent processing error:', error);
+            const cancelled = Boolean(signal && signal.aborted);
+            if (!cancelled) {
+                console.error('Agent processing error:', error);
+            }
             
             // Send error using AG-UI protocol
             yield new window.AGUI.RunErrorEvent(threadId, runId, {
-                message: error.message,
-                code: 'PROCESSING_ERROR',
+                message: cancelled ? 'Run cancelled by user' : error.message,
+                code: cancelled ? 'CANCELLED' : 'PROCESSING_ERROR',
                 timestamp: Date.now()
             });
             
             // Still finish the run even on error
-            yield new window.AGUI.RunFinishedEvent(threadId, runId, 'error');
+            yield new window.AGUI.RunFinishedEvent(threadId, runId, cancelled ? 'cancelled' : 'error');
         } finally {
             this.isProcessing = false;
         }
@@ -113,9 +130,10 @@ class AgentClient {
      * @param {string} originalPrompt - Original user prompt
      * @param {Array} executedTools - Tools that were executed
      * @param {string} runId - Current run ID for consistency
+     * @param {AbortSignal} [signal] - Cancels response generation
      * @yields {Object} AG-UI text message events
      */
-    async *streamResponse(originalPrompt, executedTools, runId) {
+    async *streamResponse(originalPrompt, executedTools, runId, signal = null) {
         const responseMessageId = 'response_' + Date.now();
         
         // Start text message
@@ -128,11 +146,14 @@ class AgentClient {
                 // Generate response based on executed tools
                 if (this.llmClient.useRealLLM) {
                     // Use LLM to generate natural response
-                    response = await this.llmClient.generateIntelligentResponse(originalPrompt, executedTools.map(t => t.call));
+                    response = await this.llmClient.generateIntelligentResponse(originalPrompt, executedTools.map(t => t.call), signal);
                     
                     // Stream the response word by word to simulate real-time generation
                     const words = response.split(' ');
                     for (let i = 0; i < words.length; i++) {
+                        if (signal) {
+                            signal.throwIfAborted();
+                        }
                         const chunk = (i === 0 ? '' : ' ') + words[i];
                         yield new window.AGUI.TextMessageContentEvent(responseMessageId, chunk);
                         // Small delay to simulate streaming
@@ -150,6 +171,9 @@ class AgentClient {
             }
             
         } catch (responseError) {
+            if (signal && signal.aborted) {
+                throw responseError;
+            }
             console.error('Error generating response:', responseError);
             const errorResponse = "I encountered an error while generating my response, but the requested actions may have completed successfully.";
             yield new window.AGUI.TextMessageContentEvent(responseMessageId, errorResponse);
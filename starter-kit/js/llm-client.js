@@ -3,12 +3,13 @@
  * 
  * This class provides dual-mode LLM integration:
  * 1. Demo Mode: Keyword-based pattern matching (no API key required)
- * 2. Real LLM Mode: Integration with OpenAI GPT models
+ * 2. Real LLM Mode: Integration with OpenAI-compatible, Anthropic or Ollama models
+ *    through the adapters in llm-providers.js
  * 
  * CUSTOMIZATION:
  * - Add your own keyword patterns in getToolCallsFromKeywords()
- * - Modify the system prompt in getToolCallsFromOpenAI()
- * - Add support for other LLM providers (Claude, Gemini, etc.)
+ * - Modify the system prompt in getToolCallsFromLLM()
+ * - Switch model backends with setProvider('anthropic', { apiKey, model })
  * - Customize tool parameter schemas for better LLM understanding
  */
 
@@ -17,15 +18,17 @@ class LLMClient {
         this.tools = tools;
         this.apiKey = null;
         this.useRealLLM = false;
-        this.llmProvider = 'openai'; // Future: support multiple providers
+        this.llmProvider = 'openai';
+        this.provider = createLLMProvider(this.llmProvider);
     }
 
     /**
      * Configure API key for real LLM integration
-     * @param {string} apiKey - OpenAI API key
+     * @param {string} apiKey - API key for the current provider
      */
     setApiKey(apiKey) {
         this.apiKey = apiKey;
+        this.provider.apiKey = apiKey;
         this.useRealLLM = true;
         console.log('LLM Client: Real LLM mode enabled');
     }
@@ -35,6 +38,7 @@ class LLMClient {
      */
     clearApiKey() {
         this.apiKey = null;
+        this.provider.apiKey = null;
         this.useRealLLM = false;
         console.log('LLM Client: Demo mode enabled');
     }
@@ -42,30 +46,30 @@ class LLMClient {
     /**
      * Get tool calls from user input (main entry point)
      * @param {string} prompt - User input
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Cancels the LLM request
      * @returns {Promise<Array>} Array of tool call objects
      */
-    async getToolCalls(prompt) {
-        if (this.useRealLLM && this.apiKey) {
-            return await this.getToolCallsFromOpenAI(prompt);
+    async getToolCalls(prompt, options = {}) {
+        if (this.useRealLLM && (this.apiKey || !this.provider.requiresApiKey)) {
+            return await this.getToolCallsFromLLM(prompt, options.signal);
         } else {
             return await this.getToolCallsFromKeywords(prompt);
         }
     }
 
     /**
-     * Real LLM integration using OpenAI GPT models
+     * Real LLM integration through the configured provider adapter
      * @param {string} prompt - User input
+     * @param {AbortSignal} [signal] - Cancels the request
      * @returns {Promise<Array>} Array of tool call objects
      */
-    async getToolCallsFromOpenAI(prompt) {
+    async getToolCallsFromLLM(prompt, signal = null) {
         try {
             const toolDefinitions = this.tools.map(tool => ({
-                type: "function",
-                function: {
-                    name: tool.name,
-                    description: tool.description,
-                    parameters: this.generateParametersForTool(tool.name)
-                }
+                name: tool.name,
+                description: tool.description,
+                parameters: this.generateParametersForTool(tool.name)
             }));
 
             // TODO: Customize the system prompt for your application domain
@@ -75,56 +79,25 @@ Available tools: ${this.tools.map(t => `${t.name} - ${t.description}`).join(', '
 
 When users ask for help, use the appropriate tools to assist them. Always prioritize the most relevant tool for their request.`;
 
-            const messages = [
-                {
-                    role: "system",
-                    content: systemPrompt
-                },
-                {
-                    role: "user", 
-                    content: prompt
-                }
-            ];
-
-            const response = await fetch('https://api.openai.com/v1/chat/completions', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': `Bearer ${this.apiKey}`
-                },
-                body: JSON.stringify({
-                    model: "gpt-3.5-turbo",
-                    messages: messages,
-                    tools: toolDefinitions,
-                    tool_choice: "auto",
-                    temperature: 0.7
-                })
+            const reply = await this.provider.complete({
+                systemPrompt,
+                messages: [{ role: 'user', content: prompt }],
+                tools: toolDefinitions,
+                temperature: 0.7,
+                signal
             });
 
-            if (!response.ok) {
-                const errorText = await response.text();
-                throw new Error(`OpenAI API error: ${response.status} ${response.statusText} - ${errorText}`);
-            }
-
-            const data = await response.json();
-            
-            // Extract tool calls from OpenAI response
-            const calls = [];
-            if (data.choices?.[0]?.message?.tool_calls) {
-                for (const toolCall of data.choices[0].message.tool_calls) {
-                    if (toolCall.type === 'function') {
-                        calls.push({
-                            name: toolCall.function.name,
-                            args: JSON.parse(toolCall.function.arguments || '{}')
-                        });
-                    }
-                }
-            }
+            // Adapters normalize tool calls to { id, name, args }
+            const calls = reply.toolCalls.map(call => ({ name: call.name, args: call.args }));
 
             return calls;
             
         } catch (error) {
-            console.error('Error calling OpenAI API:', error);
+            // A cancelled request should stop the run, not fall back to demo mode
+            if (signal && signal.aborted) {
+                throw error;
+            }
+            console.error(`Error calling ${this.provider.constructor.label} API:`, error);
             // Fallback to keyword matching if API fails
             console.log('Falling back to demo mode due to API error');
             return await this.getToolCallsFromKeywords(prompt);
@@ -293,10 +266,11 @@ When users ask for help, use the appropriate tools to assist them. Always priori
      * Generate an intelligent response using the LLM (for real LLM mode)
      * @param {string} originalPrompt - Original user prompt
      * @param {Array} toolCalls - Tool calls that were executed
+     * @param {AbortSignal} [signal] - Cancels the request
      * @returns {Promise<string>} Generated response
      */
-    async generateIntelligentResponse(originalPrompt, toolCalls) {
-        if (!this.useRealLLM || !this.apiKey) {
+    async generateIntelligentResponse(originalPrompt, toolCalls, signal = null) {
+        if (!this.useRealLLM || (!this.apiKey && this.provider.requiresApiKey)) {
             return this.generateSimpleResponse(toolCalls);
         }
 
@@ -308,36 +282,18 @@ I executed these tools: ${toolCalls.map(call => `${call.name}(${JSON.stringify(c
 
 Please provide a helpful response explaining what was accomplished and any relevant insights from the results.`;
 
-            const response = await fetch('https://api.openai.com/v1/chat/completions', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': `Bearer ${this.apiKey}`
-                },
-                body: JSON.stringify({
-                    model: "gpt-3.5-turbo",
-                    messages: [
-                        {
-                            role: "system",
-                            content: "You are a helpful assistant. Provide clear, concise responses about what actions were taken."
-                        },
-                        {
-                            role: "user",
-                            content: responsePrompt
-                        }
-                    ],
-                    temperature: 0.7,
-                    max_tokens: 300
-                })
+            const reply = await this.provider.complete({
+                systemPrompt: "You are a helpful assistant. Provide clear, concise responses about what actions were taken.",
+                messages: [{ role: 'user', content: responsePrompt }],
+                temperature: 0.7,
+                maxTokens: 300,
+                signal
             });
-
-            if (response.ok) {
-                const data = await response.json();
-                return data.choices[0].message.content;
-            } else {
-                throw new Error('Failed to generate response');
-            }
+            return reply.content;
         } catch (error) {
+            if (signal && signal.aborted) {
+                throw error;
+            }
             console.error('Error generating intelligent response:', error);
             return this.generateSimpleResponse(toolCalls);
         }
@@ -358,13 +314,17 @@ Please provide a helpful response explaining what was accomplished and any relev
     }
 
     /**
-     * Set LLM provider (for future multi-provider support)
-     * @param {string} provider - Provider name ('openai', 'claude', 'gemini', etc.)
+     * Set LLM provider
+     * @param {string} provider - Provider name ('openai', 'anthropic' or 'ollama')
+     * @param {Object} config - Optional { apiKey, baseUrl, model }; baseUrl points the
+     *                          'openai' adapter at any OpenAI-compatible server (vLLM, LM Studio, llama.cpp)
      */
-    setProvider(provider) {
+    setProvider(provider, config = {}) {
+        this.provider = createLLMProvider(provider, { apiKey: this.apiKey, ...config });
         this.llmProvider = provider;
-        console.log(`LLM Client: Provider set to ${provider}`);
-        // TODO: Implement support for other providers
+        this.apiKey = this.provider.apiKey;
+        this.useRealLLM = Boolean(this.apiKey) || !this.provider.requiresApiKey;
+        console.log(`LLM Client: Provider set to ${provider} (${this.provider.model})`);
     }
 
     /**
@@ -375,6 +335,8 @@ Please provide a helpful response explaining what was accomplished and any relev
         return {
             useRealLLM: this.useRealLLM,
             provider: this.llmProvider,
+            model: this.provider.model,
+            baseUrl: this.provider.baseUrl,
             hasApiKey: !!this.apiKey,
             toolCount: this.tools.length
         };
@@ -402,8 +364,11 @@ Please provide a helpful response explaining what was accomplished and any relev
  * }
  * 
  * 3. CUSTOMIZE SYSTEM PROMPT:
- * In getToolCallsFromOpenAI(), modify the system prompt to describe your application domain
+ * In getToolCallsFromLLM(), modify the system prompt to describe your application domain
  * 
- * 4. ADD MULTI-PROVIDER SUPPORT:
- * Implement additional provider methods like getToolCallsFromClaude(), getToolCallsFromGemini()
+ * 4. SWITCH OR ADD PROVIDERS:
+ * llmClient.setProvider('anthropic', { apiKey: 'sk-ant-...' });
+ * llmClient.setProvider('ollama', { model: 'llama3.1' });
+ * llmClient.setProvider('openai', { baseUrl: 'http://localhost:1234/v1', model: 'local-model' });
+ * New backends extend LLMProvider in llm-providers.js and register in LLMProviders
  */
\ No newline at end of file
@@ -0,0 +1,268 @@
+/**
+ * LLM Provider Adapters
+ * Each adapter talks to one model API and normalizes its reply into the
+ * shape LLMClient and AgentClient consume:
+ *   { content, toolCalls: [{ id, name, args }], usage: { totalTokens } }
+ *
+ * Conversations are passed in as AG-UI messages
+ * ({ id, role, content, toolCalls, toolCallId }) and tools as
+ * { name, description, parameters } where parameters is a JSON Schema.
+ * request.signal (an AbortSignal) cancels the call.
+ */
+
+class LLMProvider {
+    constructor(config = {}) {
+        const defaults = this.constructor.defaults;
+        this.apiKey = config.apiKey || null;
+        this.baseUrl = (config.baseUrl || defaults.baseUrl).replace(/\/+$/, '');
+        this.model = config.model || defaults.model;
+    }
+
+    // Whether requests can be made without an API key (local servers)
+    get requiresApiKey() {
+        return true;
+    }
+
+    async complete(request) {
+        throw new Error(`${this.constructor.name} does not implement complete()`);
+    }
+
+    // signal aborts the request
+    async postJSON(url, headers, body, signal = null) {
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...headers },
+            body: JSON.stringify(body),
+            signal
+        });
+
+        if (!response.ok) {
+            throw new Error(`${this.constructor.label} API error: ${response.status} ${response.statusText}`);
+        }
+
+        return response.json();
+    }
+
+    parseArguments(rawArguments) {
+        if (!rawArguments) {
+            return {};
+        }
+        return typeof rawArguments === 'string' ? JSON.parse(rawArguments) : rawArguments;
+    }
+}
+
+// OpenAI Chat Completions, or any server exposing the same API
+// (vLLM, LM Studio, llama.cpp server) at a custom base URL
+class OpenAICompatibleProvider extends LLMProvider {
+    static label = 'OpenAI-compatible';
+    static defaults = { baseUrl: 'https://api.openai.com/v1', model: 'gpt-3.5-turbo' };
+
+    // Only the hosted OpenAI endpoint needs a key; local servers usually don't
+    get requiresApiKey() {
+        return this.baseUrl === OpenAICompatibleProvider.defaults.baseUrl;
+    }
+
+    async complete({ systemPrompt, messages, tools = [], maxTokens, temperature = 0.7, signal }) {
+        const body = {
+            model: this.model,
+            messages: [
+                ...(systemPrompt ? [{ role: 'system', content: systemPrompt }] : []),
+                ...this.toOpenAIMessages(messages)
+            ],
+            temperature
+        };
+        if (tools.length > 0) {
+            body.tools = tools.map(tool => ({ type: 'function', function: tool }));
+            body.tool_choice = 'auto';
+        }
+        if (maxTokens) {
+            body.max_tokens = maxTokens;
+        }
+
+        const headers = this.apiKey ? { 'Authorization': `Bearer ${this.apiKey}` } : {};
+        const data = await this.postJSON(`${this.baseUrl}/chat/completions`, headers, body, signal);
+        const message = data.choices?.[0]?.message || {};
+
+        return {
+            content: message.content || '',
+            toolCalls: (message.tool_calls || [])
+                .filter(toolCall => toolCall.type === 'function')
+                .map(toolCall => ({
+                    id: toolCall.id,
+                    name: toolCall.function.name,
+                    args: this.parseArguments(toolCall.function.arguments)
+                })),
+            usage: { totalTokens: data.usage?.total_tokens || 0 }
+        };
+    }
+
+    toOpenAIMessages(messages) {
+        return messages.map(message => {
+            if (message.role === 'tool') {
+                return { role: 'tool', tool_call_id: message.toolCallId, content: message.content };
+            }
+            if (message.role === 'assistant' && message.toolCalls && message.toolCalls.length > 0) {
+                return { role: 'assistant', content: message.content || null, tool_calls: message.toolCalls };
+            }
+            return { role: message.role, content: message.content };
+        });
+    }
+}
+
+// Anthropic Messages API with tool_use / tool_result content blocks
+class AnthropicProvider extends LLMProvider {
+    static label = 'Anthropic';
+    static defaults = { baseUrl: 'https://api.anthropic.com/v1', model: 'claude-3-5-haiku-latest' };
+
+    async complete({ systemPrompt, messages, tools = [], maxTokens = 1024, temperature = 0.7, signal }) {
+        const body = {
+            model: this.model,
+            max_tokens: maxTokens,
+            messages: this.toAnthropicMessages(messages),
+            temperature
+        };
+        if (systemPrompt) {
+            body.system = systemPrompt;
+        }
+        if (tools.length > 0) {
+            body.tools = tools.map(tool => ({
+                name: tool.name,
+                description: tool.description,
+                input_schema: tool.parameters
+            }));
+        }
+
+        const data = await this.postJSON(`${this.baseUrl}/messages`, {
+            'x-api-key': this.apiKey,
+            'anthropic-version': '2023-06-01',
+            // Required for calls made straight from the browser (POC only, see SECURITY.md)
+            'anthropic-dangerous-direct-browser-access': 'true'
+        }, body, signal);
+
+        const blocks = data.content || [];
+        return {
+            content: blocks.filter(block => block.type === 'text').map(block => block.text).join(''),
+            toolCalls: blocks
+                .filter(block => block.type === 'tool_use')
+                .map(block => ({ id: block.id, name: block.name, args: block.input || {} })),
+            usage: { totalTokens: (data.usage?.input_tokens || 0) + (data.usage?.output_tokens || 0) }
+        };
+    }
+
+    // Anthropic expects tool calls as tool_use blocks on the assistant turn and
+    // their results as tool_result blocks on the following user turn
+    toAnthropicMessages(messages) {
+        const converted = [];
+
+        for (const message of messages) {
+            if (message.role === 'tool') {
+                const block = { type: 'tool_result', tool_use_id: message.toolCallId, content: message.content };
+                const previous = converted[converted.length - 1];
+                if (previous && previous.role === 'user' && Array.isArray(previous.content) &&
+                    previous.content.every(item => item.type === 'tool_result')) {
+                    previous.content.push(block);
+                } else {
+                    converted.push({ role: 'user', content: [block] });
+                }
+            } else if (message.role === 'assistant' && message.toolCalls && message.toolCalls.length > 0) {
+                const content = message.content ? [{ type: 'text', text: message.content }] : [];
+                for (const call of message.toolCalls) {
+                    content.push({
+                        type: 'tool_use',
+                        id: call.id,
+                        name: call.function.name,
+                        input: this.parseArguments(call.function.arguments)
+                    });
+                }
+                converted.push({ role: 'assistant', content });
+            } else if (message.role === 'user' || message.role === 'assistant') {
+                converted.push({ role: message.role, content: message.content });
+            }
+        }
+
+        return converted;
+    }
+}
+
+// Local models served by Ollama's /api/chat endpoint
+class OllamaProvider extends LLMProvider {
+    static label = 'Ollama';
+    static defaults = { baseUrl: 'http://localhost:11434', model: 'llama3.1' };
+
+    get requiresApiKey() {
+        return false;
+    }
+
+    async complete({ systemPrompt, messages, tools = [], maxTokens, temperature = 0.7, signal }) {
+        const body = {
+            model: this.model,
+            messages: [
+                ...(systemPrompt ? [{ role: 'system', content: systemPrompt }] : []),
+                ...this.toOllamaMessages(messages)
+            ],
+            stream: false,
+            options: { temperature }
+        };
+        if (tools.length > 0) {
+            body.tools = tools.map(tool => ({ type: 'function', function: tool }));
+        }
+        if (maxTokens) {
+            body.options.num_predict = maxTokens;
+        }
+
+        const data = await this.postJSON(`${this.baseUrl}/api/chat`, {}, body, signal);
+        const message = data.message || {};
+
+        return {
+            content: message.content || '',
+            // Ollama does not assign tool call IDs, so mint them here
+            toolCalls: (message.tool_calls || []).map((toolCall, index) => ({
+                id: `ollama_call_${Date.now()}_${index}`,
+                name: toolCall.function.name,
+                args: this.parseArguments(toolCall.function.arguments)
+            })),
+            usage: { totalTokens: (data.prompt_eval_count || 0) + (data.eval_count || 0) }
+        };
+    }
+
+    toOllamaMessages(messages) {
+        const toolNames = new Map();
+
+        return messages.map(message => {
+            if (message.role === 'assistant' && message.toolCalls && message.toolCalls.length > 0) {
+                message.toolCalls.forEach(call => toolNames.set(call.id, call.function.name));
+                return {
+                    role: 'assistant',
+                    content: message.content || '',
+                    tool_calls: message.toolCalls.map(call => ({
+                        function: { name: call.function.name, arguments: this.parseArguments(call.function.arguments) }
+                    }))
+                };
+            }
+            if (message.role === 'tool') {
+                return { role: 'tool', content: message.content, tool_name: toolNames.get(message.toolCallId) };
+            }
+            return { role: message.role, content: message.content };
+        });
+    }
+}
+
+// Providers selectable from the LLM Configuration panel, keyed by id
+const LLMProviders = {
+    openai: OpenAICompatibleProvider,
+    anthropic: AnthropicProvider,
+    ollama: OllamaProvider
+};
+
+function createLLMProvider(name, config = {}) {
+    const Provider = LLMProviders[name];
+    if (!Provider) {
+        throw new Error(`Unknown LLM provider '${name}'. Available providers: ${Object.keys(LLMProviders).join(', ')}`);
+    }
+    return new Provider(config);
+}
+
+if (typeof window !== 'undefined') {
+    window.LLMProviders = LLMProviders;
+    window.createLLMProvider = createLLMProvider;
+}
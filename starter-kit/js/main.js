@@ -39,6 +39,7 @@ document.addEventListener('DOMContentLoaded', () => {
     // ===== UI ELEMENT REFERENCES =====
     
     const sendButton = document.getElementById('send-prompt');
+    const stopButton = document.getElementById('stop-run');
     const userInput = document.getElementById('user-prompt');
     
     // LLM Configuration elements
@@ -108,6 +109,13 @@ document.addEventListener('DOMContentLoaded', () => {
     // Handle send button click
     sendButton.addEventListener('click', () => handleUserInput());
     
+    // Handle stop button click: cancels the run in progress
+    stopButton.addEventListener('click', () => {
+        if (runController) {
+            runController.abort();
+        }
+    });
+    
     // Handle Enter key in input field
     userInput.addEventListener('keypress', (e) => {
         if (e.key === 'Enter' && !e.shiftKey) {
@@ -143,6 +151,9 @@ document.addEventListener('DOMContentLoaded', () => {
 
     // ===== MAIN USER INPUT PROCESSING =====
     
+    // Aborts the run in progress, if any
+    let runController = null;
+    
     /**
      * Handle user input and process it through the agent
      */
@@ -162,10 +173,15 @@ document.addEventListener('DOMContentLoaded', () => {
         
         // Clear previous agent output
         agentUI.clear();
+        
+        // Show Stop instead of Send while the agent works
+        runController = new AbortController();
+        sendButton.style.display = 'none';
+        stopButton.style.display = 'inline-block';
 
         try {
             // Process the prompt through the agent and stream AG-UI events
-            const eventStream = agentClient.processPrompt(prompt);
+            const eventStream = agentClient.processPrompt(prompt, { signal: runController.signal });
             
             // Stream each AG-UI event as it's generated
             for await (const event of eventStream) {
@@ -183,6 +199,10 @@ document.addEventListener('DOMContentLoaded', () => {
             
             // Also show error in chat
             chatUI.addAgentMessage(`I encountered an error: ${error.message}`);
+        } finally {
+            runController = null;
+            sendButton.style.display = 'inline-block';
+            stopButton.style.display = 'none';
         }
     }
 
@@ -313,7 +333,11 @@ class AgentUI {
                 voiceIcon = '🏁';
                 break;
             case 'RUN_ERROR':
-                eventDisplay = `❌ <strong>Error:</strong> ${event.error?.message || 'Unknown error'}`;
+                if (event.error?.code === 'CANCELLED') {
+                    eventDisplay = `⏹️ <strong>Cancelled:</strong> ${event.error.message}`;
+                } else {
+                    eventDisplay = `❌ <strong>Error:</strong> ${event.error?.message || 'Unknown error'}`;
+                }
                 voiceIcon = '⚠️';
                 break;
             case 'TOOL_CALL_START':
@@ -0,0 +1,146 @@
+/**
+ * AgentClient runs each tool call exactly once per toolCallId: the summary
+ * reads the results captured in the loop, a call the model repeats reuses its
+ * result, and approving an interrupt twice doesn't run the tool again.
+ *
+ *   node --test test/*.test.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, createApp } = require('./helpers/browser-context');
+
+// The app in keyword mode, with every tool's execute counted per toolCallId
+async function setup() {
+    const context = loadScripts();
+    const app = await createApp(context);
+    const executions = new Map();
+    for (const tool of context.WebMCP.getTools()) {
+        const execute = tool.execute;
+        executions.set(tool.name, 0);
+        tool.execute = (args, toolContext) => {
+            executions.set(tool.name, executions.get(tool.name) + 1);
+            return execute(args, toolContext);
+        };
+    }
+    const agent = new context.AgentClient(app.getTools(), context.WebMCP, { getState: () => app.getState() });
+    return { context, app, agent, executions };
+}
+
+// Drive a run to the end, answering each interrupt with onInterrupt(value)
+async function run(context, agent, prompt, onInterrupt = value => agent.resolveApproval(value.interruptId, true)) {
+    const events = [];
+    for await (const event of context.verifyEvents(agent.processPrompt(prompt))) {
+        events.push(event);
+        if (event.type === 'CUSTOM' && event.name === context.AGUI.InterruptEventName.INTERRUPT) {
+            onInterrupt(event.value);
+        }
+    }
+    return events;
+}
+
+function resultsFor(events, toolCallId) {
+    return events.filter(event => event.type === 'TOOL_CALL_RESULT' && event.toolCallId === toolCallId);
+}
+
+// The first word of each history entry, e.g. 'Rebalanced'
+function historyActions(app) {
+    return Array.from(app.portfolioHistory, entry => entry.action.split(' ')[0]);
+}
+
+test('rebalancePortfolio and getRetirementProjection run once per toolCallId', async () => {
+    const { context, app, agent, executions } = await setup();
+
+    const events = await run(context, agent, 'Rebalance aggressive and show my retirement projection for 20 years');
+
+    const starts = events.filter(event => event.type === 'TOOL_CALL_START');
+    assert.deepEqual(starts.map(event => event.toolCallName), ['getPortfolio', 'rebalancePortfolio', 'getRetirementProjection']);
+    assert.equal(executions.get('rebalancePortfolio'), 1);
+    assert.equal(executions.get('getRetirementProjection'), 1);
+    starts.forEach(start => assert.equal(resultsFor(events, start.toolCallId).length, 1));
+    // Each tool wrote its history entry once
+    assert.deepEqual(historyActions(app), ['Rebalanced', 'Generated']);
+    assert.equal(events[events.length - 1].type, 'RUN_FINISHED');
+});
+
+test('a tool call the model repeats reuses the first result', async () => {
+    const { context, app, agent, executions } = await setup();
+    // The model answers the first tool results by making the same calls, with
+    // the same ids, again; after that keyword mode summarizes as usual
+    const chatWithKeywords = agent.llmClient.chatWithKeywords.bind(agent.llmClient);
+    let firstReply = null;
+    let repeated = false;
+    agent.llmClient.chatWithKeywords = async messages => {
+        if (!firstReply) {
+            firstReply = await chatWithKeywords(messages);
+            return firstReply;
+        }
+        if (!repeated) {
+            repeated = true;
+            return firstReply;
+        }
+        return chatWithKeywords(messages);
+    };
+    let interrupts = 0;
+
+    const events = [];
+    for await (const event of agent.processPrompt('Rebalance aggressive and show my retirement plan')) {
+        events.push(event);
+        if (event.type === 'CUSTOM' && event.name === context.AGUI.InterruptEventName.INTERRUPT) {
+            interrupts++;
+            agent.resolveApproval(event.value.interruptId, true);
+        }
+    }
+
+    assert.ok(repeated);
+    assert.equal(executions.get('rebalancePortfolio'), 1);
+    assert.equal(executions.get('getRetirementProjection'), 1);
+    // The repeat is answered from the ledger without asking the user again
+    assert.equal(interrupts, 1);
+    assert.deepEqual(historyActions(app), ['Rebalanced', 'Generated']);
+    for (const call of firstReply.toolCalls) {
+        const results = resultsFor(events, call.id);
+        assert.equal(results.length, 2);
+        assert.equal(results[1].content, results[0].content);
+    }
+    assert.equal(events[events.length - 1].type, 'RUN_FINISHED');
+});
+
+test('approving an interrupt twice runs the tool once', async () => {
+    const { context, app, agent, executions } = await setup();
+    const answers = [];
+
+    await run(context, agent, 'Rebalance conservative', value => {
+        answers.push(agent.resolveApproval(value.interruptId, true));
+        // A second click, or the same decision arriving from another tab
+        answers.push(agent.resolveApproval(value.interruptId, true));
+    });
+
+    assert.deepEqual(answers, [true, false]);
+    assert.equal(executions.get('rebalancePortfolio'), 1);
+    assert.deepEqual(historyActions(app), ['Rebalanced']);
+});
+
+test('the summary is built from captured results without running tools again', async () => {
+    const { context, agent, executions } = await setup();
+    // With a model configured, a run that exhausts its budget is summarized by generateIntelligentResponse
+    agent.llmClient.useRealLLM = true;
+    agent.maxSteps = 1;
+    const replies = [];
+    agent.llmClient.chatStream = async function* (messages) {
+        yield* context.replyToDeltas(await agent.llmClient.chatWithKeywords(messages));
+    };
+    agent.llmClient.generateText = async (systemPrompt, prompt) => {
+        replies.push(prompt);
+        return 'Done.';
+    };
+
+    const events = await run(context, agent, 'Rebalance aggressive and show my retirement projection');
+
+    assert.equal(replies.length, 1);
+    assert.match(replies[0], /rebalancePortfolio/);
+    assert.match(replies[0], /getRetirementProjection/);
+    assert.equal(executions.get('rebalancePortfolio'), 1);
+    assert.equal(executions.get('getRetirementProjection'), 1);
+    assert.ok(events.some(event => event.type === 'TEXT_MESSAGE_CONTENT' && event.delta === 'Done.'));
+});
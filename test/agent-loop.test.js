@@ -0,0 +1,102 @@
+/**
+ * The AgentClient loop: tool results go back to the model as tool messages
+ * until it answers in text, and a run stops at its budget of maxSteps model
+ * calls or maxTokens, whichever comes first. The model here is scripted.
+ *
+ *   node --test test/*.test.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, createApp } = require('./helpers/browser-context');
+
+// An agent whose model answers each step with script(messages, step): a list
+// of deltas, as LLMClient.chatStream yields them
+async function setup(script, options = {}) {
+    const context = loadScripts();
+    const app = await createApp(context);
+    const agent = new context.AgentClient(app.getTools(), context.WebMCP, options);
+    const requests = [];
+    agent.llmClient.chatStream = async function* (messages) {
+        requests.push(JSON.parse(JSON.stringify(messages)));
+        yield* script(messages, requests.length);
+    };
+    return { context, app, agent, requests };
+}
+
+function toolCall(id, name, args = '{}') {
+    return [
+        { type: 'tool_call_start', index: 0, id, name },
+        { type: 'tool_call_args', index: 0, delta: args }
+    ];
+}
+
+async function run(context, agent, prompt) {
+    const events = [];
+    for await (const event of context.verifyEvents(agent.processPrompt(prompt))) {
+        events.push(event);
+    }
+    return events;
+}
+
+const count = (events, type) => events.filter(event => event.type === type).length;
+
+test('tool results go back to the model until it answers in text', async () => {
+    const { context, agent, requests } = await setup((messages, step) => step === 1
+        ? toolCall('call_1', 'getPortfolio')
+        : [{ type: 'text', delta: 'You hold mostly stocks.' }]);
+
+    const events = await run(context, agent, 'What do I hold?');
+
+    assert.equal(requests.length, 2);
+    const toolMessage = requests[1].find(message => message.role === 'tool');
+    assert.equal(toolMessage.toolCallId, 'call_1');
+    assert.ok(JSON.parse(toolMessage.content).allocation);
+    assert.equal(count(events, 'STEP_STARTED'), 2);
+    assert.equal(events.filter(event => event.type === 'TEXT_MESSAGE_CONTENT').map(event => event.delta).join(''), 'You hold mostly stocks.');
+
+    // The turn is remembered: the call, its result and the answer
+    const snapshot = events.find(event => event.type === 'MESSAGES_SNAPSHOT');
+    assert.deepEqual(Array.from(snapshot.messages, message => message.role), ['user', 'assistant', 'tool', 'assistant']);
+    assert.equal(events[events.length - 1].result, 'completed');
+});
+
+test('arguments that do not parse go back to the model as an error instead of running', async () => {
+    const { context, app, agent, requests } = await setup((messages, step) => step === 1
+        ? toolCall('call_1', 'getRetirementProjection', '{"years": ')
+        : [{ type: 'text', delta: 'Sorry, let me try again later.' }]);
+
+    const events = await run(context, agent, 'Project my retirement');
+
+    const result = JSON.parse(events.find(event => event.type === 'TOOL_CALL_RESULT').content);
+    assert.equal(result.code, 'INVALID_ARGUMENTS');
+    assert.equal(requests.length, 2);
+    assert.equal(app.retirementProjection, null);
+    assert.equal(count(events, 'RUN_ERROR'), 0);
+});
+
+test('a model that keeps calling tools is stopped after maxSteps', async () => {
+    const { context, agent, requests } = await setup((messages, step) => toolCall(`call_${step}`, 'getPortfolio'), { maxSteps: 3 });
+
+    const events = await run(context, agent, 'Keep checking my portfolio');
+
+    assert.equal(requests.length, 3);
+    assert.equal(count(events, 'TOOL_CALL_RESULT'), 3);
+    // Keyword mode closes the run with what was done
+    const text = events.filter(event => event.type === 'TEXT_MESSAGE_CONTENT').map(event => event.delta).join('');
+    assert.match(text, /getPortfolio/);
+    assert.equal(events[events.length - 1].type, 'RUN_FINISHED');
+});
+
+test('a run stops once the tokens it used reach maxTokens', async () => {
+    const { context, agent, requests } = await setup((messages, step) => [
+        ...toolCall(`call_${step}`, 'getPortfolio'),
+        { type: 'usage', totalTokens: 600 }
+    ], { maxSteps: 10, maxTokens: 1000 });
+
+    const events = await run(context, agent, 'Keep checking my portfolio');
+
+    assert.equal(requests.length, 2);
+    assert.equal(count(events, 'STEP_FINISHED'), 2);
+    assert.equal(events[events.length - 1].type, 'RUN_FINISHED');
+});
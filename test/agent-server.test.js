@@ -0,0 +1,179 @@
+/**
+ * The reference agent server's HTTP endpoints: only allowed origins get CORS,
+ * callbacks need the run's secret, and the ids they name can't be guessed. It
+ * serves the app's files and nothing else, and refuses oversized bodies.
+ * Starts server/agent-server.js with the mock model on a spare port.
+ *
+ *   node --test test/*.test.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { spawn } = require('child_process');
+
+const PORT = 18000 + Math.floor(Math.random() * 1000);
+const BASE = `http://localhost:${PORT}`;
+const PAGE_ORIGIN = BASE;
+const OTHER_ORIGIN = 'http://evil.test';
+
+const TOOLS = [
+    { name: 'getPortfolio', description: 'Get the portfolio', parameters: { type: 'object', properties: {} }, annotations: { readOnly: true } },
+    {
+        name: 'rebalancePortfolio',
+        description: 'Rebalance',
+        parameters: { type: 'object', properties: { strategy: { type: 'string' } } },
+        annotations: { destructive: true, requiresConfirmation: true }
+    }
+];
+
+let server;
+
+test.before(async () => {
+    server = spawn(process.execPath, [path.join(__dirname, '..', 'server', 'agent-server.js')], {
+        env: { ...process.env, PORT: String(PORT), LLM_PROVIDER: 'mock' },
+        stdio: ['ignore', 'pipe', 'inherit']
+    });
+    await new Promise((resolve, reject) => {
+        server.once('exit', code => reject(new Error(`The agent server exited with ${code}`)));
+        server.stdout.on('data', chunk => {
+            if (chunk.toString().includes('AG-UI agent server on')) {
+                resolve();
+            }
+        });
+    });
+});
+
+test.after(() => {
+    server.kill();
+});
+
+function runInput(runId, prompt) {
+    return {
+        threadId: 'thread_' + runId,
+        runId,
+        state: {},
+        messages: [{ id: 'msg_1', role: 'user', content: prompt }],
+        tools: TOOLS,
+        context: [],
+        forwardedProps: {}
+    };
+}
+
+function post(pathname, body, headers = {}) {
+    return fetch(BASE + pathname, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Origin: PAGE_ORIGIN, ...headers },
+        body: JSON.stringify(body)
+    });
+}
+
+// The run's events from its NDJSON stream, handing each one to onEvent as it arrives
+async function readEvents(response, onEvent) {
+    const decoder = new TextDecoder();
+    let buffered = '';
+    for await (const chunk of response.body) {
+        buffered += decoder.decode(chunk, { stream: true });
+        const lines = buffered.split('\n');
+        buffered = lines.pop();
+        for (const line of lines.filter(Boolean)) {
+            await onEvent(JSON.parse(line));
+        }
+    }
+}
+
+test('CORS is only granted to allowed origins', async () => {
+    const preflight = headers => fetch(`${BASE}/agent/runs/run_x/approvals`, {
+        method: 'OPTIONS',
+        headers: { 'Access-Control-Request-Method': 'POST', ...headers }
+    });
+
+    const allowed = await preflight({ Origin: PAGE_ORIGIN });
+    assert.equal(allowed.status, 204);
+    assert.equal(allowed.headers.get('access-control-allow-origin'), PAGE_ORIGIN);
+    assert.match(allowed.headers.get('access-control-allow-headers'), /X-Run-Secret/);
+
+    const other = await preflight({ Origin: OTHER_ORIGIN });
+    assert.equal(other.status, 403);
+    assert.equal(other.headers.get('access-control-allow-origin'), null);
+
+    const run = await post('/agent', runInput('run_cors', 'Show my portfolio'), { Origin: OTHER_ORIGIN });
+    assert.equal(run.status, 403);
+    await run.body.cancel();
+});
+
+test('callbacks need the run secret from the event stream, and ids are unguessable', async () => {
+    const runId = 'run_secret';
+    const response = await post('/agent', runInput(runId, 'Rebalance aggressive'), { Accept: 'application/x-ndjson' });
+    assert.equal(response.status, 200);
+    const secret = response.headers.get('x-run-secret');
+    assert.match(secret, /^[0-9a-f]{64}$/);
+    assert.equal(response.headers.get('access-control-expose-headers'), 'X-Run-Secret');
+
+    const callbacks = `/agent/runs/${runId}`;
+    const statuses = [];
+    const events = [];
+    await readEvents(response, async event => {
+        events.push(event);
+        if (event.type === 'CUSTOM' && event.name === 'tool_request') {
+            assert.match(event.value.requestId, /^toolreq_[0-9a-f-]{36}$/);
+            const answer = { requestId: event.value.requestId, result: { ok: true } };
+            statuses.push((await post(`${callbacks}/tool-results`, answer)).status);
+            statuses.push((await post(`${callbacks}/tool-results`, answer, { 'X-Run-Secret': secret })).status);
+        } else if (event.type === 'CUSTOM' && event.name === 'interrupt') {
+            assert.match(event.value.interruptId, /^interrupt_[0-9a-f]{32}$/);
+            const decision = { interruptId: event.value.interruptId, approved: true };
+            statuses.push((await post(`${callbacks}/approvals`, decision)).status);
+            statuses.push((await post(`${callbacks}/approvals`, decision, { 'X-Run-Secret': 'f'.repeat(64) })).status);
+            statuses.push((await post(`${callbacks}/approvals`, decision, { 'X-Run-Secret': secret })).status);
+        }
+    });
+
+    // getPortfolio without, then with the secret; the approval without, wrong, right; rebalancePortfolio the same as getPortfolio
+    assert.deepEqual(statuses, [403, 200, 403, 403, 200, 403, 200]);
+    const results = events.filter(event => event.type === 'TOOL_CALL_RESULT').map(event => JSON.parse(event.content));
+    assert.deepEqual(results, [{ ok: true }, { ok: true }]);
+    assert.equal(events[events.length - 1].type, 'RUN_FINISHED');
+});
+
+test('only the app itself is served', async () => {
+    const status = async pathname => {
+        const response = await fetch(BASE + pathname);
+        await response.body.cancel();
+        return response.status;
+    };
+
+    assert.equal(await status('/'), 200);
+    assert.equal(await status('/js/agent-client.js'), 200);
+    assert.equal(await status('/css/styles.css'), 200);
+    for (const pathname of ['/.git/HEAD', '/test/agent-server.test.js', '/server/agent-server.js', '/README.md', '/requests.jsonl', '/%2e%2e/etc/passwd', '/%E0%A4%A']) {
+        assert.equal(await status(pathname), 404, pathname);
+    }
+});
+
+test('request bodies over the limit get a 413', async () => {
+    const input = runInput('run_large', 'Show my portfolio');
+    input.messages.unshift({ id: 'msg_0', role: 'user', content: 'x'.repeat(2 * 1024 * 1024) });
+
+    const response = await post('/agent', input);
+    assert.equal(response.status, 413);
+    await response.body.cancel();
+
+    // Streamed, with no Content-Length to go by
+    const body = new TextEncoder().encode(JSON.stringify(input));
+    const streamed = await fetch(BASE + '/agent', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Origin: PAGE_ORIGIN },
+        body: new ReadableStream({
+            start(controller) {
+                for (let offset = 0; offset < body.length; offset += 64 * 1024) {
+                    controller.enqueue(body.slice(offset, offset + 64 * 1024));
+                }
+                controller.close();
+            }
+        }),
+        duplex: 'half'
+    });
+    assert.equal(streamed.status, 413);
+    await streamed.body.cancel();
+});
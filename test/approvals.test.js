@@ -0,0 +1,122 @@
+/**
+ * Human-in-the-loop approval: AgentClient pauses before a tool annotated
+ * destructive or requiresConfirmation and runs it only once the user approves.
+ * A declined call ends the run without it, or anything after it, running.
+ *
+ *   node --test test/*.test.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, createApp } = require('./helpers/browser-context');
+
+// The app in keyword mode, with every tool's execute counted
+async function setup() {
+    const context = loadScripts();
+    const app = await createApp(context);
+    const executions = new Map();
+    for (const tool of context.WebMCP.getTools()) {
+        const execute = tool.execute;
+        executions.set(tool.name, 0);
+        tool.execute = (args, toolContext) => {
+            executions.set(tool.name, executions.get(tool.name) + 1);
+            return execute(args, toolContext);
+        };
+    }
+    const agent = new context.AgentClient(app.getTools(), context.WebMCP);
+    return { context, app, agent, executions };
+}
+
+const isEvent = (context, event, name) => event.type === 'CUSTOM' && event.name === context.AGUI.InterruptEventName[name];
+
+test('gated tools are the destructive and requiresConfirmation ones', async () => {
+    const { context } = await setup();
+    const gated = Array.from(context.WebMCP.getTools(), tool => tool.name).filter(name => context.WebMCP.requiresConfirmation(name));
+    assert.deepEqual(gated, ['rebalancePortfolio']);
+    assert.equal(context.WebMCP.getTool('rebalancePortfolio').annotations.destructive, true);
+    assert.equal(context.WebMCP.getTool('getPortfolio').annotations.readOnly, true);
+});
+
+test('a gated tool waits for the approval, then runs once', async () => {
+    const { context, app, agent, executions } = await setup();
+    const before = JSON.stringify(app.portfolio);
+    const events = [];
+
+    for await (const event of context.verifyEvents(agent.processPrompt('Rebalance aggressive'))) {
+        events.push(event);
+        if (isEvent(context, event, 'INTERRUPT')) {
+            // Nothing has changed while the card is up
+            assert.equal(executions.get('rebalancePortfolio'), 0);
+            assert.equal(JSON.stringify(app.portfolio), before);
+            assert.equal(event.value.reason, 'tool_confirmation');
+            assert.equal(event.value.toolCallName, 'rebalancePortfolio');
+            assert.equal(event.value.args.strategy, 'aggressive');
+            assert.equal(event.value.annotations.destructive, true);
+            agent.resolveApproval(event.value.interruptId, true);
+        }
+    }
+
+    const interrupts = events.filter(event => isEvent(context, event, 'INTERRUPT'));
+    const resolved = events.filter(event => isEvent(context, event, 'INTERRUPT_RESOLVED'));
+    assert.equal(interrupts.length, 1);
+    assert.equal(resolved.length, 1);
+    assert.equal(resolved[0].value.approved, true);
+    assert.equal(executions.get('rebalancePortfolio'), 1);
+    assert.notEqual(JSON.stringify(app.portfolio), before);
+    assert.equal(events[events.length - 1].result, 'completed');
+});
+
+test('declining skips the call and everything after it, and says so', async () => {
+    const { context, app, agent, executions } = await setup();
+    const before = JSON.stringify(app.portfolio);
+    const events = [];
+
+    for await (const event of context.verifyEvents(agent.processPrompt('Rebalance aggressive and show my retirement projection'))) {
+        events.push(event);
+        if (isEvent(context, event, 'INTERRUPT')) {
+            agent.resolveApproval(event.value.interruptId, false);
+        }
+    }
+
+    const codes = events.filter(event => event.type === 'TOOL_CALL_RESULT').map(event => JSON.parse(event.content).code);
+    assert.deepEqual(codes, [undefined, 'DECLINED', 'SKIPPED']);
+    assert.equal(executions.get('getPortfolio'), 1);
+    assert.equal(executions.get('rebalancePortfolio'), 0);
+    assert.equal(executions.get('getRetirementProjection'), 0);
+    assert.equal(JSON.stringify(app.portfolio), before);
+    const text = events.filter(event => event.type === 'TEXT_MESSAGE_CONTENT').map(event => event.delta).join('');
+    assert.match(text, /didn't run rebalancePortfolio/);
+    assert.equal(events[events.length - 1].result, 'cancelled');
+});
+
+test('read-only tools run without asking', async () => {
+    const { context, agent, executions } = await setup();
+    const events = [];
+
+    for await (const event of context.verifyEvents(agent.processPrompt('Show my portfolio'))) {
+        events.push(event);
+    }
+
+    assert.ok(!events.some(event => isEvent(context, event, 'INTERRUPT')));
+    assert.equal(executions.get('getPortfolio'), 1);
+    assert.equal(agent.pendingApprovals.size, 0);
+});
+
+test('cancelling while the approval is pending ends the run without running the tool', async () => {
+    const { context, agent, executions } = await setup();
+    const controller = new context.AbortController();
+    const events = [];
+
+    for await (const event of context.verifyEvents(agent.processPrompt('Rebalance conservative', { signal: controller.signal }))) {
+        events.push(event);
+        if (isEvent(context, event, 'INTERRUPT')) {
+            controller.abort();
+        }
+    }
+
+    const error = events.find(event => event.type === 'RUN_ERROR');
+    assert.equal(error.code, 'CANCELLED');
+    assert.equal(executions.get('rebalancePortfolio'), 0);
+    assert.equal(agent.pendingApprovals.size, 0);
+    assert.equal(events[events.length - 1].result, 'cancelled');
+});
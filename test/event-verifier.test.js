@@ -0,0 +1,131 @@
+/**
+ * EventVerifier, the AG-UI protocol checker every test run goes through:
+ * what a well-formed run looks like, and the violations it catches, by
+ * reporting them or by throwing at the first one.
+ *
+ *   node --test test/*.test.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/browser-context');
+
+const { EventVerifier, verifyEvents } = loadScripts(['js/event-verifier.js']);
+
+const RUN = { threadId: 'thread_1', runId: 'run_1' };
+
+// Events as plain objects, each with its type and a timestamp
+const event = (type, fields = {}) => ({ type, timestamp: 1, ...fields });
+const started = () => event('RUN_STARTED', RUN);
+const finished = () => event('RUN_FINISHED', RUN);
+
+// The message of every violation in events, checked in 'report' mode
+function violationsIn(events) {
+    const verifier = new EventVerifier({ mode: 'report' });
+    events.forEach(entry => verifier.check(entry));
+    return Array.from(verifier.violations, violation => violation.message);
+}
+
+test('a well-formed run has no violations', () => {
+    assert.deepEqual(violationsIn([
+        started(),
+        event('STEP_STARTED', { stepName: 'step_1' }),
+        event('TEXT_MESSAGE_START', { messageId: 'msg_1', role: 'assistant' }),
+        event('TEXT_MESSAGE_CONTENT', { messageId: 'msg_1', delta: 'Checking' }),
+        event('TEXT_MESSAGE_END', { messageId: 'msg_1' }),
+        event('TOOL_CALL_START', { toolCallId: 'call_1', toolCallName: 'getPortfolio' }),
+        event('TOOL_CALL_ARGS', { toolCallId: 'call_1', delta: '{}' }),
+        event('TOOL_CALL_END', { toolCallId: 'call_1' }),
+        event('TOOL_CALL_RESULT', { messageId: 'msg_2', toolCallId: 'call_1', content: '{}' }),
+        event('STATE_DELTA', { delta: [] }),
+        event('STEP_FINISHED', { stepName: 'step_1' }),
+        event('MESSAGES_SNAPSHOT', { messages: [] }),
+        finished(),
+        // A new run may follow a finished one
+        event('RUN_STARTED', { threadId: 'thread_1', runId: 'run_2' })
+    ]), []);
+});
+
+test('every event needs a timestamp, a known type and its required fields', () => {
+    assert.deepEqual(violationsIn([
+        { type: 'RUN_STARTED', ...RUN },
+        event('TEXT_MESSAGE_START', { messageId: 'msg_1' }),
+        event('TEXT_MESSAGE_CONTENT', { messageId: 'msg_1', delta: '' }),
+        event('STATE_DELTA', { delta: {} }),
+        event('THOUGHT'),
+        null
+    ]), [
+        'Missing numeric timestamp',
+        "Missing required field 'role'",
+        'delta must be a non-empty string',
+        'delta must be an array of JSON Patch operations',
+        "Unknown event type 'THOUGHT'",
+        'Event must be an object with a type'
+    ]);
+});
+
+test('messages, tool calls and steps must be opened before use and closed before the run finishes', () => {
+    assert.deepEqual(violationsIn([
+        event('TEXT_MESSAGE_START', { messageId: 'msg_0', role: 'assistant' }),
+        started(),
+        event('TEXT_MESSAGE_CONTENT', { messageId: 'msg_1', delta: 'Hi' }),
+        event('TOOL_CALL_START', { toolCallId: 'call_1', toolCallName: 'getPortfolio' }),
+        event('TOOL_CALL_RESULT', { messageId: 'msg_2', toolCallId: 'call_1', content: '{}' }),
+        event('TOOL_CALL_END', { toolCallId: 'call_1' }),
+        event('TOOL_CALL_RESULT', { messageId: 'msg_3', toolCallId: 'call_1', content: '{}' }),
+        event('TOOL_CALL_START', { toolCallId: 'call_1', toolCallName: 'getPortfolio' }),
+        event('STEP_FINISHED', { stepName: 'step_1' }),
+        event('TEXT_MESSAGE_START', { messageId: 'msg_4', role: 'assistant' }),
+        finished(),
+        event('TEXT_MESSAGE_END', { messageId: 'msg_4' })
+    ]), [
+        'Event sent before RUN_STARTED',
+        'Content for message msg_1, which is not open',
+        'Result for tool call call_1 before its TOOL_CALL_END',
+        'Tool call call_1 already has a result',
+        'Tool call call_1 was already started',
+        "Step 'step_1' was never started",
+        'Message msg_4 was never ended',
+        'Tool call call_1 was never ended',
+        'Event sent after RUN_FINISHED'
+    ]);
+});
+
+test('only RUN_FINISHED may follow RUN_ERROR, and what the failed run left open is not reported', () => {
+    assert.deepEqual(violationsIn([
+        started(),
+        event('TEXT_MESSAGE_START', { messageId: 'msg_1', role: 'assistant' }),
+        event('RUN_ERROR', { message: 'Model unavailable' }),
+        event('TEXT_MESSAGE_END', { messageId: 'msg_1' }),
+        finished()
+    ]), ['Only RUN_FINISHED may follow RUN_ERROR']);
+    assert.deepEqual(violationsIn([started(), event('RUN_STARTED', { threadId: 'thread_1', runId: 'run_2' })]), ['Run run_1 is still in progress']);
+    assert.deepEqual(violationsIn([started(), event('RUN_FINISHED', { threadId: 'thread_1', runId: 'run_2' })]),
+        ['RUN_FINISHED for thread_1/run_2 does not match RUN_STARTED thread_1/run_1']);
+});
+
+test('in throw mode the stream stops at the first violation', async () => {
+    async function* events() {
+        yield started();
+        yield event('TOOL_CALL_ARGS', { toolCallId: 'call_1', delta: '{}' });
+        yield finished();
+    }
+    const seen = [];
+
+    await assert.rejects(async () => {
+        for await (const entry of verifyEvents(events())) {
+            seen.push(entry.type);
+        }
+    }, error => error.name === 'EventVerificationError' && error.code === 'PROTOCOL_VIOLATION' && error.violation.index === 1);
+    assert.deepEqual(seen, ['RUN_STARTED']);
+});
+
+test('in report mode each violation reaches onViolation and the stream carries on', () => {
+    const reported = [];
+    const verifier = new EventVerifier({ mode: 'report', onViolation: violation => reported.push(violation.eventType) });
+
+    [event('STEP_STARTED', { stepName: 'step_1' }), started(), finished()].forEach(entry => verifier.check(entry));
+
+    assert.deepEqual(reported, ['STEP_STARTED']);
+    assert.equal(verifier.runState, 'finished');
+});
@@ -0,0 +1,115 @@
+/**
+ * Test Helper: Browser Context
+ * Runs the app's browser scripts in a vm context whose global object doubles
+ * as `window`, the way server/agent-server.js loads the agent runtime. The DOM
+ * is a minimal fake: enough for FidelityApp to render into, nothing more.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.resolve(__dirname, '..', '..');
+
+// The scripts the agent loop and the demo app need, in index.html's order
+const APP_SCRIPTS = [
+    'js/ag-ui-client.js',
+    'js/event-verifier.js',
+    'js/schema-validator.js',
+    'js/json-patch.js',
+    'js/webmcp-provider.js',
+    'js/webmcp-middleware.js',
+    'js/audit-log.js',
+    'js/market-fixtures.js',
+    'js/price-source.js',
+    'js/strategy-registry.js',
+    'js/tax-lots.js',
+    'js/fidelity-app.js',
+    'js/stream-readers.js',
+    'js/llm-providers.js',
+    'js/llm-client.js',
+    'js/thread-store.js',
+    'js/state-store.js',
+    'js/agent-client.js'
+];
+
+function fakeElement() {
+    return {
+        innerHTML: '',
+        textContent: '',
+        style: {},
+        children: [],
+        parentElement: null,
+        classList: { add() {}, remove() {}, toggle() {}, contains: () => false },
+        appendChild(child) {
+            this.children.push(child);
+            child.parentElement = this;
+            return child;
+        },
+        remove() {},
+        querySelector: () => null,
+        querySelectorAll: () => [],
+        addEventListener() {},
+        removeEventListener() {},
+        setAttribute() {},
+        getAttribute: () => null
+    };
+}
+
+// Storage with the localStorage interface, kept in memory
+function memoryStorage() {
+    const items = new Map();
+    return {
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: key => items.delete(key),
+        clear: () => items.clear()
+    };
+}
+
+// Long timers (session expiry, request timeouts) don't keep the test process
+// alive; short ones, like the loopback socket's deliveries, still do
+function unrefTimer(schedule) {
+    return (callback, delay, ...args) => {
+        const timer = schedule(callback, delay, ...args);
+        if (delay > 1000) {
+            timer.unref();
+        }
+        return timer;
+    };
+}
+
+// A fresh context with scripts (paths relative to the repo root) loaded into it
+function loadScripts(scripts = APP_SCRIPTS, globals = {}) {
+    const context = vm.createContext({
+        console, clearTimeout, clearInterval, queueMicrotask,
+        setTimeout: unrefTimer(setTimeout),
+        setInterval: unrefTimer(setInterval),
+        URL, AbortController, AbortSignal, DOMException, TextEncoder, TextDecoder,
+        ReadableStream, structuredClone,
+        crypto: crypto.webcrypto,
+        localStorage: memoryStorage(),
+        document: { createElement: fakeElement, querySelector: () => null, querySelectorAll: () => [], addEventListener() {} },
+        location: { origin: 'http://localhost' },
+        ...globals
+    });
+    context.window = context;
+    for (const script of scripts) {
+        vm.runInContext(fs.readFileSync(path.join(ROOT, script), 'utf8'), context, { filename: script });
+    }
+    return context;
+}
+
+// FidelityApp rendered into a detached container, with its tools registered
+// on the context's WebMCP and its prices loaded; options go to its constructor
+async function createApp(context, options = {}) {
+    const parent = fakeElement();
+    const container = parent.appendChild(fakeElement());
+    const FidelityApp = vm.runInContext('FidelityApp', context);
+    const app = new FidelityApp(container, { strategies: new context.StrategyRegistry(memoryStorage()), ...options });
+    await app.ready;
+    return app;
+}
+
+module.exports = { APP_SCRIPTS, loadScripts, createApp, memoryStorage };
@@ -0,0 +1,94 @@
+/**
+ * The holdings model: FidelityApp holds positions (ticker, shares, cost
+ * basis, asset class) priced by its price source, and the total value,
+ * allocation and risk level are all computed from their market value.
+ *
+ *   node --test test/*.test.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, createApp } = require('./helpers/browser-context');
+
+// Plain copies of values made in the vm context, for deepEqual
+const plain = value => JSON.parse(JSON.stringify(value));
+
+// A price source quoting the fixture prices, with overrides that can change between calls
+function priceSource(context, overrides = {}) {
+    return {
+        overrides,
+        calls: 0,
+        async getPrices(tickers) {
+            this.calls++;
+            const prices = {};
+            tickers.forEach(ticker => {
+                prices[ticker] = this.overrides[ticker] !== undefined ? this.overrides[ticker] : context.MARKET_FIXTURES.securities[ticker].price;
+            });
+            return { prices, asOf: '2025-07-01T20:00:00.000Z' };
+        }
+    };
+}
+
+test('the fixture accounts are priced, and totals, allocation and risk come from market value', async () => {
+    const context = loadScripts();
+    const app = await createApp(context);
+
+    // 380 VTI at $250, 760 BND at $75 and 38,000 SPAXX at $1
+    assert.equal(app.calculateTotalValue(), 190000);
+    assert.deepEqual(plain(app.portfolio), { stocks: 50, bonds: 30, cash: 20 });
+    assert.equal(app.getRiskLevel(), 'Moderate');
+    assert.equal(app.pricesAsOf, context.MARKET_FIXTURES.asOf);
+
+    const vti = app.getHoldings().find(holding => holding.accountId === 'brokerage' && holding.ticker === 'VTI');
+    assert.deepEqual(plain(vti), { accountId: 'brokerage', ticker: 'VTI', shares: 260, costBasis: 46200, assetClass: 'stocks', price: 250, marketValue: 65000 });
+
+    const brokerage = app.getAccounts().find(account => account.id === 'brokerage');
+    assert.equal(brokerage.taxAdvantaged, false);
+    assert.equal(brokerage.totalValue, 100500);
+    assert.equal(brokerage.unrealizedGain, 14900);
+    assert.equal(brokerage.holdings.find(holding => holding.ticker === 'VTI').lots.length, 2);
+});
+
+test('prices are fetched again before each tool call, and the allocation follows them', async () => {
+    const context = loadScripts();
+    const source = priceSource(context);
+    const app = await createApp(context, { priceSource: source });
+    const sessionId = context.WebMCP.createSession('session_prices').id;
+
+    // VTI triples: stocks are now $285,000 of $380,000
+    source.overrides.VTI = 750;
+    const portfolio = await context.WebMCP.executeTool('getPortfolio', {}, { sessionId });
+
+    assert.equal(source.calls, 2);
+    assert.equal(portfolio.totalValue, 380000);
+    assert.deepEqual(plain(portfolio.allocation), { stocks: 75, bonds: 15, cash: 10 });
+    assert.equal(portfolio.riskLevel, 'Aggressive');
+    assert.equal(portfolio.pricesAsOf, '2025-07-01T20:00:00.000Z');
+    assert.equal(app.getHoldings().find(holding => holding.ticker === 'VTI').price, 750);
+});
+
+test('a price source that cannot price a holding fails the call', async () => {
+    const context = loadScripts();
+    const app = await createApp(context);
+    const sessionId = context.WebMCP.createSession('session_unpriced').id;
+    app.priceSource = new context.FixturePriceSource({ asOf: context.MARKET_FIXTURES.asOf, securities: {} });
+
+    await assert.rejects(context.WebMCP.executeTool('getPortfolio', {}, { sessionId }), /No price for VTI/);
+});
+
+test('rebalancing trades shares: the total only changes by the estimated costs', async () => {
+    const context = loadScripts();
+    const app = await createApp(context);
+    const sessionId = context.WebMCP.createSession('session_rebalance').id;
+    const shares = ticker => app.holdings.filter(holding => holding.ticker === ticker).reduce((sum, holding) => sum + holding.shares, 0);
+
+    const result = await context.WebMCP.executeTool('rebalancePortfolio', { strategy: 'aggressive' }, { sessionId });
+
+    assert.deepEqual(plain(result.newAllocation), { stocks: 70, bonds: 20, cash: 10 });
+    assert.equal(result.riskLevel, 'Aggressive');
+    assert.ok(result.estimatedCosts.total > 0);
+    assert.equal(result.totalValue, Math.round((190000 - result.estimatedCosts.total) * 100) / 100);
+    assert.equal(app.calculateTotalValue(), result.totalValue);
+    assert.ok(shares('VTI') > 380);
+    assert.ok(shares('BND') < 760);
+});
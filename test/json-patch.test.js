@@ -0,0 +1,108 @@
+/**
+ * JsonPatch: apply() runs RFC 6902 operations on a copy of the document,
+ * diff() produces the patch between two documents, and paths that would
+ * reach an object's prototype are refused.
+ *
+ *   node --test test/*.test.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/browser-context');
+
+const { JsonPatch } = loadScripts(['js/json-patch.js']);
+
+// Plain copies of values made in the vm context, for deepEqual
+const plain = value => JSON.parse(JSON.stringify(value));
+
+const codeOf = fn => {
+    try {
+        fn();
+        return null;
+    } catch (error) {
+        return error.code;
+    }
+};
+
+test('apply runs each operation on a copy and leaves the document alone', () => {
+    const document = { cash: 100, holdings: [{ ticker: 'VTI' }], name: 'IRA' };
+
+    const patched = JsonPatch.apply(document, [
+        { op: 'test', path: '/cash', value: 100 },
+        { op: 'replace', path: '/cash', value: 50 },
+        { op: 'add', path: '/holdings/-', value: { ticker: 'BND' } },
+        { op: 'add', path: '/holdings/0', value: { ticker: 'VXUS' } },
+        { op: 'copy', from: '/name', path: '/label' },
+        { op: 'move', from: '/name', path: '/account~1type' },
+        { op: 'remove', path: '/holdings/1' }
+    ]);
+
+    assert.deepEqual(plain(patched), { cash: 50, holdings: [{ ticker: 'VXUS' }, { ticker: 'BND' }], label: 'IRA', 'account/type': 'IRA' });
+    assert.deepEqual(document, { cash: 100, holdings: [{ ticker: 'VTI' }], name: 'IRA' });
+});
+
+test('a patch that does not apply fails with the operation that broke it', () => {
+    const document = { cash: 100, holdings: [] };
+    const failure = patch => {
+        try {
+            JsonPatch.apply(document, patch);
+        } catch (error) {
+            return { name: error.name, code: error.code, index: error.index };
+        }
+        return null;
+    };
+
+    assert.deepEqual(failure([{ op: 'add', path: '/cash', value: 1 }, { op: 'test', path: '/cash', value: 100 }]),
+        { name: 'JsonPatchError', code: 'PATCH_FAILED', index: 1 });
+    assert.equal(failure([{ op: 'remove', path: '/bonds' }]).index, 0);
+    assert.equal(failure([{ op: 'add', path: '/holdings/1', value: 1 }]).index, 0);
+    assert.equal(failure([{ op: 'move', from: '/holdings', path: '/holdings/0' }]).index, 0);
+    assert.equal(failure([{ op: 'swap', path: '/cash' }]).index, 0);
+    assert.equal(failure({ op: 'add', path: '/cash', value: 1 }).index, -1);
+});
+
+test('paths through __proto__, constructor or prototype are refused', () => {
+    const document = { settings: {} };
+
+    for (const path of ['/__proto__', '/__proto__/polluted', '/settings/constructor', '/settings/constructor/prototype/polluted']) {
+        assert.equal(codeOf(() => JsonPatch.apply(document, [{ op: 'add', path, value: { polluted: true } }])), 'PATCH_FAILED', path);
+        assert.equal(codeOf(() => JsonPatch.apply(document, [{ op: 'replace', path, value: { polluted: true } }])), 'PATCH_FAILED', path);
+    }
+    assert.equal(codeOf(() => JsonPatch.apply(document, [{ op: 'copy', from: '/settings', path: '/__proto__' }])), 'PATCH_FAILED');
+    assert.equal(codeOf(() => JsonPatch.apply(document, [{ op: 'move', from: '/settings', path: '/prototype' }])), 'PATCH_FAILED');
+
+    assert.equal(Object.getPrototypeOf(document), Object.prototype);
+    assert.equal({}.polluted, undefined);
+    assert.equal(Object.prototype.polluted, undefined);
+});
+
+test('diff produces the patch that turns one document into the other', () => {
+    const from = { cash: 100, holdings: [{ ticker: 'VTI', shares: 10 }], history: ['a'], old: true };
+    const to = { cash: 80, holdings: [{ ticker: 'VTI', shares: 12 }], history: ['a', 'b', 'c'], added: { note: 'x' } };
+
+    const patch = JsonPatch.diff(from, to);
+
+    assert.deepEqual(plain(JsonPatch.apply(from, patch)), to);
+    assert.deepEqual(plain(patch.filter(operation => operation.path.startsWith('/history'))), [
+        { op: 'add', path: '/history/-', value: 'b' },
+        { op: 'add', path: '/history/-', value: 'c' }
+    ]);
+    assert.deepEqual(Array.from(JsonPatch.diff(to, JsonPatch.clone(to))), []);
+});
+
+test('a tested diff fails on a document that differs from the one it was made from', () => {
+    const from = { cash: 100, history: ['a'] };
+    const to = { cash: 80, history: ['a', 'b'] };
+
+    const patch = JsonPatch.diff(from, to, { test: true });
+
+    assert.deepEqual(plain(patch), [
+        { op: 'test', path: '/cash', value: 100 },
+        { op: 'replace', path: '/cash', value: 80 },
+        { op: 'test', path: '/history/0', value: 'a' },
+        { op: 'add', path: '/history/1', value: 'b' }
+    ]);
+    assert.deepEqual(plain(JsonPatch.apply(from, patch)), to);
+    assert.equal(codeOf(() => JsonPatch.apply({ cash: 90, history: ['a'] }, patch)), 'PATCH_FAILED');
+    assert.equal(codeOf(() => JsonPatch.apply({ cash: 100, history: [] }, patch)), 'PATCH_FAILED');
+});
@@ -0,0 +1,45 @@
+/**
+ * The provider adapters' stream() deltas, fed canned streaming responses
+ *
+ *   node --test test/*.test.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/browser-context');
+
+// A context whose fetch answers every request with body, sent as one chunk
+function withResponse(body) {
+    return loadScripts(['js/stream-readers.js', 'js/llm-providers.js'], {
+        fetch: async () => new Response(body, { status: 200, headers: { 'Content-Type': 'text/event-stream' } })
+    });
+}
+
+async function collect(deltas) {
+    const collected = [];
+    for await (const delta of deltas) {
+        collected.push({ ...delta });
+    }
+    return collected;
+}
+
+test('OpenAI stream starts each tool call once even when chunks repeat its id', async () => {
+    const chunk = delta => `data: ${JSON.stringify({ choices: [{ delta }] })}\n\n`;
+    const context = withResponse([
+        chunk({ tool_calls: [{ index: 0, id: 'call_a', type: 'function', function: { name: 'getPortfolio', arguments: '' } }] }),
+        chunk({ tool_calls: [{ index: 0, id: 'call_a', function: { arguments: '{"det' } }] }),
+        chunk({ tool_calls: [{ index: 0, id: 'call_a', function: { arguments: 'ailed":true}' } }] }),
+        chunk({ tool_calls: [{ index: 1, id: 'call_b', type: 'function', function: { name: 'getRetirementProjection', arguments: '{}' } }] }),
+        'data: [DONE]\n\n'
+    ].join(''));
+    const provider = context.createLLMProvider('openai', { apiKey: 'test-key' });
+
+    const deltas = await collect(provider.stream({ messages: [{ role: 'user', content: 'hi' }] }));
+
+    assert.deepEqual(deltas.filter(delta => delta.type === 'tool_call_start'), [
+        { type: 'tool_call_start', index: 0, id: 'call_a', name: 'getPortfolio' },
+        { type: 'tool_call_start', index: 1, id: 'call_b', name: 'getRetirementProjection' }
+    ]);
+    const args = deltas.filter(delta => delta.type === 'tool_call_args' && delta.index === 0).map(delta => delta.delta);
+    assert.equal(args.join(''), '{"detailed":true}');
+});
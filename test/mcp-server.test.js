@@ -0,0 +1,179 @@
+/**
+ * MCPServer serves the page's WebMCP tools, resources and prompts over
+ * JSON-RPC: nothing but ping before initialize, scopes limit what a client
+ * sees and calls, gated tools need the page's confirmation, and clients hear
+ * about changes. Clients talk to it over a stand-in MessagePort.
+ *
+ *   node --test test/*.test.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { APP_SCRIPTS, loadScripts, createApp } = require('./helpers/browser-context');
+
+const MCP_SCRIPTS = [...APP_SCRIPTS, 'js/mcp-server.js'];
+
+// The app's tools served by an MCPServer built with options, and a client
+// connected to it over a port
+async function setup(options = {}) {
+    const context = loadScripts(MCP_SCRIPTS);
+    const app = await createApp(context);
+    const server = new context.MCPServer(context.WebMCP, options);
+    const client = connect(server);
+    return { context, app, server, client };
+}
+
+function connect(server, origin = 'http://localhost') {
+    const received = [];
+    const port = { postMessage: message => received.push(JSON.parse(JSON.stringify(message))), close() {} };
+    server.connectPort(port, origin);
+    let nextId = 1;
+    return {
+        received,
+        notifications: () => received.filter(message => message.id === undefined).map(message => message.method),
+        // The id of the request sent last
+        get lastId() {
+            return nextId - 1;
+        },
+        // The response to one request
+        async request(method, params) {
+            const id = nextId++;
+            await port.onmessage({ data: { jsonrpc: '2.0', id, method, params } });
+            return received.find(message => message.id === id);
+        },
+        notify(method, params) {
+            return port.onmessage({ data: { jsonrpc: '2.0', method, params } });
+        }
+    };
+}
+
+const initialize = client => client.request('initialize', { protocolVersion: '2025-06-18', clientInfo: { name: 'test' } });
+
+test('only ping is served before initialize, which negotiates the protocol version', async () => {
+    const { client } = await setup();
+
+    assert.deepEqual((await client.request('ping')).result, {});
+    assert.equal((await client.request('tools/list')).error.code, -32600);
+
+    const initialized = (await client.request('initialize', { protocolVersion: '1999-01-01' })).result;
+    assert.equal(initialized.protocolVersion, '2025-06-18');
+    assert.equal(initialized.capabilities.resources.subscribe, true);
+    assert.equal((await client.request('nothing/here')).error.code, -32601);
+});
+
+test('tools are listed with their MCP annotations and called with checked arguments', async () => {
+    const { client } = await setup();
+    await initialize(client);
+
+    const tools = (await client.request('tools/list')).result.tools;
+    const rebalance = tools.find(tool => tool.name === 'rebalancePortfolio');
+    assert.equal(rebalance.annotations.destructiveHint, true);
+    assert.equal(tools.find(tool => tool.name === 'getPortfolio').annotations.readOnlyHint, true);
+
+    const portfolio = (await client.request('tools/call', { name: 'getPortfolio', arguments: {} })).result;
+    assert.equal(portfolio.isError, false);
+    assert.ok(portfolio.structuredContent.allocation);
+    assert.deepEqual(JSON.parse(portfolio.content[0].text), portfolio.structuredContent);
+
+    const invalid = await client.request('tools/call', { name: 'getRetirementProjection', arguments: { yearsToRetirement: 'soon' } });
+    assert.equal(invalid.error.code, -32602);
+    assert.equal(invalid.error.data.errors[0].path, '$.yearsToRetirement');
+    assert.equal((await client.request('tools/call', { name: 'transferFunds', arguments: {} })).error.code, -32602);
+});
+
+test('a gated tool runs only when the page confirms it', async () => {
+    const asked = [];
+    let approve = false;
+    const { app, client } = await setup({
+        confirmToolCall: call => {
+            asked.push(call);
+            return Promise.resolve(approve);
+        }
+    });
+    await initialize(client);
+    const before = JSON.stringify(app.portfolio);
+
+    const declined = (await client.request('tools/call', { name: 'rebalancePortfolio', arguments: { strategy: 'aggressive' } })).result;
+    assert.equal(declined.isError, true);
+    assert.match(declined.content[0].text, /declined/);
+    assert.equal(JSON.stringify(app.portfolio), before);
+
+    approve = true;
+    const approved = (await client.request('tools/call', { name: 'rebalancePortfolio', arguments: { strategy: 'aggressive' } })).result;
+    assert.equal(approved.isError, false);
+    assert.notEqual(JSON.stringify(app.portfolio), before);
+    assert.deepEqual(asked.map(call => [call.name, call.origin, call.args.strategy]), [
+        ['rebalancePortfolio', 'http://localhost', 'aggressive'],
+        ['rebalancePortfolio', 'http://localhost', 'aggressive']
+    ]);
+});
+
+test("a client limited to the read scope doesn't see or reach tools that write", async () => {
+    const { client } = await setup({ scopes: ['read'], confirmToolCall: () => Promise.resolve(true) });
+    await initialize(client);
+
+    const names = (await client.request('tools/list')).result.tools.map(tool => tool.name);
+    assert.ok(names.includes('getPortfolio'));
+    assert.ok(!names.includes('rebalancePortfolio'));
+    const refused = await client.request('tools/call', { name: 'rebalancePortfolio', arguments: { strategy: 'aggressive' } });
+    assert.equal(refused.error.code, -32602);
+});
+
+test('resources, prompts, and notifications of what changed', async () => {
+    const { context, client } = await setup();
+    await initialize(client);
+
+    const uris = (await client.request('resources/list')).result.resources.map(resource => resource.uri);
+    assert.ok(uris.includes('portfolio://allocation'));
+    const read = (await client.request('resources/read', { uri: 'portfolio://allocation' })).result;
+    assert.equal(read.contents[0].uri, 'portfolio://allocation');
+    assert.equal((await client.request('resources/read', { uri: 'portfolio://nothing' })).error.code, -32002);
+
+    const prompt = (await client.request('prompts/get', { name: 'retirement-check', arguments: { years: '20', monthly: '500' } })).result;
+    assert.match(JSON.stringify(prompt), /20 years with \$500 monthly/);
+    assert.equal((await client.request('prompts/get', { name: 'retirement-check', arguments: {} })).error.code, -32602);
+
+    await client.request('resources/subscribe', { uri: 'portfolio://allocation' });
+    context.WebMCP.notifyResourceUpdated('portfolio://allocation');
+    context.WebMCP.notifyResourceUpdated('portfolio://history');
+    context.WebMCP.registerTool('getQuote', 'Quote', () => ({}), { annotations: { readOnly: true } });
+    await client.request('resources/unsubscribe', { uri: 'portfolio://allocation' });
+    context.WebMCP.notifyResourceUpdated('portfolio://allocation');
+
+    assert.deepEqual(client.notifications(), ['notifications/resources/updated', 'notifications/tools/list_changed']);
+});
+
+test('a client can cancel a call in progress, which then gets no response', async () => {
+    const { context, client } = await setup();
+    await initialize(client);
+    let aborted = false;
+    context.WebMCP.registerTool('slowQuote', 'Slow quote', (args, { signal }) => new Promise(resolve => {
+        signal.addEventListener('abort', () => {
+            aborted = true;
+            resolve({});
+        });
+    }), { annotations: { readOnly: true } });
+
+    const call = client.request('tools/call', { name: 'slowQuote', arguments: {} });
+    await new Promise(resolve => setTimeout(resolve, 5));
+    await client.notify('notifications/cancelled', { requestId: client.lastId });
+
+    assert.equal(await call, undefined);
+    assert.ok(aborted);
+});
+
+test('window messages from origins that are not allowed are ignored', async () => {
+    const context = loadScripts(MCP_SCRIPTS);
+    await createApp(context);
+    const server = new context.MCPServer(context.WebMCP, { allowedOrigins: ['https://extension.example'] });
+    const replies = [];
+    const source = { postMessage: (message, origin) => replies.push({ message, origin }) };
+    const message = { jsonrpc: '2.0', id: 1, method: 'ping' };
+
+    server.onWindowMessage({ origin: 'https://evil.example', data: message, source });
+    assert.equal(replies.length, 0);
+    server.onWindowMessage({ origin: 'https://extension.example', data: message, source });
+    await new Promise(resolve => setTimeout(resolve, 0));
+    assert.deepEqual(replies.map(reply => reply.origin), ['https://extension.example']);
+    server.close();
+});
@@ -0,0 +1,115 @@
+/**
+ * Rebalance plans: previewRebalance computes the trades without changing
+ * anything and returns a planId, and rebalancePortfolio({ planId }) executes
+ * exactly that plan, once, while the accounts and prices it was computed
+ * from are unchanged and it hasn't expired.
+ *
+ *   node --test test/*.test.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, createApp } = require('./helpers/browser-context');
+
+// Plain copies of values made in the vm context, for deepEqual
+const plain = value => JSON.parse(JSON.stringify(value));
+
+// The app priced by a source whose prices can change between calls
+async function setup() {
+    const context = loadScripts();
+    const overrides = {};
+    const app = await createApp(context, {
+        priceSource: {
+            async getPrices(tickers) {
+                const prices = {};
+                tickers.forEach(ticker => {
+                    prices[ticker] = overrides[ticker] !== undefined ? overrides[ticker] : context.MARKET_FIXTURES.securities[ticker].price;
+                });
+                return { prices, asOf: context.MARKET_FIXTURES.asOf };
+            }
+        }
+    });
+    const sessionId = context.WebMCP.createSession('session_plans').id;
+    const call = (name, args) => context.WebMCP.executeTool(name, args, { sessionId });
+    // The error a call fails with, as { code, path }
+    const failure = (name, args) => call(name, args).then(() => null, error => ({ code: error.code, path: error.errors && error.errors[0].path }));
+    return { context, app, overrides, call, failure };
+}
+
+test('a preview lists the trades and changes nothing', async () => {
+    const { app, call } = await setup();
+    const before = JSON.stringify(app.accounts);
+
+    const plan = await call('previewRebalance', { strategy: 'aggressive', minTradeAmount: 10000 });
+
+    assert.match(plan.planId, /^plan_/);
+    assert.deepEqual(plain(plan.currentAllocation), { stocks: 50, bonds: 30, cash: 20 });
+    assert.ok(plan.trades.length > 0);
+    assert.ok(plan.trades.every(trade => trade.amount >= 10000));
+    // Orders under the minimum trade size are left out, not placed
+    assert.ok(plan.skipped.length > 0);
+    assert.ok(plan.skipped.every(trade => trade.amount < 10000));
+    assert.equal(plan.projectedTotalValue, Math.round((plan.totalValue - plan.estimatedCosts.total) * 100) / 100);
+    assert.equal(JSON.stringify(app.accounts), before);
+    assert.equal(app.rebalancePreview.planId, plan.planId);
+});
+
+test('rebalancePortfolio executes exactly the previewed plan, once', async () => {
+    const { app, call, failure } = await setup();
+    const plan = await call('previewRebalance', { strategy: 'aggressive', minTradeAmount: 10000 });
+
+    const result = await call('rebalancePortfolio', { planId: plan.planId });
+
+    assert.equal(result.planId, plan.planId);
+    assert.equal(result.strategy, 'aggressive');
+    assert.deepEqual(plain(result.trades), plain(plan.trades));
+    assert.deepEqual(plain(result.newAllocation), plain(plan.projectedAllocation));
+    assert.equal(result.totalValue, plan.projectedTotalValue);
+    assert.equal(app.rebalancePreview, null);
+
+    assert.deepEqual(await failure('rebalancePortfolio', { planId: plan.planId }), { code: 'INVALID_ARGUMENTS', path: '$.planId' });
+    assert.deepEqual(await failure('rebalancePortfolio', { planId: 'plan_made_up' }), { code: 'INVALID_ARGUMENTS', path: '$.planId' });
+});
+
+test('a planId goes on its own', async () => {
+    const { call, failure } = await setup();
+    const plan = await call('previewRebalance', { strategy: 'aggressive' });
+
+    assert.deepEqual(await failure('rebalancePortfolio', { planId: plan.planId, strategy: 'conservative' }), { code: 'INVALID_ARGUMENTS', path: '$' });
+    assert.deepEqual(await failure('rebalancePortfolio', { planId: plan.planId, harvestLosses: true }), { code: 'INVALID_ARGUMENTS', path: '$' });
+});
+
+test('a plan is refused once the accounts change', async () => {
+    const { app, call, failure } = await setup();
+    const plan = await call('previewRebalance', { strategy: 'aggressive' });
+
+    await call('rebalancePortfolio', { strategy: 'conservative' });
+    const after = JSON.stringify(app.accounts);
+
+    assert.deepEqual(await failure('rebalancePortfolio', { planId: plan.planId }), { code: 'INVALID_ARGUMENTS', path: '$.planId' });
+    assert.equal(JSON.stringify(app.accounts), after);
+});
+
+test('a plan is refused once prices change', async () => {
+    const { app, overrides, call, failure } = await setup();
+    const plan = await call('previewRebalance', { strategy: 'aggressive' });
+    const before = JSON.stringify(app.accounts);
+
+    overrides.VTI = 260;
+
+    assert.deepEqual(await failure('rebalancePortfolio', { planId: plan.planId }), { code: 'INVALID_ARGUMENTS', path: '$.planId' });
+    assert.equal(JSON.stringify(app.accounts), before);
+});
+
+test('a plan is refused once it expires', async () => {
+    const { app, call, failure } = await setup();
+    const plan = await call('previewRebalance', { strategy: 'aggressive' });
+    const before = JSON.stringify(app.accounts);
+    assert.ok(Date.parse(plan.expiresAt) > Date.now());
+
+    app.rebalancePlans.get(plan.planId).expiresAt = Date.now() - 1;
+
+    assert.deepEqual(await failure('rebalancePortfolio', { planId: plan.planId }), { code: 'INVALID_ARGUMENTS', path: '$.planId' });
+    assert.equal(JSON.stringify(app.accounts), before);
+    assert.equal(app.rebalancePlans.has(plan.planId), false);
+});
@@ -0,0 +1,154 @@
+/**
+ * Remote agents (HttpAgent, WebSocketAgent) run the page's tools for an agent
+ * elsewhere. A gated tool only runs for a call the user approved on the page,
+ * and the agent's session can't reach tools it wasn't offered.
+ *
+ *   node --test test/*.test.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { APP_SCRIPTS, loadScripts, createApp } = require('./helpers/browser-context');
+
+const REMOTE_SCRIPTS = [
+    ...APP_SCRIPTS,
+    'js/http-agent.js',
+    'js/socket-channel.js',
+    'js/remote-run.js',
+    'js/agent-socket-server.js',
+    'js/ws-agent.js'
+];
+
+const AGENT_URL = 'http://agent.test/agent';
+
+// The app's tools on the page, with every execute counted
+async function setup(globals = {}) {
+    const context = loadScripts(REMOTE_SCRIPTS, globals);
+    const app = await createApp(context);
+    const executions = new Map();
+    for (const tool of context.WebMCP.getTools()) {
+        const execute = tool.execute;
+        executions.set(tool.name, 0);
+        tool.execute = (args, toolContext) => {
+            executions.set(tool.name, executions.get(tool.name) + 1);
+            return execute(args, toolContext);
+        };
+    }
+    return { context, app, executions };
+}
+
+// A fetch for HttpAgent: the run's events come back as one SSE response, and
+// every callback POST is recorded as { path, body }
+function fakeAgentEndpoint(events) {
+    const callbacks = [];
+    const fetch = async (url, init) => {
+        if (url === AGENT_URL) {
+            const body = events.map(event => `data: ${JSON.stringify(event)}\n\n`).join('');
+            return new Response(body, { status: 200, headers: { 'Content-Type': 'text/event-stream' } });
+        }
+        callbacks.push({ path: url.slice(AGENT_URL.length), body: JSON.parse(init.body) });
+        return new Response('{"ok":true}', { status: 200, headers: { 'Content-Type': 'application/json' } });
+    };
+    return { fetch, callbacks };
+}
+
+function interrupt(toolCallId, args) {
+    return {
+        type: 'CUSTOM',
+        name: 'interrupt',
+        value: { interruptId: 'interrupt_' + toolCallId, reason: 'tool_confirmation', toolCallId, toolCallName: 'rebalancePortfolio', args }
+    };
+}
+
+function toolRequest(requestId, toolCallId, args) {
+    return { type: 'CUSTOM', name: 'tool_request', value: { requestId, toolCallId, toolCallName: 'rebalancePortfolio', args } };
+}
+
+test('HttpAgent runs a gated tool only for a call approved on the page, once, with the approved arguments', async () => {
+    const endpoint = fakeAgentEndpoint([
+        { type: 'RUN_STARTED', threadId: 'thread_1', runId: 'run_1' },
+        interrupt('call_1', { strategy: 'aggressive' }),
+        toolRequest('req_1', 'call_1', { strategy: 'aggressive' }),
+        // The same approval used again
+        toolRequest('req_2', 'call_1', { strategy: 'aggressive' }),
+        // Never shown to the user
+        toolRequest('req_3', 'call_2', { strategy: 'aggressive' }),
+        // Approved, but the agent asks for something else
+        interrupt('call_3', { strategy: 'conservative' }),
+        toolRequest('req_4', 'call_3', { strategy: 'aggressive' }),
+        { type: 'RUN_FINISHED', threadId: 'thread_1', runId: 'run_1' }
+    ]);
+    const { context, app, executions } = await setup({ fetch: endpoint.fetch });
+    const agent = new context.HttpAgent(AGENT_URL, { tools: app.getTools() });
+
+    for await (const event of agent.processPrompt('Rebalance aggressive')) {
+        if (event.type === 'CUSTOM' && event.name === 'interrupt') {
+            await agent.resolveApproval(event.value.interruptId, true);
+        }
+    }
+
+    const answers = Object.fromEntries(endpoint.callbacks
+        .filter(callback => callback.path.endsWith('/tool-results'))
+        .map(callback => [callback.body.requestId, callback.body]));
+    assert.equal(answers.req_1.error, undefined);
+    assert.ok(Array.isArray(answers.req_1.result.trades));
+    for (const requestId of ['req_2', 'req_3', 'req_4']) {
+        assert.equal(answers[requestId].error.code, 'APPROVAL_REQUIRED', requestId);
+    }
+    assert.equal(executions.get('rebalancePortfolio'), 1);
+});
+
+test("HttpAgent's session may call the offered tools and nothing else", async () => {
+    const endpoint = fakeAgentEndpoint([
+        { type: 'RUN_STARTED', threadId: 'thread_1', runId: 'run_1' },
+        { type: 'CUSTOM', name: 'tool_request', value: { requestId: 'req_1', toolCallId: 'call_1', toolCallName: 'getPortfolio', args: {} } },
+        { type: 'CUSTOM', name: 'tool_request', value: { requestId: 'req_2', toolCallId: 'call_2', toolCallName: 'getRetirementProjection', args: {} } },
+        { type: 'RUN_FINISHED', threadId: 'thread_1', runId: 'run_1' }
+    ]);
+    const { context, app, executions } = await setup({ fetch: endpoint.fetch });
+    const offered = app.getTools().filter(tool => tool.name === 'getPortfolio');
+    const agent = new context.HttpAgent(AGENT_URL, { tools: offered });
+
+    for await (const event of agent.processPrompt('Show my portfolio')) {
+        assert.notEqual(event.type, 'RUN_ERROR');
+    }
+
+    const [portfolio, projection] = endpoint.callbacks.map(callback => callback.body);
+    assert.equal(portfolio.error, undefined);
+    assert.equal(projection.error.code, 'TOOL_NOT_ALLOWED');
+    assert.equal(executions.get('getRetirementProjection'), 0);
+    const session = context.WebMCP.getSession(agent.toolCallContext.sessionId);
+    assert.deepEqual(Array.from(session.scopes), []);
+});
+
+test('WebSocketAgent runs an approved tool over the loopback server, and refuses unapproved calls', async () => {
+    const { context, app, executions } = await setup();
+    const server = new context.LoopbackAgentServer();
+    const agent = new context.WebSocketAgent('loopback:', { tools: app.getTools(), connect: () => server.connect() });
+
+    const results = [];
+    for await (const event of agent.processPrompt('Rebalance aggressive')) {
+        if (event.type === 'CUSTOM' && event.name === 'interrupt') {
+            await agent.resolveApproval(event.value.interruptId, true);
+        } else if (event.type === 'TOOL_CALL_RESULT') {
+            results.push(JSON.parse(event.content));
+        }
+    }
+    assert.equal(results.length, 2);
+    assert.ok(results.every(result => result.success !== false));
+    assert.equal(executions.get('rebalancePortfolio'), 1);
+
+    // The server asking for a gated call on its own
+    const replies = [];
+    const send = agent.channel.send.bind(agent.channel);
+    agent.channel.send = payload => {
+        replies.push(payload);
+        return send(payload);
+    };
+    await agent.bridge.handleCall({
+        kind: 'tool_call', runId: 'run_x', toolCallId: 'call_x', toolCallName: 'rebalancePortfolio', args: { strategy: 'conservative' }
+    });
+    assert.equal(replies[0].error.code, 'APPROVAL_REQUIRED');
+    assert.equal(executions.get('rebalancePortfolio'), 1);
+    agent.disconnect();
+});
@@ -0,0 +1,68 @@
+/**
+ * SchemaValidator, the input and output contract of every WebMCP tool: the
+ * keywords it supports, and properties every object inherits never passing
+ * for declared ones.
+ *
+ *   node --test test/*.test.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/browser-context');
+
+const { SchemaValidator, ProxyToolProvider } = loadScripts(['js/schema-validator.js', 'js/remote-run.js']);
+
+const STRATEGY_SCHEMA = {
+    type: 'object',
+    properties: {
+        strategy: { type: 'string', enum: ['conservative', 'moderate', 'aggressive'] },
+        years: { type: 'integer', minimum: 1, maximum: 50 },
+        target: { type: 'object', additionalProperties: { type: 'number', minimum: 0 } },
+        tickers: { type: 'array', items: { type: 'string', pattern: '^[A-Z]+$' }, maxItems: 2 }
+    },
+    required: ['strategy'],
+    additionalProperties: false
+};
+
+const errorsFor = (schema, value) => Array.from(SchemaValidator.validate(schema, value), error => `${error.path} ${error.keyword}`);
+
+test('valid arguments pass', () => {
+    assert.deepEqual(errorsFor(STRATEGY_SCHEMA, {
+        strategy: 'moderate', years: 20, target: { stocks: 60, bonds: 40 }, tickers: ['FXAIX']
+    }), []);
+});
+
+test('each broken keyword is reported at its path', () => {
+    assert.deepEqual(errorsFor(STRATEGY_SCHEMA, {}), ['$.strategy required']);
+    assert.deepEqual(errorsFor(STRATEGY_SCHEMA, {
+        strategy: 'reckless', years: 2.5, target: { stocks: -1 }, tickers: ['fxaix', 'A', 'B'], extra: true
+    }), [
+        '$.strategy enum',
+        '$.years type',
+        '$.target.stocks minimum',
+        '$.tickers maxItems',
+        '$.tickers[0] pattern',
+        '$.extra additionalProperties'
+    ]);
+    assert.deepEqual(errorsFor(STRATEGY_SCHEMA, []), ['$ type']);
+});
+
+test('inherited names are not declared properties', () => {
+    const closed = { type: 'object', properties: {}, additionalProperties: false };
+    assert.deepEqual(errorsFor(closed, { constructor: 5, toString: 'x' }), [
+        '$.constructor additionalProperties',
+        '$.toString additionalProperties'
+    ]);
+    // As parsed from a remote call, where __proto__ is an own key
+    assert.deepEqual(errorsFor(closed, JSON.parse('{"__proto__": {"admin": true}}')), ['$.__proto__ additionalProperties']);
+    assert.deepEqual(errorsFor({ type: 'object', required: ['constructor'] }, {}), ['$.constructor required']);
+});
+
+test("a remote agent's call with undeclared inherited names is refused before it reaches the page", async () => {
+    const invoked = [];
+    const provider = new ProxyToolProvider([{ name: 'getPortfolio', parameters: { type: 'object', properties: {}, additionalProperties: false } }],
+        (name, args) => invoked.push({ name, args }));
+
+    await assert.rejects(provider.executeTool('getPortfolio', { constructor: 'x' }), error => error.code === 'INVALID_ARGUMENTS');
+    assert.equal(invoked.length, 0);
+});
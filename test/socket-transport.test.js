@@ -0,0 +1,121 @@
+/**
+ * The WebSocket transport against the in-page loopback server: a connection
+ * dropped mid-run resumes from the last sequence number received, with no
+ * message lost or repeated, and a reader that falls behind holds the agent back.
+ *
+ *   node --test test/*.test.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { APP_SCRIPTS, loadScripts, createApp } = require('./helpers/browser-context');
+
+const SOCKET_SCRIPTS = [
+    ...APP_SCRIPTS,
+    'js/http-agent.js',
+    'js/socket-channel.js',
+    'js/remote-run.js',
+    'js/agent-socket-server.js',
+    'js/ws-agent.js'
+];
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// A WebSocketAgent on a loopback server, recording every socket it opens and
+// the seq of every sequenced message it receives
+async function setup(serverOptions = {}) {
+    const context = loadScripts(SOCKET_SCRIPTS);
+    const app = await createApp(context);
+    const server = new context.LoopbackAgentServer(serverOptions);
+    const sockets = [];
+    const agent = new context.WebSocketAgent('loopback:', {
+        tools: app.getTools(),
+        reconnectDelayMs: 5,
+        connect: () => {
+            const socket = server.connect();
+            sockets.push(socket);
+            return socket;
+        }
+    });
+    const receivedSeqs = [];
+    const handleMessage = agent.handleMessage.bind(agent);
+    agent.handleMessage = message => {
+        receivedSeqs.push(message.seq);
+        return handleMessage(message);
+    };
+    // The server's side of the one session
+    const serverChannel = () => Array.from(server.server.sessions.values())[0].channel;
+    return { context, app, agent, sockets, receivedSeqs, serverChannel };
+}
+
+test('a connection dropped mid-run resumes without losing or repeating messages', async () => {
+    const { context, agent, sockets, receivedSeqs, serverChannel } = await setup();
+    const events = [];
+
+    for await (const event of context.verifyEvents(agent.processPrompt('Rebalance aggressive and show my retirement plan'))) {
+        events.push(event);
+        if (event.type === 'CUSTOM' && event.name === 'interrupt') {
+            // Drop the connection with the run waiting on the user, then
+            // answer while disconnected: the approval waits to be sent
+            sockets[0].close(1006, 'Network went away');
+            await agent.resolveApproval(event.value.interruptId, true);
+        }
+    }
+
+    assert.equal(sockets.length, 2);
+    assert.equal(events[events.length - 1].type, 'RUN_FINISHED');
+    assert.ok(!events.some(event => event.type === 'RUN_ERROR'));
+    const results = events.filter(event => event.type === 'TOOL_CALL_RESULT').map(event => JSON.parse(event.content));
+    assert.equal(results.length, 3);
+    assert.ok(results.every(result => result.success !== false), JSON.stringify(results));
+    // Every message the server sent arrived exactly once, in order
+    const sent = serverChannel().sentSeq;
+    assert.deepEqual(receivedSeqs, Array.from({ length: sent }, (_, index) => index + 1));
+    agent.disconnect();
+});
+
+test('messages still in flight when the connection drops are sent again', async () => {
+    const { context, agent, sockets, receivedSeqs, serverChannel } = await setup();
+    const events = [];
+
+    for await (const event of context.verifyEvents(agent.processPrompt('Show my portfolio and my retirement projection'))) {
+        events.push(event);
+        // Drop it while the agent is streaming, so frames are lost on the wire
+        if (events.length === 3) {
+            sockets[sockets.length - 1].close(1006, 'Network went away');
+        }
+    }
+
+    assert.ok(sockets.length >= 2);
+    assert.equal(events[events.length - 1].type, 'RUN_FINISHED');
+    assert.ok(!events.some(event => event.type === 'RUN_ERROR'));
+    assert.deepEqual(receivedSeqs, Array.from({ length: serverChannel().sentSeq }, (_, index) => index + 1));
+    agent.disconnect();
+});
+
+test('a reader that stops taking events holds the agent back', async () => {
+    const windowSize = 4;
+    const { context, agent, serverChannel } = await setup({ windowSize });
+    const events = context.verifyEvents(agent.processPrompt('Show my portfolio and my retirement projection'));
+
+    const first = await events.next();
+    assert.equal(first.value.type, 'RUN_STARTED');
+    await delay(50);
+    const sentWhilePaused = serverChannel().sentSeq;
+    await delay(50);
+
+    // Nothing more went out while the reader was away, and no more than the
+    // window is waiting for it
+    assert.equal(serverChannel().sentSeq, sentWhilePaused);
+    assert.ok(serverChannel().unacked.length <= windowSize);
+
+    let received = 1;
+    for (let next = await events.next(); !next.done; next = await events.next()) {
+        received++;
+    }
+    assert.ok(received > sentWhilePaused, `${received} events, ${sentWhilePaused} sent while paused`);
+    // The last acknowledgement is on its way
+    await delay(10);
+    assert.equal(serverChannel().unacked.length, 0);
+    agent.disconnect();
+});
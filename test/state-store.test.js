@@ -0,0 +1,104 @@
+/**
+ * StateStore, the page's copy of the shared state: snapshots replace it,
+ * deltas patch it, and a delta that doesn't apply marks it diverged and
+ * fetches a fresh snapshot instead of carrying on.
+ *
+ *   node --test test/*.test.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/browser-context');
+
+const STATE_SCRIPTS = ['js/ag-ui-client.js', 'js/json-patch.js', 'js/state-store.js'];
+
+// A store whose requestSnapshot answers with agentState (as a STATE_SNAPSHOT
+// event), and the changes its listener saw
+function setup(agentState = { cash: 100 }) {
+    const context = loadScripts(STATE_SCRIPTS);
+    const requests = { count: 0 };
+    const store = new context.StateStore({
+        requestSnapshot: () => {
+            requests.count++;
+            return Promise.resolve(new context.AGUI.StateSnapshotEvent(agentState));
+        }
+    });
+    const changes = [];
+    store.onChange((state, change) => changes.push(change.type));
+    return { context, store, requests, changes };
+}
+
+test('snapshots replace the copy and deltas patch it', () => {
+    const { context, store, changes } = setup();
+
+    assert.equal(store.getState(), null);
+    assert.equal(store.applyEvent(new context.AGUI.StateSnapshotEvent({ cash: 100, history: [] })), true);
+    assert.equal(store.applyEvent(new context.AGUI.StateDeltaEvent([
+        { op: 'test', path: '/cash', value: 100 },
+        { op: 'replace', path: '/cash', value: 80 },
+        { op: 'add', path: '/history/0', value: 'bought' }
+    ])), true);
+    assert.equal(store.applyEvent(new context.AGUI.StepStartedEvent('step_1')), false);
+
+    assert.deepEqual(JSON.parse(JSON.stringify(store.getState())), { cash: 80, history: ['bought'] });
+    assert.equal(store.inSync, true);
+    assert.equal(store.version, 2);
+    assert.deepEqual(changes, ['snapshot', 'delta']);
+});
+
+test('a delta whose tests fail marks the copy diverged and resyncs from a fresh snapshot', async () => {
+    const { store, requests, changes } = setup({ cash: 50 });
+    store.applySnapshot({ cash: 100 });
+
+    store.applyDelta([{ op: 'test', path: '/cash', value: 90 }, { op: 'replace', path: '/cash', value: 70 }]);
+    assert.equal(store.inSync, false);
+    assert.equal(store.divergences, 1);
+    // The delta was dropped, not partly applied
+    assert.deepEqual({ ...store.getState() }, { cash: 100 });
+
+    await store.resyncing;
+    assert.equal(requests.count, 1);
+    assert.equal(store.inSync, true);
+    assert.deepEqual({ ...store.getState() }, { cash: 50 });
+    assert.deepEqual(changes, ['snapshot', 'diverged', 'snapshot']);
+});
+
+test('a delta before any snapshot, or one through __proto__, is a divergence too', async () => {
+    const { store, requests, changes } = setup({ cash: 50 });
+
+    store.applyDelta([{ op: 'replace', path: '/cash', value: 70 }]);
+    await store.resyncing;
+    store.applyDelta([{ op: 'add', path: '/__proto__', value: { polluted: true } }]);
+    await store.resyncing;
+
+    assert.equal(requests.count, 2);
+    assert.equal(store.divergences, 2);
+    assert.deepEqual(changes, ['diverged', 'snapshot', 'diverged', 'snapshot']);
+    assert.equal(store.state.polluted, undefined);
+});
+
+test('divergences during a resync fetch one more snapshot, and a failed fetch is reported', async () => {
+    const context = loadScripts(STATE_SCRIPTS);
+    let requests = 0;
+    let fail = false;
+    const store = new context.StateStore({
+        requestSnapshot: () => {
+            requests++;
+            return fail ? Promise.reject(new Error('offline')) : Promise.resolve({ cash: requests });
+        }
+    });
+    const changes = [];
+    store.onChange((state, change) => changes.push(change.type));
+
+    const first = store.diverge(new context.JsonPatchError('first', null, -1));
+    store.diverge(new context.JsonPatchError('second', null, -1));
+    await first;
+    await store.resyncing;
+    assert.equal(requests, 2);
+    assert.equal(store.getState().cash, 2);
+
+    fail = true;
+    await store.diverge(new context.JsonPatchError('third', null, -1));
+    assert.equal(store.inSync, false);
+    assert.deepEqual(changes, ['diverged', 'diverged', 'snapshot', 'snapshot', 'diverged', 'resync_failed']);
+});
@@ -0,0 +1,89 @@
+/**
+ * StrategyRegistry: names look up only the strategies it holds, never the
+ * members every object has, and what it reads back from storage is checked
+ * like a strategy being defined.
+ *
+ *   node --test test/*.test.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, createApp, memoryStorage } = require('./helpers/browser-context');
+
+const REGISTRY_SCRIPTS = ['js/strategy-registry.js'];
+
+const codeOf = fn => {
+    try {
+        fn();
+        return null;
+    } catch (error) {
+        return error.code;
+    }
+};
+
+test('constructor, __proto__ and other inherited names are not strategies', () => {
+    const { StrategyRegistry } = loadScripts(REGISTRY_SCRIPTS);
+    const registry = new StrategyRegistry(memoryStorage());
+
+    for (const name of ['constructor', '__proto__', 'toString', 'hasOwnProperty']) {
+        assert.equal(registry.get(name), null, name);
+        assert.equal(registry.has(name), false, name);
+        assert.equal(registry.remove(name), false, name);
+    }
+    assert.equal(codeOf(() => registry.define('constructor', { stocks: 100 })), 'INVALID_STRATEGY');
+    assert.equal(codeOf(() => registry.define('__proto__', { stocks: 100 })), 'INVALID_STRATEGY');
+    assert.deepEqual(Array.from(registry.list(), strategy => strategy.name), ['aggressive', 'conservative', 'moderate']);
+});
+
+test('strategies are defined, replaced, removed and persisted', () => {
+    const { StrategyRegistry } = loadScripts(REGISTRY_SCRIPTS);
+    const storage = memoryStorage();
+    const registry = new StrategyRegistry(storage);
+
+    registry.define(' Income ', { bonds: 70, cash: 30 }, 'Steady income');
+    assert.equal(codeOf(() => registry.define('lopsided', { stocks: 90 })), 'INVALID_STRATEGY');
+    assert.equal(registry.remove('aggressive'), true);
+
+    const reloaded = new StrategyRegistry(storage);
+    assert.deepEqual(Array.from(reloaded.list(), strategy => strategy.name), ['conservative', 'income', 'moderate']);
+    assert.deepEqual({ ...reloaded.get('INCOME').allocation }, { bonds: 70, cash: 30 });
+});
+
+test('stored strategies that would not pass define() are dropped on load', () => {
+    const { StrategyRegistry } = loadScripts(REGISTRY_SCRIPTS, { console: { warn() {} } });
+    const storage = memoryStorage();
+    // As written by hand or by an older version: JSON.parse keeps __proto__ as an own key
+    storage.setItem('portfolio-strategies', '{' +
+        '"moderate": { "description": "Balanced", "allocation": { "stocks": 60, "bonds": 40 } },' +
+        '"__proto__": { "allocation": { "stocks": 100 } },' +
+        '"constructor": { "allocation": { "stocks": 100 } },' +
+        '"lopsided": { "allocation": { "stocks": 90 } },' +
+        '"broken": "not a strategy"' +
+    '}');
+
+    const registry = new StrategyRegistry(storage);
+    assert.deepEqual(Array.from(registry.list(), strategy => strategy.name), ['moderate']);
+    assert.deepEqual(Object.keys(registry.strategies), ['moderate']);
+    assert.equal(registry.get('constructor'), null);
+
+    // Anything but an object of strategies falls back to the built-in ones
+    storage.setItem('portfolio-strategies', '["moderate"]');
+    assert.deepEqual(Array.from(new StrategyRegistry(storage).list(), strategy => strategy.name), ['aggressive', 'conservative', 'moderate']);
+});
+
+test('previewRebalance and rebalancePortfolio refuse inherited names as strategies', async () => {
+    const context = loadScripts();
+    const app = await createApp(context);
+    const sessionId = context.WebMCP.createSession('session_strategies').id;
+    const before = JSON.stringify(app.accounts);
+
+    for (const strategy of ['constructor', '__proto__', 'toString']) {
+        for (const tool of ['previewRebalance', 'rebalancePortfolio']) {
+            const error = await context.WebMCP.executeTool(tool, { strategy }, { sessionId }).then(() => null, caught => caught);
+            assert.equal(error && error.code, 'INVALID_ARGUMENTS', `${tool} ${strategy}`);
+            assert.equal(error.errors[0].path, '$.strategy');
+        }
+    }
+    assert.equal(JSON.stringify(app.accounts), before);
+    assert.equal(app.rebalancePreview, null);
+});
@@ -0,0 +1,131 @@
+/**
+ * Tax lots: which lots a sale takes, the short- and long-term gains and
+ * losses it realizes and the tax they cost, and how rebalance plans use
+ * them: tax-advantaged accounts first, the cheapest lots next, and
+ * harvesting losses on request. Plans carry their tax summary as text, so
+ * the keyword-mode reply can quote it without loading tax-lots.js.
+ *
+ *   node --test test/*.test.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const vm = require('vm');
+const { loadScripts, createApp } = require('./helpers/browser-context');
+
+const { TaxLots } = loadScripts(['js/tax-lots.js']);
+
+// Plain copies of values made in the vm context, for deepEqual
+const plain = value => JSON.parse(JSON.stringify(value));
+
+const DATE = '2025-06-30';
+
+// At $100 a share: a short-term loss, a long-term loss, a long-term gain and
+// a short-term gain of $10 a share or so each
+const LOTS = {
+    shortLoss: { shares: 10, costBasis: 1200, acquired: '2025-03-01' },
+    longLoss: { shares: 10, costBasis: 1100, acquired: '2020-01-01' },
+    longGain: { shares: 10, costBasis: 900, acquired: '2020-01-01' },
+    shortGain: { shares: 10, costBasis: 900, acquired: '2025-03-01' }
+};
+
+test('a lot is long-term once held more than a year', () => {
+    assert.equal(TaxLots.term({ acquired: '2024-06-29' }, DATE), 'longTerm');
+    assert.equal(TaxLots.term({ acquired: '2024-06-30' }, DATE), 'shortTerm');
+    assert.equal(TaxLots.term(LOTS.shortLoss, DATE), 'shortTerm');
+    assert.equal(TaxLots.unrealizedGain(LOTS.longGain, 100), 100);
+    assert.equal(TaxLots.unrealizedGain(LOTS.shortLoss, 100), -200);
+    assert.equal(TaxLots.daysBetween('2025-01-01', '2025-03-01'), 59);
+});
+
+test('a sale takes the lots costing the least tax per dollar first', () => {
+    const lots = [LOTS.longGain, LOTS.shortGain, LOTS.longLoss, LOTS.shortLoss];
+
+    const order = TaxLots.sellOrder(lots, 100, DATE).map(lot => Object.keys(LOTS).find(name => LOTS[name] === lot));
+    assert.deepEqual(order, ['shortLoss', 'longLoss', 'longGain', 'shortGain']);
+
+    const { lots: left, sold } = TaxLots.sell(lots, 15, 100, DATE);
+    assert.deepEqual(plain(sold), [
+        { shares: 10, costBasis: 1200, acquired: '2025-03-01', proceeds: 1000, gain: -200, term: 'shortTerm' },
+        { shares: 5, costBasis: 550, acquired: '2020-01-01', proceeds: 500, gain: -50, term: 'longTerm' }
+    ]);
+    // What's left keeps its order, with the part-sold lot's basis reduced in proportion
+    assert.deepEqual(plain(left), [LOTS.longGain, LOTS.shortGain, { shares: 5, costBasis: 550, acquired: '2020-01-01' }]);
+    assert.equal(LOTS.longLoss.shares, 10);
+});
+
+test('tax is estimated on net gains, with a loss in one term offsetting gains in the other', () => {
+    assert.equal(TaxLots.estimateTax(1000, 2000), 540);
+    assert.equal(TaxLots.estimateTax(-500, 2000), 225);
+    assert.equal(TaxLots.estimateTax(1000, -3000), 0);
+    assert.equal(TaxLots.estimateTax(-100, -100), 0);
+    assert.equal(TaxLots.estimateTax(1000, 0, { shortTerm: 0.5, longTerm: 0 }), 500);
+
+    assert.equal(TaxLots.describe({ shortTermGain: -1000, longTermGain: 2000, harvestedLosses: 1000, estimatedTax: 150 }),
+        'Estimated tax: $150.00 on $1,000.00 of short-term losses and $2,000.00 of long-term gains, $1,000.00 of losses harvested');
+    assert.equal(TaxLots.describe({ shortTermGain: 0, longTermGain: 0, harvestedLosses: 0, estimatedTax: 0 }),
+        'Estimated tax: $0.00, no gains or losses realized');
+});
+
+test('plans trade in tax-advantaged accounts first and sell the cheapest taxable lots', async () => {
+    const context = loadScripts();
+    await createApp(context);
+    const sessionId = context.WebMCP.createSession('session_tax').id;
+    const preview = args => context.WebMCP.executeTool('previewRebalance', args, { sessionId });
+
+    // The IRAs can make up this change on their own
+    const conservative = await preview({ strategy: 'conservative' });
+    assert.ok(conservative.trades.length > 0);
+    assert.ok(conservative.trades.every(trade => trade.accountId !== 'brokerage'));
+    assert.equal(conservative.taxImpact.estimatedTax, 0);
+    assert.equal(conservative.taxImpact.summary, 'Estimated tax: $0.00, no gains or losses realized');
+
+    // This one sells VTI in the brokerage account: the short-term loss lot
+    // goes first, then the 2019 lot's long-term gain
+    const { taxImpact } = await preview({ target: { stocks: 20, bonds: 40, cash: 40 } });
+    assert.equal(taxImpact.shortTermGain, -1200);
+    assert.ok(taxImpact.longTermGain > 0);
+    assert.equal(taxImpact.estimatedTax, Math.round((taxImpact.longTermGain - 1200) * 0.15 * 100) / 100);
+    assert.equal(taxImpact.summary, TaxLots.describe(taxImpact));
+});
+
+test('losing lots are listed for harvesting, and harvesting swaps them for a similar fund', async () => {
+    const context = loadScripts();
+    await createApp(context);
+    const sessionId = context.WebMCP.createSession('session_harvest').id;
+    const call = (name, args) => context.WebMCP.executeTool(name, args, { sessionId });
+
+    const { candidates, totalLoss, estimatedTaxSavings } = await call('getTaxLossHarvestingCandidates', {});
+    assert.deepEqual(plain(candidates.map(candidate => [candidate.ticker, candidate.term, candidate.loss, candidate.replacement, candidate.washSaleRisk])), [
+        ['VTI', 'shortTerm', 1200, 'ITOT', false],
+        ['BND', 'longTerm', 3900, 'AGG', false]
+    ]);
+    assert.equal(totalLoss, 5100);
+    assert.equal(estimatedTaxSavings, 1200 * 0.24 + 3900 * 0.15);
+    assert.equal((await call('getTaxLossHarvestingCandidates', { minLoss: 2000 })).candidates.length, 1);
+
+    const plan = await call('previewRebalance', { strategy: 'aggressive', harvestLosses: true });
+    const brokerage = plan.trades.filter(trade => trade.accountId === 'brokerage').map(trade => `${trade.action} ${trade.ticker}`);
+    assert.ok(brokerage.includes('sell VTI') && brokerage.includes('buy ITOT'));
+    assert.ok(brokerage.includes('sell BND') && brokerage.includes('buy AGG'));
+    assert.equal(plan.taxImpact.harvestedLosses, 5100);
+    assert.equal(plan.taxImpact.estimatedTax, 0);
+    assert.match(plan.taxImpact.summary, /\$5,100\.00 of losses harvested$/);
+});
+
+test('the keyword-mode reply quotes the summary without tax-lots.js loaded', async () => {
+    const context = loadScripts(['js/stream-readers.js', 'js/llm-providers.js', 'js/llm-client.js']);
+    assert.equal(context.TaxLots, undefined);
+    const LLMClient = vm.runInContext('LLMClient', context);
+    const client = new LLMClient([]);
+    const summary = 'Estimated tax: $540.76 on $1,200.00 of short-term losses and $4,805.07 of long-term gains';
+
+    const reply = await client.chatWithKeywords([
+        { role: 'user', content: 'Rebalance' },
+        { role: 'assistant', content: '', toolCalls: [{ id: 'call_1', function: { name: 'rebalancePortfolio', arguments: '{}' } }] },
+        { role: 'tool', toolCallId: 'call_1', content: JSON.stringify({ taxImpact: { estimatedTax: 540.76, summary } }) }
+    ]);
+
+    assert.match(reply.content, /rebalancePortfolio/);
+    assert.ok(reply.content.endsWith(` ${summary}.`));
+});
@@ -0,0 +1,180 @@
+/**
+ * The built-in middlewares on a bare WebMCP provider: retry leaves tools that
+ * change things for good, and calls that timed out, alone; the cache keeps
+ * sessions apart, hands out copies and forgets what a resource update changed;
+ * sanitizing and logging copy arguments without letting them set a prototype.
+ * With the app's own tools, every rebalance preview is a fresh plan, and a
+ * failed rebalance or projection is never carried out twice.
+ *
+ *   node --test test/*.test.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, createApp } = require('./helpers/browser-context');
+
+const MIDDLEWARE_SCRIPTS = ['js/schema-validator.js', 'js/webmcp-provider.js', 'js/webmcp-middleware.js'];
+
+function setup() {
+    const context = loadScripts(MIDDLEWARE_SCRIPTS);
+    const provider = context.WebMCP;
+    const session = id => provider.createSession(id).id;
+    return { context, provider, session };
+}
+
+// A tool whose first `failures` calls throw, counting every call
+function flakyTool(provider, name, annotations, failures = 1) {
+    const tool = { calls: 0 };
+    provider.registerTool(name, name, async () => {
+        tool.calls++;
+        if (tool.calls <= failures) {
+            throw new Error('Service unavailable');
+        }
+        return { ok: true };
+    }, { annotations });
+    return tool;
+}
+
+test('retry runs idempotent tools again, but not destructive or confirmed ones', async () => {
+    const { context, provider, session } = setup();
+    provider.use(context.WebMCPMiddleware.retry({ retries: 2, baseDelayMs: 1 }));
+    const sessionId = session('session_retry');
+    const idempotent = flakyTool(provider, 'refresh', { idempotent: true });
+    const destructive = flakyTool(provider, 'sell', { idempotent: true, destructive: true });
+    const confirmed = flakyTool(provider, 'transfer', { idempotent: true, requiresConfirmation: true });
+
+    assert.deepEqual({ ...await provider.executeTool('refresh', {}, { sessionId }) }, { ok: true });
+    assert.equal(idempotent.calls, 2);
+    await assert.rejects(provider.executeTool('sell', {}, { sessionId }), /Service unavailable/);
+    assert.equal(destructive.calls, 1);
+    await assert.rejects(provider.executeTool('transfer', {}, { sessionId }), /Service unavailable/);
+    assert.equal(confirmed.calls, 1);
+});
+
+test('retry does not start a call again while a timed-out one may still be running', async () => {
+    const { context, provider, session } = setup();
+    provider.use(context.WebMCPMiddleware.retry({ retries: 2, baseDelayMs: 1 }));
+    let started = 0;
+    provider.registerTool('slowQuote', 'Slow quote', () => {
+        started++;
+        return new Promise(resolve => setTimeout(resolve, 50));
+    }, { annotations: { idempotent: true }, timeoutMs: 5 });
+
+    await assert.rejects(provider.executeTool('slowQuote', {}, { sessionId: session('session_timeout') }),
+        error => error.name === 'ToolTimeoutError');
+    assert.equal(started, 1);
+});
+
+test('the cache keeps sessions apart and hands each caller its own copy', async () => {
+    const { context, provider, session } = setup();
+    provider.use(context.WebMCPMiddleware.cache({ ttlMs: 60000 }));
+    let calls = 0;
+    provider.registerTool('getBalance', 'Balance', (args, { session: caller }) => {
+        calls++;
+        return { owner: caller.id, positions: [{ ticker: 'FXAIX', shares: 10 }] };
+    }, { annotations: { readOnly: true } });
+    const first = session('session_a');
+    const second = session('session_b');
+
+    const result = await provider.executeTool('getBalance', {}, { sessionId: first });
+    result.positions[0].shares = 0;
+    const cached = await provider.executeTool('getBalance', {}, { sessionId: first });
+    assert.equal(calls, 1);
+    assert.equal(cached.positions[0].shares, 10);
+    cached.positions.push({ ticker: 'FXNAX', shares: 5 });
+    assert.equal((await provider.executeTool('getBalance', {}, { sessionId: first })).positions.length, 1);
+
+    const other = await provider.executeTool('getBalance', {}, { sessionId: second });
+    assert.equal(calls, 2);
+    assert.equal(other.owner, 'session_b');
+});
+
+test('the cache is cleared when a resource changes outside any tool call', async () => {
+    const { context, provider, session } = setup();
+    const cache = context.WebMCPMiddleware.cache({ ttlMs: 60000 });
+    provider.use(cache);
+    const stopWatching = cache.clearOnResourceUpdates(provider);
+    let price = 100;
+    provider.registerTool('getPrice', 'Price', () => ({ price }), { annotations: { readOnly: true } });
+    // Registered after the cache started watching
+    provider.registerResource('portfolio://prices', 'application/json', () => ({ price }));
+    const sessionId = session('session_prices');
+
+    assert.equal((await provider.executeTool('getPrice', {}, { sessionId })).price, 100);
+    price = 105;
+    assert.equal((await provider.executeTool('getPrice', {}, { sessionId })).price, 100);
+    provider.notifyResourceUpdated('portfolio://prices');
+    assert.equal((await provider.executeTool('getPrice', {}, { sessionId })).price, 105);
+
+    stopWatching();
+    price = 110;
+    provider.notifyResourceUpdated('portfolio://prices');
+    assert.equal((await provider.executeTool('getPrice', {}, { sessionId })).price, 105);
+});
+
+test('sanitized and logged copies of arguments drop keys that would set their prototype', async () => {
+    const { context, provider, session } = setup();
+    const logged = [];
+    provider.use(context.WebMCPMiddleware.sanitizeArgs());
+    provider.use(context.WebMCPMiddleware.logging({ logger: { info: entry => logged.push(entry), warn() {} } }));
+    let received = null;
+    provider.registerTool('placeOrder', 'Order', args => {
+        received = args;
+        return { ok: true };
+    }, { inputSchema: { type: 'object', properties: { ticker: { type: 'string' }, order: { type: 'object' } } } });
+    // As a remote caller's JSON arrives: __proto__ is an own key
+    const args = JSON.parse('{"ticker": " FXAIX ", "__proto__": {"admin": true}, "order": {"constructor": {"prototype": {"admin": true}}, "shares": 5}}');
+
+    await provider.executeTool('placeOrder', args, { sessionId: session('session_orders') });
+
+    for (const copy of [received, logged[0].args]) {
+        assert.equal(Object.getPrototypeOf(copy), Object.getPrototypeOf(received.order));
+        assert.equal(copy.admin, undefined);
+        assert.deepEqual(Object.keys(copy), ['ticker', 'order']);
+        assert.deepEqual(Object.keys(copy.order), ['shares']);
+    }
+    assert.equal(received.ticker, 'FXAIX');
+    assert.equal({}.admin, undefined);
+});
+
+test("the page's middleware never serves a cached plan or places a rebalance twice", async () => {
+    const context = loadScripts();
+    context.WebMCP.use(context.WebMCPMiddleware.cache({ ttlMs: 60000 }));
+    context.WebMCP.use(context.WebMCPMiddleware.retry({ retries: 2, baseDelayMs: 1 }));
+    await createApp(context);
+    const sessionId = context.WebMCP.createSession('session_app', { scopes: ['read'] }).id;
+
+    // A session that may only read can still preview
+    const first = await context.WebMCP.executeTool('previewRebalance', { strategy: 'aggressive' }, { sessionId });
+    const second = await context.WebMCP.executeTool('previewRebalance', { strategy: 'aggressive' }, { sessionId });
+    assert.notEqual(first.planId, second.planId);
+
+    const rebalance = context.WebMCP.getTool('rebalancePortfolio');
+    let placed = 0;
+    rebalance.execute = async () => {
+        placed++;
+        throw new Error('Order rejected');
+    };
+    await assert.rejects(context.WebMCP.executeTool('rebalancePortfolio', { strategy: 'aggressive' },
+        { sessionId: context.WebMCP.createSession('session_trader').id }), /Order rejected/);
+    assert.equal(placed, 1);
+});
+
+test('a retirement projection that fails after recording itself is not retried', async () => {
+    const context = loadScripts();
+    context.WebMCP.use(context.WebMCPMiddleware.retry({ retries: 2, baseDelayMs: 1 }));
+    const app = await createApp(context);
+    const projection = context.WebMCP.getTool('getRetirementProjection');
+    const execute = projection.execute;
+    let calls = 0;
+    projection.execute = async (args, toolContext) => {
+        calls++;
+        await execute(args, toolContext);
+        throw new Error('Connection reset');
+    };
+
+    await assert.rejects(context.WebMCP.executeTool('getRetirementProjection', { yearsToRetirement: 20 },
+        { sessionId: context.WebMCP.createSession('session_plan').id }), /Connection reset/);
+    assert.equal(calls, 1);
+    assert.equal(app.portfolioHistory.length, 1);
+});
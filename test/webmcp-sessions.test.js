@@ -0,0 +1,105 @@
+/**
+ * WebMCP sessions: every call runs in one, which limits the tools it may
+ * reach, keeps state of its own and expires once it has sat idle for its TTL.
+ *
+ *   node --test test/*.test.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, createApp } = require('./helpers/browser-context');
+
+const SESSION_SCRIPTS = ['js/schema-validator.js', 'js/webmcp-provider.js'];
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// A provider with a read tool and a write tool, each returning what the
+// calling session has seen so far
+function setup() {
+    const context = loadScripts(SESSION_SCRIPTS);
+    const provider = context.WebMCP;
+    const visit = (args, { session }) => {
+        session.state.visits = (session.state.visits || 0) + 1;
+        return { session: session.id, visits: session.state.visits };
+    };
+    provider.registerTool('getQuote', 'Quote', visit, { annotations: { readOnly: true } });
+    provider.registerTool('placeOrder', 'Order', visit);
+    const codeOf = promise => promise.then(() => null, error => error.code);
+    return { context, provider, codeOf };
+}
+
+test('a call needs a live session', async () => {
+    const { provider, codeOf } = setup();
+
+    assert.equal(await codeOf(provider.executeTool('getQuote', {})), 'SESSION_REQUIRED');
+    assert.equal(await codeOf(provider.executeTool('getQuote', {}, { sessionId: 'session_made_up' })), 'SESSION_EXPIRED');
+    const { id } = provider.createSession();
+    assert.equal(await codeOf(provider.executeTool('getQuote', {}, { sessionId: id })), null);
+    provider.destroySession(id);
+    assert.equal(await codeOf(provider.executeTool('getQuote', {}, { sessionId: id })), 'SESSION_EXPIRED');
+});
+
+test('scopes and tool lists limit what a session may call', async () => {
+    const { context, provider, codeOf } = setup();
+    const reader = provider.createSession('session_reader', { scopes: [context.ToolScope.READ] });
+    const named = provider.createSession('session_named', { tools: ['placeOrder'] });
+    const unlimited = provider.createSession('session_all');
+    const names = sessionId => Array.from(provider.getSessionTools(sessionId), tool => tool.name);
+
+    assert.deepEqual(names(reader.id), ['getQuote']);
+    assert.deepEqual(names(named.id), ['placeOrder']);
+    assert.deepEqual(names(unlimited.id), ['getQuote', 'placeOrder']);
+    assert.equal(await codeOf(provider.executeTool('placeOrder', {}, { sessionId: reader.id })), 'TOOL_NOT_ALLOWED');
+    assert.equal(await codeOf(provider.executeTool('getQuote', {}, { sessionId: named.id })), 'TOOL_NOT_ALLOWED');
+    // A refused call doesn't count as one
+    assert.equal(reader.calls.total, 0);
+});
+
+test('each session keeps its own state and call counts', async () => {
+    const { provider } = setup();
+    const first = provider.createSession('session_a').id;
+    const second = provider.createSession('session_b').id;
+
+    await provider.executeTool('getQuote', {}, { sessionId: first });
+    const again = await provider.executeTool('placeOrder', {}, { sessionId: first });
+    const other = await provider.executeTool('getQuote', {}, { sessionId: second });
+
+    assert.deepEqual({ ...again }, { session: 'session_a', visits: 2 });
+    assert.deepEqual({ ...other }, { session: 'session_b', visits: 1 });
+    assert.deepEqual({ ...provider.getSession(first).calls.byTool }, { getQuote: 1, placeOrder: 1 });
+    assert.equal(provider.getSession(second).calls.total, 1);
+});
+
+test('a session expires after sitting idle for its TTL, and each call pushes that back', async () => {
+    const { provider, codeOf } = setup();
+    const { id } = provider.createSession('session_short', { ttlMs: 150 });
+
+    await delay(90);
+    assert.equal(await codeOf(provider.executeTool('getQuote', {}, { sessionId: id })), null);
+    await delay(90);
+    assert.ok(provider.getSession(id), 'the call 90ms ago kept it alive');
+    await delay(200);
+    assert.equal(provider.getSession(id), undefined);
+    assert.equal(await codeOf(provider.executeTool('getQuote', {}, { sessionId: id })), 'SESSION_EXPIRED');
+
+    const forever = provider.createSession('session_forever', { ttlMs: null });
+    assert.equal(forever.expiresAt, null);
+});
+
+test("an agent's thread gets a fresh session, with the same limits, once its own expires", async () => {
+    const context = loadScripts();
+    const app = await createApp(context);
+    const agent = new context.AgentClient(app.getTools(), context.WebMCP, { session: { scopes: ['read'], ttlMs: 20 } });
+    const threadId = 'thread_sessions';
+
+    const first = agent.toolSessionFor(threadId);
+    assert.equal(agent.toolSessionFor(threadId), first);
+    await delay(40);
+    const second = agent.toolSessionFor(threadId);
+
+    assert.notEqual(second, first);
+    const session = context.WebMCP.getSession(second);
+    assert.deepEqual(Array.from(session.scopes), ['read']);
+    assert.equal(session.owner, 'agent');
+    assert.equal(session.config.threadId, threadId);
+});
@@ -0,0 +1,100 @@
+/**
+ * Undoing agent actions through WebMCP.revertAction: an action is reverted at
+ * most once, a failed revert leaves it to be undone again, and its run's stack
+ * changing while the revert runs doesn't break either.
+ *
+ *   node --test test/*.test.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/browser-context');
+
+const UNDO_SCRIPTS = ['js/schema-validator.js', 'js/webmcp-provider.js'];
+
+// A provider with an undoable 'deposit' tool; compensate runs options.revert
+function setup(options = {}) {
+    const context = loadScripts(UNDO_SCRIPTS);
+    const provider = new context.WebMCP.constructor(options);
+    const balance = { amount: 0, reverts: 0 };
+    provider.registerTool('deposit', 'Deposit', ({ amount }) => {
+        balance.amount += amount;
+        return { balance: balance.amount };
+    }, {
+        compensate: ({ amount }) => {
+            balance.reverts++;
+            return (options.revert || (() => {}))(amount, balance);
+        }
+    });
+    const sessionId = provider.createSession('session_undo').id;
+    const deposit = (amount, runId) => provider.executeTool('deposit', { amount }, { sessionId, runId, toolCallId: `call_${runId}` });
+    return { provider, balance, sessionId, deposit };
+}
+
+test('an action being reverted cannot be reverted again at the same time', async () => {
+    let finish;
+    const { provider, balance, sessionId, deposit } = setup({
+        revert: (amount, state) => new Promise(resolve => {
+            finish = () => {
+                state.amount -= amount;
+                resolve({ balance: state.amount });
+            };
+        })
+    });
+    await deposit(100, 'run_1');
+    const record = provider.getLastUndoable();
+
+    const first = provider.revertAction(record.id, { sessionId });
+    await assert.rejects(provider.revertAction(record.id, { sessionId }), error => error.code === 'UNDO_NOT_FOUND');
+    finish();
+    await first;
+
+    assert.equal(balance.reverts, 1);
+    assert.equal(balance.amount, 0);
+    assert.equal(provider.getLastUndoable(), null);
+});
+
+test('a failed revert leaves the action to be undone again, in its place', async () => {
+    let fail = true;
+    const { provider, balance, sessionId, deposit } = setup({
+        revert: (amount, state) => {
+            if (fail) {
+                throw new Error('Market closed');
+            }
+            state.amount -= amount;
+        }
+    });
+    await deposit(100, 'run_1');
+    await deposit(50, 'run_1');
+    const record = provider.getLastUndoable();
+
+    await assert.rejects(provider.revertAction(record.id, { sessionId }), /Market closed/);
+    assert.equal(provider.getLastUndoable().id, record.id);
+    assert.deepEqual(Array.from(provider.getUndoStack('run_1'), entry => entry.args.amount), [100, 50]);
+
+    fail = false;
+    await provider.revertAction(record.id, { sessionId });
+    assert.equal(balance.amount, 100);
+    assert.deepEqual(Array.from(provider.getUndoStack('run_1'), entry => entry.args.amount), [100]);
+});
+
+test("a revert survives its run's stack being evicted while it runs", async () => {
+    let finish;
+    const { provider, sessionId, deposit } = setup({
+        maxUndoRuns: 1,
+        revert: () => new Promise((resolve, reject) => {
+            finish = reject;
+        })
+    });
+    await deposit(100, 'run_1');
+    const record = provider.getLastUndoable();
+
+    const revert = provider.revertAction(record.id, { sessionId });
+    await deposit(20, 'run_2');
+    await deposit(30, 'run_3');
+    finish(new Error('Market closed'));
+
+    await assert.rejects(revert, /Market closed/);
+    assert.deepEqual(Array.from(provider.getUndoStack('run_1'), entry => entry.args.amount), [100]);
+    assert.equal(provider.getLastUndoable().runId, 'run_3');
+});